@@ -494,18 +494,75 @@ const COLLISION_CONFIG = {
     enemies: 4,
     enemyProjectiles: 8,
     powerups: 16,
-    boundaries: 32
+    boundaries: 32,
+    bunkers: 64
   },
 
   interactions: {
-    playerProjectiles: ['enemies'],
-    enemyProjectiles: ['player'],
-    enemies: ['player', 'playerProjectiles'],
+    playerProjectiles: ['enemies', 'bunkers'],
+    enemyProjectiles: ['player', 'bunkers'],
+    enemies: ['player', 'playerProjectiles', 'bunkers'],
     player: ['enemies', 'enemyProjectiles', 'powerups'],
-    powerups: ['player']
+    powerups: ['player'],
+    bunkers: ['playerProjectiles', 'enemyProjectiles', 'enemies']
   }
 };
 
+/**
+ * Defense bunker layouts and when they are rebuilt
+ * Bunkers in a layout are spaced evenly across the play area with their
+ * centres at height y; shapes are defined in entities/bunker.js.
+ */
+const BUNKER_CONFIG = {
+  enabled: true,
+  resetEvery: 1, // rebuild every N waves; 0 keeps the damage for the whole run
+  rotation: ['classic'], // layouts used by successive rebuilds, cycling
+
+  layouts: {
+    classic: {
+      count: 4,
+      y: 470,
+      shape: 'arch',
+      pixelSize: 3,
+      color: '#00ff00'
+    },
+    fortress: {
+      count: 3,
+      y: 475,
+      shape: 'wall',
+      pixelSize: 3,
+      color: '#00ff00'
+    },
+    outposts: {
+      count: 6,
+      y: 480,
+      shape: 'block',
+      pixelSize: 3,
+      color: '#00ff00'
+    }
+  }
+};
+
+/**
+ * Mystery ship: the bonus saucer that crosses above the formation
+ * Flights start on a timer or every few player shots. The saucer is worth the
+ * scoreTable entry at the player's shot count, wrapping around the table (with
+ * the default table the 8th shot and every 15th after it - the 23rd, 38th and
+ * so on - score 300), or a random pick from randomPoints.
+ */
+const MYSTERY_SHIP_CONFIG = {
+  enabled: true,
+  spawnRule: 'timer', // 'timer' or 'shots'
+  interval: [15000, 25000], // milliseconds between flights under the timer rule
+  shotInterval: 25, // player shots between flights under the shots rule
+  minEnemies: 3, // no flights once fewer invaders are left in the wave
+  y: 40,
+  speed: 2, // pixels per 60 Hz frame
+  scoring: 'shotCount', // 'shotCount' or 'random'
+  scoreTable: [100, 50, 50, 100, 150, 100, 100, 50, 300, 100, 100, 100, 50, 150, 100],
+  randomPoints: [50, 100, 150, 300]
+};
+
 /**
  * Performance and optimization configuration
  */
@@ -513,6 +570,9 @@ const PERFORMANCE_CONFIG = {
   rendering: {
     maxFPS: 60,
     vsync: true,
+    backend: 'auto', // 'auto' (WebGL, falling back to Canvas 2D), 'webgl', 'canvas2d' or 'null'
+    textCacheSize: 128,
+    maxPixelRatio: 3, // cap on backing store density for very high-DPI screens
     culling: {
       enabled: true,
       margin: 50
@@ -553,17 +613,23 @@ const PERFORMANCE_CONFIG = {
       low: {
         particleCount: 0.3,
         effectQuality: 0.5,
-        audioQuality: 0.7
+        audioQuality: 0.7,
+        projectileTrail: 0, // milliseconds of travel drawn behind each shot
+        projectileGlow: false
       },
       medium: {
         particleCount: 0.7,
         effectQuality: 0.8,
-        audioQuality: 0.9
+        audioQuality: 0.9,
+        projectileTrail: 20, // milliseconds of travel drawn behind each shot
+        projectileGlow: false
       },
       high: {
         particleCount: 1.0,
         effectQuality: 1.0,
-        audioQuality: 1.0
+        audioQuality: 1.0,
+        projectileTrail: 40, // milliseconds of travel drawn behind each shot
+        projectileGlow: true
       }
     }
   }
@@ -574,12 +640,17 @@ const PERFORMANCE_CONFIG = {
  */
 const BALANCE_CONFIG = {
   player: {
-    health: 3,
+    health: 3, // ships at the start of a run
     speed: 5,
     fireRate: 0.15,
     projectileSpeed: 8,
     invulnerabilityTime: 2000,
-    respawnDelay: 1000
+    respawnDelay: 1000,
+    maxLives: 6,
+    extraLifeScores: [1500], // each threshold awards a ship
+    extraLifeEvery: 10000, // then one more every N points; 0 for none
+    bulletClearRadius: 120, // enemy shots this close to a lost ship are cleared
+    fireHoldTime: 1000 // milliseconds after a respawn before the invaders fire again
   },
 
   scoring: {
@@ -591,25 +662,38 @@ const BALANCE_CONFIG = {
     perfectWaveMultiplier: 2.0
   },
 
+  // Capsules dropped by destroyed enemies. Collecting an effect that is
+  // already running follows its stacking rule: 'refresh' restarts the timer,
+  // 'extend' adds the duration to the time left (up to maxDuration) and
+  // 'stack' restarts the timer and adds hits (up to maxHits).
   powerups: {
     spawnChance: 0.15,
     duration: 10000,
+    fallSpeed: 0.1, // pixels per millisecond
     types: {
       rapidFire: {
         fireRateMultiplier: 2.0,
-        rarity: 0.4
+        rarity: 0.4,
+        stacking: 'extend',
+        maxDuration: 20000
       },
       multiShot: {
         shotCount: 3,
-        rarity: 0.3
+        spread: 0.25, // radians between neighbouring shots
+        rarity: 0.3,
+        stacking: 'refresh'
       },
       shield: {
         duration: 15000,
-        rarity: 0.2
+        hits: 1,
+        maxHits: 3,
+        rarity: 0.2,
+        stacking: 'stack'
       },
       scoreMultiplier: {
         multiplier: 2.0,
-        rarity: 0.1
+        rarity: 0.1,
+        stacking: 'refresh'
       }
     }
   },
@@ -633,12 +717,14 @@ const gameConfig = Object.freeze({
   formations: Object.freeze(FORMATION_PATTERNS),
   waves: Object.freeze(WAVE_SYSTEM),
   collision: Object.freeze(COLLISION_CONFIG),
+  bunkers: Object.freeze(BUNKER_CONFIG),
+  mysteryShip: Object.freeze(MYSTERY_SHIP_CONFIG),
   performance: Object.freeze(PERFORMANCE_CONFIG),
   balance: Object.freeze(BALANCE_CONFIG),
 
   // Game constants
   constants: Object.freeze({
-    CANVAS_WIDTH: 800,
+    CANVAS_WIDTH: 800, // logical world size in game pixels; the viewport scales it to the screen
     CANVAS_HEIGHT: 600,
     GAME_BOUNDS: {
       left: 0,
@@ -0,0 +1,346 @@
+/**
+ * Bunker - Destructible defense shield backed by a bitmask
+ * A bunker is a grid of cells, each either solid or destroyed. Projectiles
+ * only count as hitting it where they overlap solid cells, and blow a
+ * crater-shaped hole around the impact; invaders erase every cell they
+ * overlap. Solid cells are drawn as horizontal runs, so a bunker costs one
+ * rect per unbroken stretch of a row rather than one per cell.
+ */
+
+/**
+ * Bunker outlines; '#' is solid, anything else is empty
+ * @type {Object<string, string[]>}
+ */
+const BUNKER_SHAPES = {
+    arch: [
+        '....##############....',
+        '...################...',
+        '..##################..',
+        '.####################.',
+        '######################',
+        '######################',
+        '######################',
+        '######################',
+        '######################',
+        '######################',
+        '######################',
+        '######################',
+        '#######........#######',
+        '######..........######',
+        '#####............#####',
+        '#####............#####'
+    ],
+    wall: [
+        '..##########################..',
+        '.############################.',
+        '##############################',
+        '##############################',
+        '##############################',
+        '##############################',
+        '##############################',
+        '#########............#########',
+        '########..............########',
+        '########..............########'
+    ],
+    block: [
+        '.##########.',
+        '############',
+        '############',
+        '############',
+        '############',
+        '############',
+        '############',
+        '############',
+        '###......###',
+        '###......###'
+    ]
+};
+
+/**
+ * Crater stencils centred on the impact; '#' cells are destroyed
+ * Player shots punch narrow holes, enemy shots splash wider, as in the arcade original.
+ * @type {Object<string, string[]>}
+ */
+const BUNKER_CRATERS = {
+    playerShot: [
+        '#..#..#.',
+        '..###..#',
+        '.#####..',
+        '#######.',
+        '.######.',
+        '..####.#',
+        '#.####..',
+        '..#..#..'
+    ],
+    enemyShot: [
+        '..#...#.',
+        '#..###..',
+        '.######.',
+        '########',
+        '.#######',
+        '#######.',
+        '.#.###..',
+        '#...#..#'
+    ]
+};
+
+class Bunker {
+    /**
+     * @param {number} x - Centre x
+     * @param {number} y - Centre y
+     * @param {Object} options - Bunker options
+     * @param {string} options.id - Collision body id
+     * @param {string} options.shape - Outline from BUNKER_SHAPES
+     * @param {number} options.pixelSize - World pixels per mask cell
+     * @param {string} options.color - Fill color of solid cells
+     */
+    constructor(x, y, options = {}) {
+        let shape = options.shape || 'arch';
+        if (!BUNKER_SHAPES[shape]) {
+            console.error(`Bunker: Unknown shape "${shape}", using arch`);
+            shape = 'arch';
+        }
+        const outline = BUNKER_SHAPES[shape];
+
+        this.id = options.id || 'bunker';
+        this.shape = shape;
+        this.pixelSize = options.pixelSize || 3;
+        this.color = options.color || '#00ff00';
+
+        this.columns = outline[0].length;
+        this.rows = outline.length;
+        this.width = this.columns * this.pixelSize;
+        this.height = this.rows * this.pixelSize;
+        this.x = x;
+        this.y = y;
+        this.left = x - this.width / 2;
+        this.top = y - this.height / 2;
+
+        this.mask = new Uint8Array(this.columns * this.rows);
+        this.solidCount = 0;
+        outline.forEach((line, row) => {
+            for (let column = 0; column < this.columns; column++) {
+                if (line[column] === '#') {
+                    this.mask[row * this.columns + column] = 1;
+                    this.solidCount++;
+                }
+            }
+        });
+
+        this.runs = [];
+        this.dirty = true;
+    }
+
+    /**
+     * Get the range of cells a world-space box covers, clamped to the mask
+     * @param {number} x - Box left
+     * @param {number} y - Box top
+     * @param {number} width - Box width
+     * @param {number} height - Box height
+     * @returns {Object|null} { firstColumn, lastColumn, firstRow, lastRow }, or null when the box misses
+     * @private
+     */
+    getCellRange(x, y, width, height) {
+        const firstColumn = Math.max(0, Math.floor((x - this.left) / this.pixelSize));
+        const lastColumn = Math.min(this.columns - 1, Math.ceil((x + width - this.left) / this.pixelSize) - 1);
+        const firstRow = Math.max(0, Math.floor((y - this.top) / this.pixelSize));
+        const lastRow = Math.min(this.rows - 1, Math.ceil((y + height - this.top) / this.pixelSize) - 1);
+
+        if (firstColumn > lastColumn || firstRow > lastRow) return null;
+        return { firstColumn, lastColumn, firstRow, lastRow };
+    }
+
+    /**
+     * Test a box against the solid cells
+     * Used by CollisionSystem as the narrow phase for bunker bodies.
+     * @param {Object} aabb - World-space box with x, y (top left), width and height
+     * @returns {Object|null} Centre of the overlapping solid cells as { x, y }, or null when only gaps overlap
+     */
+    hitTest(aabb) {
+        const range = this.getCellRange(aabb.x, aabb.y, aabb.width, aabb.height);
+        if (!range) return null;
+
+        let sumColumn = 0;
+        let sumRow = 0;
+        let hits = 0;
+
+        for (let row = range.firstRow; row <= range.lastRow; row++) {
+            for (let column = range.firstColumn; column <= range.lastColumn; column++) {
+                if (this.mask[row * this.columns + column]) {
+                    sumColumn += column;
+                    sumRow += row;
+                    hits++;
+                }
+            }
+        }
+
+        if (hits === 0) return null;
+
+        return {
+            x: this.left + (sumColumn / hits + 0.5) * this.pixelSize,
+            y: this.top + (sumRow / hits + 0.5) * this.pixelSize
+        };
+    }
+
+    /**
+     * Blow a crater into the bunker
+     * @param {number} x - Impact x in world space
+     * @param {number} y - Impact y in world space
+     * @param {string} crater - Stencil name from BUNKER_CRATERS
+     * @returns {number} Cells destroyed
+     */
+    carve(x, y, crater = 'playerShot') {
+        const stencil = BUNKER_CRATERS[crater] || BUNKER_CRATERS.playerShot;
+        const centreColumn = Math.floor((x - this.left) / this.pixelSize);
+        const centreRow = Math.floor((y - this.top) / this.pixelSize);
+        const startColumn = centreColumn - Math.floor(stencil[0].length / 2);
+        const startRow = centreRow - Math.floor(stencil.length / 2);
+        let destroyed = 0;
+
+        stencil.forEach((line, stencilRow) => {
+            const row = startRow + stencilRow;
+            if (row < 0 || row >= this.rows) return;
+
+            for (let stencilColumn = 0; stencilColumn < line.length; stencilColumn++) {
+                const column = startColumn + stencilColumn;
+                if (line[stencilColumn] === '#' && column >= 0 && column < this.columns) {
+                    destroyed += this.clearCell(row * this.columns + column);
+                }
+            }
+        });
+
+        return destroyed;
+    }
+
+    /**
+     * Destroy every cell under a box, e.g. an invader pushing through
+     * @param {number} x - Box left
+     * @param {number} y - Box top
+     * @param {number} width - Box width
+     * @param {number} height - Box height
+     * @returns {number} Cells destroyed
+     */
+    erase(x, y, width, height) {
+        const range = this.getCellRange(x, y, width, height);
+        if (!range) return 0;
+
+        let destroyed = 0;
+        for (let row = range.firstRow; row <= range.lastRow; row++) {
+            for (let column = range.firstColumn; column <= range.lastColumn; column++) {
+                destroyed += this.clearCell(row * this.columns + column);
+            }
+        }
+        return destroyed;
+    }
+
+    /**
+     * Clear one cell of the mask
+     * @param {number} index - Cell index
+     * @returns {number} 1 if the cell was solid, otherwise 0
+     * @private
+     */
+    clearCell(index) {
+        if (!this.mask[index]) return 0;
+
+        this.mask[index] = 0;
+        this.solidCount--;
+        this.dirty = true;
+        return 1;
+    }
+
+    /**
+     * Check whether every cell has been destroyed
+     * @returns {boolean} True once nothing is left
+     */
+    isDestroyed() {
+        return this.solidCount === 0;
+    }
+
+    /**
+     * Rebuild the horizontal runs of solid cells after damage
+     * @private
+     */
+    updateRuns() {
+        this.runs = [];
+
+        for (let row = 0; row < this.rows; row++) {
+            let start = -1;
+            for (let column = 0; column <= this.columns; column++) {
+                const solid = column < this.columns && this.mask[row * this.columns + column];
+                if (solid && start < 0) {
+                    start = column;
+                } else if (!solid && start >= 0) {
+                    this.runs.push({ row, column: start, length: column - start });
+                    start = -1;
+                }
+            }
+        }
+
+        this.dirty = false;
+    }
+
+    /**
+     * Draw the remaining cells
+     * @param {Renderer} ctx - Renderer to draw with
+     * @param {Object} camera - Camera transform data
+     */
+    render(ctx, camera = {}) {
+        if (this.dirty) {
+            this.updateRuns();
+        }
+
+        const left = this.left - (camera.x || 0);
+        const top = this.top - (camera.y || 0);
+        const size = this.pixelSize;
+
+        ctx.fillStyle = this.color;
+        for (const run of this.runs) {
+            ctx.fillRect(left + run.column * size, top + run.row * size, run.length * size, size);
+        }
+    }
+
+    /**
+     * Get the bunker's damage for serialization
+     * @returns {Object} Position, look and mask as a string of '0' and '1'
+     */
+    getState() {
+        return {
+            id: this.id,
+            x: this.x,
+            y: this.y,
+            shape: this.shape,
+            pixelSize: this.pixelSize,
+            color: this.color,
+            mask: Array.from(this.mask).join('')
+        };
+    }
+
+    /**
+     * Rebuild a bunker from serialized state
+     * @param {Object} state - State from getState()
+     * @returns {Bunker} Restored bunker
+     */
+    static fromState(state) {
+        const bunker = new Bunker(state.x, state.y, state);
+
+        bunker.solidCount = 0;
+        for (let i = 0; i < bunker.mask.length; i++) {
+            bunker.mask[i] = state.mask[i] === '1' ? 1 : 0;
+            bunker.solidCount += bunker.mask[i];
+        }
+        bunker.dirty = true;
+        return bunker;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Bunker, BUNKER_SHAPES, BUNKER_CRATERS };
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.Bunker = Bunker;
+    window.BUNKER_SHAPES = BUNKER_SHAPES;
+    window.BUNKER_CRATERS = BUNKER_CRATERS;
+}
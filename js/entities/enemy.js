@@ -19,6 +19,8 @@
  * @author Space Invaders Development Team
  */
 
+const { SpriteAnimation } = typeof require === 'function' ? require('../systems/spriteAnimation.js') : window;
+
 /**
  * Enemy type definitions with unique characteristics
  */
@@ -31,6 +33,7 @@ const ENEMY_TYPES = {
         width: 32,
         height: 24,
         color: '#00ff00',
+        sprite: 'enemy1',
         fireRate: 0.02,
         movementPattern: 'zigzag'
     },
@@ -42,6 +45,7 @@ const ENEMY_TYPES = {
         width: 36,
         height: 28,
         color: '#ffff00',
+        sprite: 'enemy1',
         fireRate: 0.015,
         movementPattern: 'formation'
     },
@@ -53,6 +57,7 @@ const ENEMY_TYPES = {
         width: 40,
         height: 32,
         color: '#ff0000',
+        sprite: 'enemy2',
         fireRate: 0.01,
         movementPattern: 'steady'
     },
@@ -64,6 +69,7 @@ const ENEMY_TYPES = {
         width: 64,
         height: 48,
         color: '#ff00ff',
+        sprite: 'enemy2',
         fireRate: 0.03,
         movementPattern: 'boss'
     }
@@ -91,9 +97,31 @@ const MOVEMENT_PATTERNS = {
         phases: ['enter', 'attack', 'retreat'],
         phaseTimer: 0,
         phaseDuration: 180
+    },
+    flyby: {
+        direction: 0 // 1 flies right, -1 left; 0 heads away from the side it spawned on
     }
 };
 
+/**
+ * Animation clips: invaders shuffle between two sheet frames per march step,
+ * and the explosion sheet plays once over the 60-frame death sequence
+ */
+const ENEMY_ANIMATIONS = {
+    march: { frames: [0, 1] },
+    dying: { frames: [0, 1, 2, 3, 4, 5, 6, 7], frameDuration: 125, mode: 'once' }
+};
+
+/**
+ * Pixels of movement that make up one march step
+ */
+const MARCH_STEP_DISTANCE = 8;
+
+/**
+ * Enemy updates count time in 60 Hz frames; animation clips run in milliseconds
+ */
+const FRAME_MS = 1000 / 60;
+
 /**
  * Enemy states for behavior management
  */
@@ -118,12 +146,14 @@ class Enemy {
      * @param {number} config.y - Initial Y position
      * @param {Object} config.waveData - Wave-specific data
      * @param {number} config.id - Unique enemy identifier
+     * @param {Object} config.rng - Random generator providing next() in [0, 1) (defaults to Math.random)
      */
     constructor(config = {}) {
         // Validate required parameters
         this._validateConfig(config);
         
         // Core properties
+        this.rng = config.rng || { next: Math.random };
         this.id = config.id || this._generateId();
         this.type = config.type || 'SCOUT';
         this.typeData = ENEMY_TYPES[this.type];
@@ -151,6 +181,7 @@ class Enemy {
         this.state = ENEMY_STATES.SPAWNING;
         this.stateTimer = 0;
         this.age = 0;
+        this.active = true;
         
         // Movement pattern data
         this.movementData = this._initializeMovementData();
@@ -166,14 +197,19 @@ class Enemy {
         this.width = this.typeData.width;
         this.height = this.typeData.height;
         this.color = this.typeData.color;
+        this.sprite = config.sprite || null; // atlas sheet; shapes are drawn without one
+        this.deathSprite = config.deathSprite || null; // explosion sheet for the dying clip
         this.alpha = 1.0;
         this.rotation = 0;
         this.scale = 1.0;
+        this.debugRender = config.debugRender === true; // hitbox and state overlay, switched by EnemySystem
         
         // Animation properties
         this.animationFrame = 0;
         this.animationTimer = 0;
         this.animationSpeed = 0.1;
+        this.animation = new SpriteAnimation(ENEMY_ANIMATIONS);
+        this.marchDistance = 0;
         
         // Collision bounds (optimized for performance)
         this.bounds = {
@@ -299,6 +335,7 @@ class Enemy {
         } catch (error) {
             console.error(`Error updating enemy ${this.id}:`, error);
             this.state = ENEMY_STATES.DEAD;
+            this.active = false;
         }
     }
     
@@ -410,6 +447,7 @@ class Enemy {
         
         if (progress >= 1) {
             this.state = ENEMY_STATES.DEAD;
+            this.active = false;
             this._triggerDestroyCallback();
         }
     }
@@ -419,6 +457,8 @@ class Enemy {
      * @private
      */
     _updateMovement(deltaTime, gameState) {
+        const startX = this.x;
+        const startY = this.y;
         this.movementData.timer += deltaTime;
         
         switch (this.typeData.movementPattern) {
@@ -438,6 +478,10 @@ class Enemy {
                 this._updateBossMovement(deltaTime, gameState);
                 break;
                 
+            case 'flyby':
+                this._updateFlybyMovement(deltaTime, gameState);
+                break;
+                
             default:
                 this._updateDefaultMovement(deltaTime);
         }
@@ -446,9 +490,18 @@ class Enemy {
         this.x += this.velocityX * deltaTime;
         this.y += this.velocityY * deltaTime;
         
-        // Clamp to screen bounds with margin
-        const margin = this.width;
-        this.x = Math.max(margin, Math.min(gameState.screenWidth - margin, this.x));
+        // Clamp to screen bounds with margin; flybys cross the whole screen and leave it
+        if (this.typeData.movementPattern !== 'flyby') {
+            const margin = this.width;
+            this.x = Math.max(margin, Math.min(gameState.screenWidth - margin, this.x));
+        }
+        
+        // Shuffle to the next march frame every few pixels travelled
+        this.marchDistance += Math.abs(this.x - startX) + Math.abs(this.y - startY);
+        if (this.marchDistance >= MARCH_STEP_DISTANCE) {
+            this.marchDistance %= MARCH_STEP_DISTANCE;
+            this.animation.step();
+        }
     }
     
     /**
@@ -563,6 +616,19 @@ class Enemy {
         }
     }
     
+    /**
+     * Updates flyby movement pattern: a level pass across the screen
+     * @private
+     */
+    _updateFlybyMovement(deltaTime, gameState) {
+        if (!this.movementData.direction) {
+            this.movementData.direction = this.movementData.initialX < gameState.screenWidth / 2 ? 1 : -1;
+        }
+        
+        this.velocityX = this.typeData.speed * this.movementData.direction;
+        this.velocityY = 0;
+    }
+    
     /**
      * Updates default movement pattern
      * @private
@@ -606,7 +672,7 @@ class Enemy {
             Math.pow(this.y - gameState.player.y, 2)
         );
         
-        return distanceToPlayer < 200 && Math.random() < 0.01;
+        return distanceToPlayer < 200 && this.rng.next() < 0.01;
     }
     
     /**
@@ -618,7 +684,7 @@ class Enemy {
         
         // Basic firing logic - can be enhanced with AI
         const playerInRange = Math.abs(this.x - gameState.player.x) < 100;
-        const randomChance = Math.random() < this.fireRate;
+        const randomChance = this.rng.next() < this.fireRate;
         
         return playerInRange && randomChance;
     }
@@ -645,6 +711,7 @@ class Enemy {
      * @private
      */
     _updateVisuals(deltaTime) {
+        this.animation.update(deltaTime * FRAME_MS);
         this.animationTimer += deltaTime;
         
         if (this.animationTimer >= this.animationSpeed) {
@@ -734,6 +801,7 @@ class Enemy {
         this.state = ENEMY_STATES.DYING;
         this.stateTimer = 0;
         this.canFire = false;
+        this.animation.play('dying');
         
         console.log(`Enemy ${this.id} destroyed`);
     }
@@ -753,6 +821,14 @@ class Enemy {
         }
     }
     
+    /**
+     * Checks if the enemy can still be hit
+     * @returns {boolean} True unless the enemy is dying or dead
+     */
+    isAlive() {
+        return this.state !== ENEMY_STATES.DYING && this.state !== ENEMY_STATES.DEAD;
+    }
+    
     /**
      * Checks collision with another object
      * @param {Object} other - Object to check collision with
@@ -773,7 +849,7 @@ class Enemy {
     
     /**
      * Renders the enemy
-     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Renderer} ctx - Renderer to draw with
      * @param {Object} camera - Camera transform data
      */
     render(ctx, camera = {}) {
@@ -803,7 +879,7 @@ class Enemy {
             }
             
             // Debug rendering
-            if (window.DEBUG_RENDER) {
+            if (this.debugRender) {
                 this._renderDebugInfo(ctx);
             }
             
@@ -822,14 +898,21 @@ class Enemy {
         const halfWidth = this.width / 2;
         const halfHeight = this.height / 2;
         
-        // Simple geometric representation (can be replaced with sprites)
+        const dying = this.animation.getClipName() === 'dying';
+        const sheet = (dying && this.deathSprite) || this.sprite;
+        if (sheet) {
+            this.animation.draw(ctx, sheet, -halfWidth, -halfHeight, this.width, this.height);
+            return;
+        }
+        
+        // Simple geometric representation when no sprite is loaded
         ctx.fillStyle = this.color;
         ctx.fillRect(-halfWidth, -halfHeight, this.width, this.height);
         
-        // Add some detail based on enemy type
+        // Add some detail based on enemy type, or the shape a registered type asks for
         ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
         
-        switch (this.type) {
+        switch (this.typeData.shape || this.type) {
             case 'SCOUT':
                 // Triangle shape for scout
                 ctx.beginPath();
@@ -859,10 +942,19 @@ class Enemy {
                 ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
                 ctx.fillRect(-halfWidth * 0.3, -halfHeight * 0.8, this.width * 0.6, this.height * 0.3);
                 break;
+                
+            case 'saucer':
+                // Dome and a row of running lights
+                ctx.fillRect(-halfWidth * 0.35, -halfHeight, this.width * 0.35, halfHeight);
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+                for (let light = -2; light <= 2; light++) {
+                    ctx.fillRect(light * halfWidth * 0.35 - 2, halfHeight * 0.2, 4, 4);
+                }
+                break;
         }
         
-        // Animation frame indicator
-        if (this.animationFrame % 2 === 0) {
+        // March frame indicator
+        if (!dying && this.animation.getFrame() === 0) {
             ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
             ctx.fillRect(-halfWidth, -halfHeight, this.width, this.height);
         }
@@ -910,9 +1002,16 @@ class Enemy {
         ctx.fillStyle = 'white';
         ctx.font = '10px monospace';
         ctx.textAlign = 'center';
-        ctx.fillText(`${this.type}`, 0, -this.height / 2 - 20);
+        ctx.fillText(`${this.type} #${String(this.id).slice(-6)}`, 0, -this.height / 2 - 20);
         ctx.fillText(`${this.state}`, 0, -this.height / 2 - 10);
         ctx.fillText(`HP: ${this.health}/${this.maxHealth}`, 0, this.height / 2 + 15);
+        
+        // Velocity vector, scaled to the distance covered in 200ms
+        ctx.strokeStyle = '#00ff00';
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(this.velocityX * 200, this.velocityY * 200);
+        ctx.stroke();
     }
     
     /**
@@ -949,11 +1048,72 @@ class Enemy {
         };
     }
     
+    /**
+     * Gets the full enemy state needed to rebuild it after a reload
+     * @returns {Object} Serializable enemy state
+     */
+    getState() {
+        return {
+            id: this.id,
+            type: this.type,
+            x: this.x,
+            y: this.y,
+            velocityX: this.velocityX,
+            velocityY: this.velocityY,
+            targetX: this.targetX,
+            targetY: this.targetY,
+            health: this.health,
+            maxHealth: this.maxHealth,
+            points: this.points,
+            isInvulnerable: this.isInvulnerable,
+            invulnerabilityTimer: this.invulnerabilityTimer,
+            state: this.state,
+            stateTimer: this.stateTimer,
+            age: this.age,
+            active: this.active,
+            movementData: { ...this.movementData },
+            formationIndex: this.formationIndex,
+            lastFireTime: this.lastFireTime,
+            canFire: this.canFire,
+            alpha: this.alpha,
+            rotation: this.rotation,
+            scale: this.scale,
+            animationFrame: this.animationFrame,
+            animationTimer: this.animationTimer,
+            animation: this.animation.getState(),
+            marchDistance: this.marchDistance
+        };
+    }
+    
+    /**
+     * Restores enemy state from serialized data
+     * @param {Object} state - Serialized enemy state from getState()
+     */
+    setState(state) {
+        if (!state || typeof state !== 'object') {
+            throw new Error('Invalid enemy state object');
+        }
+        
+        const { id, type, movementData, animation, ...fields } = state;
+        
+        // Identity and type are fixed at construction
+        Object.assign(this, fields);
+        if (movementData) {
+            this.movementData = { ...movementData };
+        }
+        if (animation) {
+            this.animation.setState(animation);
+        }
+        
+        this._updateBounds();
+    }
+    
     /**
      * Destroys the enemy and cleans up resources
      */
     destroy() {
         this.state = ENEMY_STATES.DEAD;
+        this.active = false;
         this.onDestroy = null;
         this.onDamage = null;
         this.onFire = null;
@@ -1023,6 +1183,53 @@ class EnemyFactory {
     static getAvailableTypes() {
         return Object.keys(ENEMY_TYPES);
     }
+    
+    /**
+     * Gets the definition of an enemy type
+     * @param {string} type - Enemy type
+     * @returns {Object|null} Type definition, or null for unknown types
+     */
+    static getTypeData(type) {
+        return ENEMY_TYPES[type] || null;
+    }
+    
+    /**
+     * Registers an enemy type alongside the built-in ones, replacing any with the same key
+     * @param {string} type - Enemy type key, uppercase like the built-in types
+     * @param {Object} typeData - Type definition with the fields of ENEMY_TYPES entries;
+     *     shape names the fallback drawing and bonus keeps the type out of wave completion
+     * @returns {boolean} True if the type was registered
+     */
+    static registerType(type, typeData) {
+        try {
+            if (!type || typeof type !== 'string') {
+                throw new Error('Invalid enemy type key');
+            }
+            
+            const requiredFields = ['health', 'speed', 'points', 'width', 'height', 'movementPattern'];
+            for (const field of requiredFields) {
+                if (!typeData || !(field in typeData)) {
+                    throw new Error(`Missing required field: ${field}`);
+                }
+            }
+            
+            if (!MOVEMENT_PATTERNS[typeData.movementPattern]) {
+                throw new Error(`Unknown movement pattern: ${typeData.movementPattern}`);
+            }
+            
+            ENEMY_TYPES[type] = {
+                id: type.toLowerCase(),
+                color: '#ffffff',
+                fireRate: 0,
+                ...typeData
+            };
+            return true;
+            
+        } catch (error) {
+            console.error(`Error registering enemy type ${type}:`, error);
+            return false;
+        }
+    }
 }
 
 // Export classes and constants
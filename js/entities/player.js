@@ -24,6 +24,8 @@
  * @since 2025-01-27
  */
 
+const { SpriteAnimation } = typeof require === 'function' ? require('../systems/spriteAnimation.js') : window;
+
 /**
  * Player entity class representing the player's ship in the game
  * Handles movement, shooting, collision detection, and rendering
@@ -43,6 +45,7 @@ class Player {
         // Shooting properties
         SHOOT_COOLDOWN: 150,          // milliseconds between shots
         PROJECTILE_SPEED: 500,        // pixels per second
+        PROJECTILE_DAMAGE: 25,        // damage dealt per projectile
         
         // Physical properties
         WIDTH: 48,                    // player sprite width
@@ -53,15 +56,31 @@ class Player {
         MAX_HEALTH: 100,              // maximum health points
         INVULNERABILITY_TIME: 2000,   // milliseconds of invulnerability after hit
         
+        // Power-ups
+        POWERUP_DURATION: 10000,      // milliseconds an effect lasts when its settings give no duration
+        MULTI_SHOT_SPREAD: 0.25,      // radians between neighbouring spread shots
+        SHIELD_GRACE_TIME: 500,       // milliseconds of invulnerability after the shield takes a hit
+        
         // Visual feedback
         DAMAGE_FLASH_DURATION: 100,   // milliseconds for damage flash
         SHOOT_FLASH_DURATION: 50,     // milliseconds for shoot flash
+        GLOW_MIN_QUALITY: 0.75,       // lowest effect quality that still draws the shoot glow
         
         // Input sensitivity
         TOUCH_SENSITIVITY: 1.2,       // touch input multiplier
         KEYBOARD_SENSITIVITY: 1.0     // keyboard input multiplier
     };
 
+    /**
+     * Animation clips over the player sheet: 0 idle, 1-2 thrust, 3 damage
+     * @type {Object}
+     */
+    static ANIMATIONS = {
+        idle: { frames: [0] },
+        thrust: { frames: [1, 2], frameDuration: 80 },
+        damage: { frames: [3], frameDuration: 150, mode: 'once' }
+    };
+
     /**
      * Player states enumeration
      * @type {Object}
@@ -89,7 +108,10 @@ class Player {
      * @param {number} x - Initial x position
      * @param {number} y - Initial y position
      * @param {Object} gameConfig - Game configuration object
-     * @param {Object} eventEmitter - Event emitter for game events
+     * @param {boolean} gameConfig.bindInput - Attach DOM input listeners (default true)
+     * @param {number} gameConfig.projectileDamage - Damage dealt per projectile
+     * @param {Object} gameConfig.clock - Game clock providing now() in milliseconds (defaults to wall time)
+     * @param {EventBus} eventEmitter - Shared event bus (or any object with emit()) for game events
      */
     constructor(x = 0, y = 0, gameConfig = {}, eventEmitter = null) {
         // Validate input parameters
@@ -120,8 +142,13 @@ class Player {
         this.canShoot = true;
         this.lastShotTime = 0;
         this.shootCooldown = Player.CONFIG.SHOOT_COOLDOWN;
+        this.projectileDamage = gameConfig.projectileDamage || Player.CONFIG.PROJECTILE_DAMAGE;
+        this.projectileSystem = null; // Set when projectiles are pooled externally
         this.projectiles = [];
 
+        // Timed power-up effects by type, each with its settings and time remaining
+        this.powerUps = {};
+
         // Input handling
         this.inputState = {
             left: false,
@@ -145,11 +172,18 @@ class Player {
         // Game integration
         this.gameConfig = { ...gameConfig };
         this.eventEmitter = eventEmitter;
+        this.clock = gameConfig.clock || { now: () => performance.now() };
 
         // Performance tracking
         this.lastUpdateTime = 0;
         this.frameCount = 0;
 
+        // Draw hitbox and state without enabling debug logging
+        this.debugRender = false;
+
+        // Effect quality multiplier (0-1); glow is skipped below GLOW_MIN_QUALITY
+        this.effectQuality = 1;
+
         // Initialize systems
         this._initializeInputHandlers();
         this._initializeVisualEffects();
@@ -172,8 +206,8 @@ class Player {
         this.touchmoveHandler = (event) => this._handleTouchMove(event);
         this.touchendHandler = (event) => this._handleTouchEnd(event);
 
-        // Add event listeners
-        if (typeof document !== 'undefined') {
+        // Add event listeners unless input is driven externally
+        if (typeof document !== 'undefined' && this.gameConfig.bindInput !== false) {
             document.addEventListener('keydown', this.keydownHandler);
             document.addEventListener('keyup', this.keyupHandler);
             document.addEventListener('touchstart', this.touchstartHandler, { passive: false });
@@ -194,11 +228,10 @@ class Player {
             current: null
         };
 
-        this.animations = {
-            idle: { frame: 0, frameCount: 1, frameTime: 0 },
-            moving: { frame: 0, frameCount: 2, frameTime: 0 },
-            shooting: { frame: 0, frameCount: 3, frameTime: 0 }
-        };
+        this.animation = new SpriteAnimation(Player.ANIMATIONS, {
+            // Movement picks the clip again once the damage frame has played
+            onComplete: () => this.animation.play('idle')
+        });
     }
 
     /**
@@ -264,6 +297,9 @@ class Player {
         // State timer
         this.stateTimer += deltaTime;
 
+        // Power-up timers
+        this._updatePowerUps(deltaTime);
+
         // Visual effect timers
         Object.keys(this.visualEffects).forEach(effect => {
             if (this.visualEffects[effect].active) {
@@ -352,8 +388,8 @@ class Player {
     _updateShooting(deltaTime) {
         // Update shoot cooldown
         if (!this.canShoot) {
-            const timeSinceLastShot = performance.now() - this.lastShotTime;
-            if (timeSinceLastShot >= this.shootCooldown) {
+            const timeSinceLastShot = this.clock.now() - this.lastShotTime;
+            if (timeSinceLastShot >= this.getShootCooldown()) {
                 this.canShoot = true;
             }
         }
@@ -397,14 +433,10 @@ class Player {
      * @private
      */
     _updateAnimations(deltaTime) {
-        const currentAnimation = Math.abs(this.velocity.x) > 10 ? 'moving' : 'idle';
-        const animation = this.animations[currentAnimation];
-        
-        animation.frameTime += deltaTime;
-        if (animation.frameTime >= 200) { // 200ms per frame
-            animation.frame = (animation.frame + 1) % animation.frameCount;
-            animation.frameTime = 0;
+        if (this.animation.getClipName() !== 'damage') {
+            this.animation.play(Math.abs(this.velocity.x) > 10 ? 'thrust' : 'idle');
         }
+        this.animation.update(deltaTime);
     }
 
     /**
@@ -484,6 +516,7 @@ class Player {
      */
     _updateProjectiles(deltaSeconds) {
         this.projectiles = this.projectiles.filter(projectile => {
+            projectile.x += (projectile.velocityX || 0) * deltaSeconds;
             projectile.y -= Player.CONFIG.PROJECTILE_SPEED * deltaSeconds;
             return projectile.y > -50; // Remove off-screen projectiles
         });
@@ -499,34 +532,29 @@ class Player {
         }
 
         try {
-            // Create projectile
-            const projectile = {
-                x: this.position.x,
-                y: this.position.y - this.height / 2,
-                width: 4,
-                height: 12,
-                speed: Player.CONFIG.PROJECTILE_SPEED,
-                damage: 25,
-                owner: 'player',
-                id: `player_projectile_${Date.now()}_${Math.random()}`
-            };
+            // Multi-shot fans several projectiles out from the nose
+            const projectiles = this._getShotAngles()
+                .map(angle => this._createShot(angle))
+                .filter(Boolean);
 
-            this.projectiles.push(projectile);
+            if (projectiles.length === 0) {
+                return false;
+            }
 
             // Update shooting state
             this.canShoot = false;
-            this.lastShotTime = performance.now();
+            this.lastShotTime = this.clock.now();
             this.state = Player.STATES.SHOOTING;
 
             // Trigger visual effects
             this.visualEffects.shootFlash.active = true;
             this.visualEffects.shootFlash.timer = Player.CONFIG.SHOOT_FLASH_DURATION;
 
-            // Emit events
-            this._emit('player:shoot', { projectile, position: { ...this.position } });
-            this._emit('projectile:created', projectile);
+            // Emit events; one shoot event per trigger pull, however many projectiles it fired
+            this._emit('player:shoot', { projectile: projectiles[0], projectiles, position: { ...this.position } });
+            projectiles.forEach(projectile => this._emit('projectile:created', projectile));
 
-            this._log('Player shot fired', { projectileId: projectile.id });
+            this._log('Player shot fired', { projectileIds: projectiles.map(projectile => projectile.id) });
             return true;
 
         } catch (error) {
@@ -535,17 +563,199 @@ class Player {
         }
     }
 
+    /**
+     * Get the angles of the projectiles one shot fires
+     * @returns {number[]} Angles in radians from straight up, negative to the left
+     * @private
+     */
+    _getShotAngles() {
+        const multiShot = this.powerUps.multiShot;
+        const count = multiShot ? Math.max(1, multiShot.shotCount || 1) : 1;
+        const spread = multiShot && multiShot.spread !== undefined ? multiShot.spread : Player.CONFIG.MULTI_SHOT_SPREAD;
+
+        return Array.from({ length: count }, (_, index) => (index - (count - 1) / 2) * spread);
+    }
+
+    /**
+     * Create one projectile leaving the nose of the ship
+     * @param {number} angle - Direction in radians from straight up
+     * @returns {Object|null} Projectile, or null when the pool is exhausted
+     * @private
+     */
+    _createShot(angle) {
+        const speedX = Math.sin(angle) * Player.CONFIG.PROJECTILE_SPEED;
+        const speedY = Math.cos(angle) * Player.CONFIG.PROJECTILE_SPEED;
+
+        if (this.projectileSystem) {
+            // Pooled projectiles are positioned by their top-left corner
+            // and move in pixels per millisecond
+            return this.projectileSystem.createProjectile(
+                this.position.x - 2,
+                this.position.y - this.height / 2 - 12,
+                speedX / 1000,
+                -speedY / 1000,
+                'player',
+                this,
+                { damage: this.projectileDamage, width: 4, height: 12 }
+            );
+        }
+
+        const projectile = {
+            x: this.position.x,
+            y: this.position.y - this.height / 2,
+            width: 4,
+            height: 12,
+            speed: Player.CONFIG.PROJECTILE_SPEED,
+            velocityX: speedX,
+            damage: this.projectileDamage,
+            owner: 'player',
+            id: `player_projectile_${Date.now()}_${Math.random()}`
+        };
+
+        this.projectiles.push(projectile);
+        return projectile;
+    }
+
+    /**
+     * Get the time between shots, shortened by rapid fire
+     * @returns {number} Cooldown in milliseconds
+     */
+    getShootCooldown() {
+        const rapidFire = this.powerUps.rapidFire;
+        return rapidFire ? this.shootCooldown / (rapidFire.fireRateMultiplier || 1) : this.shootCooldown;
+    }
+
+    /**
+     * Get the multiplier applied to points while a score multiplier is running
+     * @returns {number} Score multiplier, 1 without the effect
+     */
+    getScoreMultiplier() {
+        const scoreMultiplier = this.powerUps.scoreMultiplier;
+        return scoreMultiplier ? scoreMultiplier.multiplier || 1 : 1;
+    }
+
+    /**
+     * Check whether a power-up effect is running
+     * @param {string} type - Effect type
+     * @returns {boolean} True while the effect lasts
+     */
+    hasPowerUp(type) {
+        return Boolean(this.powerUps[type]);
+    }
+
+    /**
+     * Start a collected power-up's timed effect
+     * Collecting an effect that is already running follows its stacking rule:
+     * 'refresh' restarts the timer, 'extend' adds the new duration to the time
+     * left (up to maxDuration) and 'stack' restarts the timer and adds the
+     * shield's hits to those left (up to maxHits).
+     * @param {string} type - Effect type: rapidFire, multiShot, shield or scoreMultiplier
+     * @param {Object} settings - Effect settings from gameConfig.balance.powerups.types, with duration
+     */
+    applyPowerUp(type, settings = {}) {
+        if (!this.isAlive) return;
+
+        const duration = settings.duration || Player.CONFIG.POWERUP_DURATION;
+        const current = this.powerUps[type];
+        let remaining = duration;
+        let hits = settings.hits || 1;
+
+        if (current) {
+            switch (settings.stacking) {
+                case 'extend':
+                    remaining = Math.min(current.remaining + duration, settings.maxDuration || duration * 2);
+                    break;
+
+                case 'stack':
+                    hits = Math.min(current.hits + hits, settings.maxHits || hits);
+                    break;
+
+                default:
+                    // 'refresh' keeps the full new duration
+                    break;
+            }
+        }
+
+        this.powerUps[type] = {
+            ...settings,
+            remaining,
+            duration: Math.max(duration, remaining),
+            hits
+        };
+
+        this._emit('player:powerup_applied', { type, remaining, hits, refreshed: Boolean(current) });
+        this._log('Power-up applied', { type, remaining, hits });
+    }
+
+    /**
+     * Get the running effects for the HUD
+     * @returns {Object[]} { type, remaining, duration, hits } per effect
+     */
+    getPowerUpTimers() {
+        return Object.entries(this.powerUps).map(([type, effect]) => ({
+            type,
+            remaining: effect.remaining,
+            duration: effect.duration,
+            hits: effect.hits
+        }));
+    }
+
+    /**
+     * Count down power-up effects and end expired ones
+     * @param {number} deltaTime - Time elapsed in milliseconds
+     * @private
+     */
+    _updatePowerUps(deltaTime) {
+        for (const type of Object.keys(this.powerUps)) {
+            this.powerUps[type].remaining -= deltaTime;
+            if (this.powerUps[type].remaining <= 0) {
+                delete this.powerUps[type];
+                this._emit('player:powerup_expired', { type, reason: 'timeout' });
+            }
+        }
+    }
+
+    /**
+     * Let the shield take a hit in place of the hull
+     * A short grace period follows, so an invader the ship is still touching
+     * does not strip every remaining hit on the following steps.
+     * @param {number} damage - Damage absorbed
+     * @param {Object} source - Source of damage
+     * @private
+     */
+    _absorbWithShield(damage, source) {
+        const shield = this.powerUps.shield;
+        shield.hits--;
+
+        this.isInvulnerable = true;
+        this.invulnerabilityTimer = Player.CONFIG.SHIELD_GRACE_TIME;
+        this.state = Player.STATES.INVULNERABLE;
+
+        this._emit('player:shield_hit', { damage, source, hitsLeft: shield.hits });
+
+        if (shield.hits <= 0) {
+            delete this.powerUps.shield;
+            this._emit('player:powerup_expired', { type: 'shield', reason: 'depleted' });
+        }
+    }
+
     /**
      * Take damage
      * @param {number} damage - Amount of damage to take
      * @param {Object} source - Source of damage
-     * @returns {boolean} True if damage was applied, false if invulnerable
+     * @returns {boolean} True if damage was applied, false if invulnerable or shielded
      */
     takeDamage(damage, source = {}) {
         if (!this.isAlive || this.isInvulnerable) {
             return false;
         }
 
+        // A shield soaks up the hit instead of the hull
+        if (this.powerUps.shield) {
+            this._absorbWithShield(damage, source);
+            return false;
+        }
+
         try {
             // Validate damage
             if (typeof damage !== 'number' || damage < 0) {
@@ -559,6 +769,7 @@ class Player {
             // Trigger visual effects
             this.visualEffects.damageFlash.active = true;
             this.visualEffects.damageFlash.timer = Player.CONFIG.DAMAGE_FLASH_DURATION;
+            this.animation.play('damage', true);
 
             // Check if destroyed
             if (this.health <= 0) {
@@ -638,6 +849,24 @@ class Player {
         this._log('Player bounds set', bounds);
     }
 
+    /**
+     * Route shots through a shared projectile system instead of the local list
+     * @param {ProjectileSystem|null} projectileSystem - Projectile system to spawn into
+     */
+    setProjectileSystem(projectileSystem) {
+        this.projectileSystem = projectileSystem;
+        this._log('Player projectile system set', { pooled: Boolean(projectileSystem) });
+    }
+
+    /**
+     * Draw the ship from an atlas frame instead of the fallback rectangle
+     * @param {Object|null} sprite - Atlas frame { image, x, y, width, height }, or null for the rectangle
+     */
+    setSprite(sprite) {
+        this.sprite.normal = sprite;
+        this.sprite.current = sprite;
+    }
+
     /**
      * Get collision bounds
      * @returns {Object} Collision bounds object
@@ -678,7 +907,7 @@ class Player {
 
     /**
      * Render the player
-     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Renderer} ctx - Renderer to draw with
      * @param {Object} camera - Camera object for viewport transformation
      */
     render(ctx, camera = {}) {
@@ -696,7 +925,8 @@ class Player {
 
             // Render player sprite or fallback rectangle
             if (this.sprite.current) {
-                ctx.drawImage(
+                this.animation.draw(
+                    ctx,
                     this.sprite.current,
                     renderX - this.width / 2,
                     renderY - this.height / 2,
@@ -704,6 +934,12 @@ class Player {
                     this.height
                 );
             } else {
+                // Engine flame flickers with the thrust frames
+                if (this.animation.getClipName() === 'thrust') {
+                    ctx.fillStyle = '#ff8800';
+                    ctx.fillRect(renderX - 4, renderY + this.height / 2, 8, this.animation.getFrame() === 1 ? 6 : 10);
+                }
+
                 // Fallback rendering
                 ctx.fillStyle = this._getPlayerColor();
                 ctx.fillRect(
@@ -714,6 +950,11 @@ class Player {
                 );
             }
 
+            // Shield bubble
+            if (this.powerUps.shield) {
+                this._renderShield(ctx, renderX, renderY);
+            }
+
             // Render health bar
             this._renderHealthBar(ctx, renderX, renderY);
 
@@ -721,7 +962,7 @@ class Player {
             this._renderProjectiles(ctx, camera);
 
             // Debug rendering
-            if (this.gameConfig.debug) {
+            if (this.gameConfig.debug || this.debugRender) {
                 this._renderDebugInfo(ctx, renderX, renderY);
             }
 
@@ -733,14 +974,14 @@ class Player {
     }
 
     /**
-     * Apply visual effects to rendering context
-     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * Apply visual effects to the renderer state
+     * @param {Renderer} ctx - Renderer to draw with
      * @private
      */
     _applyVisualEffects(ctx) {
         // Damage flash effect
         if (this.visualEffects.damageFlash.active) {
-            ctx.globalCompositeOperation = 'lighter';
+            ctx.blendMode = 'additive';
             ctx.globalAlpha = 0.7;
         }
 
@@ -749,10 +990,10 @@ class Player {
             ctx.globalAlpha = 0.5;
         }
 
-        // Shoot flash effect
-        if (this.visualEffects.shootFlash.active) {
+        // Shoot flash effect; shadow blur is costly, so it scales with effect quality
+        if (this.visualEffects.shootFlash.active && this.effectQuality >= Player.CONFIG.GLOW_MIN_QUALITY) {
             ctx.shadowColor = '#00ffff';
-            ctx.shadowBlur = 10;
+            ctx.shadowBlur = 10 * this.effectQuality;
         }
     }
 
@@ -768,9 +1009,28 @@ class Player {
         return '#4444ff';
     }
 
+    /**
+     * Render the shield bubble, thicker for each hit it can still absorb
+     * @param {Renderer} ctx - Renderer to draw with
+     * @param {number} x - Render x position
+     * @param {number} y - Render y position
+     * @private
+     */
+    _renderShield(ctx, x, y) {
+        const shield = this.powerUps.shield;
+        // Flicker through the last second as a warning
+        if (shield.remaining < 1000 && Math.floor(shield.remaining / 100) % 2 === 0) return;
+
+        ctx.strokeStyle = '#44ff44';
+        ctx.lineWidth = 1 + Math.max(1, shield.hits);
+        ctx.beginPath();
+        ctx.arc(x, y, this.width / 2 + 6, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
     /**
      * Render health bar
-     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Renderer} ctx - Renderer to draw with
      * @param {number} x - Render x position
      * @param {number} y - Render y position
      * @private
@@ -800,7 +1060,7 @@ class Player {
 
     /**
      * Render projectiles
-     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Renderer} ctx - Renderer to draw with
      * @param {Object} camera - Camera object
      * @private
      */
@@ -821,7 +1081,7 @@ class Player {
 
     /**
      * Render debug information
-     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Renderer} ctx - Renderer to draw with
      * @param {number} x - Render x position
      * @param {number} y - Render y position
      * @private
@@ -964,8 +1224,12 @@ class Player {
             isAlive: this.isAlive,
             isInvulnerable: this.isInvulnerable,
             canShoot: this.canShoot,
+            lastShotTime: this.lastShotTime,
+            invulnerabilityTimer: this.invulnerabilityTimer,
+            stateTimer: this.stateTimer,
             projectileCount: this.projectiles.length,
-            frameCount: this.frameCount
+            frameCount: this.frameCount,
+            powerUps: this._copyPowerUps(this.powerUps)
         };
     }
 
@@ -1000,6 +1264,24 @@ class Player {
             if (typeof state.isInvulnerable === 'boolean') {
                 this.isInvulnerable = state.isInvulnerable;
             }
+            if (typeof state.canShoot === 'boolean') {
+                this.canShoot = state.canShoot;
+            }
+            if (typeof state.lastShotTime === 'number') {
+                this.lastShotTime = state.lastShotTime;
+            }
+            if (typeof state.invulnerabilityTimer === 'number') {
+                this.invulnerabilityTimer = state.invulnerabilityTimer;
+            }
+            if (typeof state.stateTimer === 'number') {
+                this.stateTimer = state.stateTimer;
+            }
+            if (typeof state.frameCount === 'number') {
+                this.frameCount = state.frameCount;
+            }
+            if (state.powerUps) {
+                this.powerUps = this._copyPowerUps(state.powerUps);
+            }
 
             this._log('Player state restored', state);
 
@@ -1008,6 +1290,20 @@ class Player {
         }
     }
 
+    /**
+     * Copy power-up effects so serialized state never shares objects with the live player
+     * @param {Object} powerUps - Effects by type
+     * @returns {Object} Copied effects
+     * @private
+     */
+    _copyPowerUps(powerUps) {
+        const copy = {};
+        for (const [type, effect] of Object.entries(powerUps)) {
+            copy[type] = { ...effect };
+        }
+        return copy;
+    }
+
     /**
      * Reset player to initial state
      * @param {number} x - Reset x position
@@ -1028,7 +1324,9 @@ class Player {
 
             // Reset shooting
             this.canShoot = true;
+            this.lastShotTime = 0;
             this.projectiles = [];
+            this.powerUps = {};
 
             // Reset input
             this.inputState = {
@@ -1048,6 +1346,7 @@ class Player {
             this.invulnerabilityTimer = 0;
             this.stateTimer = 0;
             this.frameCount = 0;
+            this.animation.play('idle', true);
 
             this._emit('player:reset', { position: { x, y } });
             this._log('Player reset', { x, y });
@@ -1057,6 +1356,22 @@ class Player {
         }
     }
 
+    /**
+     * Bring a lost ship back, flashing and invulnerable for a while
+     * @param {number} x - Respawn x position
+     * @param {number} y - Respawn y position
+     * @param {number} invulnerabilityTime - Milliseconds before the ship can be hit
+     */
+    respawn(x, y, invulnerabilityTime = Player.CONFIG.INVULNERABILITY_TIME) {
+        this.reset(x, y);
+
+        this.state = Player.STATES.INVULNERABLE;
+        this.isInvulnerable = true;
+        this.invulnerabilityTimer = invulnerabilityTime;
+
+        this._emit('player:respawned', { position: { x, y }, invulnerabilityTime });
+    }
+
     /**
      * Clean up resources and remove event listeners
      */
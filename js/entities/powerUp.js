@@ -0,0 +1,109 @@
+/**
+ * PowerUp - Collectible capsule dropped by destroyed enemies
+ * Capsules fall straight down at a steady speed until the player catches
+ * them or they leave the bottom of the screen. Each effect type has its own
+ * color and letter so the player can tell them apart while they fall.
+ */
+
+/**
+ * Look of each effect type's capsule, and the name shown when it is collected
+ * @type {Object<string, Object>}
+ */
+const POWERUP_STYLES = {
+    rapidFire: { color: '#ff8800', label: 'R', name: 'RAPID FIRE' },
+    multiShot: { color: '#00ccff', label: 'M', name: 'MULTI SHOT' },
+    shield: { color: '#44ff44', label: 'S', name: 'SHIELD' },
+    scoreMultiplier: { color: '#ffdd00', label: 'x2', name: 'DOUBLE SCORE' }
+};
+
+class PowerUp {
+    /**
+     * @param {number} x - Centre x
+     * @param {number} y - Centre y
+     * @param {Object} options - Capsule options
+     * @param {string} options.id - Collision body id
+     * @param {string} options.type - Effect type, a key of gameConfig.balance.powerups.types
+     * @param {number} options.fallSpeed - Pixels per millisecond
+     */
+    constructor(x, y, options = {}) {
+        this.id = options.id || 'powerup';
+        this.type = options.type;
+        this.fallSpeed = options.fallSpeed || 0.1;
+        this.x = x;
+        this.y = y;
+        this.width = 22;
+        this.height = 14;
+        this.age = options.age || 0;
+        this.active = true;
+    }
+
+    /**
+     * Fall toward the player
+     * @param {number} deltaTime - Elapsed time in milliseconds
+     */
+    update(deltaTime) {
+        this.y += this.fallSpeed * deltaTime;
+        this.age += deltaTime;
+    }
+
+    /**
+     * Draw the capsule with its effect letter
+     * @param {Renderer} ctx - Renderer to draw with
+     * @param {Object} camera - Camera transform data
+     */
+    render(ctx, camera = {}) {
+        const style = POWERUP_STYLES[this.type] || { color: '#ffffff', label: '?' };
+        const left = this.x - this.width / 2 - (camera.x || 0);
+        const top = this.y - this.height / 2 - (camera.y || 0);
+
+        // Pulse so capsules stand out from enemy fire
+        ctx.globalAlpha = 0.75 + 0.25 * Math.sin(this.age * 0.01);
+        ctx.fillStyle = style.color;
+        ctx.fillRect(left, top, this.width, this.height);
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(left, top, this.width, this.height);
+        ctx.globalAlpha = 1;
+
+        ctx.fillStyle = '#000000';
+        ctx.font = 'bold 10px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(style.label, left + this.width / 2, top + this.height - 3);
+        ctx.textAlign = 'left';
+    }
+
+    /**
+     * Get the capsule for serialization
+     * @returns {Object} Serializable state
+     */
+    getState() {
+        return {
+            id: this.id,
+            type: this.type,
+            x: this.x,
+            y: this.y,
+            fallSpeed: this.fallSpeed,
+            age: this.age
+        };
+    }
+
+    /**
+     * Rebuild a capsule from serialized state
+     * @param {Object} state - State from getState()
+     * @returns {PowerUp} Restored capsule
+     */
+    static fromState(state) {
+        return new PowerUp(state.x, state.y, state);
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PowerUp, POWERUP_STYLES };
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.PowerUp = PowerUp;
+    window.POWERUP_STYLES = POWERUP_STYLES;
+}
@@ -1,62 +1,158 @@
 /**
  * Space Invaders Game - Main Game Class
- * Implements enemy wave system with movement patterns, collision detection,
- * and progressive difficulty scaling
+ * Orchestrates the player, enemy, projectile, collision, wave and input
+ * systems, which communicate through a shared event bus
  */
 
+const isCommonJS = typeof require === 'function';
+const Player = isCommonJS ? require('./entities/player.js') : window.Player;
+const { EnemyFactory } = isCommonJS ? require('./entities/enemy.js') : window;
+const { POWERUP_STYLES } = isCommonJS ? require('./entities/powerUp.js') : window;
+const StateMachine = isCommonJS ? require('./systems/stateMachine.js') : window.StateMachine;
+const { GAME_STATES, registerGameStates } = isCommonJS ? require('./states/gameStates.js') : window;
+const EventBus = isCommonJS ? require('./systems/eventBus.js') : window.EventBus;
+const SeededRandom = isCommonJS ? require('./systems/seededRandom.js') : window.SeededRandom;
+const GameClock = isCommonJS ? require('./systems/gameClock.js') : window.GameClock;
+const ProjectileSystem = isCommonJS ? require('./systems/projectileSystem.js') : window.ProjectileSystem;
+const { CollisionSystem } = isCommonJS ? require('./systems/collisionSystem.js') : window;
+const { EnemySystem } = isCommonJS ? require('./systems/enemySystem.js') : window;
+const { WaveManager } = isCommonJS ? require('./systems/waveManager.js') : window;
+const { MysteryShipSystem } = isCommonJS ? require('./systems/mysteryShipSystem.js') : window;
+const { SoundSystem } = isCommonJS ? require('./systems/soundSystem.js') : window;
+const ScorePopupSystem = isCommonJS ? require('./systems/scorePopupSystem.js') : window.ScorePopupSystem;
+const PowerUpSystem = isCommonJS ? require('./systems/powerUpSystem.js') : window.PowerUpSystem;
+const ScoreSystem = isCommonJS ? require('./systems/scoreSystem.js') : window.ScoreSystem;
+const LivesSystem = isCommonJS ? require('./systems/livesSystem.js') : window.LivesSystem;
+const { InputManager, INPUT_ACTIONS, INPUT_STATES } = isCommonJS ? require('./input/inputManager.js') : window;
+const ScriptedInput = isCommonJS ? require('./input/scriptedInput.js') : window.ScriptedInput;
+const InputRecorder = isCommonJS ? require('./input/inputRecorder.js') : window.InputRecorder;
+const TouchControls = isCommonJS ? require('./input/touchControls.js') : window.TouchControls;
+const DebugOverlay = isCommonJS ? require('./systems/debugOverlay.js') : window.DebugOverlay;
+const { Profiler } = isCommonJS ? require('./systems/profiler.js') : window;
+const { QualityGovernor, QUALITY_LEVELS } = isCommonJS ? require('./systems/qualityGovernor.js') : window;
+const { ParticleSystem } = isCommonJS ? require('./systems/particleSystem.js') : window;
+const { AssetManager, SPRITE_MANIFEST } = isCommonJS ? require('./systems/assetManager.js') : window;
+const Camera = isCommonJS ? require('./systems/camera.js') : window.Camera;
+const Viewport = isCommonJS ? require('./systems/viewport.js') : window.Viewport;
+const BunkerSystem = isCommonJS ? require('./systems/bunkerSystem.js') : window.BunkerSystem;
+const { BackgroundSystem } = isCommonJS ? require('./systems/backgroundSystem.js') : window;
+const { Renderer } = isCommonJS ? require('./rendering/renderer.js') : window;
+const { createRenderer } = isCommonJS ? require('./rendering/createRenderer.js') : window;
+const { gameConfig } = isCommonJS ? require('./config/gameConfig.js') : window;
+
+const HIGH_SCORE_STORAGE_KEY = 'spaceInvaders.highScores';
+const SNAPSHOT_STORAGE_KEY = 'spaceInvaders.snapshot';
+const SNAPSHOT_VERSION = 6;
+const REPLAY_STORAGE_KEY = 'spaceInvaders.lastReplay';
+const NAME_ENTRY_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const PAUSE_MENU_ITEMS = ['resume', 'restart', 'settings', 'quit'];
+const SETTINGS_MENU_ITEMS = ['autoPause', 'showFps', 'quality', 'cameraIntensity', 'back'];
+const CAMERA_INTENSITIES = [1, 0.5, 0];
+const CAMERA_INTENSITY_LABELS = { 1: 'FULL', 0.5: 'REDUCED', 0: 'OFF' };
+const TITLE_MENU_ITEMS = ['continue', 'newGame'];
+
 class Game {
-    constructor(canvas) {
+    /**
+     * @param {HTMLCanvasElement|null} canvas - Canvas to render into (null runs headless)
+     * @param {Object} options - Game options
+     * @param {number} options.seed - Fixed random seed for every run (a new seed per run when omitted)
+     * @param {boolean} options.headless - Simulate without rendering or DOM input
+     * @param {number} options.width - Logical play area width, independent of the canvas's display size
+     * @param {number} options.height - Logical play area height, independent of the canvas's display size
+     * @param {Object} options.input - Input source with the InputManager interface (e.g. ScriptedInput)
+     * @param {boolean} options.debugEvents - Record bus traffic in the event bus debug log
+     * @param {boolean} options.debug - Show the debug overlay from the start (F3 toggles it)
+     * @param {boolean} options.profile - Show the profiler from the start (F4 toggles it)
+     * @param {boolean} options.replayMode - Driven by a ReplayPlayer: nothing is recorded, saved or auto-paused
+     * @param {string|Renderer} options.renderer - Backend name for createRenderer, or a renderer to draw with (e.g. a NullRenderer in tests)
+     */
+    constructor(canvas = null, options = {}) {
         this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
-        this.width = canvas.width;
-        this.height = canvas.height;
+        this.options = options;
+        this.headless = !canvas || options.headless === true;
+        this.replayMode = options.replayMode === true;
+        
+        // The world keeps its logical size; the viewport scales the canvas to the screen
+        this.width = options.width || gameConfig.constants.CANVAS_WIDTH;
+        this.height = options.height || gameConfig.constants.CANVAS_HEIGHT;
+        this.viewport = this.headless ? null : new Viewport(canvas, {
+            width: this.width,
+            height: this.height,
+            maxPixelRatio: gameConfig.performance.rendering.maxPixelRatio,
+            onResize: viewport => {
+                if (this.renderer) {
+                    this.renderer.resize(this.width, this.height, viewport.pixelRatio);
+                }
+            }
+        });
         
-        // Game state
-        this.gameRunning = false;
-        this.gameOver = false;
+        // Headless runs have no renderer unless one is passed in, so render() draws nothing
+        if (options.renderer instanceof Renderer) {
+            this.renderer = options.renderer;
+        } else if (!this.headless) {
+            const rendering = gameConfig.performance.rendering;
+            this.renderer = createRenderer(canvas, {
+                backend: options.renderer || rendering.backend,
+                width: this.width,
+                height: this.height,
+                pixelRatio: this.viewport.pixelRatio,
+                maxBatchSize: rendering.batching.maxBatchSize,
+                textCacheSize: rendering.textCacheSize
+            });
+        } else {
+            this.renderer = null;
+        }
+        
+        // Run state; flow between screens is owned by the state machine
         this.score = 0;
-        this.currentWave = 1;
-        this.lastTime = 0;
+        this.currentWave = 0;
+        this.lastTime = null;
         this.frameCount = 0;
         this.fps = 0;
         
-        // Player
-        this.player = {
-            x: this.width / 2 - 25,
-            y: this.height - 60,
-            width: 50,
-            height: 30,
-            speed: 5,
-            health: 3
-        };
-        
-        // Input handling
-        this.keys = {};
-        this.setupInput();
+        // Fixed-step simulation; rendering interpolates between the last two steps
+        this.timestep = gameConfig.constants.PHYSICS_TIMESTEP;
+        this.maxDeltaTime = gameConfig.constants.MAX_DELTA_TIME;
+        this.accumulator = 0;
+        this.interpolationAlpha = 0;
+        this.previousPositions = new Map();
         
-        // Game systems
-        this.bullets = [];
-        this.enemies = [];
-        this.explosions = [];
-        this.particles = [];
-        
-        // Enemy wave configuration
-        this.waveConfig = {
-            baseEnemyCount: 20,
-            enemySpeedBase: 1,
-            enemySpeedIncrement: 0.2,
+        // Gameplay tuning
+        this.settings = {
+            waveIntroDuration: 1500,
             waveDelay: 2000,
-            formationSpacing: 60
+            deathDuration: 2000,
+            respawnDelay: gameConfig.balance.player.respawnDelay, // milliseconds from losing a ship to the next one
+            maxHighScores: 10,
+            autoPause: true, // pause when the tab is hidden or the window loses focus
+            showFps: true,
+            quality: 'auto', // 'auto' follows the frame rate, or a pinned level from QUALITY_LEVELS
+            cameraIntensity: 1, // strength of screen shake, hit-stop and zoom punches; 0 turns them off
+            playerProjectileDamage: 1,
+            enemyProjectileSpeed: 0.18, // pixels per millisecond
+            enemyProjectileDamage: Player.CONFIG.MAX_HEALTH // one hit costs a ship
         };
+        this.stateTimer = 0;
+        this.resumeState = null;
+        this.deathCause = null;
+        this.deathReturn = null; // state and timer to go back to after a respawn
+        this.enemyFireHeldUntil = 0; // clock time before which enemy shots are not fired
+        this.pauseMenu = null;
+        this.titleMenuIndex = 0;
+        
+        // Run saved by the last pause or page unload, offered as "Continue" on the title screen
+        this.savedSnapshot = this.loadSnapshot();
         
-        // Enemy movement
-        this.enemyDirection = 1;
-        this.enemyDropDistance = 40;
-        this.enemyMoveTimer = 0;
-        this.enemyMoveInterval = 800;
+        // Every new run records its inputs; the last finished one is kept for bug reports
+        this.replayRecorder = new InputRecorder();
+        this.lastReplay = null;
         
-        // Collision system
-        this.collisionQuadTree = new QuadTree(0, 0, this.width, this.height);
+        // High score table and in-progress initials
+        this.highScores = this.loadHighScores();
+        this.nameEntry = null;
+        
+        // Collision bodies mirrored from entities, keyed by entity id
+        this.collisionBodies = new Map();
         
         // Performance monitoring
         this.performanceMetrics = {
@@ -65,546 +161,1564 @@ class Game {
             renderTime: 0
         };
         
-        this.initializeWave();
+        this.initializeSystems();
+        this.setupCollisionHandlers();
+        this.setupEventListeners();
+        this.setupInput();
+        
+        if (!this.headless && !this.replayMode) {
+            this.setupPauseTriggers();
+        }
+        
+        // Headless runs draw nothing, so they skip straight to the title screen
+        if (this.headless) {
+            this.stateMachine.start(GAME_STATES.TITLE);
+            this.assetsReady = Promise.resolve();
+        } else {
+            this.stateMachine.start(GAME_STATES.LOADING);
+            this.assetsReady = this.loadAssets();
+        }
     }
     
     /**
-     * Initialize input event listeners
+     * Create the game systems around a shared event bus
      */
-    setupInput() {
-        document.addEventListener('keydown', (e) => {
-            this.keys[e.code] = true;
-            if (e.code === 'Space') {
-                e.preventDefault();
-                this.shoot();
-            }
+    initializeSystems() {
+        // Every system reads gameplay time from this clock and randomness from this generator
+        this.clock = new GameClock();
+        this.rng = new SeededRandom(this.options.seed);
+        // Cosmetic randomness has its own stream, so effect quality cannot change gameplay
+        this.effectsRng = new SeededRandom(this.options.seed);
+        this.eventBus = new EventBus({ debug: this.options.debugEvents });
+        this.quality = new QualityGovernor({ ...gameConfig.performance.quality, eventBus: this.eventBus });
+        this.stateMachine = new StateMachine({ eventBus: this.eventBus, name: 'Game' });
+        this.assets = new AssetManager();
+        this.camera = new Camera({ width: this.width, height: this.height, intensity: this.settings.cameraIntensity });
+        this.background = new BackgroundSystem({ width: this.width, height: this.height });
+        this.sound = new SoundSystem({ enabled: !this.headless });
+        this.scorePopups = new ScorePopupSystem();
+        
+        this.enemySystem = new EnemySystem({
+            // The logical play area: the canvas's own size follows the screen's pixel density
+            canvas: { width: this.width, height: this.height },
+            eventBus: this.eventBus,
+            enemyFactory: EnemyFactory,
+            manageWaves: false,
+            clock: this.clock,
+            rng: this.rng
         });
         
-        document.addEventListener('keyup', (e) => {
-            this.keys[e.code] = false;
-        });
-    }
-    
-    /**
-     * Initialize a new enemy wave with formation patterns
-     */
-    initializeWave() {
-        this.enemies = [];
-        const enemyCount = this.waveConfig.baseEnemyCount + (this.currentWave - 1) * 5;
-        const enemySpeed = this.waveConfig.enemySpeedBase + (this.currentWave - 1) * this.waveConfig.enemySpeedIncrement;
-        
-        // Create formation pattern
-        const rows = Math.ceil(enemyCount / 10);
-        const cols = Math.min(10, enemyCount);
-        const startX = (this.width - (cols * this.waveConfig.formationSpacing)) / 2;
-        const startY = 50;
-        
-        let enemyIndex = 0;
-        for (let row = 0; row < rows && enemyIndex < enemyCount; row++) {
-            for (let col = 0; col < cols && enemyIndex < enemyCount; col++) {
-                const enemyType = this.getEnemyType(row);
-                this.enemies.push({
-                    id: `enemy_${enemyIndex}`,
-                    x: startX + col * this.waveConfig.formationSpacing,
-                    y: startY + row * 50,
-                    width: 40,
-                    height: 30,
-                    speed: enemySpeed,
-                    type: enemyType,
-                    health: enemyType.health,
-                    maxHealth: enemyType.health,
-                    points: enemyType.points,
-                    color: enemyType.color,
-                    lastShot: 0,
-                    shootInterval: enemyType.shootInterval,
-                    destroyed: false
-                });
-                enemyIndex++;
+        this.projectileSystem = new ProjectileSystem();
+        this.bunkerSystem = new BunkerSystem({ ...gameConfig.bunkers, width: this.width });
+        
+        this.particleSystem = new ParticleSystem({
+            poolSize: gameConfig.performance.memory.objectPooling.pools.particles,
+            rng: this.effectsRng
+        });
+        
+        this.collisionSystem = new CollisionSystem({
+            worldWidth: this.width,
+            worldHeight: this.height
+        });
+        
+        this.player = new Player(this.width / 2, this.height - 40, {
+            bindInput: false,
+            projectileDamage: this.settings.playerProjectileDamage,
+            clock: this.clock
+        }, this.eventBus);
+        this.player.setBounds({ left: 0, right: this.width, top: 0, bottom: this.height });
+        this.player.setProjectileSystem(this.projectileSystem);
+        
+        this.waveManager = new WaveManager({
+            gameArea: { width: this.width, height: this.height },
+            clock: this.clock,
+            rng: this.rng,
+            eventBus: this.eventBus
+        });
+        
+        this.mysteryShip = new MysteryShipSystem({
+            ...gameConfig.mysteryShip,
+            width: this.width,
+            eventBus: this.eventBus,
+            waveManager: this.waveManager,
+            enemySystem: this.enemySystem,
+            enemyFactory: EnemyFactory,
+            clock: this.clock,
+            rng: this.rng,
+            sound: this.sound
+        });
+        
+        this.powerUpSystem = new PowerUpSystem({
+            ...gameConfig.balance.powerups,
+            height: this.height,
+            eventBus: this.eventBus,
+            rng: this.rng
+        });
+        
+        this.scoreSystem = new ScoreSystem({
+            ...gameConfig.balance.scoring,
+            eventBus: this.eventBus,
+            clock: this.clock,
+            getBonusMultiplier: () => this.player.getScoreMultiplier(),
+            isBonusEnemy: (enemy) => this.enemySystem.isBonusEnemy(enemy)
+        });
+        
+        this.livesSystem = new LivesSystem({
+            ...gameConfig.balance.player,
+            lives: gameConfig.balance.player.health,
+            eventBus: this.eventBus
+        });
+        
+        if (this.options.input) {
+            this.inputManager = this.options.input;
+        } else if (this.headless) {
+            this.inputManager = new ScriptedInput(this.clock);
+        } else {
+            // On touch screens TouchControls provides the on-screen buttons instead
+            const touchScreen = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+            this.inputManager = new InputManager({ virtualControls: { enabled: !touchScreen } },
+                                                 this.canvas.parentElement || document.body);
+            this.inputManager.setCoordinateMapper((clientX, clientY) => this.viewport.toWorld(clientX, clientY));
+            if (touchScreen) {
+                this.setupTouchControls();
             }
         }
         
-        // Reset enemy movement
-        this.enemyDirection = 1;
-        this.enemyMoveTimer = 0;
+        registerGameStates(this);
+        
+        this.debugOverlay = new DebugOverlay(this, { enabled: this.options.debug === true });
+        this.profiler = new Profiler({
+            enabled: this.options.profile === true,
+            budget: gameConfig.constants.PHYSICS_TIMESTEP,
+            collisionMetrics: this.collisionSystem.metrics
+        });
+        if (!this.headless) {
+            this.debugOverlay.bindKey(document);
+            this.profiler.bindKeys(document);
+        }
     }
     
     /**
-     * Get enemy type configuration based on row position
+     * Preload sprites, hand them to the systems that draw them and open the title screen
+     * @returns {Promise} Resolves once loading has finished, whether or not every image loaded
      */
-    getEnemyType(row) {
-        const types = [
-            { health: 1, points: 30, color: '#ff4444', shootInterval: 3000 }, // Fast scouts
-            { health: 2, points: 20, color: '#44ff44', shootInterval: 2500 }, // Medium fighters
-            { health: 3, points: 10, color: '#4444ff', shootInterval: 2000 }  // Heavy tanks
-        ];
-        return types[Math.min(row, types.length - 1)];
+    loadAssets() {
+        return this.assets.loadAll(SPRITE_MANIFEST).then(() => {
+            this.applySprites();
+            this.stateMachine.transition(GAME_STATES.TITLE);
+        });
+    }
+    
+    /**
+     * Give entities their atlas frames; anything without one keeps its shape rendering
+     */
+    applySprites() {
+        const bullet = this.assets.getSprite('bullet');
+        
+        this.player.setSprite(this.assets.getSprite('player'));
+        this.projectileSystem.setSprite('player', bullet);
+        this.projectileSystem.setSprite('enemy', bullet);
+        this.enemySystem.setSpriteSource(this.assets);
+    }
+    
+    /**
+     * Register collision responses between layers
+     */
+    setupCollisionHandlers() {
+        const { LAYERS } = this.collisionSystem;
+        
+        this.collisionSystem.registerCollisionHandler(LAYERS.PLAYER_PROJECTILE, LAYERS.ENEMY, (event) => {
+            const [projectileBody, enemyBody] = this.orderBodies(event, 'projectile');
+            const projectile = projectileBody.entity;
+            event.markHandled();
+            
+            // Each pair is reported from both sides; the first report consumes the projectile
+            if (!this.isBodyCurrent(projectileBody) || !this.enemySystem.isEnemyAlive(enemyBody.entity)) return;
+            
+            this.projectileSystem.destroyProjectile(projectile);
+            this.eventBus.emit('projectile:hit', {
+                enemyId: enemyBody.id,
+                damage: projectile.damage,
+                projectile
+            });
+        });
+        
+        this.collisionSystem.registerCollisionHandler(LAYERS.ENEMY_PROJECTILE, LAYERS.PLAYER, (event) => {
+            const [projectileBody] = this.orderBodies(event, 'projectile');
+            const projectile = projectileBody.entity;
+            event.markHandled();
+            
+            if (!this.isBodyCurrent(projectileBody)) return;
+            
+            this.projectileSystem.destroyProjectile(projectile);
+            this.player.takeDamage(projectile.damage, { type: 'projectile', owner: projectile.owner });
+        });
+        
+        // Ramming an invader costs a ship, unless the shield or respawn invulnerability takes it
+        this.collisionSystem.registerCollisionHandler(LAYERS.PLAYER, LAYERS.ENEMY, (event) => {
+            event.markHandled();
+            if (this.player.isInvulnerable) return;
+            
+            this.player.takeDamage(this.player.maxHealth, { type: 'collision' });
+        });
+        
+        this.collisionSystem.registerCollisionHandler(LAYERS.PLAYER, LAYERS.POWERUP, (event) => {
+            const [powerUpBody] = this.orderBodies(event, 'powerup');
+            event.markHandled();
+            
+            if (!this.isBodyCurrent(powerUpBody) || !this.player.isAlive) return;
+            
+            const settings = this.powerUpSystem.collect(powerUpBody.entity);
+            if (settings) {
+                this.player.applyPowerUp(powerUpBody.entity.type, settings);
+            }
+        });
+        
+        // Shots from either side stop at the first solid bunker pixel and blow a crater there
+        const hitBunker = (event) => {
+            const [projectileBody, bunkerBody] = this.orderBodies(event, 'projectile');
+            const projectile = projectileBody.entity;
+            event.markHandled();
+            
+            if (!this.isBodyCurrent(projectileBody)) return;
+            
+            const fromPlayer = projectile.type === 'player';
+            const { x, y } = event.contactPoint;
+            this.projectileSystem.destroyProjectile(projectile);
+            bunkerBody.entity.carve(x, y, fromPlayer ? 'playerShot' : 'enemyShot');
+            // Chips fly back the way the shot came
+            this.particleSystem.emit('bunkerChip', x, y, { direction: fromPlayer ? Math.PI / 2 : -Math.PI / 2 });
+        };
+        this.collisionSystem.registerCollisionHandler(LAYERS.PLAYER_PROJECTILE, LAYERS.BUNKER, hitBunker);
+        this.collisionSystem.registerCollisionHandler(LAYERS.ENEMY_PROJECTILE, LAYERS.BUNKER, hitBunker);
+        
+        // Invaders plough through bunkers, erasing whatever they overlap
+        this.collisionSystem.registerCollisionHandler(LAYERS.ENEMY, LAYERS.BUNKER, (event) => {
+            const [enemyBody, bunkerBody] = this.orderBodies(event, 'enemy');
+            event.markHandled();
+            bunkerBody.entity.erase(enemyBody.x - enemyBody.width / 2, enemyBody.y - enemyBody.height / 2,
+                                    enemyBody.width, enemyBody.height);
+        });
     }
     
     /**
-     * Player shooting mechanism
+     * Subscribe to game events published by the systems
      */
-    shoot() {
-        if (!this.gameRunning || this.gameOver) return;
+    setupEventListeners() {
+        this.eventBus.on('wave:enemy_spawn', (enemyData) => this.handleEnemySpawn(enemyData));
+        this.eventBus.on('enemy:fire', (data) => {
+            // The invaders hold fire while a lost ship is replaced
+            if (this.clock.now() < this.enemyFireHeldUntil) return;
+            
+            this.enemyShoot(data);
+            this.particleSystem.emit('muzzleFlash', data.x, data.y, { direction: Math.PI / 2 });
+        });
+        
+        this.eventBus.on('player:shoot', ({ position }) => {
+            this.particleSystem.emit('muzzleFlash', position.x, position.y - this.player.height / 2);
+        });
+        
+        this.eventBus.on('enemy:damaged', ({ enemy }) => {
+            this.particleSystem.emit('hitSpark', enemy.x, enemy.y);
+            if (enemy.type === 'BOSS') {
+                this.camera.hitStop(60);
+                this.camera.punchZoom(0.02);
+                this.camera.addTrauma(0.15);
+            }
+        });
         
-        const now = Date.now();
-        if (now - (this.player.lastShot || 0) < 200) return; // Rate limiting
+        this.eventBus.on('enemy:destroyed', ({ enemy, position }) => {
+            this.particleSystem.emit('explosion', position.x, position.y);
+            this.particleSystem.emit('debris', position.x, position.y);
+            
+            const isBoss = enemy && enemy.type === 'BOSS';
+            this.camera.addTrauma(isBoss ? 0.7 : 0.2);
+            if (isBoss) {
+                this.camera.hitStop(120);
+                this.camera.punchZoom(0.06);
+            }
+        });
         
-        this.bullets.push({
-            x: this.player.x + this.player.width / 2 - 2,
-            y: this.player.y,
-            width: 4,
-            height: 10,
-            speed: 8,
-            owner: 'player',
-            damage: 1
+        // The score system owns the score; the game keeps a copy for the HUD, high scores and replays
+        this.eventBus.on('score:changed', ({ score }) => {
+            this.score = score;
         });
         
-        this.player.lastShot = now;
+        this.eventBus.on('score:awarded', ({ points, combo, enemy, position }) => {
+            if (!position) return;
+            
+            if (enemy && this.enemySystem.isBonusEnemy(enemy)) {
+                this.scorePopups.spawn(position.x, position.y, points, { color: '#ff4040' });
+            } else {
+                // Chained kills stand out in gold
+                this.scorePopups.spawn(position.x, position.y, points, {
+                    color: combo > 1 ? '#ffdd00' : '#ffffff',
+                    font: 'bold 12px Arial'
+                });
+            }
+        });
+        
+        this.eventBus.on('lives:extra_life', () => {
+            this.scorePopups.spawn(this.player.position.x, this.player.position.y - 30, 'EXTRA SHIP', {
+                color: '#00ff00',
+                duration: 1500
+            });
+        });
+        
+        this.eventBus.on('score:wave_bonus', ({ bonus, perfect }) => {
+            const text = perfect ? `PERFECT WAVE +${bonus}` : `WAVE BONUS +${bonus}`;
+            this.scorePopups.spawn(this.width / 2, this.height / 2 + 90, text, {
+                color: perfect ? '#ffdd00' : '#ffffff',
+                duration: 2000
+            });
+        });
+        
+        this.eventBus.on('powerup:collected', ({ type, position }) => {
+            const style = POWERUP_STYLES[type];
+            if (style) {
+                this.scorePopups.spawn(position.x, position.y - 20, style.name, { color: style.color, font: 'bold 14px Arial' });
+            }
+        });
+        
+        // Enemies count toward the wave until they leave the system, whether killed or off-screen
+        this.eventBus.on('enemy:removed', ({ enemyId }) => {
+            this.waveManager.onEnemyDestroyed(enemyId);
+        });
+        
+        this.eventBus.on('player:damage_taken', ({ isDestroyed, source }) => {
+            this.particleSystem.emit('hitSpark', this.player.position.x, this.player.position.y);
+            this.camera.addTrauma(0.4);
+            this.camera.punchZoom(0.02);
+            if (isDestroyed) {
+                this.killPlayer(source && source.type === 'collision' ? 'collision' : 'projectile');
+            }
+        });
+        
+        this.eventBus.on('wave:started', ({ waveNumber }) => {
+            this.currentWave = waveNumber;
+        });
+        
+        this.eventBus.on('wave:completed', () => {
+            if (this.stateMachine.is(GAME_STATES.PLAYING)) {
+                this.stateMachine.transition(GAME_STATES.WAVE_CLEAR);
+            }
+        });
+        
+        this.eventBus.on('quality:changed', ({ settings }) => {
+            this.player.effectQuality = settings.effectQuality;
+            this.particleSystem.setDensity(settings.particleCount);
+            this.projectileSystem.setEffects(settings.projectileTrail, settings.projectileGlow);
+        });
     }
     
     /**
-     * Enemy shooting mechanism
+     * Forward fresh presses to the current state; held input is polled each step
      */
-    enemyShoot(enemy) {
-        const now = Date.now();
-        if (now - enemy.lastShot < enemy.shootInterval) return;
-        
-        // Random chance to shoot
-        if (Math.random() < 0.1) {
-            this.bullets.push({
-                x: enemy.x + enemy.width / 2 - 2,
-                y: enemy.y + enemy.height,
-                width: 4,
-                height: 8,
-                speed: 3,
-                owner: 'enemy',
-                damage: 1,
-                color: '#ff6666'
+    setupInput() {
+        const actions = [INPUT_ACTIONS.SHOOT, INPUT_ACTIONS.MOVE_LEFT, INPUT_ACTIONS.MOVE_RIGHT, INPUT_ACTIONS.PAUSE];
+        
+        for (const action of actions) {
+            this.inputManager.subscribe(action, (event) => {
+                if (event.state === INPUT_STATES.PRESSED) {
+                    this.stateMachine.handleInput(event);
+                }
             });
-            enemy.lastShot = now;
         }
     }
     
+    /**
+     * Mount the on-screen touch buttons
+     * Movement and fire buttons drive the same input actions as the keyboard,
+     * so recordings and replays include them; the pause button raises 'touch-pause'.
+     */
+    setupTouchControls() {
+        this.touchControls = new TouchControls({
+            container: this.canvas.parentElement || document.body,
+            clock: this.clock,
+            toWorld: (clientX, clientY) => this.viewport.toWorld(clientX, clientY)
+        });
+        
+        const actions = { left: INPUT_ACTIONS.MOVE_LEFT, right: INPUT_ACTIONS.MOVE_RIGHT, fire: INPUT_ACTIONS.SHOOT };
+        const forward = (active) => ({ detail }) => {
+            const action = actions[detail.controlType];
+            if (action) {
+                this.inputManager.setActionActive(action, active);
+            }
+        };
+        
+        const container = this.touchControls.controls.container;
+        container.addEventListener('touch-controlstart', forward(true));
+        container.addEventListener('touch-controlend', forward(false));
+    }
+    
+    /**
+     * Pause on tab switches, window blur and the touch pause button
+     */
+    setupPauseTriggers() {
+        const autoPause = () => {
+            if (this.settings.autoPause) {
+                this.pause();
+            }
+        };
+        
+        this.pauseTriggers = {
+            visibilitychange: () => {
+                if (document.hidden) autoPause();
+            },
+            blur: autoPause,
+            touchPause: () => this.togglePause()
+        };
+        
+        document.addEventListener('visibilitychange', this.pauseTriggers.visibilitychange);
+        window.addEventListener('blur', this.pauseTriggers.blur);
+        window.addEventListener('touch-pause', this.pauseTriggers.touchPause);
+        
+        // Runs are also saved on pause, this catches closing the tab mid-wave
+        window.addEventListener('pagehide', () => this.saveSnapshot());
+    }
+    
+    /**
+     * Spawn an enemy scheduled by the wave manager
+     */
+    handleEnemySpawn(enemyData) {
+        const enemy = this.enemySystem.spawnEnemy(
+            enemyData.type.toUpperCase(),
+            enemyData.position.x,
+            enemyData.position.y,
+            { id: enemyData.id, health: enemyData.health, points: enemyData.points }
+        );
+        
+        // Keep wave accounting consistent when a spawn is rejected
+        if (!enemy) {
+            this.waveManager.onEnemyDestroyed(enemyData.id, { spawnFailed: true });
+        }
+    }
+    
+    /**
+     * Enemy shooting mechanism
+     */
+    enemyShoot(data) {
+        this.projectileSystem.createProjectile(
+            data.x - 2,
+            data.y,
+            0,
+            this.settings.enemyProjectileSpeed,
+            'enemy',
+            data.enemyId,
+            { damage: this.settings.enemyProjectileDamage, width: 4, height: 8 }
+        );
+    }
+    
     /**
      * Update game state - main game loop logic
      */
     update(deltaTime) {
-        if (!this.gameRunning || this.gameOver) return;
-        
         const updateStart = performance.now();
         
+        this.stateMachine.update(deltaTime);
+        
+        this.performanceMetrics.updateTime = performance.now() - updateStart;
+    }
+    
+    /**
+     * Advance every gameplay system by one step
+     * @param {number} deltaTime - Time step in milliseconds
+     */
+    updateWorld(deltaTime) {
+        const profiler = this.profiler;
+        this.clock.advance(deltaTime);
+        
+        // Input covers reading the held actions and moving the player with them
+        let sectionStart = profiler.begin();
         this.updatePlayer(deltaTime);
-        this.updateBullets(deltaTime);
-        this.updateEnemies(deltaTime);
+        profiler.end('input', sectionStart);
+        
+        sectionStart = profiler.begin();
+        this.waveManager.update(deltaTime);
+        this.mysteryShip.update();
+        profiler.end('waves', sectionStart);
+        
+        sectionStart = profiler.begin();
+        this.enemySystem.update(deltaTime, this.clock.now(), {
+            player: { x: this.player.position.x, y: this.player.position.y }
+        });
+        profiler.end('enemies', sectionStart);
+        
+        sectionStart = profiler.begin();
+        this.projectileSystem.update(deltaTime, {
+            screenBounds: { width: this.width, height: this.height }
+        });
+        this.powerUpSystem.update(deltaTime);
+        profiler.end('projectiles', sectionStart);
+        
+        sectionStart = profiler.begin();
         this.updateCollisions();
-        this.updateParticles(deltaTime);
+        profiler.end('collision', sectionStart);
+        
+        sectionStart = profiler.begin();
+        this.particleSystem.update(deltaTime);
+        this.scorePopups.update(deltaTime);
+        profiler.end('particles', sectionStart);
+        
+        this.scoreSystem.update();
         this.checkGameState();
+    }
+    
+    /**
+     * Advance projectiles and particles only, leaving the formation frozen
+     * @param {number} deltaTime - Time step in milliseconds
+     */
+    updateEffects(deltaTime) {
+        const profiler = this.profiler;
+        this.clock.advance(deltaTime);
         
-        this.performanceMetrics.updateTime = performance.now() - updateStart;
+        let sectionStart = profiler.begin();
+        this.projectileSystem.update(deltaTime, {
+            screenBounds: { width: this.width, height: this.height }
+        });
+        profiler.end('projectiles', sectionStart);
+        
+        sectionStart = profiler.begin();
+        this.particleSystem.update(deltaTime);
+        this.scorePopups.update(deltaTime);
+        profiler.end('particles', sectionStart);
     }
     
     /**
-     * Update player position and state
+     * Feed input actions to the player and advance it
      */
     updatePlayer(deltaTime) {
-        // Player movement
-        if (this.keys['ArrowLeft'] || this.keys['KeyA']) {
-            this.player.x = Math.max(0, this.player.x - this.player.speed);
+        this.player.inputState.left = this.inputManager.isActionActive(INPUT_ACTIONS.MOVE_LEFT);
+        this.player.inputState.right = this.inputManager.isActionActive(INPUT_ACTIONS.MOVE_RIGHT);
+        this.player.inputState.shoot = this.inputManager.isActionActive(INPUT_ACTIONS.SHOOT);
+        
+        this.player.update(deltaTime);
+    }
+    
+    /**
+     * Sync entities into the collision system and resolve contacts
+     */
+    updateCollisions() {
+        this.syncCollisionBodies();
+        this.collisionSystem.detectCollisions();
+    }
+    
+    /**
+     * Mirror live entities into the collision system as centre-based bodies
+     */
+    syncCollisionBodies() {
+        const { LAYERS } = this.collisionSystem;
+        const live = new Set();
+        
+        const sync = (id, kind, entity, x, y, width, height, layer) => {
+            live.add(id);
+            
+            const body = this.collisionBodies.get(id);
+            if (body) {
+                body.width = width;
+                body.height = height;
+                this.collisionSystem.updateEntityPosition(id, x, y);
+                return;
+            }
+            
+            const newBody = { id, kind, entity, x, y, width, height };
+            this.collisionBodies.set(id, newBody);
+            this.collisionSystem.registerEntity(newBody, {
+                layer,
+                isTrigger: kind === 'projectile' || kind === 'powerup',
+                isStatic: kind === 'bunker',
+                pixelMask: kind === 'bunker' ? entity : null
+            });
+        };
+        
+        if (this.player.isAlive) {
+            sync('player', 'player', this.player, this.player.position.x, this.player.position.y,
+                 this.player.width, this.player.height, LAYERS.PLAYER);
+        }
+        
+        for (const enemy of this.enemySystem.getActiveEnemies()) {
+            sync(enemy.id, 'enemy', enemy, enemy.x, enemy.y, enemy.width, enemy.height, LAYERS.ENEMY);
+        }
+        
+        for (const bunker of this.bunkerSystem.getActiveBunkers()) {
+            sync(bunker.id, 'bunker', bunker, bunker.x, bunker.y, bunker.width, bunker.height, LAYERS.BUNKER);
+        }
+        
+        for (const projectile of this.projectileSystem.getActiveProjectiles()) {
+            const layer = projectile.type === 'player' ? LAYERS.PLAYER_PROJECTILE : LAYERS.ENEMY_PROJECTILE;
+            sync(projectile.id, 'projectile', projectile,
+                 projectile.x + projectile.width / 2, projectile.y + projectile.height / 2,
+                 projectile.width, projectile.height, layer);
         }
-        if (this.keys['ArrowRight'] || this.keys['KeyD']) {
-            this.player.x = Math.min(this.width - this.player.width, this.player.x + this.player.speed);
+        
+        for (const powerUp of this.powerUpSystem.getActivePowerUps()) {
+            sync(powerUp.id, 'powerup', powerUp, powerUp.x, powerUp.y, powerUp.width, powerUp.height, LAYERS.POWERUP);
         }
         
-        // Validate player position
-        this.player.x = Math.max(0, Math.min(this.width - this.player.width, this.player.x));
-        this.player.y = Math.max(0, Math.min(this.height - this.player.height, this.player.y));
+        for (const id of this.collisionBodies.keys()) {
+            if (!live.has(id)) {
+                this.collisionSystem.unregisterEntity(id);
+                this.collisionBodies.delete(id);
+            }
+        }
     }
     
     /**
-     * Update bullet positions and lifecycle
+     * Return the bodies of a collision event with the given kind first
      */
-    updateBullets(deltaTime) {
-        for (let i = this.bullets.length - 1; i >= 0; i--) {
-            const bullet = this.bullets[i];
-            
-            if (bullet.owner === 'player') {
-                bullet.y -= bullet.speed;
-                if (bullet.y < -bullet.height) {
-                    this.bullets.splice(i, 1);
-                }
-            } else {
-                bullet.y += bullet.speed;
-                if (bullet.y > this.height) {
-                    this.bullets.splice(i, 1);
-                }
+    orderBodies(event, kind) {
+        return event.entityA.kind === kind
+            ? [event.entityA, event.entityB]
+            : [event.entityB, event.entityA];
+    }
+    
+    /**
+     * Check that a pooled projectile body still refers to the same live projectile
+     */
+    isBodyCurrent(body) {
+        return body.entity.active && body.entity.id === body.id;
+    }
+    
+    /**
+     * Check game state conditions
+     */
+    checkGameState() {
+        // Check if enemies reached player level (game over condition)
+        const playerTop = this.player.position.y - this.player.height / 2;
+        for (const enemy of this.enemySystem.getActiveEnemies()) {
+            if (enemy.y + enemy.height / 2 >= playerTop) {
+                this.killPlayer('invasion');
+                break;
             }
         }
     }
     
     /**
-     * Update enemy positions and behavior with formation movement
+     * Lose the player's ship, if the current state allows it
+     * @param {string} cause - What killed the player ('projectile', 'collision', 'invasion')
      */
-    updateEnemies(deltaTime) {
-        if (this.enemies.length === 0) return;
+    killPlayer(cause) {
+        if (this.stateMachine.canTransition(GAME_STATES.PLAYER_DEATH)) {
+            this.stateMachine.transition(GAME_STATES.PLAYER_DEATH, { cause });
+        }
+    }
+    
+    /**
+     * Blow up the player ship and take it from the reserve
+     * Enemy shots near the wreck are cleared and the invaders hold fire until
+     * shortly after the next ship arrives. Landing invaders end the run outright.
+     * @param {string} cause - What killed the player
+     */
+    destroyPlayer(cause) {
+        this.deathCause = cause || 'unknown';
+        const { x, y } = this.player.position;
+        this.particleSystem.emit('explosion', x, y, { count: 20 });
+        this.particleSystem.emit('debris', x, y, { count: 10 });
+        this.particleSystem.emit('smoke', x, y);
+        this.camera.addTrauma(0.8);
+        this.camera.punchZoom(0.05);
+        this.sound.stopAll();
+        this.player.setState({ health: 0, state: Player.STATES.DESTROYED, isAlive: false });
         
-        this.enemyMoveTimer += deltaTime;
+        if (this.deathCause === 'invasion') {
+            this.livesSystem.loseAll();
+        } else {
+            this.livesSystem.loseLife();
+        }
         
-        // Formation movement logic
-        if (this.enemyMoveTimer >= this.enemyMoveInterval) {
-            let shouldDrop = false;
-            
-            // Check if any enemy hits screen edge
-            for (const enemy of this.enemies) {
-                if (!enemy.destroyed) {
-                    if ((this.enemyDirection > 0 && enemy.x + enemy.width >= this.width - 10) ||
-                        (this.enemyDirection < 0 && enemy.x <= 10)) {
-                        shouldDrop = true;
-                        break;
-                    }
+        const { bulletClearRadius, fireHoldTime } = gameConfig.balance.player;
+        for (const shot of this.projectileSystem.clearProjectilesNear(x, y, bulletClearRadius, 'enemy')) {
+            this.particleSystem.emit('hitSpark', shot.x, shot.y);
+        }
+        this.enemyFireHeldUntil = this.clock.now() + this.settings.respawnDelay + fireHoldTime;
+    }
+    
+    /**
+     * Bring in the next ship at the starting position, invulnerable for a while
+     */
+    respawnPlayer() {
+        this.player.respawn(this.width / 2, this.height - 40, gameConfig.balance.player.invulnerabilityTime);
+        this.mysteryShip.resumeSound();
+    }
+    
+    /**
+     * Pause a run in progress
+     * @returns {boolean} True if the game paused
+     */
+    pause() {
+        if (!this.stateMachine.canTransition(GAME_STATES.PAUSED)) return false;
+        return this.stateMachine.transition(GAME_STATES.PAUSED);
+    }
+    
+    /**
+     * Return to the state that was paused
+     * @returns {boolean} True if the game resumed
+     */
+    resume() {
+        if (!this.stateMachine.is(GAME_STATES.PAUSED)) return false;
+        return this.stateMachine.transition(this.resumeState, { resumed: true });
+    }
+    
+    /**
+     * Pause a running game, or resume a paused one
+     */
+    togglePause() {
+        if (this.stateMachine.is(GAME_STATES.PAUSED)) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+    
+    /**
+     * Abandon the current run and return to the title screen
+     * @returns {boolean} True if the game quit to the title
+     */
+    quit() {
+        if (!this.stateMachine.canTransition(GAME_STATES.TITLE)) return false;
+        
+        this.replayRecorder.cancel();
+        return this.stateMachine.transition(GAME_STATES.TITLE);
+    }
+    
+    /**
+     * Show the top level of the pause menu
+     */
+    openPauseMenu() {
+        this.pauseMenu = { items: PAUSE_MENU_ITEMS, index: 0 };
+    }
+    
+    /**
+     * Navigate the pause menu: left/right moves the selection, shoot picks it
+     * and pause resumes (or backs out of the settings page)
+     * @param {Object} event - Input event
+     */
+    handlePauseMenuInput(event) {
+        const menu = this.pauseMenu;
+        const count = menu.items.length;
+        
+        switch (event.action) {
+            case INPUT_ACTIONS.MOVE_LEFT:
+                menu.index = (menu.index + count - 1) % count;
+                break;
+            case INPUT_ACTIONS.MOVE_RIGHT:
+                menu.index = (menu.index + 1) % count;
+                break;
+            case INPUT_ACTIONS.SHOOT:
+                this.selectPauseMenuItem(menu.items[menu.index]);
+                break;
+            case INPUT_ACTIONS.PAUSE:
+                if (menu.items === SETTINGS_MENU_ITEMS) {
+                    this.selectPauseMenuItem('back');
+                } else {
+                    this.resume();
                 }
+                break;
+        }
+    }
+    
+    /**
+     * Carry out a pause menu choice
+     * @param {string} item - Menu item id
+     */
+    selectPauseMenuItem(item) {
+        switch (item) {
+            case 'resume':
+                this.resume();
+                break;
+            case 'restart':
+                this.restart();
+                break;
+            case 'settings':
+                this.pauseMenu = { items: SETTINGS_MENU_ITEMS, index: 0 };
+                break;
+            case 'quit':
+                this.quit();
+                break;
+            case 'autoPause':
+            case 'showFps':
+                this.settings[item] = !this.settings[item];
+                break;
+            case 'quality': {
+                const options = ['auto', ...QUALITY_LEVELS];
+                this.settings.quality = options[(options.indexOf(this.settings.quality) + 1) % options.length];
+                this.quality.pin(this.settings.quality);
+                break;
             }
-            
-            // Move enemies
-            for (const enemy of this.enemies) {
-                if (!enemy.destroyed) {
-                    if (shouldDrop) {
-                        enemy.y += this.enemyDropDistance;
-                    } else {
-                        enemy.x += this.enemyDirection * 20;
-                    }
-                    
-                    // Enemy shooting
-                    this.enemyShoot(enemy);
-                }
+            case 'cameraIntensity': {
+                const index = CAMERA_INTENSITIES.indexOf(this.settings.cameraIntensity);
+                this.settings.cameraIntensity = CAMERA_INTENSITIES[(index + 1) % CAMERA_INTENSITIES.length];
+                this.camera.setIntensity(this.settings.cameraIntensity);
+                break;
             }
-            
-            if (shouldDrop) {
-                this.enemyDirection *= -1;
-                // Increase speed slightly after each drop
-                this.enemyMoveInterval = Math.max(200, this.enemyMoveInterval - 50);
+            case 'back':
+                this.pauseMenu = { items: PAUSE_MENU_ITEMS, index: PAUSE_MENU_ITEMS.indexOf('settings') };
+                break;
+        }
+    }
+    
+    /**
+     * Get the label shown for a pause menu item
+     * @param {string} item - Menu item id
+     * @returns {string} Display label
+     */
+    getPauseMenuLabel(item) {
+        switch (item) {
+            case 'autoPause': return `Auto-pause: ${this.settings.autoPause ? 'ON' : 'OFF'}`;
+            case 'showFps': return `Show FPS: ${this.settings.showFps ? 'ON' : 'OFF'}`;
+            case 'quality': {
+                const level = this.quality.getLevel().toUpperCase();
+                return this.settings.quality === 'auto' ? `Quality: AUTO (${level})` : `Quality: ${level}`;
             }
-            
-            this.enemyMoveTimer = 0;
+            case 'cameraIntensity': return `Screen shake: ${CAMERA_INTENSITY_LABELS[this.settings.cameraIntensity]}`;
+            default: return item.charAt(0).toUpperCase() + item.slice(1);
+        }
+    }
+    
+    /**
+     * Choose between continuing a saved run and starting a new one
+     * @param {Object} event - Input event
+     */
+    handleTitleInput(event) {
+        if (!this.savedSnapshot) {
+            if (event.action === INPUT_ACTIONS.SHOOT) {
+                this.start();
+            }
+            return;
         }
         
-        // Remove destroyed enemies
-        this.enemies = this.enemies.filter(enemy => !enemy.destroyed);
+        switch (event.action) {
+            case INPUT_ACTIONS.MOVE_LEFT:
+            case INPUT_ACTIONS.MOVE_RIGHT:
+                this.titleMenuIndex = (this.titleMenuIndex + 1) % TITLE_MENU_ITEMS.length;
+                break;
+            case INPUT_ACTIONS.SHOOT:
+                if (TITLE_MENU_ITEMS[this.titleMenuIndex] === 'continue') {
+                    this.continueRun();
+                } else {
+                    this.start();
+                }
+                break;
+        }
     }
     
     /**
-     * Comprehensive collision detection system
+     * Get the state the run is in, looking through the pause menu
+     * @returns {string} Current state, or the paused one
      */
-    updateCollisions() {
-        // Clear and rebuild quad tree for spatial partitioning
-        this.collisionQuadTree = new QuadTree(0, 0, this.width, this.height);
+    getRunState() {
+        return this.stateMachine.is(GAME_STATES.PAUSED) ? this.resumeState : this.stateMachine.getState();
+    }
+    
+    /**
+     * Check whether the run can be saved right now
+     * @returns {boolean} True while a wave is in progress, or a ship is down with more left
+     */
+    canSnapshot() {
+        const state = this.getRunState();
+        if (state === GAME_STATES.PLAYER_DEATH) {
+            return this.livesSystem.hasLivesLeft();
+        }
+        return state === GAME_STATES.WAVE_INTRO || state === GAME_STATES.PLAYING || state === GAME_STATES.WAVE_CLEAR;
+    }
+    
+    /**
+     * Capture everything needed to resume the current run
+     * @returns {Object} Versioned, JSON-serializable snapshot
+     */
+    createSnapshot() {
+        const state = this.getRunState();
         
-        // Add entities to quad tree
-        this.enemies.forEach(enemy => {
-            if (!enemy.destroyed) {
-                this.collisionQuadTree.insert(enemy);
-            }
-        });
+        return {
+            version: SNAPSHOT_VERSION,
+            savedAt: Date.now(),
+            state,
+            stateTimer: this.stateTimer,
+            deathReturn: state === GAME_STATES.PLAYER_DEATH ? { ...this.deathReturn } : null,
+            score: this.score,
+            currentWave: this.currentWave,
+            enemyFireHeldUntil: this.enemyFireHeldUntil,
+            clock: this.clock.getState(),
+            rng: this.rng.getState(),
+            player: this.player.getState(),
+            enemies: this.enemySystem.getState(),
+            projectiles: this.projectileSystem.getState(),
+            bunkers: this.bunkerSystem.getState(),
+            waves: this.waveManager.getState(),
+            mysteryShip: this.mysteryShip.getState(),
+            powerUps: this.powerUpSystem.getState(),
+            scoring: this.scoreSystem.getState(),
+            lives: this.livesSystem.getState()
+        };
+    }
+    
+    /**
+     * Load a snapshot into the game systems, replacing the current run
+     * @param {Object} snapshot - Snapshot from createSnapshot()
+     */
+    restoreSnapshot(snapshot) {
+        this.resetRun();
+        
+        this.currentWave = snapshot.currentWave;
+        this.enemyFireHeldUntil = snapshot.enemyFireHeldUntil;
+        this.stateTimer = snapshot.stateTimer;
+        this.deathReturn = snapshot.deathReturn;
+        this.clock.setState(snapshot.clock);
+        this.scoreSystem.setState(snapshot.scoring);
+        this.livesSystem.setState(snapshot.lives);
+        this.rng.setState(snapshot.rng);
+        this.player.setState(snapshot.player);
+        this.enemySystem.setState(snapshot.enemies);
+        this.projectileSystem.setState(snapshot.projectiles,
+            (owner) => (owner === 'player' ? this.player : owner));
+        this.bunkerSystem.setState(snapshot.bunkers);
+        this.waveManager.setState(snapshot.waves);
+        this.mysteryShip.setState(snapshot.mysteryShip);
+        this.powerUpSystem.setState(snapshot.powerUps);
+    }
+    
+    /**
+     * Save the current run to local storage
+     * @returns {boolean} True if a snapshot was written
+     */
+    saveSnapshot() {
+        if (typeof localStorage === 'undefined' || this.replayMode || !this.canSnapshot()) return false;
+        
+        try {
+            const snapshot = this.createSnapshot();
+            localStorage.setItem(SNAPSHOT_STORAGE_KEY, JSON.stringify(snapshot));
+            this.savedSnapshot = snapshot;
+            return true;
+        } catch (error) {
+            console.error('Failed to save game snapshot:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Load the saved run from local storage
+     * @returns {Object|null} Snapshot, or null if there is none or it is from another version
+     */
+    loadSnapshot() {
+        if (typeof localStorage === 'undefined') return null;
         
-        // Player bullet vs enemy collisions
-        for (let i = this.bullets.length - 1; i >= 0; i--) {
-            const bullet = this.bullets[i];
+        try {
+            const snapshot = JSON.parse(localStorage.getItem(SNAPSHOT_STORAGE_KEY));
+            if (!snapshot) return null;
             
-            if (bullet.owner === 'player') {
-                const nearbyEnemies = this.collisionQuadTree.retrieve(bullet);
-                
-                for (const enemy of nearbyEnemies) {
-                    if (this.checkCollision(bullet, enemy)) {
-                        // Damage enemy
-                        enemy.health -= bullet.damage;
-                        
-                        // Create hit effect
-                        this.createHitEffect(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2);
-                        
-                        if (enemy.health <= 0) {
-                            // Enemy destroyed
-                            enemy.destroyed = true;
-                            this.score += enemy.points;
-                            this.createExplosion(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2);
-                        }
-                        
-                        // Remove bullet
-                        this.bullets.splice(i, 1);
-                        break;
-                    }
-                }
-            } else if (bullet.owner === 'enemy') {
-                // Enemy bullet vs player collision
-                if (this.checkCollision(bullet, this.player)) {
-                    this.player.health -= bullet.damage;
-                    this.bullets.splice(i, 1);
-                    this.createHitEffect(this.player.x + this.player.width / 2, this.player.y + this.player.height / 2);
-                    
-                    if (this.player.health <= 0) {
-                        this.triggerGameOver();
-                    }
-                }
+            if (snapshot.version !== SNAPSHOT_VERSION) {
+                console.warn(`Discarding game snapshot from version ${snapshot.version}`);
+                localStorage.removeItem(SNAPSHOT_STORAGE_KEY);
+                return null;
             }
+            
+            return snapshot;
+        } catch (error) {
+            console.error('Failed to load game snapshot:', error);
+            return null;
         }
+    }
+    
+    /**
+     * Forget the saved run once it can no longer be continued
+     */
+    clearSnapshot() {
+        this.savedSnapshot = null;
+        if (typeof localStorage === 'undefined') return;
         
-        // Enemy vs player collision (game over)
-        for (const enemy of this.enemies) {
-            if (!enemy.destroyed && this.checkCollision(enemy, this.player)) {
-                this.triggerGameOver();
-                break;
-            }
+        try {
+            localStorage.removeItem(SNAPSHOT_STORAGE_KEY);
+        } catch (error) {
+            console.error('Failed to clear game snapshot:', error);
         }
     }
     
     /**
-     * AABB collision detection
+     * Start recording a fresh run's inputs
      */
-    checkCollision(rect1, rect2) {
-        return rect1.x < rect2.x + rect2.width &&
-               rect1.x + rect1.width > rect2.x &&
-               rect1.y < rect2.y + rect2.height &&
-               rect1.y + rect1.height > rect2.y;
+    startRecording() {
+        if (!this.replayMode) {
+            this.replayRecorder.start(this.rng.getSeed());
+        }
     }
     
     /**
-     * Create visual hit effect
+     * Finish the run's recording and keep it as the last replay
      */
-    createHitEffect(x, y) {
-        for (let i = 0; i < 5; i++) {
-            this.particles.push({
-                x: x,
-                y: y,
-                vx: (Math.random() - 0.5) * 4,
-                vy: (Math.random() - 0.5) * 4,
-                life: 30,
-                maxLife: 30,
-                color: '#ffff00',
-                size: 3
-            });
+    finishRecording() {
+        const replay = this.replayRecorder.stop({ score: this.score, wave: this.currentWave });
+        if (!replay) return;
+        
+        this.lastReplay = replay;
+        if (typeof localStorage === 'undefined') return;
+        
+        try {
+            localStorage.setItem(REPLAY_STORAGE_KEY, JSON.stringify(replay));
+        } catch (error) {
+            console.error('Failed to save replay:', error);
         }
     }
     
     /**
-     * Create explosion effect
+     * Resume the saved run from the title screen
+     * Continued runs are not recorded, as a replay must start from the seed
+     * @returns {boolean} True if the run continued
      */
-    createExplosion(x, y) {
-        for (let i = 0; i < 10; i++) {
-            this.particles.push({
-                x: x,
-                y: y,
-                vx: (Math.random() - 0.5) * 8,
-                vy: (Math.random() - 0.5) * 8,
-                life: 60,
-                maxLife: 60,
-                color: '#ff4400',
-                size: 5
-            });
+    continueRun() {
+        const snapshot = this.savedSnapshot;
+        if (!snapshot || !this.stateMachine.is(GAME_STATES.TITLE)) return false;
+        
+        this.restoreSnapshot(snapshot);
+        return this.stateMachine.transition(snapshot.state, { resumed: true });
+    }
+    
+    /**
+     * Check whether the run has ended
+     * @returns {boolean} True on the game over and name entry screens
+     */
+    isGameOver() {
+        return this.stateMachine.is(GAME_STATES.GAME_OVER, GAME_STATES.NAME_ENTRY);
+    }
+    
+    /**
+     * Load the high score table from local storage
+     * @returns {Array<Object>} Entries ({ name, score, wave }) sorted best first
+     */
+    loadHighScores() {
+        if (typeof localStorage === 'undefined') return [];
+        
+        try {
+            const stored = JSON.parse(localStorage.getItem(HIGH_SCORE_STORAGE_KEY));
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.error('Failed to load high scores:', error);
+            return [];
         }
     }
     
     /**
-     * Update particle effects
+     * Save the high score table to local storage
      */
-    updateParticles(deltaTime) {
-        for (let i = this.particles.length - 1; i >= 0; i--) {
-            const particle = this.particles[i];
-            particle.x += particle.vx;
-            particle.y += particle.vy;
-            particle.life--;
-            
-            if (particle.life <= 0) {
-                this.particles.splice(i, 1);
+    saveHighScores() {
+        if (typeof localStorage === 'undefined') return;
+        
+        try {
+            localStorage.setItem(HIGH_SCORE_STORAGE_KEY, JSON.stringify(this.highScores));
+        } catch (error) {
+            console.error('Failed to save high scores:', error);
+        }
+    }
+    
+    /**
+     * Check whether a score earns a place in the high score table
+     * @param {number} score - Final score
+     * @returns {boolean} True if the score qualifies
+     */
+    qualifiesForHighScore(score) {
+        if (score <= 0) return false;
+        if (this.highScores.length < this.settings.maxHighScores) return true;
+        return score > this.highScores[this.highScores.length - 1].score;
+    }
+    
+    /**
+     * Record the current run in the high score table
+     * @param {string} name - Player initials
+     */
+    addHighScore(name) {
+        this.highScores.push({ name, score: this.score, wave: this.currentWave, replay: this.lastReplay });
+        this.highScores.sort((a, b) => b.score - a.score);
+        this.highScores.length = Math.min(this.highScores.length, this.settings.maxHighScores);
+        this.saveHighScores();
+    }
+    
+    /**
+     * Reset the initials being entered
+     */
+    beginNameEntry() {
+        this.nameEntry = { letters: ['A', 'A', 'A'], index: 0 };
+    }
+    
+    /**
+     * Enter initials arcade style: left/right cycles the letter, shoot confirms it
+     * @param {Object} event - Input event
+     */
+    handleNameEntryInput(event) {
+        const entry = this.nameEntry;
+        const letter = NAME_ENTRY_ALPHABET.indexOf(entry.letters[entry.index]);
+        const count = NAME_ENTRY_ALPHABET.length;
+        
+        if (event.action === INPUT_ACTIONS.MOVE_LEFT) {
+            entry.letters[entry.index] = NAME_ENTRY_ALPHABET[(letter + count - 1) % count];
+        } else if (event.action === INPUT_ACTIONS.MOVE_RIGHT) {
+            entry.letters[entry.index] = NAME_ENTRY_ALPHABET[(letter + 1) % count];
+        } else if (event.action === INPUT_ACTIONS.SHOOT) {
+            entry.index++;
+            if (entry.index >= entry.letters.length) {
+                this.addHighScore(entry.letters.join(''));
+                this.stateMachine.transition(GAME_STATES.GAME_OVER);
             }
         }
     }
     
     /**
-     * Check game state conditions
+     * Advance the simulation by a frame's worth of real time in fixed steps
+     * @param {number} frameDelta - Real time elapsed since the last frame (ms)
+     * @returns {number} Number of simulation steps taken
      */
-    checkGameState() {
-        // Check for wave completion
-        const aliveEnemies = this.enemies.filter(enemy => !enemy.destroyed);
-        if (aliveEnemies.length === 0) {
-            this.currentWave++;
-            setTimeout(() => {
-                this.initializeWave();
-            }, this.waveConfig.waveDelay);
+    advance(frameDelta) {
+        // Clamp long stalls so the simulation never jumps ahead, let any hit-stop
+        // hold time back, then apply pause and time scale
+        const clamped = Math.min(Math.max(frameDelta, 0), this.maxDeltaTime);
+        this.accumulator += this.clock.scaleDelta(this.camera.consumeHitStop(clamped));
+        
+        let steps = 0;
+        while (this.accumulator >= this.timestep) {
+            this.step();
+            this.accumulator -= this.timestep;
+            steps++;
         }
         
-        // Check if enemies reached player level (game over condition)
-        for (const enemy of this.enemies) {
-            if (!enemy.destroyed && enemy.y + enemy.height >= this.player.y) {
-                this.triggerGameOver();
-                break;
-            }
+        this.interpolationAlpha = this.accumulator / this.timestep;
+        return steps;
+    }
+    
+    /**
+     * Advance the camera and background by real frame time; neither touches gameplay state
+     * @param {number} frameDelta - Real time elapsed since the last frame (ms)
+     */
+    updatePresentation(frameDelta) {
+        this.camera.update(frameDelta);
+        
+        // Stars rush past between waves and scroll faster as the run goes on
+        const betweenWaves = this.stateMachine.is(GAME_STATES.WAVE_INTRO) || this.stateMachine.is(GAME_STATES.WAVE_CLEAR);
+        this.background.setWave(this.currentWave);
+        this.background.setBoost(betweenWaves);
+        this.background.update(this.clock.scaleDelta(frameDelta));
+    }
+    
+    /**
+     * Run fixed simulation steps directly, independent of real time
+     * @param {number} count - Number of steps to run
+     */
+    step(count = 1) {
+        for (let i = 0; i < count; i++) {
+            this.replayRecorder.record(this.inputManager);
+            this.profiler.countStep();
+            this.capturePreviousPositions();
+            this.update(this.timestep);
+        }
+    }
+    
+    /**
+     * Collect the objects whose x/y are drawn each frame
+     * @returns {Array<Object>} Player position, live enemies and projectiles
+     */
+    getInterpolatedObjects() {
+        return [
+            this.player.position,
+            ...this.enemySystem.getActiveEnemies(),
+            ...this.projectileSystem.getActiveProjectiles()
+        ];
+    }
+    
+    /**
+     * Remember positions before a simulation step for render interpolation
+     */
+    capturePreviousPositions() {
+        this.previousPositions.clear();
+        for (const object of this.getInterpolatedObjects()) {
+            this.previousPositions.set(object, { x: object.x, y: object.y });
         }
     }
     
     /**
-     * Trigger game over state
+     * Move objects to their interpolated positions for drawing
+     * @param {number} alpha - Fraction of a step between previous and current state
+     * @returns {Array<Object>} Simulated positions to restore after rendering
      */
-    triggerGameOver() {
-        this.gameOver = true;
-        this.gameRunning = false;
+    applyInterpolation(alpha) {
+        const restore = [];
+        
+        for (const object of this.getInterpolatedObjects()) {
+            const previous = this.previousPositions.get(object);
+            if (!previous) continue;
+            
+            restore.push({ object, x: object.x, y: object.y });
+            object.x = previous.x + (object.x - previous.x) * alpha;
+            object.y = previous.y + (object.y - previous.y) * alpha;
+        }
+        
+        return restore;
     }
     
     /**
      * Render all game elements
+     * @param {number} alpha - Interpolation factor between simulation steps (0-1)
      */
-    render() {
-        if (!this.ctx) return;
+    render(alpha = 1) {
+        if (!this.renderer) return;
         
         const renderStart = performance.now();
+        const restore = this.applyInterpolation(alpha);
         
-        // Clear canvas
-        this.ctx.fillStyle = '#000011';
-        this.ctx.fillRect(0, 0, this.width, this.height);
-        
-        if (this.gameRunning && !this.gameOver) {
-            this.renderPlayer();
-            this.renderBullets();
-            this.renderEnemies();
-            this.renderParticles();
-            this.renderUI();
-        } else if (this.gameOver) {
-            this.renderGameOver();
-        } else {
-            this.renderStartScreen();
+        this.renderer.begin();
+        this.renderer.setLayer('background');
+        this.background.render(this.renderer, this.camera);
+        
+        this.stateMachine.render(this.renderer);
+        
+        this.renderer.setLayer('overlay');
+        this.debugOverlay.render(this.renderer);
+        
+        // Put simulated positions back so the next step is unaffected by drawing
+        for (const { object, x, y } of restore) {
+            object.x = x;
+            object.y = y;
         }
         
+        this.renderer.end();
+        
         this.performanceMetrics.renderTime = performance.now() - renderStart;
+        this.profiler.end('render', renderStart);
+        
+        // Drawn in its own pass after timing so the panel does not count against the render section
+        if (this.profiler.enabled) {
+            this.renderer.begin();
+            this.renderer.setLayer('overlay');
+            this.profiler.render(this.renderer, 10, this.height - 10);
+            this.renderer.end();
+        }
     }
     
     /**
-     * Render player sprite
+     * Render the world and HUD
      */
-    renderPlayer() {
-        this.ctx.fillStyle = '#00ff00';
-        this.ctx.fillRect(this.player.x, this.player.y, this.player.width, this.player.height);
+    renderPlayfield() {
+        const camera = this.camera;
         
-        // Player health indicator
-        for (let i = 0; i < this.player.health; i++) {
-            this.ctx.fillStyle = '#ff0000';
-            this.ctx.fillRect(10 + i * 15, this.height - 30, 10, 10);
-        }
+        // The camera moves the world and effects; the HUD stays put
+        this.renderer.save();
+        camera.applyTransform(this.renderer);
+        
+        this.renderer.setLayer('world');
+        this.bunkerSystem.render(this.renderer, camera);
+        this.enemySystem.render(this.renderer, camera);
+        this.projectileSystem.render(this.renderer, camera);
+        this.powerUpSystem.render(this.renderer, camera);
+        this.player.render(this.renderer, camera);
+        
+        this.renderer.setLayer('effects');
+        this.particleSystem.render(this.renderer, camera);
+        this.scorePopups.render(this.renderer, camera);
+        
+        this.renderer.restore();
+        this.renderUI();
     }
     
     /**
-     * Render all bullets with smooth animation
+     * Render a centred announcement over the playfield
+     * @param {string} title - Main text
+     * @param {string} subtitle - Smaller text below (optional)
      */
-    renderBullets() {
-        for (const bullet of this.bullets) {
-            this.ctx.fillStyle = bullet.color || '#ffffff';
-            this.ctx.fillRect(bullet.x, bullet.y, bullet.width, bullet.height);
+    renderBanner(title, subtitle = '') {
+        this.renderer.setLayer('ui');
+        this.renderer.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        this.renderer.fillRect(0, this.height / 2 - 60, this.width, subtitle ? 110 : 80);
+        
+        this.renderer.fillStyle = '#ffffff';
+        this.renderer.font = '36px Arial';
+        this.renderer.textAlign = 'center';
+        this.renderer.fillText(title, this.width / 2, this.height / 2);
+        
+        if (subtitle) {
+            this.renderer.font = '18px Arial';
+            this.renderer.fillText(subtitle, this.width / 2, this.height / 2 + 35);
         }
+        
+        this.renderer.textAlign = 'left';
     }
     
     /**
-     * Render enemies with health indicators
+     * Render the pause overlay and its menu
      */
-    renderEnemies() {
-        for (const enemy of this.enemies) {
-            if (!enemy.destroyed) {
-                // Enemy body
-                this.ctx.fillStyle = enemy.color;
-                this.ctx.fillRect(enemy.x, enemy.y, enemy.width, enemy.height);
-                
-                // Health bar for damaged enemies
-                if (enemy.health < enemy.maxHealth) {
-                    const healthPercent = enemy.health / enemy.maxHealth;
-                    this.ctx.fillStyle = '#ff0000';
-                    this.ctx.fillRect(enemy.x, enemy.y - 8, enemy.width, 4);
-                    this.ctx.fillStyle = '#00ff00';
-                    this.ctx.fillRect(enemy.x, enemy.y - 8, enemy.width * healthPercent, 4);
-                }
-            }
-        }
+    renderPauseMenu() {
+        this.renderer.setLayer('ui');
+        this.renderer.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        this.renderer.fillRect(0, 0, this.width, this.height);
+        
+        this.renderer.fillStyle = '#ffffff';
+        this.renderer.font = '36px Arial';
+        this.renderer.textAlign = 'center';
+        const title = this.pauseMenu.items === SETTINGS_MENU_ITEMS ? 'SETTINGS' : 'PAUSED';
+        this.renderer.fillText(title, this.width / 2, this.height / 2 - 80);
+        
+        // Draw each item, highlighting the selection
+        this.renderer.font = '24px Arial';
+        this.pauseMenu.items.forEach((item, index) => {
+            const selected = index === this.pauseMenu.index;
+            this.renderer.fillStyle = selected ? '#00ff00' : '#ffffff';
+            const label = this.getPauseMenuLabel(item);
+            this.renderer.fillText(selected ? `> ${label} <` : label, this.width / 2, this.height / 2 - 30 + index * 35);
+        });
+        
+        this.renderer.fillStyle = '#888888';
+        this.renderer.font = '16px Arial';
+        this.renderer.fillText('LEFT/RIGHT to choose, SPACE to select, P to go back', this.width / 2, this.height / 2 + 130);
+        
+        this.renderer.textAlign = 'left';
     }
     
     /**
-     * Render particle effects
+     * Render the initials entry screen
      */
-    renderParticles() {
-        for (const particle of this.particles) {
-            const alpha = particle.life / particle.maxLife;
-            this.ctx.globalAlpha = alpha;
-            this.ctx.fillStyle = particle.color;
-            this.ctx.fillRect(particle.x - particle.size / 2, particle.y - particle.size / 2, 
-                            particle.size, particle.size);
-        }
-        this.ctx.globalAlpha = 1;
+    renderNameEntry() {
+        this.renderer.setLayer('ui');
+        this.renderer.fillStyle = '#ffff00';
+        this.renderer.font = '36px Arial';
+        this.renderer.textAlign = 'center';
+        this.renderer.fillText('NEW HIGH SCORE', this.width / 2, this.height / 2 - 80);
+        
+        this.renderer.fillStyle = '#ffffff';
+        this.renderer.font = '24px Arial';
+        this.renderer.fillText(`${this.score}`, this.width / 2, this.height / 2 - 40);
+        
+        // Draw each initial, highlighting the one being edited
+        this.renderer.font = '48px Courier New';
+        this.nameEntry.letters.forEach((letter, index) => {
+            this.renderer.fillStyle = index === this.nameEntry.index ? '#00ff00' : '#ffffff';
+            this.renderer.fillText(letter, this.width / 2 + (index - 1) * 50, this.height / 2 + 30);
+        });
+        
+        this.renderer.fillStyle = '#888888';
+        this.renderer.font = '16px Arial';
+        this.renderer.fillText('LEFT/RIGHT to choose, SPACE to confirm', this.width / 2, this.height / 2 + 80);
+        
+        this.renderer.textAlign = 'left';
     }
     
     /**
      * Render game UI elements
      */
     renderUI() {
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.font = '20px Arial';
-        this.ctx.fillText(`Score: ${this.score}`, 10, 30);
-        this.ctx.fillText(`Wave: ${this.currentWave}`, 10, 60);
-        this.ctx.fillText(`Enemies: ${this.enemies.filter(e => !e.destroyed).length}`, 10, 90);
+        this.renderer.setLayer('ui');
+        this.renderer.fillStyle = '#ffffff';
+        this.renderer.font = '20px Arial';
+        this.renderer.fillText(`Score: ${this.score}`, 10, 30);
+        this.renderer.fillText(`Wave: ${this.currentWave}`, 10, 60);
+        this.renderer.fillText(`Enemies: ${this.enemySystem.getActiveEnemies().length}`, 10, 90);
+        
+        this.renderPowerUpTimers(10, 110);
+        this.renderComboMeter(this.width / 2, 24);
+        this.renderLives(this.width - 10, 60);
         
         // FPS counter
-        this.ctx.font = '14px Arial';
-        this.ctx.fillText(`FPS: ${this.fps}`, this.width - 80, 30);
+        if (this.settings.showFps) {
+            this.renderer.font = '14px Arial';
+            this.renderer.fillText(`FPS: ${this.fps}`, this.width - 80, 30);
+        }
+    }
+    
+    /**
+     * Render a label and a draining bar for each running power-up
+     * @param {number} x - Left edge
+     * @param {number} y - Top of the first row
+     */
+    renderPowerUpTimers(x, y) {
+        this.renderer.font = '14px Arial';
+        this.player.getPowerUpTimers().forEach((timer, index) => {
+            const style = POWERUP_STYLES[timer.type] || { color: '#ffffff', label: '?' };
+            const rowY = y + index * 20;
+            // The shield shows how many hits it can still take
+            const label = timer.type === 'shield' && timer.hits > 1 ? `${style.label}${timer.hits}` : style.label;
+            
+            this.renderer.fillStyle = style.color;
+            this.renderer.fillText(label, x, rowY + 11);
+            
+            this.renderer.fillStyle = 'rgba(255, 255, 255, 0.25)';
+            this.renderer.fillRect(x + 26, rowY, 80, 10);
+            this.renderer.fillStyle = style.color;
+            this.renderer.fillRect(x + 26, rowY, 80 * Math.max(0, timer.remaining / timer.duration), 10);
+        });
+        this.renderer.fillStyle = '#ffffff';
+    }
+    
+    /**
+     * Render a small ship for each life left, right-aligned
+     * @param {number} right - Right edge
+     * @param {number} y - Top of the row
+     */
+    renderLives(right, y) {
+        this.renderer.fillStyle = '#00ff00';
+        for (let i = 0; i < this.livesSystem.lives; i++) {
+            const x = right - 22 - i * 28;
+            this.renderer.fillRect(x, y + 4, 22, 8);
+            this.renderer.fillRect(x + 9, y, 4, 4);
+        }
+        this.renderer.fillStyle = '#ffffff';
+    }
+    
+    /**
+     * Render the kill chain's length, multiplier and time left while a chain is running
+     * @param {number} x - Centre x
+     * @param {number} y - Text baseline
+     */
+    renderComboMeter(x, y) {
+        const { combo } = this.scoreSystem;
+        if (combo < 2) return;
+        
+        this.renderer.fillStyle = '#ffdd00';
+        this.renderer.font = 'bold 18px Arial';
+        this.renderer.textAlign = 'center';
+        this.renderer.fillText(`${combo} CHAIN  x${this.scoreSystem.getComboMultiplier().toFixed(1)}`, x, y);
+        this.renderer.textAlign = 'left';
+        
+        this.renderer.fillStyle = 'rgba(255, 255, 255, 0.25)';
+        this.renderer.fillRect(x - 60, y + 6, 120, 4);
+        this.renderer.fillStyle = '#ffdd00';
+        this.renderer.fillRect(x - 60, y + 6, 120 * this.scoreSystem.getComboTimeLeft(), 4);
+        this.renderer.fillStyle = '#ffffff';
     }
     
     /**
      * Render game over screen
      */
     renderGameOver() {
-        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
-        this.ctx.fillRect(0, 0, this.width, this.height);
+        this.renderer.setLayer('ui');
+        this.renderer.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        this.renderer.fillRect(0, 0, this.width, this.height);
+        
+        this.renderer.fillStyle = '#ff0000';
+        this.renderer.font = '48px Arial';
+        this.renderer.textAlign = 'center';
+        this.renderer.fillText('GAME OVER', this.width / 2, this.height / 2 - 50);
+        
+        this.renderer.fillStyle = '#ffffff';
+        this.renderer.font = '24px Arial';
+        this.renderer.fillText(`Final Score: ${this.score}`, this.width / 2, this.height / 2);
+        this.renderer.fillText(`Waves Completed: ${Math.max(0, this.currentWave - 1)}`, this.width / 2, this.height / 2 + 30);
+        this.renderer.fillText('Press SPACE to Restart', this.width / 2, this.height / 2 + 80);
+        
+        this.renderer.fillStyle = '#888888';
+        this.renderer.font = '16px Arial';
+        this.renderer.fillText(`Seed: ${this.rng.getSeed()}`, this.width / 2, this.height / 2 + 120);
+        
+        // High score table
+        this.highScores.slice(0, 5).forEach((entry, index) => {
+            this.renderer.fillText(`${index + 1}. ${entry.name}  ${entry.score}`, this.width / 2, this.height / 2 + 160 + index * 22);
+        });
+        
+        this.renderer.textAlign = 'left';
+    }
+    
+    /**
+     * Render asset loading progress
+     */
+    renderLoadingScreen() {
+        this.renderer.setLayer('ui');
+        const progress = this.assets.getProgress();
+        const barWidth = 300;
+        const barX = (this.width - barWidth) / 2;
+        const barY = this.height / 2;
         
-        this.ctx.fillStyle = '#ff0000';
-        this.ctx.font = '48px Arial';
-        this.ctx.textAlign = 'center';
-        this.ctx.fillText('GAME OVER', this.width / 2, this.height / 2 - 50);
+        this.renderer.fillStyle = '#ffffff';
+        this.renderer.font = '24px Arial';
+        this.renderer.textAlign = 'center';
+        this.renderer.fillText('LOADING', this.width / 2, barY - 20);
         
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.font = '24px Arial';
-        this.ctx.fillText(`Final Score: ${this.score}`, this.width / 2, this.height / 2);
-        this.ctx.fillText(`Waves Completed: ${this.currentWave - 1}`, this.width / 2, this.height / 2 + 30);
-        this.ctx.fillText('Press R to Restart', this.width / 2, this.height / 2 + 80);
+        this.renderer.strokeStyle = '#ffffff';
+        this.renderer.lineWidth = 2;
+        this.renderer.strokeRect(barX, barY, barWidth, 20);
+        this.renderer.fillStyle = '#00ff00';
+        this.renderer.fillRect(barX + 2, barY + 2, (barWidth - 4) * progress.ratio, 16);
         
-        this.ctx.textAlign = 'left';
+        this.renderer.fillStyle = '#888888';
+        this.renderer.font = '14px Arial';
+        this.renderer.fillText(`${progress.loaded + progress.failed} / ${progress.total}`, this.width / 2, barY + 45);
+        this.renderer.textAlign = 'left';
     }
     
     /**
      * Render start screen
      */
     renderStartScreen() {
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.font = '36px Arial';
-        this.ctx.textAlign = 'center';
-        this.ctx.fillText('SPACE INVADERS', this.width / 2, this.height / 2 - 50);
+        this.renderer.setLayer('ui');
+        this.renderer.fillStyle = '#ffffff';
+        this.renderer.font = '36px Arial';
+        this.renderer.textAlign = 'center';
+        this.renderer.fillText('SPACE INVADERS', this.width / 2, this.height / 2 - 50);
         
-        this.ctx.font = '18px Arial';
-        this.ctx.fillText('Press SPACE to Start', this.width / 2, this.height / 2 + 20);
-        this.ctx.fillText('Arrow Keys or WASD to Move', this.width / 2, this.height / 2 + 50);
+        this.renderer.font = '18px Arial';
+        if (this.savedSnapshot) {
+            // Draw both choices, highlighting the selection
+            TITLE_MENU_ITEMS.forEach((item, index) => {
+                const selected = index === this.titleMenuIndex;
+                const label = item === 'continue' ? `Continue (Wave ${this.savedSnapshot.currentWave})` : 'New Game';
+                this.renderer.fillStyle = selected ? '#00ff00' : '#ffffff';
+                this.renderer.fillText(selected ? `> ${label} <` : label, this.width / 2 + (index - 0.5) * 260, this.height / 2 + 20);
+            });
+            this.renderer.fillStyle = '#ffffff';
+        } else {
+            this.renderer.fillText('Press SPACE to Start', this.width / 2, this.height / 2 + 20);
+        }
+        this.renderer.fillText('Arrow Keys or WASD to Move', this.width / 2, this.height / 2 + 50);
+        this.renderer.fillText('P or ESC to Pause', this.width / 2, this.height / 2 + 80);
         
-        this.ctx.textAlign = 'left';
+        this.renderer.textAlign = 'left';
     }
     
     /**
-     * Start the game
+     * Start a new run from the title or game over screen
+     * @returns {boolean} True if the run started
      */
     start() {
-        this.gameRunning = true;
-        this.gameOver = false;
-        this.score = 0;
-        this.currentWave = 1;
-        this.player.health = 3;
-        this.bullets = [];
-        this.particles = [];
-        this.initializeWave();
+        if (!this.stateMachine.is(GAME_STATES.TITLE, GAME_STATES.GAME_OVER)) return false;
+        
+        this.clearSnapshot();
+        this.resetRun();
+        this.startRecording();
+        return this.stateMachine.transition(GAME_STATES.WAVE_INTRO);
     }
     
     /**
-     * Restart the game
+     * Abandon a paused run and start a new one
+     * @returns {boolean} True if the run restarted
      */
     restart() {
-        this.start();
+        if (!this.stateMachine.is(GAME_STATES.PAUSED)) return this.start();
+        
+        this.clearSnapshot();
+        this.resetRun();
+        this.startRecording();
+        return this.stateMachine.transition(GAME_STATES.WAVE_INTRO);
+    }
+    
+    /**
+     * Reset score, time, randomness and every system for a new run
+     */
+    resetRun() {
+        this.score = 0;
+        this.currentWave = 0;
+        this.clock.reset();
+        this.rng.setSeed(this.options.seed !== undefined ? this.options.seed : SeededRandom.generateSeed());
+        this.effectsRng.setSeed(this.rng.getSeed());
+        this.camera.reset();
+        this.stateTimer = 0;
+        this.deathCause = null;
+        this.deathReturn = null;
+        this.enemyFireHeldUntil = 0;
+        this.accumulator = 0;
+        this.previousPositions.clear();
+        this.particleSystem.clear();
+        this.scorePopups.clear();
+        
+        // Reset systems; the enemy, mystery ship, power-up, score and lives systems clear themselves on game:reset
+        this.eventBus.emit('game:reset');
+        this.projectileSystem.clearAllProjectiles();
+        this.bunkerSystem.reset();
+        this.collisionSystem.clear();
+        this.collisionBodies.clear();
+        this.waveManager.reset();
+        this.player.reset(this.width / 2, this.height - 40);
     }
     
     /**
@@ -612,150 +1726,37 @@ class Game {
      */
     gameLoop(currentTime) {
         const frameStart = performance.now();
+        this.profiler.beginFrame();
         
         // Calculate delta time and FPS
-        const deltaTime = currentTime - this.lastTime;
+        const deltaTime = this.lastTime === null ? 0 : currentTime - this.lastTime;
         this.lastTime = currentTime;
         this.frameCount++;
         
-        if (this.frameCount % 60 === 0) {
+        if (this.frameCount % 60 === 0 && deltaTime > 0) {
             this.fps = Math.round(1000 / deltaTime);
         }
         
-        // Handle restart input
-        if (this.gameOver && this.keys['KeyR']) {
-            this.restart();
-        }
-        
-        // Handle start input
-        if (!this.gameRunning && !this.gameOver && this.keys['Space']) {
-            this.start();
-        }
-        
-        // Update and render
-        this.update(deltaTime);
-        this.render();
+        // Simulate in fixed steps, then draw between the last two of them
+        this.updatePresentation(deltaTime);
+        this.advance(deltaTime);
+        this.render(this.interpolationAlpha);
         
         this.performanceMetrics.frameTime = performance.now() - frameStart;
+        this.profiler.endFrame();
+        this.quality.recordFrame(deltaTime, this.performanceMetrics.frameTime);
         
         // Continue game loop
         requestAnimationFrame((time) => this.gameLoop(time));
     }
 }
 
-/**
- * Simple QuadTree implementation for spatial partitioning
- * Optimizes collision detection performance with many entities
- */
-class QuadTree {
-    constructor(x, y, width, height, maxObjects = 10, maxLevels = 5, level = 0) {
-        this.x = x;
-        this.y = y;
-        this.width = width;
-        this.height = height;
-        this.maxObjects = maxObjects;
-        this.maxLevels = maxLevels;
-        this.level = level;
-        this.objects = [];
-        this.nodes = [];
-    }
-    
-    clear() {
-        this.objects = [];
-        for (const node of this.nodes) {
-            node.clear();
-        }
-        this.nodes = [];
-    }
-    
-    split() {
-        const subWidth = this.width / 2;
-        const subHeight = this.height / 2;
-        const x = this.x;
-        const y = this.y;
-        
-        this.nodes[0] = new QuadTree(x + subWidth, y, subWidth, subHeight, 
-                                   this.maxObjects, this.maxLevels, this.level + 1);
-        this.nodes[1] = new QuadTree(x, y, subWidth, subHeight, 
-                                   this.maxObjects, this.maxLevels, this.level + 1);
-        this.nodes[2] = new QuadTree(x, y + subHeight, subWidth, subHeight, 
-                                   this.maxObjects, this.maxLevels, this.level + 1);
-        this.nodes[3] = new QuadTree(x + subWidth, y + subHeight, subWidth, subHeight, 
-                                   this.maxObjects, this.maxLevels, this.level + 1);
-    }
-    
-    getIndex(rect) {
-        let index = -1;
-        const verticalMidpoint = this.x + this.width / 2;
-        const horizontalMidpoint = this.y + this.height / 2;
-        
-        const topQuadrant = rect.y < horizontalMidpoint && rect.y + rect.height < horizontalMidpoint;
-        const bottomQuadrant = rect.y > horizontalMidpoint;
-        
-        if (rect.x < verticalMidpoint && rect.x + rect.width < verticalMidpoint) {
-            if (topQuadrant) {
-                index = 1;
-            } else if (bottomQuadrant) {
-                index = 2;
-            }
-        } else if (rect.x > verticalMidpoint) {
-            if (topQuadrant) {
-                index = 0;
-            } else if (bottomQuadrant) {
-                index = 3;
-            }
-        }
-        
-        return index;
-    }
-    
-    insert(rect) {
-        if (this.nodes.length > 0) {
-            const index = this.getIndex(rect);
-            if (index !== -1) {
-                this.nodes[index].insert(rect);
-                return;
-            }
-        }
-        
-        this.objects.push(rect);
-        
-        if (this.objects.length > this.maxObjects && this.level < this.maxLevels) {
-            if (this.nodes.length === 0) {
-                this.split();
-            }
-            
-            let i = 0;
-            while (i < this.objects.length) {
-                const index = this.getIndex(this.objects[i]);
-                if (index !== -1) {
-                    this.nodes[index].insert(this.objects.splice(i, 1)[0]);
-                } else {
-                    i++;
-                }
-            }
-        }
-    }
-    
-    retrieve(rect) {
-        const returnObjects = [...this.objects];
-        
-        if (this.nodes.length > 0) {
-            const index = this.getIndex(rect);
-            if (index !== -1) {
-                returnObjects.push(...this.nodes[index].retrieve(rect));
-            } else {
-                for (const node of this.nodes) {
-                    returnObjects.push(...node.retrieve(rect));
-                }
-            }
-        }
-        
-        return returnObjects;
-    }
-}
-
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Game, QuadTree };
-}
\ No newline at end of file
+    module.exports = { Game };
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.Game = Game;
+}
@@ -0,0 +1,169 @@
+/**
+ * Headless Runner - Steps the full simulation without a canvas or DOM
+ * Waves, enemies, projectiles, collisions and scoring run as in the browser,
+ * with a null renderer and scripted input, so games can be simulated in bulk
+ *
+ * Usage: node js/headless.js [--games 100] [--seed 1234] [--max-steps 36000] [--verbose]
+ *        node js/headless.js --seed 1234 --record run.json   (save the run's replay)
+ *        node js/headless.js --games 10 --record run.json    (save run-<seed>.json for each game)
+ *        node js/headless.js --replay run.json               (re-simulate a saved replay)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Game } = require('./game.js');
+const ReplayPlayer = require('./systems/replayPlayer.js');
+const ScriptedInput = require('./input/scriptedInput.js');
+const { INPUT_ACTIONS } = require('./input/inputManager.js');
+
+/**
+ * Create a game that simulates without rendering
+ * @param {Object} options - Game options (seed, width, height, input)
+ * @returns {Game} Headless game with a ScriptedInput as its input source
+ */
+function createHeadlessGame(options = {}) {
+    const input = options.input || new ScriptedInput();
+    return new Game(null, { ...options, headless: true, input });
+}
+
+/**
+ * Default bot: follow the lowest enemy and keep firing
+ * @param {Game} game - Running game
+ * @param {ScriptedInput} input - Input source to drive
+ */
+function autopilot(game, input) {
+    const enemies = game.enemySystem.getActiveEnemies();
+    const target = enemies.reduce((lowest, enemy) => (!lowest || enemy.y > lowest.y ? enemy : lowest), null);
+    const offset = target ? target.x - game.player.position.x : 0;
+
+    input.setActions({
+        [INPUT_ACTIONS.MOVE_LEFT]: offset < -4,
+        [INPUT_ACTIONS.MOVE_RIGHT]: offset > 4,
+        [INPUT_ACTIONS.SHOOT]: true
+    });
+}
+
+/**
+ * Play one game to completion or until the step limit
+ * @param {Object} options - Run options
+ * @param {number} options.seed - Random seed (random when omitted)
+ * @param {number} options.maxSteps - Maximum fixed steps to simulate
+ * @param {Function} options.controller - Called before each step with (game, input, step)
+ * @returns {Object} Run summary
+ */
+function runHeadlessGame(options = {}) {
+    const { seed, maxSteps = 36000, controller = autopilot } = options;
+    const input = new ScriptedInput();
+    const game = createHeadlessGame({ seed, input });
+
+    game.start();
+
+    let steps = 0;
+    while (steps < maxSteps && !game.isGameOver()) {
+        controller(game, input, steps);
+        game.step();
+        steps++;
+    }
+
+    return {
+        seed: game.rng.getSeed(),
+        score: game.score,
+        wave: game.currentWave,
+        steps,
+        time: game.clock.now(),
+        gameOver: game.isGameOver(),
+        replay: game.lastReplay
+    };
+}
+
+/**
+ * Re-simulate a recorded replay without rendering
+ * @param {Object} replay - Replay data recorded by InputRecorder
+ * @returns {Object} Result summary, including whether it matches the recording
+ */
+function runReplay(replay) {
+    const player = new ReplayPlayer(replay);
+    player.start();
+    return player.runToEnd();
+}
+
+/**
+ * Name the replay file for one game of a batch
+ * With more than one game, each replay gets its seed appended to the file name
+ * @param {string} file - Path given to --record
+ * @param {number} seed - Seed the game ran with
+ * @param {number} games - Games in the batch
+ * @returns {string} Path to write the replay to
+ */
+function getRecordPath(file, seed, games) {
+    if (games <= 1) return file;
+
+    const { dir, name, ext } = path.parse(file);
+    return path.join(dir, `${name}-${seed}${ext}`);
+}
+
+/**
+ * Read --name value pairs from command line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(args) {
+    const options = { games: 1, seed: undefined, maxSteps: 36000, verbose: false, record: null, replay: null };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--games': options.games = parseInt(args[++i], 10); break;
+            case '--seed': options.seed = Number(args[++i]); break;
+            case '--max-steps': options.maxSteps = parseInt(args[++i], 10); break;
+            case '--verbose': options.verbose = true; break;
+            case '--record': options.record = args[++i]; break;
+            case '--replay': options.replay = args[++i]; break;
+            default:
+                console.error(`Unknown option: ${args[i]}`);
+                process.exit(1);
+        }
+    }
+
+    return options;
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    const print = console.log;
+
+    // Systems log every spawn and registration; keep bulk runs readable
+    if (!options.verbose) {
+        console.log = () => {};
+        console.info = () => {};
+        console.warn = () => {};
+    }
+
+    if (options.replay) {
+        const replay = JSON.parse(fs.readFileSync(options.replay, 'utf8'));
+        print(JSON.stringify(runReplay(replay)));
+        process.exit(0);
+    }
+
+    const results = [];
+    for (let i = 0; i < options.games; i++) {
+        // Consecutive seeds keep a multi-game batch reproducible from its first seed
+        const seed = options.seed !== undefined ? options.seed + i : undefined;
+        const { replay, ...result } = runHeadlessGame({ seed, maxSteps: options.maxSteps });
+        results.push(result);
+        print(JSON.stringify(result));
+
+        if (options.record && replay) {
+            fs.writeFileSync(getRecordPath(options.record, result.seed, options.games), JSON.stringify(replay));
+        }
+    }
+
+    const average = (key) => results.reduce((sum, r) => sum + r[key], 0) / results.length;
+    print(JSON.stringify({
+        games: results.length,
+        averageScore: average('score'),
+        averageWave: average('wave'),
+        averageSteps: average('steps')
+    }));
+}
+
+module.exports = { createHeadlessGame, runHeadlessGame, runReplay, autopilot };
@@ -168,6 +168,9 @@ class InputManager {
             startTime: 0
         };
         
+        // Maps page (client) coordinates to game world coordinates; identity until set
+        this.coordinateMapper = null;
+        
         // Virtual controls
         this.virtualButtons = new Map();
         this.virtualControlsVisible = false;
@@ -323,11 +326,14 @@ class InputManager {
             // Horizontal movement detection
             if (absAngle < Math.PI / 4 || absAngle > 3 * Math.PI / 4) {
                 const action = deltaX > 0 ? INPUT_ACTIONS.MOVE_RIGHT : INPUT_ACTIONS.MOVE_LEFT;
+                const world = this._toWorld(this.touchData.currentX, this.touchData.currentY);
                 this._handleInputEvent(action, INPUT_DEVICES.TOUCH, INPUT_STATES.HELD, {
                     deltaX,
                     deltaY,
                     distance,
-                    angle
+                    angle,
+                    worldX: world.x,
+                    worldY: world.y
                 });
             }
         }
@@ -338,6 +344,7 @@ class InputManager {
      * @private
      */
     _processTouchEnd() {
+        // Deltas stay in screen pixels so dead zones and swipes feel the same at any canvas size
         const deltaX = this.touchData.currentX - this.touchData.startX;
         const deltaY = this.touchData.currentY - this.touchData.startY;
         const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
@@ -346,9 +353,10 @@ class InputManager {
         // Tap detection
         if (distance < this.config.touchSettings.deadZone && 
             duration < this.config.touchSettings.tapTimeout) {
+            const tap = this._toWorld(this.touchData.startX, this.touchData.startY);
             this._handleInputEvent(INPUT_ACTIONS.SHOOT, INPUT_DEVICES.TOUCH, INPUT_STATES.PRESSED, {
-                tapX: this.touchData.startX,
-                tapY: this.touchData.startY,
+                tapX: tap.x,
+                tapY: tap.y,
                 duration
             });
         }
@@ -755,6 +763,16 @@ class InputManager {
         return state === INPUT_STATES.PRESSED || state === INPUT_STATES.HELD;
     }
     
+    /**
+     * Press or release an action from another input source, e.g. TouchControls buttons
+     * @param {string} action - Input action
+     * @param {boolean} active - True to press, false to release
+     * @param {string} device - Device the source belongs to
+     */
+    setActionActive(action, active, device = INPUT_DEVICES.TOUCH) {
+        this._handleInputEvent(action, device, active ? INPUT_STATES.PRESSED : INPUT_STATES.RELEASED);
+    }
+    
     /**
      * Enable or disable input processing
      * @param {boolean} enabled - Whether to enable input
@@ -775,6 +793,14 @@ class InputManager {
         this._log(`InputManager ${enabled ? 'enabled' : 'disabled'}`, 'info');
     }
     
+    /**
+     * Report touch positions in game world coordinates instead of page coordinates
+     * @param {Function|null} mapper - (clientX, clientY) => { x, y }, e.g. Viewport#toWorld; null reports page coordinates
+     */
+    setCoordinateMapper(mapper) {
+        this.coordinateMapper = typeof mapper === 'function' ? mapper : null;
+    }
+    
     /**
      * Show or hide virtual controls
      * @param {boolean} visible - Whether to show virtual controls
@@ -870,6 +896,17 @@ class InputManager {
         return merged;
     }
     
+    /**
+     * Map a page position through the coordinate mapper
+     * @private
+     * @param {number} clientX - X relative to the browser window
+     * @param {number} clientY - Y relative to the browser window
+     * @returns {Object} { x, y } in world coordinates, or unchanged without a mapper
+     */
+    _toWorld(clientX, clientY) {
+        return this.coordinateMapper ? this.coordinateMapper(clientX, clientY) : { x: clientX, y: clientY };
+    }
+    
     /**
      * Throttle function execution
      * @private
@@ -0,0 +1,138 @@
+/**
+ * Input Recorder - Records a run's held actions once per simulation step
+ * Together with the RNG seed this is enough to re-simulate the run exactly.
+ * Steps are stored as action bitmasks, run-length encoded into a flat
+ * [mask, count, mask, count, ...] array to keep replays small.
+ */
+
+const { INPUT_ACTIONS } = typeof require === 'function' ? require('./inputManager.js') : window;
+
+const REPLAY_VERSION = 1;
+
+class InputRecorder {
+    /**
+     * Actions captured in each step's bitmask, in bit order
+     * @type {string[]}
+     */
+    static RECORDED_ACTIONS = [INPUT_ACTIONS.MOVE_LEFT, INPUT_ACTIONS.MOVE_RIGHT, INPUT_ACTIONS.SHOOT];
+
+    constructor() {
+        this.recording = null;
+    }
+
+    /**
+     * Begin a new recording, discarding any unfinished one
+     * @param {number} seed - RNG seed the run started from
+     */
+    start(seed) {
+        this.recording = { seed, steps: 0, frames: [] };
+    }
+
+    /**
+     * Check whether a recording is in progress
+     * @returns {boolean} True while recording
+     */
+    isRecording() {
+        return this.recording !== null;
+    }
+
+    /**
+     * Record the actions held during one simulation step
+     * @param {Object} input - Input source with isActionActive(action)
+     */
+    record(input) {
+        if (!this.recording) return;
+
+        const mask = InputRecorder.readMask(input);
+        const frames = this.recording.frames;
+        const last = frames.length - 2;
+
+        if (last >= 0 && frames[last] === mask) {
+            frames[last + 1]++;
+        } else {
+            frames.push(mask, 1);
+        }
+
+        this.recording.steps++;
+    }
+
+    /**
+     * Finish the recording
+     * @param {Object} summary - Run results stored with the replay (score, wave)
+     * @returns {Object|null} Replay data, or null if nothing was being recorded
+     */
+    stop(summary = {}) {
+        if (!this.recording) return null;
+
+        const replay = {
+            version: REPLAY_VERSION,
+            recordedAt: Date.now(),
+            ...summary,
+            ...this.recording
+        };
+
+        this.recording = null;
+        return replay;
+    }
+
+    /**
+     * Discard the recording in progress
+     */
+    cancel() {
+        this.recording = null;
+    }
+
+    /**
+     * Encode the recorded actions currently held on an input source
+     * @param {Object} input - Input source with isActionActive(action)
+     * @returns {number} Action bitmask
+     */
+    static readMask(input) {
+        return InputRecorder.RECORDED_ACTIONS.reduce(
+            (mask, action, bit) => (input.isActionActive(action) ? mask | (1 << bit) : mask), 0);
+    }
+
+    /**
+     * Hold exactly the actions in a bitmask on a scripted input
+     * @param {ScriptedInput} input - Input source to drive
+     * @param {number} mask - Action bitmask
+     */
+    static applyMask(input, mask) {
+        const actions = {};
+        InputRecorder.RECORDED_ACTIONS.forEach((action, bit) => {
+            actions[action] = (mask & (1 << bit)) !== 0;
+        });
+        input.setActions(actions);
+    }
+
+    /**
+     * Expand a replay's run-length encoded frames to one mask per step
+     * @param {Object} replay - Replay data from stop()
+     * @returns {Uint8Array} Action bitmask for every step
+     */
+    static expand(replay) {
+        if (!replay || replay.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version: ${replay && replay.version}`);
+        }
+
+        const masks = new Uint8Array(replay.steps);
+        let step = 0;
+
+        for (let i = 0; i < replay.frames.length; i += 2) {
+            masks.fill(replay.frames[i], step, step + replay.frames[i + 1]);
+            step += replay.frames[i + 1];
+        }
+
+        return masks;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InputRecorder;
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.InputRecorder = InputRecorder;
+}
@@ -0,0 +1,163 @@
+/**
+ * Scripted Input - Programmatic input source with the InputManager interface
+ * Drives the game from code (headless simulations, bots and tests) instead of
+ * DOM keyboard and touch events
+ */
+
+const { INPUT_ACTIONS, INPUT_STATES } = typeof require === 'function'
+    ? require('./inputManager.js')
+    : window;
+
+class ScriptedInput {
+    /**
+     * @param {Object} clock - Game clock used to timestamp events (optional)
+     */
+    constructor(clock = null) {
+        this.clock = clock || { now: () => Date.now() };
+        this.inputStates = new Map();
+        this.observers = new Map();
+    }
+
+    /**
+     * Press an action, as if its key went down
+     * @param {string} action - Input action
+     */
+    press(action) {
+        if (this.isActionActive(action)) return;
+        this._setState(action, INPUT_STATES.PRESSED);
+    }
+
+    /**
+     * Release an action, as if its key went up
+     * @param {string} action - Input action
+     */
+    release(action) {
+        if (!this.isActionActive(action)) return;
+        this._setState(action, INPUT_STATES.RELEASED);
+    }
+
+    /**
+     * Press and release several actions at once
+     * @param {Object} actions - Map of action to whether it should be held
+     */
+    setActions(actions) {
+        for (const [action, active] of Object.entries(actions)) {
+            if (active) {
+                this.press(action);
+            } else {
+                this.release(action);
+            }
+        }
+    }
+
+    /**
+     * Get current input state for an action
+     * @param {string} action - Input action to check
+     * @returns {string} Current input state
+     */
+    getInputState(action) {
+        return this.inputStates.get(action) || INPUT_STATES.IDLE;
+    }
+
+    /**
+     * Check if an action is currently active (pressed or held)
+     * @param {string} action - Input action to check
+     * @returns {boolean} Whether action is active
+     */
+    isActionActive(action) {
+        const state = this.getInputState(action);
+        return state === INPUT_STATES.PRESSED || state === INPUT_STATES.HELD;
+    }
+
+    /**
+     * Subscribe to input events for a specific action
+     * @param {string} action - Input action to observe
+     * @param {Function|Object} observer - Observer function or object with handleInput method
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(action, observer) {
+        if (!Object.values(INPUT_ACTIONS).includes(action)) {
+            throw new Error(`Invalid input action: ${action}`);
+        }
+
+        if (!observer || (typeof observer !== 'function' && typeof observer.handleInput !== 'function')) {
+            throw new Error('Observer must be a function or object with handleInput method');
+        }
+
+        if (!this.observers.has(action)) {
+            this.observers.set(action, []);
+        }
+        this.observers.get(action).push(observer);
+
+        return () => {
+            const observers = this.observers.get(action);
+            const index = observers.indexOf(observer);
+            if (index > -1) {
+                observers.splice(index, 1);
+            }
+        };
+    }
+
+    /**
+     * Release every action
+     */
+    reset() {
+        for (const action of this.inputStates.keys()) {
+            this.release(action);
+        }
+    }
+
+    /**
+     * Clean up observers and state
+     */
+    destroy() {
+        this.inputStates.clear();
+        this.observers.clear();
+    }
+
+    /**
+     * Update an action's state and notify its observers
+     * @private
+     * @param {string} action - Input action
+     * @param {string} state - New input state
+     */
+    _setState(action, state) {
+        if (!Object.values(INPUT_ACTIONS).includes(action)) {
+            console.error(`ScriptedInput: Invalid input action: ${action}`);
+            return;
+        }
+
+        const previousState = this.getInputState(action);
+        this.inputStates.set(action, state);
+
+        const event = {
+            action,
+            device: 'script',
+            state,
+            timestamp: this.clock.now(),
+            metadata: { previousState }
+        };
+
+        for (const observer of this.observers.get(action) || []) {
+            try {
+                if (typeof observer === 'function') {
+                    observer(event);
+                } else {
+                    observer.handleInput(event);
+                }
+            } catch (error) {
+                console.error(`ScriptedInput: Observer error for action ${action}`, error);
+            }
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScriptedInput;
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.ScriptedInput = ScriptedInput;
+}
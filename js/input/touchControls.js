@@ -31,6 +31,7 @@
  * Features:
  * - Virtual D-pad for movement controls
  * - Fire button with rapid-fire support
+ * - Pause button
  * - Touch gesture recognition
  * - Visual feedback with haptic simulation
  * - Responsive design adaptation
@@ -49,6 +50,8 @@ class TouchControls {
      * @property {number} rapidFireDelay - Delay between rapid fire shots in ms
      * @property {boolean} showVisualFeedback - Show visual touch feedback
      * @property {string} theme - Visual theme ('dark' | 'light' | 'neon')
+     * @property {Object} clock - Game clock providing now() in ms for fire and gesture timing
+     * @property {Function} toWorld - Maps (clientX, clientY) to game world { x, y }, e.g. Viewport#toWorld
      */
 
     /**
@@ -69,11 +72,17 @@ class TouchControls {
             ...config
         };
 
+        // Gameplay timing follows the game clock so it stops while paused
+        this.clock = config.clock || { now: () => Date.now() };
+
+        // Page to world coordinate mapping; event positions stay in page space without one
+        this.coordinateMapper = typeof config.toWorld === 'function' ? config.toWorld : null;
+
         // Touch state management
         this.touchState = {
             activeControls: new Set(),
             touchPoints: new Map(),
-            lastFireTime: 0,
+            lastFireTime: -Infinity,
             movementVector: { x: 0, y: 0 },
             isEnabled: true
         };
@@ -84,6 +93,7 @@ class TouchControls {
             leftButton: null,
             rightButton: null,
             fireButton: null,
+            pauseButton: null,
             gestureArea: null
         };
 
@@ -183,6 +193,10 @@ class TouchControls {
         this.controls.fireButton = this.createButton('fire', '🔥', 'Fire weapon');
         this.controls.fireButton.classList.add('fire-button');
 
+        // Pause button, kept clear of the movement and fire controls
+        this.controls.pauseButton = this.createButton('pause', '⏸', 'Pause game');
+        this.controls.pauseButton.classList.add('pause-button');
+
         // Gesture area for advanced touch interactions
         this.controls.gestureArea = document.createElement('div');
         this.controls.gestureArea.className = 'gesture-area';
@@ -191,6 +205,7 @@ class TouchControls {
         // Assemble structure
         this.controls.container.appendChild(movementContainer);
         this.controls.container.appendChild(this.controls.fireButton);
+        this.controls.container.appendChild(this.controls.pauseButton);
         this.controls.container.appendChild(this.controls.gestureArea);
 
         // Add to DOM
@@ -283,6 +298,14 @@ class TouchControls {
                 border-radius: 50%;
             }
 
+            .pause-button {
+                position: fixed;
+                top: 20px;
+                right: 20px;
+                width: ${Math.max(44, this.config.buttonSize * 0.75)}px !important;
+                height: ${Math.max(44, this.config.buttonSize * 0.75)}px !important;
+            }
+
             .gesture-area {
                 position: absolute;
                 top: 0;
@@ -434,7 +457,7 @@ class TouchControls {
             const controlType = this.getControlType(element);
 
             if (controlType) {
-                this.activateControl(controlType, touch);
+                this.activateControl(controlType, this.getPointer(touch));
                 this.showVisualFeedback(touch.clientX, touch.clientY);
                 this.triggerHapticFeedback('light');
             }
@@ -445,7 +468,7 @@ class TouchControls {
                 startY: touch.clientY,
                 currentX: touch.clientX,
                 currentY: touch.clientY,
-                startTime: startTime,
+                startTime: this.clock.now(),
                 element: element
             });
         });
@@ -524,7 +547,7 @@ class TouchControls {
 
         const controlType = this.getControlType(event.target);
         if (controlType) {
-            this.activateControl(controlType, { clientX: event.clientX, clientY: event.clientY });
+            this.activateControl(controlType, this.getPointer(event));
             this.showVisualFeedback(event.clientX, event.clientY);
         }
     }
@@ -606,7 +629,7 @@ class TouchControls {
      * 
      * @private
      * @param {string} controlType - Type of control to activate
-     * @param {Object} touch - Touch or mouse event data
+     * @param {Object} touch - Pointer position from getPointer()
      */
     activateControl(controlType, touch = null) {
         if (this.touchState.activeControls.has(controlType)) return;
@@ -633,6 +656,11 @@ class TouchControls {
             case 'fire':
                 this.handleFireControl();
                 break;
+            case 'pause':
+                // Fires once per tap; the game toggles pause on 'touch-pause'
+                this.dispatchControlEvent('pause', controlType);
+                this.triggerHapticFeedback('light');
+                break;
         }
 
         // Update accessibility
@@ -680,7 +708,7 @@ class TouchControls {
      * @private
      */
     handleFireControl() {
-        const now = Date.now();
+        const now = this.clock.now();
         if (now - this.touchState.lastFireTime >= this.config.rapidFireDelay) {
             this.touchState.lastFireTime = now;
             this.dispatchControlEvent('fire');
@@ -699,7 +727,7 @@ class TouchControls {
         const deltaX = touchPoint.currentX - touchPoint.startX;
         const deltaY = touchPoint.currentY - touchPoint.startY;
         const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
-        const duration = Date.now() - touchPoint.startTime;
+        const duration = this.clock.now() - touchPoint.startTime;
 
         // Swipe gesture detection
         if (distance > 50 && duration < 500) {
@@ -712,12 +740,29 @@ class TouchControls {
             else if (angle < -60 && angle > -120) gestureType = 'swipe-up';
 
             if (gestureType) {
-                this.dispatchControlEvent('gesture', gestureType, { deltaX, deltaY, distance, duration });
+                const { worldX, worldY } = this.getPointer(touch);
+                this.dispatchControlEvent('gesture', gestureType, { deltaX, deltaY, distance, duration, worldX, worldY });
                 this.metrics.gestureEvents++;
             }
         }
     }
 
+    /**
+     * Get a touch or mouse position in page and world coordinates
+     * Visual feedback is placed in page space; the game reads worldX/worldY.
+     * 
+     * @private
+     * @param {Touch|MouseEvent} point - Touch or mouse event
+     * @returns {Object} { clientX, clientY, worldX, worldY }
+     */
+    getPointer(point) {
+        const world = this.coordinateMapper
+            ? this.coordinateMapper(point.clientX, point.clientY)
+            : { x: point.clientX, y: point.clientY };
+
+        return { clientX: point.clientX, clientY: point.clientY, worldX: world.x, worldY: world.y };
+    }
+
     /**
      * Show visual feedback for touch
      * 
@@ -783,6 +828,7 @@ class TouchControls {
             case 'left': return this.controls.leftButton;
             case 'right': return this.controls.rightButton;
             case 'fire': return this.controls.fireButton;
+            case 'pause': return this.controls.pauseButton;
             default: return null;
         }
     }
@@ -941,6 +987,16 @@ class TouchControls {
         return { ...this.metrics };
     }
 
+    /**
+     * Report control and gesture positions in game world coordinates
+     * 
+     * @public
+     * @param {Function|null} mapper - (clientX, clientY) => { x, y }; null reports page coordinates
+     */
+    setCoordinateMapper(mapper) {
+        this.coordinateMapper = typeof mapper === 'function' ? mapper : null;
+    }
+
     /**
      * Update configuration
      * 
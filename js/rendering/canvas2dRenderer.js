@@ -0,0 +1,169 @@
+/**
+ * Canvas 2D Renderer - Draws recorded commands with CanvasRenderingContext2D
+ * The reference backend: supports everything the Renderer records, including
+ * glow (shadow blur), and is the fallback wherever WebGL is unavailable.
+ */
+
+const { Renderer, BLEND_MODES } = typeof require === 'function'
+    ? require('./renderer.js')
+    : window;
+
+const COMPOSITE_OPERATIONS = {
+    [BLEND_MODES.NORMAL]: 'source-over',
+    [BLEND_MODES.ADDITIVE]: 'lighter'
+};
+
+class Canvas2DRenderer extends Renderer {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to draw into
+     * @param {Object} config - Renderer configuration (see Renderer)
+     */
+    constructor(canvas, config = {}) {
+        super({ width: canvas.width, height: canvas.height, ...config });
+        this.backend = 'canvas2d';
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+
+        if (!this.ctx) {
+            throw new Error('Canvas 2D context is not available');
+        }
+    }
+
+    /**
+     * Replay a layer's commands onto the canvas
+     * @param {Object[]} commands - Recorded commands in call order
+     */
+    flush(commands) {
+        const ctx = this.ctx;
+        let transform = null;
+        let alpha = 1;
+        let blend = BLEND_MODES.NORMAL;
+        let shadowBlur = 0;
+
+        const ratio = this.pixelRatio;
+
+        ctx.save();
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = COMPOSITE_OPERATIONS[blend];
+        ctx.shadowBlur = 0;
+
+        // Only touch context state that changed since the previous command
+        for (const command of commands) {
+            if (command.transform !== transform) {
+                transform = command.transform;
+                // Game pixels map to ratio backing store pixels on high-DPI canvases
+                const [a, b, c, d, e, f] = transform;
+                ctx.setTransform(a * ratio, b * ratio, c * ratio, d * ratio, e * ratio, f * ratio);
+            }
+            if (command.alpha !== alpha) {
+                alpha = command.alpha;
+                ctx.globalAlpha = alpha;
+            }
+            if (command.blend !== blend) {
+                blend = command.blend;
+                ctx.globalCompositeOperation = COMPOSITE_OPERATIONS[blend] || 'source-over';
+            }
+            if (command.shadowBlur !== shadowBlur) {
+                shadowBlur = command.shadowBlur;
+                ctx.shadowBlur = shadowBlur;
+            }
+            if (shadowBlur > 0) {
+                ctx.shadowColor = command.shadowColor;
+            }
+
+            this.drawCommand(command);
+        }
+
+        ctx.restore();
+        this.stats.drawCalls += commands.length;
+    }
+
+    /**
+     * Draw one command with the context state already applied
+     * @param {Object} command - Recorded command
+     * @private
+     */
+    drawCommand(command) {
+        const ctx = this.ctx;
+
+        switch (command.type) {
+            case 'clear':
+                ctx.fillStyle = command.color;
+                ctx.fillRect(0, 0, this.width, this.height);
+                break;
+
+            case 'rect':
+                ctx.fillStyle = command.color;
+                ctx.fillRect(command.x, command.y, command.width, command.height);
+                break;
+
+            case 'strokeRect':
+                ctx.strokeStyle = command.color;
+                ctx.lineWidth = command.lineWidth;
+                ctx.strokeRect(command.x, command.y, command.width, command.height);
+                break;
+
+            case 'text':
+                ctx.fillStyle = command.color;
+                ctx.font = command.font;
+                ctx.textAlign = command.align;
+                ctx.fillText(command.text, command.x, command.y);
+                break;
+
+            case 'image':
+                ctx.drawImage(
+                    command.image,
+                    command.sx, command.sy, command.sw, command.sh,
+                    command.x, command.y, command.width, command.height
+                );
+                break;
+
+            case 'fillPath':
+                this.tracePath(command.subpaths);
+                ctx.fillStyle = command.color;
+                ctx.fill();
+                break;
+
+            case 'strokePath':
+                this.tracePath(command.subpaths);
+                ctx.strokeStyle = command.color;
+                ctx.lineWidth = command.lineWidth;
+                ctx.lineCap = command.lineCap;
+                ctx.stroke();
+                break;
+
+            default:
+                console.error(`Canvas2DRenderer: Unknown command type: ${command.type}`);
+        }
+    }
+
+    /**
+     * Rebuild a recorded path on the context
+     * @param {Object[]} subpaths - Subpaths of flat [x0, y0, x1, y1, ...] points
+     * @private
+     */
+    tracePath(subpaths) {
+        const ctx = this.ctx;
+        ctx.beginPath();
+
+        for (const { points, closed } of subpaths) {
+            ctx.moveTo(points[0], points[1]);
+            for (let i = 2; i < points.length; i += 2) {
+                ctx.lineTo(points[i], points[i + 1]);
+            }
+            if (closed) {
+                ctx.closePath();
+            }
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Canvas2DRenderer;
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.Canvas2DRenderer = Canvas2DRenderer;
+}
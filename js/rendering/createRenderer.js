@@ -0,0 +1,59 @@
+/**
+ * Renderer factory - Picks a rendering backend for a canvas
+ * 'auto' prefers batched WebGL and falls back to Canvas 2D when WebGL is
+ * missing or its shaders fail; 'null' records draw commands without drawing.
+ */
+
+const isCommonJS = typeof require === 'function';
+const Canvas2DRenderer = isCommonJS ? require('./canvas2dRenderer.js') : window.Canvas2DRenderer;
+const WebGLRenderer = isCommonJS ? require('./webglRenderer.js') : window.WebGLRenderer;
+const NullRenderer = isCommonJS ? require('./nullRenderer.js') : window.NullRenderer;
+
+/**
+ * Backend names accepted by createRenderer
+ * @type {string[]}
+ */
+const RENDER_BACKENDS = ['auto', 'webgl', 'canvas2d', 'null'];
+
+/**
+ * Create a renderer for a canvas
+ * @param {HTMLCanvasElement} canvas - Canvas to draw into
+ * @param {Object} options - Renderer options, passed on to the backend
+ * @param {string} options.backend - Backend name from RENDER_BACKENDS
+ * @returns {Renderer} Renderer for the requested backend, or Canvas 2D if it is unavailable
+ */
+function createRenderer(canvas, options = {}) {
+    let backend = options.backend || 'auto';
+    if (!RENDER_BACKENDS.includes(backend)) {
+        console.error(`createRenderer: Unknown backend "${backend}", using auto`);
+        backend = 'auto';
+    }
+
+    if (backend === 'null') {
+        return new NullRenderer({ width: canvas.width, height: canvas.height, ...options });
+    }
+
+    // Probe first: once the real canvas has a WebGL context it can no longer fall back to 2D
+    if (backend !== 'canvas2d' && WebGLRenderer.isSupported()) {
+        try {
+            return new WebGLRenderer(canvas, options);
+        } catch (error) {
+            console.warn('createRenderer: WebGL renderer failed, falling back to Canvas 2D:', error);
+        }
+    } else if (backend === 'webgl') {
+        console.warn('createRenderer: WebGL is not supported, falling back to Canvas 2D');
+    }
+
+    return new Canvas2DRenderer(canvas, options);
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createRenderer, RENDER_BACKENDS };
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.createRenderer = createRenderer;
+    window.RENDER_BACKENDS = RENDER_BACKENDS;
+}
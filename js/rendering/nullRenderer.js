@@ -0,0 +1,67 @@
+/**
+ * Null Renderer - Records draw commands instead of drawing them
+ * Lets Node tests and tools render a frame and assert against what would have
+ * been drawn: which commands, on which layer, with what text and state.
+ */
+
+const { Renderer } = typeof require === 'function'
+    ? require('./renderer.js')
+    : window;
+
+class NullRenderer extends Renderer {
+    /**
+     * @param {Object} config - Renderer configuration (see Renderer)
+     */
+    constructor(config = {}) {
+        super(config);
+        this.backend = 'null';
+        this.commands = [];
+    }
+
+    /**
+     * Start a frame; commands from the previous frame are dropped
+     */
+    begin() {
+        super.begin();
+        this.commands = [];
+    }
+
+    /**
+     * Keep a layer's commands for inspection
+     * @param {Object[]} commands - Recorded commands in call order
+     */
+    flush(commands) {
+        this.commands.push(...commands);
+        this.stats.drawCalls += commands.length;
+    }
+
+    /**
+     * Get the commands drawn since the last begin(), in draw order
+     * @param {Object} filter - Optional { type, layer } to match
+     * @returns {Object[]} Matching commands
+     */
+    getCommands(filter = {}) {
+        return this.commands.filter(command =>
+            (!filter.type || command.type === filter.type) &&
+            (!filter.layer || command.layer === filter.layer));
+    }
+
+    /**
+     * Get every string drawn since the last begin()
+     * @param {string} layer - Only text on this layer (optional)
+     * @returns {string[]} Text in draw order
+     */
+    getText(layer) {
+        return this.getCommands({ type: 'text', layer }).map(command => command.text);
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NullRenderer;
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.NullRenderer = NullRenderer;
+}
@@ -0,0 +1,385 @@
+/**
+ * Renderer - Backend-independent drawing surface
+ * Exposes the subset of the canvas 2D API the game draws with (style
+ * properties, rects, simple paths, images, text, save/restore and
+ * transforms), plus layers and blend modes. Draw calls are recorded as
+ * commands into per-layer queues between begin() and end(); end() hands each
+ * layer's commands, in layer order, to the backend's flush().
+ */
+
+/**
+ * Layers in draw order; later layers always draw over earlier ones
+ * @type {string[]}
+ */
+const RENDER_LAYERS = ['background', 'world', 'effects', 'ui', 'overlay'];
+
+/**
+ * Supported blend modes
+ * @type {Object<string, string>}
+ */
+const BLEND_MODES = {
+    NORMAL: 'normal',
+    ADDITIVE: 'additive'
+};
+
+const IDENTITY_TRANSFORM = [1, 0, 0, 1, 0, 0];
+
+// Straight segments per full circle when arcs are turned into points
+const ARC_SEGMENTS = 32;
+
+class Renderer {
+    /**
+     * @param {Object} config - Renderer configuration
+     * @param {number} config.width - Drawing surface width in game pixels
+     * @param {number} config.height - Drawing surface height in game pixels
+     * @param {number} config.pixelRatio - Backing store pixels per game pixel (above 1 on high-DPI screens)
+     */
+    constructor(config = {}) {
+        this.backend = 'base';
+        this.width = config.width || 800;
+        this.height = config.height || 600;
+        this.pixelRatio = config.pixelRatio || 1;
+
+        this.queues = new Map(RENDER_LAYERS.map(layer => [layer, []]));
+        this.stats = { frames: 0, commands: 0, drawCalls: 0 };
+
+        this.begin();
+    }
+
+    /**
+     * Reset drawing state to canvas defaults
+     */
+    resetState() {
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.font = '10px sans-serif';
+        this.textAlign = 'left';
+        this.globalAlpha = 1;
+        this.blendMode = BLEND_MODES.NORMAL;
+        this.shadowColor = 'rgba(0, 0, 0, 0)';
+        this.shadowBlur = 0;
+        this.transform = IDENTITY_TRANSFORM;
+    }
+
+    /**
+     * Start a frame: discard unflushed commands and reset state
+     */
+    begin() {
+        for (const queue of this.queues.values()) {
+            queue.length = 0;
+        }
+        this.layer = 'world';
+        this.stack = [];
+        this.path = [];
+        this.resetState();
+    }
+
+    /**
+     * Finish a frame: draw every layer's commands in layer order
+     * @returns {number} Commands drawn
+     */
+    end() {
+        let drawn = 0;
+        this.stats.drawCalls = 0;
+
+        for (const layer of RENDER_LAYERS) {
+            const queue = this.queues.get(layer);
+            if (queue.length === 0) continue;
+
+            this.flush(queue, layer);
+            drawn += queue.length;
+            queue.length = 0;
+        }
+
+        this.stats.frames++;
+        this.stats.commands = drawn;
+        return drawn;
+    }
+
+    /**
+     * Draw a layer's commands; implemented by each backend
+     * @param {Object[]} commands - Recorded commands in call order
+     * @param {string} layer - Layer the commands belong to
+     */
+    flush(commands, layer) {
+        throw new Error(`${this.constructor.name} does not implement flush()`);
+    }
+
+    /**
+     * Choose the layer following draw calls are recorded into
+     * @param {string} layer - Layer name from RENDER_LAYERS
+     */
+    setLayer(layer) {
+        if (!this.queues.has(layer)) {
+            console.error(`Renderer: Unknown layer: ${layer}`);
+            return;
+        }
+        this.layer = layer;
+    }
+
+    /**
+     * Push the drawing state; restore() pops it
+     */
+    save() {
+        this.stack.push({
+            fillStyle: this.fillStyle,
+            strokeStyle: this.strokeStyle,
+            lineWidth: this.lineWidth,
+            lineCap: this.lineCap,
+            font: this.font,
+            textAlign: this.textAlign,
+            globalAlpha: this.globalAlpha,
+            blendMode: this.blendMode,
+            shadowColor: this.shadowColor,
+            shadowBlur: this.shadowBlur,
+            transform: this.transform
+        });
+    }
+
+    /**
+     * Pop the drawing state pushed by the matching save()
+     */
+    restore() {
+        const state = this.stack.pop();
+        if (state) {
+            Object.assign(this, state);
+        }
+    }
+
+    /**
+     * Move the origin
+     * @param {number} x - Horizontal offset
+     * @param {number} y - Vertical offset
+     */
+    translate(x, y) {
+        const [a, b, c, d, e, f] = this.transform;
+        this.transform = [a, b, c, d, e + a * x + c * y, f + b * x + d * y];
+    }
+
+    /**
+     * Rotate around the origin
+     * @param {number} angle - Clockwise rotation in radians
+     */
+    rotate(angle) {
+        if (!angle) return;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const [a, b, c, d, e, f] = this.transform;
+        this.transform = [a * cos + c * sin, b * cos + d * sin, c * cos - a * sin, d * cos - b * sin, e, f];
+    }
+
+    /**
+     * Scale around the origin
+     * @param {number} x - Horizontal factor
+     * @param {number} y - Vertical factor
+     */
+    scale(x, y) {
+        const [a, b, c, d, e, f] = this.transform;
+        this.transform = [a * x, b * x, c * y, d * y, e, f];
+    }
+
+    /**
+     * Fill the whole surface, ignoring the transform
+     * @param {string} color - CSS color
+     */
+    clear(color) {
+        this.record({ type: 'clear', color, transform: IDENTITY_TRANSFORM });
+    }
+
+    /**
+     * Fill a rectangle with fillStyle
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} width - Width
+     * @param {number} height - Height
+     */
+    fillRect(x, y, width, height) {
+        this.record({ type: 'rect', x, y, width, height, color: this.fillStyle });
+    }
+
+    /**
+     * Outline a rectangle with strokeStyle and lineWidth
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} width - Width
+     * @param {number} height - Height
+     */
+    strokeRect(x, y, width, height) {
+        this.record({ type: 'strokeRect', x, y, width, height, color: this.strokeStyle, lineWidth: this.lineWidth });
+    }
+
+    /**
+     * Draw text with fillStyle, font and textAlign; y is the baseline
+     * @param {string} text - Text to draw
+     * @param {number} x - Anchor x, interpreted through textAlign
+     * @param {number} y - Baseline y
+     */
+    fillText(text, x, y) {
+        this.record({
+            type: 'text', text: String(text), x, y, color: this.fillStyle, font: this.font, align: this.textAlign
+        });
+    }
+
+    /**
+     * Draw an image or part of one; takes the 3, 5 and 9 argument forms of
+     * CanvasRenderingContext2D.drawImage
+     * @param {CanvasImageSource} image - Image, canvas or atlas
+     */
+    drawImage(image, ...args) {
+        const imageWidth = image.naturalWidth || image.width;
+        const imageHeight = image.naturalHeight || image.height;
+        let source = [0, 0, imageWidth, imageHeight];
+        let target;
+
+        if (args.length === 8) {
+            source = args.slice(0, 4);
+            target = args.slice(4);
+        } else if (args.length === 4) {
+            target = args;
+        } else {
+            target = [args[0], args[1], imageWidth, imageHeight];
+        }
+
+        const [sx, sy, sw, sh] = source;
+        const [x, y, width, height] = target;
+        this.record({ type: 'image', image, sx, sy, sw, sh, x, y, width, height });
+    }
+
+    /**
+     * Start a new path
+     */
+    beginPath() {
+        this.path = [];
+    }
+
+    /**
+     * Start a new subpath at a point
+     * @param {number} x - Point x
+     * @param {number} y - Point y
+     */
+    moveTo(x, y) {
+        this.path.push({ points: [x, y], closed: false });
+    }
+
+    /**
+     * Extend the current subpath with a straight line
+     * @param {number} x - Point x
+     * @param {number} y - Point y
+     */
+    lineTo(x, y) {
+        const subpath = this.path[this.path.length - 1];
+        if (!subpath || subpath.closed) {
+            this.moveTo(x, y);
+            return;
+        }
+        subpath.points.push(x, y);
+    }
+
+    /**
+     * Add an arc to the path as straight segments
+     * @param {number} x - Centre x
+     * @param {number} y - Centre y
+     * @param {number} radius - Radius
+     * @param {number} startAngle - Start angle in radians
+     * @param {number} endAngle - End angle in radians
+     */
+    arc(x, y, radius, startAngle, endAngle) {
+        const sweep = endAngle - startAngle;
+        const segments = Math.max(2, Math.ceil(Math.abs(sweep) / (Math.PI * 2) * ARC_SEGMENTS));
+
+        for (let i = 0; i <= segments; i++) {
+            const angle = startAngle + sweep * i / segments;
+            this.lineTo(x + Math.cos(angle) * radius, y + Math.sin(angle) * radius);
+        }
+    }
+
+    /**
+     * Close the current subpath back to its first point
+     */
+    closePath() {
+        const subpath = this.path[this.path.length - 1];
+        if (subpath) {
+            subpath.closed = true;
+        }
+    }
+
+    /**
+     * Fill the current path with fillStyle; subpaths are treated as convex polygons
+     */
+    fill() {
+        const subpaths = this.path.filter(subpath => subpath.points.length >= 6);
+        if (subpaths.length === 0) return;
+        this.record({ type: 'fillPath', subpaths, color: this.fillStyle });
+    }
+
+    /**
+     * Outline the current path with strokeStyle and lineWidth
+     */
+    stroke() {
+        const subpaths = this.path.filter(subpath => subpath.points.length >= 4);
+        if (subpaths.length === 0) return;
+        this.record({
+            type: 'strokePath', subpaths, color: this.strokeStyle, lineWidth: this.lineWidth, lineCap: this.lineCap
+        });
+    }
+
+    /**
+     * Queue a command with the current state attached
+     * @param {Object} command - Command type and geometry
+     * @protected
+     */
+    record(command) {
+        command.layer = this.layer;
+        command.alpha = this.globalAlpha;
+        command.blend = this.blendMode;
+        command.shadowColor = this.shadowColor;
+        command.shadowBlur = this.shadowBlur;
+        if (!command.transform) {
+            // Transforms are replaced, never mutated, so commands can share them
+            command.transform = this.transform;
+        }
+
+        this.queues.get(this.layer).push(command);
+    }
+
+    /**
+     * Match the drawing surface to a new canvas size
+     * @param {number} width - Width in game pixels
+     * @param {number} height - Height in game pixels
+     * @param {number} pixelRatio - Backing store pixels per game pixel
+     */
+    resize(width, height, pixelRatio = this.pixelRatio) {
+        this.width = width;
+        this.height = height;
+        this.pixelRatio = pixelRatio;
+    }
+
+    /**
+     * Get renderer statistics for debugging
+     * @returns {Object} Backend name, frames drawn and the last frame's command and draw call counts
+     */
+    getStats() {
+        return { backend: this.backend, ...this.stats };
+    }
+
+    /**
+     * Release backend resources
+     */
+    destroy() {
+        this.begin();
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Renderer, RENDER_LAYERS, BLEND_MODES };
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.Renderer = Renderer;
+    window.RENDER_LAYERS = RENDER_LAYERS;
+    window.BLEND_MODES = BLEND_MODES;
+}
@@ -0,0 +1,554 @@
+/**
+ * WebGL Renderer - Draws recorded commands as batched textured triangles
+ * Every command becomes triangles in one shared vertex buffer: solid shapes
+ * sample a 1x1 white texture, images sample their own texture and text is
+ * rasterized once per font and string into a cached texture. A batch is only
+ * drawn when the texture or blend mode changes or the buffer fills, so a
+ * screen of bullets and particles costs a handful of draw calls.
+ * Glow (shadow blur) is not supported and is skipped.
+ */
+
+const { Renderer, BLEND_MODES } = typeof require === 'function'
+    ? require('./renderer.js')
+    : window;
+
+const VERTEX_SHADER = `
+attribute vec2 a_position;
+attribute vec2 a_texCoord;
+attribute vec4 a_color;
+uniform vec2 u_resolution;
+varying vec2 v_texCoord;
+varying vec4 v_color;
+
+void main() {
+    vec2 clip = a_position / u_resolution * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+    v_texCoord = a_texCoord;
+    v_color = a_color;
+}`;
+
+const FRAGMENT_SHADER = `
+precision mediump float;
+uniform sampler2D u_texture;
+varying vec2 v_texCoord;
+varying vec4 v_color;
+
+void main() {
+    gl_FragColor = texture2D(u_texture, v_texCoord) * v_color;
+}`;
+
+// x, y, u, v as floats plus one packed RGBA color
+const FLOATS_PER_VERTEX = 5;
+const VERTEX_BYTES = FLOATS_PER_VERTEX * 4;
+const VERTICES_PER_QUAD = 6;
+
+const CONTEXT_OPTIONS = { alpha: false, antialias: false, premultipliedAlpha: false };
+
+/**
+ * Compile and link the batch shader program
+ * @param {WebGLRenderingContext} gl - WebGL context
+ * @returns {WebGLProgram} Linked program
+ */
+function createProgram(gl) {
+    const compile = (type, source) => {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            const log = gl.getShaderInfoLog(shader);
+            gl.deleteShader(shader);
+            throw new Error(`Shader failed to compile: ${log}`);
+        }
+        return shader;
+    };
+
+    const program = gl.createProgram();
+    gl.attachShader(program, compile(gl.VERTEX_SHADER, VERTEX_SHADER));
+    gl.attachShader(program, compile(gl.FRAGMENT_SHADER, FRAGMENT_SHADER));
+    gl.linkProgram(program);
+
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        throw new Error(`Shader program failed to link: ${gl.getProgramInfoLog(program)}`);
+    }
+    return program;
+}
+
+class WebGLRenderer extends Renderer {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to draw into
+     * @param {Object} config - Renderer configuration (see Renderer)
+     * @param {number} config.maxBatchSize - Quads per draw call before the batch is drawn early
+     * @param {number} config.textCacheSize - Rasterized strings kept as textures
+     */
+    constructor(canvas, config = {}) {
+        super({ width: canvas.width, height: canvas.height, ...config });
+        this.backend = 'webgl';
+        this.canvas = canvas;
+        this.maxBatchSize = config.maxBatchSize || 2048;
+        this.textCacheSize = config.textCacheSize || 128;
+
+        this.gl = canvas.getContext('webgl', CONTEXT_OPTIONS);
+        if (!this.gl) {
+            throw new Error('WebGL is not available');
+        }
+
+        // One buffer seen as floats for positions and texture coordinates, and as uint32 for colors
+        const vertexData = new ArrayBuffer(this.maxBatchSize * VERTICES_PER_QUAD * VERTEX_BYTES);
+        this.vertexFloats = new Float32Array(vertexData);
+        this.vertexColors = new Uint32Array(vertexData);
+        this.vertexCount = 0;
+        this.batchTexture = null;
+        this.batchBlend = BLEND_MODES.NORMAL;
+
+        // 2D context used to normalize CSS colors and rasterize text
+        this.scratch = document.createElement('canvas').getContext('2d');
+        this.colorCache = new Map();
+
+        this.initialize();
+
+        this.contextLost = false;
+        this.onContextLost = (event) => {
+            event.preventDefault();
+            this.contextLost = true;
+        };
+        this.onContextRestored = () => {
+            this.initialize();
+            this.contextLost = false;
+        };
+        canvas.addEventListener('webglcontextlost', this.onContextLost);
+        canvas.addEventListener('webglcontextrestored', this.onContextRestored);
+    }
+
+    /**
+     * Check whether WebGL works here, on a throwaway canvas; a canvas that
+     * once had a WebGL context can never get a 2D one
+     * @returns {boolean} True if the batch shaders compile and link
+     */
+    static isSupported() {
+        try {
+            const gl = document.createElement('canvas').getContext('webgl', CONTEXT_OPTIONS);
+            if (!gl) return false;
+
+            createProgram(gl);
+            const loseContext = gl.getExtension('WEBGL_lose_context');
+            if (loseContext) loseContext.loseContext();
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Create GPU resources; runs again after a lost context is restored
+     * @private
+     */
+    initialize() {
+        const gl = this.gl;
+
+        this.program = createProgram(gl);
+        gl.useProgram(this.program);
+        this.resolutionLocation = gl.getUniformLocation(this.program, 'u_resolution');
+
+        this.buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, this.vertexFloats.byteLength, gl.DYNAMIC_DRAW);
+
+        const attribute = (name, size, type, normalized, offset) => {
+            const location = gl.getAttribLocation(this.program, name);
+            gl.enableVertexAttribArray(location);
+            gl.vertexAttribPointer(location, size, type, normalized, VERTEX_BYTES, offset);
+        };
+        attribute('a_position', 2, gl.FLOAT, false, 0);
+        attribute('a_texCoord', 2, gl.FLOAT, false, 8);
+        attribute('a_color', 4, gl.UNSIGNED_BYTE, true, 16);
+
+        gl.enable(gl.BLEND);
+        gl.disable(gl.DEPTH_TEST);
+
+        // Textures belonged to the old context, so everything is uploaded again on demand
+        this.textures = new WeakMap();
+        this.textCache = new Map();
+        this.batchTexture = null;
+        this.vertexCount = 0;
+        this.whiteTexture = this.createTexture(new Uint8Array([255, 255, 255, 255]));
+    }
+
+    /**
+     * Create a texture from an image source, or a 1x1 texture from raw pixels
+     * @param {CanvasImageSource|Uint8Array} source - Image to upload
+     * @param {boolean} smooth - Use linear filtering (text) rather than nearest (pixel art)
+     * @returns {WebGLTexture} Texture
+     * @private
+     */
+    createTexture(source, smooth = false) {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        const filter = smooth ? gl.LINEAR : gl.NEAREST;
+
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        if (source instanceof Uint8Array) {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, source);
+        } else {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+        }
+
+        // Atlases are not power-of-two sized, which WebGL 1 only samples without mipmaps or wrapping
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return texture;
+    }
+
+    /**
+     * Get the texture for an image, uploading it on first use
+     * @param {CanvasImageSource} image - Image or atlas canvas
+     * @returns {WebGLTexture} Texture
+     * @private
+     */
+    getTexture(image) {
+        let texture = this.textures.get(image);
+        if (!texture) {
+            texture = this.createTexture(image);
+            this.textures.set(image, texture);
+        }
+        return texture;
+    }
+
+    /**
+     * Get a string rasterized in white, to be tinted by the vertex color
+     * Least recently used strings are evicted once the cache is full.
+     * @param {string} text - Text to rasterize
+     * @param {string} font - CSS font
+     * @returns {Object} { texture, width, height, ascent }
+     * @private
+     */
+    getTextTexture(text, font) {
+        const key = `${font}\n${text}`;
+        let entry = this.textCache.get(key);
+
+        if (entry) {
+            // Re-insert so Map order tracks recency
+            this.textCache.delete(key);
+            this.textCache.set(key, entry);
+            return entry;
+        }
+
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        ctx.font = font;
+        const metrics = ctx.measureText(text);
+        const fontSize = parseFloat(font) || 10;
+        const ascent = Math.ceil(metrics.actualBoundingBoxAscent || fontSize);
+        const descent = Math.ceil(metrics.actualBoundingBoxDescent || fontSize * 0.25);
+        const width = Math.max(1, Math.ceil(metrics.width) + 2);
+        const height = ascent + descent + 2;
+
+        // One pixel of padding keeps antialiased edges from being clipped; the
+        // texture is rasterized at the backing store's density so text stays sharp
+        canvas.width = Math.ceil(width * this.pixelRatio);
+        canvas.height = Math.ceil(height * this.pixelRatio);
+        ctx.scale(this.pixelRatio, this.pixelRatio);
+        ctx.font = font;
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(text, 1, ascent + 1);
+
+        entry = {
+            texture: this.createTexture(canvas, true),
+            width,
+            height,
+            ascent: ascent + 1
+        };
+        this.textCache.set(key, entry);
+
+        if (this.textCache.size > this.textCacheSize) {
+            const [oldestKey, oldest] = this.textCache.entries().next().value;
+            this.textCache.delete(oldestKey);
+            // The batch may still reference it
+            if (this.batchTexture === oldest.texture) this.flushBatch();
+            this.gl.deleteTexture(oldest.texture);
+        }
+        return entry;
+    }
+
+    /**
+     * Convert a CSS color and opacity to a packed RGBA vertex color
+     * @param {string} color - Any CSS color
+     * @param {number} alpha - Extra opacity (0-1)
+     * @returns {number} Color packed little-endian as ABGR
+     * @private
+     */
+    packColor(color, alpha) {
+        let rgba = this.colorCache.get(color);
+
+        if (!rgba) {
+            // The 2D context normalizes any CSS color to #rrggbb or rgba(r, g, b, a)
+            this.scratch.fillStyle = '#000000';
+            this.scratch.fillStyle = color;
+            const normalized = this.scratch.fillStyle;
+
+            if (normalized[0] === '#') {
+                rgba = [1, 3, 5].map(offset => parseInt(normalized.slice(offset, offset + 2), 16));
+                rgba.push(1);
+            } else {
+                rgba = normalized.slice(normalized.indexOf('(') + 1, -1).split(',').map(Number);
+            }
+
+            if (this.colorCache.size > 512) this.colorCache.clear();
+            this.colorCache.set(color, rgba);
+        }
+
+        const a = Math.round(Math.max(0, Math.min(1, rgba[3] * alpha)) * 255);
+        return ((a << 24) | (rgba[2] << 16) | (rgba[1] << 8) | rgba[0]) >>> 0;
+    }
+
+    /**
+     * Draw a layer's commands into the batch
+     * @param {Object[]} commands - Recorded commands in call order
+     */
+    flush(commands) {
+        if (this.contextLost) return;
+
+        const gl = this.gl;
+        gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+        gl.uniform2f(this.resolutionLocation, this.width, this.height);
+
+        for (const command of commands) {
+            this.drawCommand(command);
+        }
+        this.flushBatch();
+    }
+
+    /**
+     * Turn one command into triangles
+     * @param {Object} command - Recorded command
+     * @private
+     */
+    drawCommand(command) {
+        const { transform, alpha, blend } = command;
+
+        switch (command.type) {
+            case 'clear':
+                this.pushRect(transform, this.whiteTexture, blend, 0, 0, this.width, this.height,
+                    this.packColor(command.color, alpha));
+                break;
+
+            case 'rect':
+                this.pushRect(transform, this.whiteTexture, blend, command.x, command.y, command.width, command.height,
+                    this.packColor(command.color, alpha));
+                break;
+
+            case 'strokeRect': {
+                const { x, y, width, height, lineWidth } = command;
+                const color = this.packColor(command.color, alpha);
+                const half = lineWidth / 2;
+                // Edges are centred on the outline, as the canvas strokes them
+                this.pushRect(transform, this.whiteTexture, blend, x - half, y - half, width + lineWidth, lineWidth, color);
+                this.pushRect(transform, this.whiteTexture, blend, x - half, y + height - half, width + lineWidth, lineWidth, color);
+                this.pushRect(transform, this.whiteTexture, blend, x - half, y + half, lineWidth, height - lineWidth, color);
+                this.pushRect(transform, this.whiteTexture, blend, x + width - half, y + half, lineWidth, height - lineWidth, color);
+                break;
+            }
+
+            case 'image': {
+                const image = command.image;
+                const imageWidth = image.naturalWidth || image.width;
+                const imageHeight = image.naturalHeight || image.height;
+                this.pushRect(transform, this.getTexture(image), blend,
+                    command.x, command.y, command.width, command.height, this.packColor('#ffffff', alpha),
+                    command.sx / imageWidth, command.sy / imageHeight,
+                    (command.sx + command.sw) / imageWidth, (command.sy + command.sh) / imageHeight);
+                break;
+            }
+
+            case 'text': {
+                const entry = this.getTextTexture(command.text, command.font);
+                let x = command.x - 1;
+                if (command.align === 'center') x -= (entry.width - 2) / 2;
+                else if (command.align === 'right' || command.align === 'end') x -= entry.width - 2;
+
+                this.pushRect(transform, entry.texture, blend, x, command.y - entry.ascent, entry.width, entry.height,
+                    this.packColor(command.color, alpha));
+                break;
+            }
+
+            case 'fillPath': {
+                const color = this.packColor(command.color, alpha);
+                // Triangle fan from the first point; the game only fills convex shapes
+                for (const { points } of command.subpaths) {
+                    for (let i = 2; i + 3 < points.length; i += 2) {
+                        this.pushTriangle(transform, blend, color,
+                            points[0], points[1], points[i], points[i + 1], points[i + 2], points[i + 3]);
+                    }
+                }
+                break;
+            }
+
+            case 'strokePath': {
+                const color = this.packColor(command.color, alpha);
+                const extend = command.lineCap === 'butt' ? 0 : command.lineWidth / 2;
+                for (const { points, closed } of command.subpaths) {
+                    for (let i = 0; i + 3 < points.length; i += 2) {
+                        this.pushLine(transform, blend, color, command.lineWidth, extend,
+                            points[i], points[i + 1], points[i + 2], points[i + 3]);
+                    }
+                    if (closed) {
+                        const last = points.length - 2;
+                        this.pushLine(transform, blend, color, command.lineWidth, extend,
+                            points[last], points[last + 1], points[0], points[1]);
+                    }
+                }
+                break;
+            }
+
+            default:
+                console.error(`WebGLRenderer: Unknown command type: ${command.type}`);
+        }
+    }
+
+    /**
+     * Make room for vertices that use a texture and blend mode, drawing the
+     * current batch first if they cannot join it
+     * @param {WebGLTexture} texture - Texture the vertices sample
+     * @param {string} blend - Blend mode from BLEND_MODES
+     * @param {number} count - Vertices about to be added
+     * @private
+     */
+    prepareBatch(texture, blend, count) {
+        const capacity = this.maxBatchSize * VERTICES_PER_QUAD;
+        if (texture !== this.batchTexture || blend !== this.batchBlend || this.vertexCount + count > capacity) {
+            this.flushBatch();
+            this.batchTexture = texture;
+            this.batchBlend = blend;
+        }
+    }
+
+    /**
+     * Append one vertex, applying the command's transform
+     * @private
+     */
+    pushVertex(transform, x, y, u, v, color) {
+        const offset = this.vertexCount * FLOATS_PER_VERTEX;
+        this.vertexFloats[offset] = transform[0] * x + transform[2] * y + transform[4];
+        this.vertexFloats[offset + 1] = transform[1] * x + transform[3] * y + transform[5];
+        this.vertexFloats[offset + 2] = u;
+        this.vertexFloats[offset + 3] = v;
+        this.vertexColors[offset + 4] = color;
+        this.vertexCount++;
+    }
+
+    /**
+     * Append an axis-aligned (before transform) textured rectangle as two triangles
+     * @private
+     */
+    pushRect(transform, texture, blend, x, y, width, height, color, u0 = 0, v0 = 0, u1 = 1, v1 = 1) {
+        this.prepareBatch(texture, blend, VERTICES_PER_QUAD);
+        const right = x + width;
+        const bottom = y + height;
+
+        this.pushVertex(transform, x, y, u0, v0, color);
+        this.pushVertex(transform, right, y, u1, v0, color);
+        this.pushVertex(transform, x, bottom, u0, v1, color);
+        this.pushVertex(transform, right, y, u1, v0, color);
+        this.pushVertex(transform, right, bottom, u1, v1, color);
+        this.pushVertex(transform, x, bottom, u0, v1, color);
+    }
+
+    /**
+     * Append a solid triangle
+     * @private
+     */
+    pushTriangle(transform, blend, color, x1, y1, x2, y2, x3, y3) {
+        this.prepareBatch(this.whiteTexture, blend, 3);
+        this.pushVertex(transform, x1, y1, 0, 0, color);
+        this.pushVertex(transform, x2, y2, 0, 0, color);
+        this.pushVertex(transform, x3, y3, 0, 0, color);
+    }
+
+    /**
+     * Append a line segment as a quad lineWidth wide, optionally extended past its ends
+     * @private
+     */
+    pushLine(transform, blend, color, lineWidth, extend, x1, y1, x2, y2) {
+        const length = Math.hypot(x2 - x1, y2 - y1);
+        if (length === 0) return;
+
+        const dx = (x2 - x1) / length;
+        const dy = (y2 - y1) / length;
+        const nx = -dy * lineWidth / 2;
+        const ny = dx * lineWidth / 2;
+        const sx = x1 - dx * extend;
+        const sy = y1 - dy * extend;
+        const ex = x2 + dx * extend;
+        const ey = y2 + dy * extend;
+
+        this.pushTriangle(transform, blend, color, sx + nx, sy + ny, ex + nx, ey + ny, sx - nx, sy - ny);
+        this.pushTriangle(transform, blend, color, ex + nx, ey + ny, ex - nx, ey - ny, sx - nx, sy - ny);
+    }
+
+    /**
+     * Draw the batched vertices in one call
+     * @private
+     */
+    flushBatch() {
+        if (this.vertexCount === 0) return;
+
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, this.batchTexture);
+        if (this.batchBlend === BLEND_MODES.ADDITIVE) {
+            gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
+        } else {
+            gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+        }
+
+        gl.bufferSubData(gl.ARRAY_BUFFER, 0, this.vertexFloats.subarray(0, this.vertexCount * FLOATS_PER_VERTEX));
+        gl.drawArrays(gl.TRIANGLES, 0, this.vertexCount);
+
+        this.stats.drawCalls++;
+        this.vertexCount = 0;
+    }
+
+    /**
+     * Match a new canvas size; cached text is dropped when the pixel density changes
+     * @param {number} width - Width in game pixels
+     * @param {number} height - Height in game pixels
+     * @param {number} pixelRatio - Backing store pixels per game pixel
+     */
+    resize(width, height, pixelRatio = this.pixelRatio) {
+        if (pixelRatio !== this.pixelRatio && !this.contextLost) {
+            for (const entry of this.textCache.values()) {
+                this.gl.deleteTexture(entry.texture);
+            }
+            this.textCache.clear();
+        }
+        super.resize(width, height, pixelRatio);
+    }
+
+    /**
+     * Release GPU resources and context listeners
+     */
+    destroy() {
+        super.destroy();
+        this.canvas.removeEventListener('webglcontextlost', this.onContextLost);
+        this.canvas.removeEventListener('webglcontextrestored', this.onContextRestored);
+
+        const gl = this.gl;
+        for (const entry of this.textCache.values()) {
+            gl.deleteTexture(entry.texture);
+        }
+        this.textCache.clear();
+        gl.deleteTexture(this.whiteTexture);
+        gl.deleteBuffer(this.buffer);
+        gl.deleteProgram(this.program);
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WebGLRenderer;
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.WebGLRenderer = WebGLRenderer;
+}
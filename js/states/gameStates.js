@@ -0,0 +1,196 @@
+/**
+ * Game States - Flow of a run from title screen to high score entry
+ * Each state owns its update, render and input handling; Game registers
+ * them on its StateMachine and only the listed transitions are legal
+ */
+
+const { INPUT_ACTIONS } = typeof require === 'function' ? require('../input/inputManager.js') : window;
+
+/**
+ * Game state names
+ * @readonly
+ * @enum {string}
+ */
+const GAME_STATES = Object.freeze({
+    LOADING: 'loading',
+    TITLE: 'title',
+    WAVE_INTRO: 'waveIntro',
+    PLAYING: 'playing',
+    PAUSED: 'paused',
+    WAVE_CLEAR: 'waveClear',
+    PLAYER_DEATH: 'playerDeath',
+    GAME_OVER: 'gameOver',
+    NAME_ENTRY: 'nameEntry'
+});
+
+/**
+ * Register every game state on the game's state machine
+ * @param {Game} game - Game whose systems the states drive
+ */
+function registerGameStates(game) {
+    const machine = game.stateMachine;
+    const S = GAME_STATES;
+
+    // Count down the current state's timer and move on when it runs out
+    const countDown = (state, deltaTime, next) => {
+        game.stateTimer -= deltaTime;
+        if (game.stateTimer <= 0 && machine.is(state)) {
+            next();
+        }
+    };
+
+    const pauseOnInput = (event) => {
+        if (event.action === INPUT_ACTIONS.PAUSE) {
+            game.pause();
+        }
+    };
+
+    machine.addState(S.LOADING, {
+        transitions: [S.TITLE],
+        render: () => game.renderLoadingScreen()
+    });
+
+    machine.addState(S.TITLE, {
+        // A continued run resumes in whichever state it was saved in
+        transitions: [S.WAVE_INTRO, S.PLAYING, S.WAVE_CLEAR, S.PLAYER_DEATH],
+        enter: () => {
+            game.titleMenuIndex = 0;
+        },
+        render: () => game.renderStartScreen(),
+        handleInput: (event) => game.handleTitleInput(event)
+    });
+
+    machine.addState(S.WAVE_INTRO, {
+        transitions: [S.PLAYING, S.PAUSED, S.PLAYER_DEATH],
+        enter: (previous, data) => {
+            if (!data.resumed) {
+                game.stateTimer = game.settings.waveIntroDuration;
+                game.bunkerSystem.prepareWave(game.currentWave + 1);
+            }
+        },
+        update: (deltaTime) => {
+            game.updateWorld(deltaTime);
+            countDown(S.WAVE_INTRO, deltaTime, () => machine.transition(S.PLAYING, { newWave: true }));
+        },
+        render: () => {
+            game.renderPlayfield();
+            game.renderBanner(`WAVE ${game.currentWave + 1}`, 'Get ready!');
+        },
+        handleInput: pauseOnInput
+    });
+
+    machine.addState(S.PLAYING, {
+        transitions: [S.PAUSED, S.WAVE_CLEAR, S.PLAYER_DEATH],
+        enter: (previous, data) => {
+            if (data.newWave) {
+                game.waveManager.startWave();
+            }
+        },
+        update: (deltaTime) => game.updateWorld(deltaTime),
+        render: () => game.renderPlayfield(),
+        handleInput: pauseOnInput
+    });
+
+    machine.addState(S.PAUSED, {
+        transitions: [S.WAVE_INTRO, S.PLAYING, S.WAVE_CLEAR, S.PLAYER_DEATH, S.TITLE],
+        enter: (previous) => {
+            game.resumeState = previous;
+            game.clock.pause();
+            game.sound.suspend();
+            game.openPauseMenu();
+            game.saveSnapshot();
+        },
+        exit: () => {
+            game.clock.resume();
+            game.sound.resume();
+            game.pauseMenu = null;
+        },
+        render: () => {
+            game.renderPlayfield();
+            game.renderPauseMenu();
+        },
+        handleInput: (event) => game.handlePauseMenuInput(event)
+    });
+
+    machine.addState(S.WAVE_CLEAR, {
+        transitions: [S.WAVE_INTRO, S.PAUSED, S.PLAYER_DEATH],
+        enter: (previous, data) => {
+            if (!data.resumed) {
+                game.stateTimer = game.settings.waveDelay;
+            }
+        },
+        update: (deltaTime) => {
+            game.updateWorld(deltaTime);
+            countDown(S.WAVE_CLEAR, deltaTime, () => machine.transition(S.WAVE_INTRO));
+        },
+        render: () => {
+            game.renderPlayfield();
+            game.renderBanner(`WAVE ${game.currentWave} CLEAR`);
+        },
+        handleInput: pauseOnInput
+    });
+
+    // With ships left the run carries on in the state the death interrupted
+    machine.addState(S.PLAYER_DEATH, {
+        transitions: [S.WAVE_INTRO, S.PLAYING, S.WAVE_CLEAR, S.PAUSED, S.GAME_OVER, S.NAME_ENTRY],
+        enter: (previous, data) => {
+            // Back from the pause menu or a continued run: the ship is already gone
+            if (data.resumed) return;
+
+            game.deathReturn = { state: previous, stateTimer: game.stateTimer };
+            game.destroyPlayer(data.cause);
+
+            if (game.livesSystem.hasLivesLeft()) {
+                game.stateTimer = game.settings.respawnDelay;
+            } else {
+                game.stateTimer = game.settings.deathDuration;
+                game.clearSnapshot();
+            }
+        },
+        update: (deltaTime) => {
+            // Enemies hold position while the explosion plays out
+            game.updateEffects(deltaTime);
+            countDown(S.PLAYER_DEATH, deltaTime, () => {
+                if (game.livesSystem.hasLivesLeft()) {
+                    const { state, stateTimer } = game.deathReturn;
+                    game.respawnPlayer();
+                    game.stateTimer = stateTimer;
+                    machine.transition(state, { resumed: true });
+                } else {
+                    game.finishRecording();
+                    machine.transition(game.qualifiesForHighScore(game.score) ? S.NAME_ENTRY : S.GAME_OVER);
+                }
+            });
+        },
+        render: () => game.renderPlayfield(),
+        handleInput: pauseOnInput
+    });
+
+    machine.addState(S.NAME_ENTRY, {
+        transitions: [S.GAME_OVER],
+        enter: () => game.beginNameEntry(),
+        render: () => game.renderNameEntry(),
+        handleInput: (event) => game.handleNameEntryInput(event)
+    });
+
+    machine.addState(S.GAME_OVER, {
+        transitions: [S.WAVE_INTRO],
+        render: () => game.renderGameOver(),
+        handleInput: (event) => {
+            if (event.action === INPUT_ACTIONS.SHOOT) {
+                game.start();
+            }
+        }
+    });
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GAME_STATES, registerGameStates };
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.GAME_STATES = GAME_STATES;
+    window.registerGameStates = registerGameStates;
+}
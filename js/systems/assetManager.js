@@ -0,0 +1,177 @@
+/**
+ * Asset Manager - Preloads sprite images and packs them into one atlas
+ * Images that fail to load are reported and skipped rather than failing the
+ * load, so anything drawn from a missing sprite keeps its rectangle fallback.
+ * Sprites are atlas frames: { image, x, y, width, height } source rectangles
+ * to pass to the nine-argument form of drawImage.
+ */
+
+/**
+ * Sprite files shipped in assets/sprites, keyed by sprite name
+ * @type {Object<string, string>}
+ */
+const SPRITE_MANIFEST = {
+    player: 'player.png',
+    enemy1: 'enemy1.png',
+    enemy2: 'enemy2.png',
+    bullet: 'bullet.png',
+    explosion: 'explosion.png'
+};
+
+class AssetManager {
+    /**
+     * @param {Object} config - Asset manager configuration
+     * @param {string} config.basePath - URL prefix for manifest entries
+     * @param {number} config.atlasWidth - Widest row the atlas packs before starting a new one
+     * @param {number} config.padding - Gap between packed images, avoiding filtering bleed
+     */
+    constructor(config = {}) {
+        this.basePath = config.basePath !== undefined ? config.basePath : 'assets/sprites/';
+        this.atlasWidth = config.atlasWidth || 1024;
+        this.padding = config.padding !== undefined ? config.padding : 1;
+
+        this.images = new Map();
+        this.sprites = new Map();
+        this.failed = [];
+        this.atlas = null;
+        this.progress = { loaded: 0, failed: 0, total: 0 };
+    }
+
+    /**
+     * Load every image in a manifest, then build the atlas
+     * @param {Object<string, string>} manifest - File names keyed by sprite name
+     * @param {Function} onProgress - Called with getProgress() after each image settles
+     * @returns {Promise<Object>} Resolves with { loaded, failed } sprite names; never rejects
+     */
+    loadAll(manifest = SPRITE_MANIFEST, onProgress = null) {
+        const entries = Object.entries(manifest);
+        this.progress = { loaded: 0, failed: 0, total: entries.length };
+
+        const loads = entries.map(([name, file]) => this.loadImage(this.basePath + file)
+            .then((image) => {
+                this.images.set(name, image);
+                this.progress.loaded++;
+            })
+            .catch((error) => {
+                console.warn(`AssetManager: ${error.message}; "${name}" falls back to shape rendering`);
+                this.failed.push(name);
+                this.progress.failed++;
+            })
+            .then(() => {
+                if (onProgress) onProgress(this.getProgress());
+            }));
+
+        return Promise.all(loads).then(() => {
+            this.buildAtlas();
+            return { loaded: [...this.images.keys()], failed: [...this.failed] };
+        });
+    }
+
+    /**
+     * Load one image
+     * @param {string} url - Image URL
+     * @returns {Promise<HTMLImageElement>} Resolves once the image has decoded
+     */
+    loadImage(url) {
+        return new Promise((resolve, reject) => {
+            if (typeof Image === 'undefined') {
+                reject(new Error(`Cannot load ${url} without an Image implementation`));
+                return;
+            }
+
+            const image = new Image();
+            image.onload = () => {
+                if (image.naturalWidth === 0) {
+                    reject(new Error(`Image has no pixels: ${url}`));
+                } else {
+                    resolve(image);
+                }
+            };
+            image.onerror = () => reject(new Error(`Failed to load image: ${url}`));
+            image.src = url;
+        });
+    }
+
+    /**
+     * Pack loaded images into rows on a single canvas and record each one's frame
+     * Falls back to drawing straight from the separate images when no canvas is available.
+     */
+    buildAtlas() {
+        const entries = [...this.images.entries()]
+            .sort(([, a], [, b]) => b.naturalHeight - a.naturalHeight);
+        const placements = [];
+        let x = 0;
+        let y = 0;
+        let rowHeight = 0;
+        let width = 0;
+
+        // Shelf packing: fill a row left to right, tallest images first
+        for (const [name, image] of entries) {
+            if (x > 0 && x + image.naturalWidth > this.atlasWidth) {
+                x = 0;
+                y += rowHeight + this.padding;
+                rowHeight = 0;
+            }
+
+            placements.push({ name, image, x, y });
+            x += image.naturalWidth + this.padding;
+            rowHeight = Math.max(rowHeight, image.naturalHeight);
+            width = Math.max(width, x);
+        }
+
+        this.sprites.clear();
+
+        try {
+            if (placements.length === 0) return;
+
+            const atlas = document.createElement('canvas');
+            atlas.width = width;
+            atlas.height = y + rowHeight;
+            const ctx = atlas.getContext('2d');
+
+            for (const { name, image, x: frameX, y: frameY } of placements) {
+                ctx.drawImage(image, frameX, frameY);
+                this.sprites.set(name, {
+                    image: atlas, x: frameX, y: frameY, width: image.naturalWidth, height: image.naturalHeight
+                });
+            }
+
+            this.atlas = atlas;
+        } catch (error) {
+            console.error('AssetManager: Failed to build sprite atlas, drawing from separate images:', error);
+            this.atlas = null;
+            for (const { name, image } of placements) {
+                this.sprites.set(name, { image, x: 0, y: 0, width: image.naturalWidth, height: image.naturalHeight });
+            }
+        }
+    }
+
+    /**
+     * Get a sprite's atlas frame
+     * @param {string} name - Sprite name from the manifest
+     * @returns {Object|null} Frame { image, x, y, width, height }, or null if it did not load
+     */
+    getSprite(name) {
+        return this.sprites.get(name) || null;
+    }
+
+    /**
+     * Get load progress
+     * @returns {Object} Loaded, failed and total counts plus the settled fraction (0-1)
+     */
+    getProgress() {
+        const { loaded, failed, total } = this.progress;
+        return { loaded, failed, total, ratio: total === 0 ? 1 : (loaded + failed) / total };
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AssetManager, SPRITE_MANIFEST };
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.AssetManager = AssetManager;
+    window.SPRITE_MANIFEST = SPRITE_MANIFEST;
+}
@@ -0,0 +1,287 @@
+/**
+ * Background System - Parallax starfield with nebula and planet layers
+ * Each layer scrolls down at its own speed, scaled up as waves progress and
+ * boosted during wave transitions. Layer contents never change, so each one
+ * is drawn once into a screen-sized offscreen canvas that tiles vertically;
+ * a frame then costs two image draws per layer. Without a DOM (tests and
+ * tools) stars are drawn directly and the decorative layers are skipped.
+ */
+
+const SeededRandom = typeof require === 'function'
+    ? require('./seededRandom.js')
+    : window.SeededRandom;
+
+/**
+ * Default layers, back to front
+ * Speeds are in pixels per millisecond; parallax is the share of the camera
+ * shake a layer follows, so distant layers barely move.
+ * @type {Object[]}
+ */
+const BACKGROUND_LAYERS = [
+    {
+        name: 'nebula',
+        type: 'nebula',
+        speed: 0.003,
+        parallax: 0.1,
+        clouds: 6,
+        radius: [120, 260],
+        colors: ['#3a1050', '#102a50', '#401530'],
+        alpha: 0.35
+    },
+    {
+        name: 'farStars',
+        type: 'stars',
+        speed: 0.012,
+        parallax: 0.2,
+        count: 90,
+        size: [1, 1],
+        colors: ['#666688', '#8888aa']
+    },
+    {
+        name: 'planet',
+        type: 'planet',
+        speed: 0.006,
+        parallax: 0.3,
+        radius: 36,
+        colors: ['#c08050', '#603020'],
+        ring: '#d0b090'
+    },
+    {
+        name: 'midStars',
+        type: 'stars',
+        speed: 0.03,
+        parallax: 0.5,
+        count: 45,
+        size: [1, 2],
+        colors: ['#aaaadd', '#ffffff']
+    },
+    {
+        name: 'nearStars',
+        type: 'stars',
+        speed: 0.07,
+        parallax: 0.8,
+        count: 20,
+        size: [2, 3],
+        colors: ['#ffffff', '#ffffcc']
+    }
+];
+
+class BackgroundSystem {
+    /**
+     * @param {Object} config - Background configuration
+     * @param {number} config.width - Viewport width
+     * @param {number} config.height - Viewport height
+     * @param {Object[]} config.layers - Layer definitions (see BACKGROUND_LAYERS)
+     * @param {number} config.seed - Seed for star and cloud placement, so the sky looks the same every run
+     * @param {string} config.color - Fill behind every layer
+     * @param {number} config.waveSpeedup - Extra speed per wave after the first
+     * @param {number} config.maxWaveSpeed - Cap on the wave speed multiplier
+     * @param {number} config.boostSpeed - Speed multiplier during wave transitions
+     * @param {number} config.boostEase - Time constant in milliseconds for easing into and out of a boost
+     */
+    constructor(config = {}) {
+        this.width = config.width || 800;
+        this.height = config.height || 600;
+        this.layerDefinitions = config.layers || BACKGROUND_LAYERS;
+        this.seed = config.seed !== undefined ? config.seed : 0x5eed;
+        this.color = config.color || '#000011';
+        this.waveSpeedup = config.waveSpeedup !== undefined ? config.waveSpeedup : 0.1;
+        this.maxWaveSpeed = config.maxWaveSpeed || 2.5;
+        this.boostSpeed = config.boostSpeed || 5;
+        this.boostEase = config.boostEase || 300;
+
+        this.waveSpeed = 1;
+        this.boostTarget = 1;
+        this.boost = 1;
+
+        this.build();
+    }
+
+    /**
+     * Place every layer's contents and cache them to offscreen canvases
+     */
+    build() {
+        const rng = new SeededRandom(this.seed);
+
+        this.layers = this.layerDefinitions.map(definition => {
+            const layer = { ...definition, offset: 0, stars: [], canvas: null };
+
+            if (layer.type === 'stars') {
+                for (let i = 0; i < layer.count; i++) {
+                    layer.stars.push({
+                        x: rng.range(0, this.width),
+                        y: rng.range(0, this.height),
+                        size: Math.round(rng.range(layer.size[0], layer.size[1])),
+                        color: rng.pick(layer.colors)
+                    });
+                }
+            } else if (layer.type === 'nebula') {
+                layer.clouds = Array.from({ length: layer.clouds }, () => ({
+                    x: rng.range(0, this.width),
+                    y: rng.range(0, this.height),
+                    radius: rng.range(layer.radius[0], layer.radius[1]),
+                    color: rng.pick(layer.colors)
+                }));
+            } else if (layer.type === 'planet') {
+                layer.x = rng.range(layer.radius * 2, this.width - layer.radius * 2);
+                layer.y = rng.range(0, this.height);
+            }
+
+            layer.canvas = this.cacheLayer(layer);
+            return layer;
+        });
+    }
+
+    /**
+     * Draw a layer once into a canvas the size of the viewport
+     * Anything crossing the top or bottom edge is drawn again on the other
+     * side, so the canvas tiles without a seam.
+     * @param {Object} layer - Layer with its contents placed
+     * @returns {HTMLCanvasElement|null} Cached layer, or null without a DOM
+     * @private
+     */
+    cacheLayer(layer) {
+        if (typeof document === 'undefined' || typeof document.createElement !== 'function') {
+            return null;
+        }
+
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = this.width;
+            canvas.height = this.height;
+            const ctx = canvas.getContext('2d');
+
+            for (const shift of [-this.height, 0, this.height]) {
+                if (layer.type === 'stars') {
+                    for (const star of layer.stars) {
+                        ctx.fillStyle = star.color;
+                        ctx.fillRect(star.x, star.y + shift, star.size, star.size);
+                    }
+                } else if (layer.type === 'nebula') {
+                    ctx.globalAlpha = layer.alpha;
+                    for (const cloud of layer.clouds) {
+                        const gradient = ctx.createRadialGradient(
+                            cloud.x, cloud.y + shift, 0, cloud.x, cloud.y + shift, cloud.radius);
+                        gradient.addColorStop(0, cloud.color);
+                        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+                        ctx.fillStyle = gradient;
+                        ctx.fillRect(cloud.x - cloud.radius, cloud.y + shift - cloud.radius, cloud.radius * 2, cloud.radius * 2);
+                    }
+                    ctx.globalAlpha = 1;
+                } else if (layer.type === 'planet') {
+                    this.drawPlanet(ctx, layer, layer.y + shift);
+                }
+            }
+
+            return canvas;
+        } catch (error) {
+            console.warn(`BackgroundSystem: Could not cache layer "${layer.name}", drawing it directly:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Draw a shaded planet with a ring
+     * @param {CanvasRenderingContext2D} ctx - Offscreen canvas context
+     * @param {Object} layer - Planet layer
+     * @param {number} y - Centre y
+     * @private
+     */
+    drawPlanet(ctx, layer, y) {
+        const { x, radius, colors, ring } = layer;
+
+        const shading = ctx.createRadialGradient(x - radius * 0.4, y - radius * 0.4, radius * 0.1, x, y, radius);
+        shading.addColorStop(0, colors[0]);
+        shading.addColorStop(1, colors[1]);
+        ctx.fillStyle = shading;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        if (ring) {
+            ctx.strokeStyle = ring;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.ellipse(x, y, radius * 1.7, radius * 0.35, -0.3, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Scroll faster as the run goes on
+     * @param {number} wave - Current wave number
+     */
+    setWave(wave) {
+        this.waveSpeed = Math.min(this.maxWaveSpeed, 1 + Math.max(0, wave - 1) * this.waveSpeedup);
+    }
+
+    /**
+     * Ease into or out of the wave transition boost
+     * @param {boolean} active - Whether the boost is on
+     */
+    setBoost(active) {
+        this.boostTarget = active ? this.boostSpeed : 1;
+    }
+
+    /**
+     * Scroll every layer
+     * @param {number} deltaTime - Elapsed time in milliseconds (0 while paused)
+     */
+    update(deltaTime) {
+        if (deltaTime <= 0) return;
+
+        this.boost += (this.boostTarget - this.boost) * (1 - Math.exp(-deltaTime / this.boostEase));
+        const speed = this.waveSpeed * this.boost;
+
+        for (const layer of this.layers) {
+            layer.offset = (layer.offset + layer.speed * speed * deltaTime) % this.height;
+        }
+    }
+
+    /**
+     * Draw the background
+     * @param {Renderer} ctx - Renderer to draw with
+     * @param {Object} camera - Camera transform data
+     */
+    render(ctx, camera = {}) {
+        ctx.clear(this.color);
+
+        for (const layer of this.layers) {
+            const shiftX = -(camera.x || 0) * layer.parallax;
+            const shiftY = -(camera.y || 0) * layer.parallax;
+
+            if (layer.canvas) {
+                // Two copies of the tile cover the screen at any offset
+                ctx.drawImage(layer.canvas, shiftX, layer.offset + shiftY - this.height, this.width, this.height);
+                ctx.drawImage(layer.canvas, shiftX, layer.offset + shiftY, this.width, this.height);
+            } else if (layer.type === 'stars') {
+                for (const star of layer.stars) {
+                    ctx.fillStyle = star.color;
+                    ctx.fillRect(star.x + shiftX, (star.y + layer.offset) % this.height + shiftY, star.size, star.size);
+                }
+            }
+        }
+    }
+
+    /**
+     * Match a new viewport size; layer contents are placed again
+     * @param {number} width - Viewport width
+     * @param {number} height - Viewport height
+     */
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.build();
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BackgroundSystem, BACKGROUND_LAYERS };
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.BackgroundSystem = BackgroundSystem;
+    window.BACKGROUND_LAYERS = BACKGROUND_LAYERS;
+}
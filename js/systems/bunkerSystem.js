@@ -0,0 +1,150 @@
+/**
+ * Bunker System - Places defense bunkers and decides when they are rebuilt
+ * Layouts come from gameConfig.bunkers: each names a shape, how many bunkers
+ * to space evenly across the play area and at what height. Bunkers are rebuilt
+ * fresh every resetEvery waves, cycling through the layout rotation; in
+ * between, damage carries over from wave to wave.
+ */
+
+const { Bunker } = typeof require === 'function'
+    ? require('../entities/bunker.js')
+    : window;
+
+class BunkerSystem {
+    /**
+     * @param {Object} config - Bunker configuration (see gameConfig.bunkers)
+     * @param {number} config.width - Play area width
+     * @param {boolean} config.enabled - Whether bunkers are placed at all
+     * @param {number} config.resetEvery - Rebuild every N waves; 0 keeps damage for the whole run
+     * @param {string[]} config.rotation - Layout names used by successive rebuilds
+     * @param {Object<string, Object>} config.layouts - Layouts by name: { count, y, shape, pixelSize, color }
+     */
+    constructor(config = {}) {
+        this.width = config.width || 800;
+        this.enabled = config.enabled !== false;
+        this.resetEvery = config.resetEvery !== undefined ? config.resetEvery : 1;
+        this.layouts = config.layouts || {};
+        this.rotation = config.rotation && config.rotation.length ? config.rotation : Object.keys(this.layouts);
+
+        this.bunkers = [];
+        this.layoutName = null;
+        // Bumped on every rebuild so new bunkers never reuse a stale collision body id
+        this.generation = 0;
+    }
+
+    /**
+     * Remove every bunker, ready for a new run
+     */
+    reset() {
+        this.bunkers = [];
+        this.layoutName = null;
+    }
+
+    /**
+     * Rebuild the bunkers if the coming wave is due a fresh set
+     * The first wave of a run always builds them.
+     * @param {number} waveNumber - Wave about to start
+     * @returns {boolean} True if the bunkers were rebuilt
+     */
+    prepareWave(waveNumber) {
+        if (!this.enabled) return false;
+
+        const due = this.layoutName === null ||
+            (this.resetEvery > 0 && (waveNumber - 1) % this.resetEvery === 0);
+        if (!due) return false;
+
+        this.build(this.getLayoutName(waveNumber));
+        return true;
+    }
+
+    /**
+     * Get the layout a wave's rebuild uses
+     * @param {number} waveNumber - Wave number
+     * @returns {string} Layout name from the rotation
+     */
+    getLayoutName(waveNumber) {
+        const rebuild = this.resetEvery > 0 ? Math.floor((waveNumber - 1) / this.resetEvery) : 0;
+        return this.rotation[Math.max(0, rebuild) % this.rotation.length];
+    }
+
+    /**
+     * Replace the bunkers with a fresh layout
+     * @param {string} layoutName - Layout name from config.layouts
+     */
+    build(layoutName) {
+        const layout = this.layouts[layoutName];
+        if (!layout) {
+            console.error(`BunkerSystem: Unknown layout "${layoutName}"`);
+            this.bunkers = [];
+            return;
+        }
+
+        this.generation++;
+        this.layoutName = layoutName;
+        this.bunkers = [];
+
+        // Even spacing: equal gaps between bunkers and at either edge
+        for (let i = 0; i < layout.count; i++) {
+            const x = this.width * (i + 1) / (layout.count + 1);
+            this.bunkers.push(new Bunker(x, layout.y, {
+                id: `bunker_${this.generation}_${i}`,
+                shape: layout.shape,
+                pixelSize: layout.pixelSize,
+                color: layout.color
+            }));
+        }
+    }
+
+    /**
+     * Get bunkers that still have solid cells
+     * @returns {Bunker[]} Standing bunkers
+     */
+    getActiveBunkers() {
+        return this.bunkers.filter(bunker => !bunker.isDestroyed());
+    }
+
+    /**
+     * Draw every standing bunker
+     * @param {Renderer} ctx - Renderer to draw with
+     * @param {Object} camera - Camera transform data
+     */
+    render(ctx, camera = {}) {
+        for (const bunker of this.bunkers) {
+            if (!bunker.isDestroyed()) {
+                bunker.render(ctx, camera);
+            }
+        }
+    }
+
+    /**
+     * Get bunker damage for serialization
+     * @returns {Object} Layout name, rebuild generation and each bunker's state
+     */
+    getState() {
+        return {
+            layoutName: this.layoutName,
+            generation: this.generation,
+            bunkers: this.bunkers.map(bunker => bunker.getState())
+        };
+    }
+
+    /**
+     * Replace the bunkers with serialized ones
+     * @param {Object} state - State from getState()
+     */
+    setState(state) {
+        this.layoutName = state.layoutName;
+        this.generation = state.generation;
+        this.bunkers = state.bunkers.map(data => Bunker.fromState(data));
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BunkerSystem;
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.BunkerSystem = BunkerSystem;
+}
@@ -0,0 +1,167 @@
+/**
+ * Camera - Screen shake, hit-stop and zoom punches for the playfield
+ * Shake is trauma based: events add trauma (0-1), which decays over time, and
+ * the shake offset grows with trauma squared so small hits stay subtle. The
+ * offset comes from smooth noise of the camera's own time rather than a random
+ * generator, so shaking never disturbs gameplay randomness.
+ * Entities subtract x/y from their positions when drawing; zoom and the shake
+ * angle are applied to the renderer's transform around the screen centre.
+ * Every effect is scaled by a global intensity, where 0 turns them all off.
+ */
+
+class Camera {
+    /**
+     * @param {Object} config - Camera configuration
+     * @param {number} config.width - Viewport width
+     * @param {number} config.height - Viewport height
+     * @param {number} config.intensity - Global effect strength (0 disables shake, hit-stop and zoom)
+     * @param {number} config.maxOffset - Shake offset in pixels at full trauma
+     * @param {number} config.maxAngle - Shake rotation in radians at full trauma
+     * @param {number} config.traumaDecay - Trauma lost per second
+     * @param {number} config.shakeFrequency - Shake oscillations per second
+     * @param {number} config.zoomDecay - Time constant in milliseconds for a zoom punch to settle
+     * @param {number} config.maxHitStop - Longest freeze in milliseconds
+     */
+    constructor(config = {}) {
+        this.width = config.width || 800;
+        this.height = config.height || 600;
+        this.intensity = config.intensity !== undefined ? config.intensity : 1;
+        this.maxOffset = config.maxOffset || 12;
+        this.maxAngle = config.maxAngle || 0.03;
+        this.traumaDecay = config.traumaDecay || 1.5;
+        this.shakeFrequency = config.shakeFrequency || 20;
+        this.zoomDecay = config.zoomDecay || 120;
+        this.maxHitStop = config.maxHitStop || 150;
+
+        this.reset();
+    }
+
+    /**
+     * Drop every running effect and centre the view
+     */
+    reset() {
+        this.trauma = 0;
+        this.zoomPunch = 0;
+        this.hitStopRemaining = 0;
+        this.time = 0;
+
+        this.x = 0;
+        this.y = 0;
+        this.angle = 0;
+        this.zoom = 1;
+    }
+
+    /**
+     * Set the global effect strength
+     * @param {number} intensity - 0 (off) to 1 (full)
+     */
+    setIntensity(intensity) {
+        this.intensity = Math.max(0, Math.min(1, intensity));
+        if (this.intensity === 0) {
+            this.reset();
+        }
+    }
+
+    /**
+     * Shake the screen
+     * @param {number} amount - Trauma to add (0-1); the total is capped at 1
+     */
+    addTrauma(amount) {
+        if (this.intensity === 0) return;
+        this.trauma = Math.min(1, this.trauma + amount);
+    }
+
+    /**
+     * Briefly zoom in, easing back out
+     * @param {number} amount - Extra zoom (0.1 is 10% larger), scaled by intensity
+     */
+    punchZoom(amount) {
+        this.zoomPunch = Math.max(this.zoomPunch, amount * this.intensity);
+    }
+
+    /**
+     * Freeze the simulation for a moment to sell an impact
+     * Overlapping freezes do not stack; the longest one wins.
+     * @param {number} duration - Freeze length in milliseconds, scaled by intensity
+     */
+    hitStop(duration) {
+        const scaled = Math.min(duration, this.maxHitStop) * this.intensity;
+        this.hitStopRemaining = Math.max(this.hitStopRemaining, scaled);
+    }
+
+    /**
+     * Take a frame's real time and return the part the simulation may use;
+     * the rest is eaten by any active hit-stop
+     * @param {number} frameDelta - Real frame time in milliseconds
+     * @returns {number} Time left for the simulation in milliseconds
+     */
+    consumeHitStop(frameDelta) {
+        if (this.hitStopRemaining <= 0) return frameDelta;
+
+        const frozen = Math.min(this.hitStopRemaining, frameDelta);
+        this.hitStopRemaining -= frozen;
+        return frameDelta - frozen;
+    }
+
+    /**
+     * Check whether a hit-stop is holding the simulation
+     * @returns {boolean} True while frozen
+     */
+    isFrozen() {
+        return this.hitStopRemaining > 0;
+    }
+
+    /**
+     * Decay effects and work out this frame's offset, angle and zoom
+     * @param {number} deltaTime - Real frame time in milliseconds
+     */
+    update(deltaTime) {
+        const seconds = deltaTime / 1000;
+        this.time += seconds;
+        this.trauma = Math.max(0, this.trauma - this.traumaDecay * seconds);
+        this.zoomPunch *= Math.exp(-deltaTime / this.zoomDecay);
+        if (this.zoomPunch < 0.001) this.zoomPunch = 0;
+
+        const shake = this.trauma * this.trauma * this.intensity;
+        const phase = this.time * this.shakeFrequency;
+        this.x = this.maxOffset * shake * Camera.noise(phase, 0);
+        this.y = this.maxOffset * shake * Camera.noise(phase, 1);
+        this.angle = this.maxAngle * shake * Camera.noise(phase, 2);
+        this.zoom = 1 + this.zoomPunch;
+    }
+
+    /**
+     * Apply zoom and shake rotation around the screen centre
+     * @param {Renderer} ctx - Renderer to transform; callers save() and restore() around it
+     */
+    applyTransform(ctx) {
+        if (this.zoom === 1 && this.angle === 0) return;
+
+        ctx.translate(this.width / 2, this.height / 2);
+        ctx.rotate(this.angle);
+        ctx.scale(this.zoom, this.zoom);
+        ctx.translate(-this.width / 2, -this.height / 2);
+    }
+
+    /**
+     * Smooth pseudo-random wave in [-1, 1]; each channel is an independent curve
+     * @param {number} t - Position along the curve
+     * @param {number} channel - Curve index
+     * @returns {number} Noise value
+     */
+    static noise(t, channel) {
+        // Sines at unrelated frequencies never line up, so the sum does not visibly repeat
+        const offset = channel * 17.31;
+        return (Math.sin(t * 1.0 + offset) + Math.sin(t * 2.31 + offset * 1.7) * 0.5 + Math.sin(t * 4.87 + offset * 2.3) * 0.25) / 1.75;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Camera;
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.Camera = Camera;
+}
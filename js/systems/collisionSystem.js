@@ -411,7 +411,8 @@ class CollisionSystem {
             PLAYER_PROJECTILE: 4,
             ENEMY_PROJECTILE: 8,
             POWERUP: 16,
-            BOUNDARY: 32
+            BOUNDARY: 32,
+            BUNKER: 64
         };
 
         // Set up collision matrix (what can collide with what)
@@ -423,6 +424,9 @@ class CollisionSystem {
         this.setLayerCollision(this.LAYERS.ENEMY, this.LAYERS.BOUNDARY);
         this.setLayerCollision(this.LAYERS.PLAYER_PROJECTILE, this.LAYERS.BOUNDARY);
         this.setLayerCollision(this.LAYERS.ENEMY_PROJECTILE, this.LAYERS.BOUNDARY);
+        this.setLayerCollision(this.LAYERS.BUNKER, this.LAYERS.PLAYER_PROJECTILE);
+        this.setLayerCollision(this.LAYERS.BUNKER, this.LAYERS.ENEMY_PROJECTILE);
+        this.setLayerCollision(this.LAYERS.BUNKER, this.LAYERS.ENEMY);
     }
 
     /**
@@ -457,6 +461,8 @@ class CollisionSystem {
      * Register an entity for collision detection
      * @param {Object} entity - Entity to register
      * @param {Object} options - Registration options
+     * @param {Object} options.pixelMask - Per-pixel shape with hitTest(aabb) returning a contact { x, y } or null;
+     *   overlapping boxes only collide where the mask reports a hit (e.g. a Bunker)
      */
     registerEntity(entity, options = {}) {
         if (!entity || !entity.id) {
@@ -470,6 +476,7 @@ class CollisionSystem {
             aabb: this.createAABBFromEntity(entity),
             isStatic: options.isStatic || false,
             isTrigger: options.isTrigger || false,
+            pixelMask: options.pixelMask || null,
             lastPosition: { x: entity.x, y: entity.y }
         };
 
@@ -604,8 +611,13 @@ class CollisionSystem {
                 // Narrow phase collision detection
                 const narrowPhaseStart = performance.now();
                 
-                if (this.checkAABBCollision(entityDataA.aabb, entityDataB.aabb)) {
-                    const collisionEvent = this.createCollisionEvent(entityDataA, entityDataB);
+                const contact = this.checkAABBCollision(entityDataA.aabb, entityDataB.aabb)
+                    ? this.checkPixelMasks(entityDataA, entityDataB)
+                    : null;
+
+                if (contact) {
+                    const collisionEvent = this.createCollisionEvent(entityDataA, entityDataB,
+                        contact === true ? null : contact);
                     this.collisionEvents.push(collisionEvent);
                     collisionsDetected++;
 
@@ -640,14 +652,32 @@ class CollisionSystem {
         return aabbA.intersects(aabbB);
     }
 
+    /**
+     * Refine an AABB overlap against any pixel masks on the pair
+     * @param {Object} entityDataA - First entity data
+     * @param {Object} entityDataB - Second entity data
+     * @returns {Object|boolean|null} true without masks, the mask's contact point on a hit, or null on a miss
+     * @private
+     */
+    checkPixelMasks(entityDataA, entityDataB) {
+        if (entityDataA.pixelMask) {
+            return entityDataA.pixelMask.hitTest(entityDataB.aabb);
+        }
+        if (entityDataB.pixelMask) {
+            return entityDataB.pixelMask.hitTest(entityDataA.aabb);
+        }
+        return true;
+    }
+
     /**
      * Create collision event from two entity data objects
      * @param {Object} entityDataA - First entity data
      * @param {Object} entityDataB - Second entity data
+     * @param {Object} maskContact - Contact point reported by a pixel mask, used instead of the overlap centre (optional)
      * @returns {CollisionEvent} Collision event
      * @private
      */
-    createCollisionEvent(entityDataA, entityDataB) {
+    createCollisionEvent(entityDataA, entityDataB, maskContact = null) {
         // Calculate contact point (center of overlap)
         const overlapLeft = Math.max(entityDataA.aabb.x, entityDataB.aabb.x);
         const overlapRight = Math.min(
@@ -660,7 +690,7 @@ class CollisionSystem {
             entityDataB.aabb.y + entityDataB.aabb.height
         );
 
-        const contactPoint = {
+        const contactPoint = maskContact || {
             x: (overlapLeft + overlapRight) / 2,
             y: (overlapTop + overlapBottom) / 2
         };
@@ -847,7 +877,7 @@ class CollisionSystem {
 
     /**
      * Debug draw collision bounds (for development)
-     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Renderer} ctx - Renderer to draw with
      */
     debugDraw(ctx) {
         if (!ctx) return;
@@ -0,0 +1,177 @@
+/**
+ * Debug Overlay - In-game view of collision, entity and system internals
+ * Layers collision AABBs and occupied spatial-grid cells, enemy and player
+ * debug info, projectile owners and live system counters over the playfield.
+ * Toggled with F3 or enabled from the start with the ?debug URL flag.
+ */
+
+class DebugOverlay {
+    /**
+     * @param {Game} game - Game whose systems are inspected
+     * @param {Object} config - Overlay configuration
+     * @param {boolean} config.enabled - Start with the overlay visible
+     * @param {string} config.toggleKey - KeyboardEvent.code that toggles the overlay
+     */
+    constructor(game, config = {}) {
+        this.game = game;
+        this.toggleKey = config.toggleKey || 'F3';
+        this.enabled = false;
+        this.keyHandler = null;
+
+        this.setEnabled(config.enabled === true);
+    }
+
+    /**
+     * Listen for the toggle key
+     * @param {EventTarget} target - Element receiving keyboard events
+     */
+    bindKey(target = document) {
+        this.keyHandler = (event) => {
+            if (event.code === this.toggleKey) {
+                event.preventDefault();
+                this.toggle();
+            }
+        };
+        target.addEventListener('keydown', this.keyHandler);
+        this.keyTarget = target;
+    }
+
+    /**
+     * Show or hide the overlay, switching entity debug rendering with it
+     * @param {boolean} enabled - Whether the overlay is visible
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.game.player.debugRender = enabled;
+        this.game.enemySystem.setDebugRender(enabled);
+    }
+
+    /**
+     * Flip overlay visibility
+     * @returns {boolean} New visibility
+     */
+    toggle() {
+        this.setEnabled(!this.enabled);
+        return this.enabled;
+    }
+
+    /**
+     * Draw every overlay layer
+     * @param {Renderer} ctx - Renderer to draw with
+     */
+    render(ctx) {
+        if (!this.enabled || !ctx) return;
+
+        // World-space layers follow the camera like the entities they outline
+        const camera = this.game.camera;
+        ctx.save();
+        camera.applyTransform(ctx);
+        ctx.translate(-camera.x, -camera.y);
+        this.renderGridCells(ctx);
+        this.game.collisionSystem.debugDraw(ctx);
+        this.renderProjectiles(ctx);
+        ctx.restore();
+
+        ctx.save();
+        this.renderCounters(ctx);
+        ctx.restore();
+    }
+
+    /**
+     * Shade spatial-grid cells that currently hold collision bodies
+     * @param {Renderer} ctx - Renderer to draw with
+     */
+    renderGridCells(ctx) {
+        const grid = this.game.collisionSystem.spatialGrid;
+
+        ctx.fillStyle = 'rgba(0, 255, 0, 0.08)';
+        for (const [key, cell] of grid.grid) {
+            if (cell.size === 0) continue;
+
+            const [col, row] = key.split(',').map(Number);
+            ctx.fillRect(col * grid.cellSize, row * grid.cellSize, grid.cellSize, grid.cellSize);
+        }
+    }
+
+    /**
+     * Outline projectiles and label them with their owner
+     * @param {Renderer} ctx - Renderer to draw with
+     */
+    renderProjectiles(ctx) {
+        ctx.font = '9px monospace';
+        ctx.lineWidth = 1;
+
+        for (const projectile of this.game.projectileSystem.getActiveProjectiles()) {
+            ctx.strokeStyle = projectile.type === 'player' ? '#00ffff' : '#ff8800';
+            ctx.strokeRect(projectile.x - 1, projectile.y - 1, projectile.width + 2, projectile.height + 2);
+
+            const owner = projectile.owner;
+            const label = owner && typeof owner === 'object' ? (owner.id || projectile.type) : owner;
+            ctx.fillStyle = ctx.strokeStyle;
+            ctx.fillText(String(label).slice(-6), projectile.x + projectile.width + 3, projectile.y + 6);
+        }
+    }
+
+    /**
+     * Draw live counters from the collision, enemy, projectile and particle systems and the renderer
+     * @param {Renderer} ctx - Renderer to draw with
+     */
+    renderCounters(ctx) {
+        const game = this.game;
+        const collision = game.collisionSystem.getMetrics();
+        const enemies = game.enemySystem.getStatus();
+        const projectiles = game.projectileSystem.getStats();
+        const particles = game.particleSystem.getStats();
+        // Counts are from the last finished frame; this one is still being recorded
+        const renderer = ctx.getStats();
+
+        const lines = [
+            `state       ${game.stateMachine.getState()}`,
+            `time        ${(game.clock.now() / 1000).toFixed(1)}s  seed ${game.rng.getSeed()}`,
+            `collision   ${collision.entityCount} bodies, ${collision.totalCollisions} hits`,
+            `  broad     ${collision.broadPhaseTime.toFixed(2)}ms  narrow ${collision.narrowPhaseTime.toFixed(2)}ms`,
+            `  grid      ${collision.spatialGridStats.occupiedCells}/${collision.spatialGridStats.totalCells} cells`,
+            `enemies     ${enemies.activeEnemies} active, ${enemies.enemiesSpawned} spawned`,
+            `  update    ${enemies.averageUpdateTime.toFixed(2)}ms avg`,
+            `projectiles ${projectiles.activeProjectiles} active, pool ${projectiles.poolUtilization}`,
+            `particles   ${particles.activeParticles} active, pool ${particles.poolUtilization}, ${particles.dropped} dropped`,
+            `renderer    ${renderer.backend}, ${renderer.commands} commands, ${renderer.drawCalls} draw calls`
+        ];
+
+        const lineHeight = 14;
+        const width = 300;
+        const x = game.width - width - 10;
+        const y = 40;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(x, y, width, lines.length * lineHeight + 10);
+
+        ctx.fillStyle = '#00ff00';
+        ctx.font = '11px monospace';
+        ctx.textAlign = 'left';
+        lines.forEach((line, index) => {
+            ctx.fillText(line, x + 6, y + 16 + index * lineHeight);
+        });
+    }
+
+    /**
+     * Stop listening for the toggle key and switch entity debug rendering off
+     */
+    destroy() {
+        if (this.keyHandler) {
+            this.keyTarget.removeEventListener('keydown', this.keyHandler);
+            this.keyHandler = null;
+        }
+        this.setEnabled(false);
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DebugOverlay;
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.DebugOverlay = DebugOverlay;
+}
@@ -19,6 +19,13 @@
  * @since 2025-01-27
  */
 
+const EventBus = typeof require === 'function' ? require('./eventBus.js') : window.EventBus;
+
+/**
+ * Duration of one 60fps frame in milliseconds; enemy entities count time in frames
+ */
+const FRAME_DURATION = 1000 / 60;
+
 /**
  * Enemy type definitions with behavioral characteristics
  */
@@ -239,17 +246,26 @@ class EnemySystem {
     /**
      * Initialize the enemy system
      * @param {Object} config - Configuration object
-     * @param {HTMLCanvasElement} config.canvas - Game canvas
-     * @param {Object} config.eventBus - Event system for communication
+     * @param {HTMLCanvasElement|Object} config.canvas - Game canvas, or the { width, height } play area in game pixels
+     * @param {EventBus} config.eventBus - Shared event bus (a private bus is created when omitted)
      * @param {Object} config.spatialGrid - Spatial partitioning system
+     * @param {Function} config.enemyFactory - Factory with a static create(type, config) used to build enemy entities
+     * @param {boolean} config.manageWaves - Run the built-in wave spawner (default true)
+     * @param {Object} config.clock - Game clock providing now() in milliseconds (defaults to wall time)
+     * @param {Object} config.rng - Random generator providing next() in [0, 1) (defaults to Math.random)
      */
     constructor(config = {}) {
         this.validateConfig(config);
         
         // Core dependencies
         this.canvas = config.canvas;
-        this.eventBus = config.eventBus || this.createMockEventBus();
+        this.eventBus = config.eventBus || new EventBus();
         this.spatialGrid = config.spatialGrid || this.createSpatialGrid();
+        this.enemyFactory = config.enemyFactory || null;
+        this.clock = config.clock || { now: () => Date.now() };
+        this.rng = config.rng || { next: Math.random };
+        this.sprites = config.sprites || null;
+        this.debugRender = false;
         
         // Enemy management
         this.enemies = new Map();
@@ -274,6 +290,7 @@ class EnemySystem {
             spawnBoundary: config.spawnBoundary || { top: -50, sides: 50 },
             cleanupBoundary: config.cleanupBoundary || 50,
             difficultyMultiplier: config.difficultyMultiplier || 1.1,
+            manageWaves: config.manageWaves !== false,
             ...config
         };
         
@@ -299,8 +316,10 @@ class EnemySystem {
      * @throws {Error} If configuration is invalid
      */
     validateConfig(config) {
-        if (!config.canvas || !(config.canvas instanceof HTMLCanvasElement)) {
-            throw new Error('EnemySystem requires a valid canvas element');
+        // Only the play area size is read, so headless runs can pass plain dimensions
+        const canvas = config.canvas;
+        if (!canvas || typeof canvas.width !== 'number' || typeof canvas.height !== 'number') {
+            throw new Error('EnemySystem requires a canvas element or { width, height } play area');
         }
         
         if (config.maxEnemies && (typeof config.maxEnemies !== 'number' || config.maxEnemies < 1)) {
@@ -308,32 +327,6 @@ class EnemySystem {
         }
     }
     
-    /**
-     * Create a mock event bus for testing
-     * @returns {Object} Mock event bus
-     */
-    createMockEventBus() {
-        const listeners = new Map();
-        return {
-            on: (event, callback) => {
-                if (!listeners.has(event)) listeners.set(event, []);
-                listeners.get(event).push(callback);
-            },
-            emit: (event, data) => {
-                if (listeners.has(event)) {
-                    listeners.get(event).forEach(callback => callback(data));
-                }
-            },
-            off: (event, callback) => {
-                if (listeners.has(event)) {
-                    const callbacks = listeners.get(event);
-                    const index = callbacks.indexOf(callback);
-                    if (index > -1) callbacks.splice(index, 1);
-                }
-            }
-        };
-    }
-    
     /**
      * Create a basic spatial grid for collision detection
      * @returns {Object} Spatial grid system
@@ -385,10 +378,18 @@ class EnemySystem {
      * Set up event listeners
      */
     setupEventListeners() {
-        this.eventBus.on('projectile:hit', this.handleProjectileHit);
-        this.eventBus.on('game:start', () => this.startWave(1));
-        this.eventBus.on('game:reset', () => this.reset());
-        this.eventBus.on('wave:complete', () => this.onWaveComplete());
+        this.unsubscribers = [
+            this.eventBus.on('projectile:hit', this.handleProjectileHit),
+            this.eventBus.on('game:reset', () => this.reset())
+        ];
+        
+        // Wave progression is skipped when an external wave manager drives spawning
+        if (this.config.manageWaves) {
+            this.unsubscribers.push(
+                this.eventBus.on('game:start', () => this.startWave(1)),
+                this.eventBus.on('wave:complete', () => this.onWaveComplete())
+            );
+        }
     }
     
     /**
@@ -404,7 +405,7 @@ class EnemySystem {
             
             this.currentWave = waveNumber;
             this.waveInProgress = true;
-            this.waveStartTime = Date.now();
+            this.waveStartTime = this.clock.now();
             this.enemiesSpawned = 0;
             this.enemiesRemaining = 0;
             
@@ -485,29 +486,37 @@ class EnemySystem {
      * @param {string} type - Enemy type
      * @param {number} x - X position
      * @param {number} y - Y position
+     * @param {Object} overrides - Wave-specific values (id, health, points)
      * @returns {Object} Created enemy
      */
-    spawnEnemy(type, x, y) {
+    spawnEnemy(type, x, y, overrides = {}) {
         try {
             if (this.enemies.size >= this.config.maxEnemies) {
                 console.warn('Cannot spawn enemy: max enemies reached');
                 return null;
             }
             
-            const enemyType = ENEMY_TYPES[type];
-            if (!enemyType) {
-                throw new Error(`Unknown enemy type: ${type}`);
-            }
+            let enemy;
             
-            // Try to reuse from pool
-            let enemy = this.getFromPool(type);
-            if (!enemy) {
-                enemy = this.createEnemy(enemyType);
+            if (this.enemyFactory) {
+                enemy = this.createEntityEnemy(type, x, y, overrides);
+            } else {
+                const enemyType = ENEMY_TYPES[type];
+                if (!enemyType) {
+                    throw new Error(`Unknown enemy type: ${type}`);
+                }
+                
+                // Try to reuse from pool
+                enemy = this.getFromPool(type);
+                if (!enemy) {
+                    enemy = this.createEnemy(enemyType);
+                }
+                
+                // Initialize enemy state
+                this.initializeEnemy(enemy, enemyType, x, y);
+                Object.assign(enemy, overrides);
             }
             
-            // Initialize enemy state
-            this.initializeEnemy(enemy, enemyType, x, y);
-            
             // Add to active enemies
             this.enemies.set(enemy.id, enemy);
             this.enemiesSpawned++;
@@ -549,8 +558,131 @@ class EnemySystem {
             formationX: 0,
             formationY: 0,
             active: true,
-            created: Date.now()
+            created: this.clock.now()
+        };
+    }
+    
+    /**
+     * Create an enemy entity through the configured factory
+     * @param {string} type - Enemy type key
+     * @param {number} x - X position (entity centre)
+     * @param {number} y - Y position (entity centre)
+     * @param {Object} overrides - Wave-specific values (id, health, points)
+     * @returns {Object} New enemy entity
+     */
+    createEntityEnemy(type, x, y, overrides = {}) {
+        const enemy = this.enemyFactory.create(type, {
+            x,
+            y,
+            id: overrides.id || this.nextEnemyId++,
+            rng: this.rng,
+            sprite: this.getSpriteForType(type),
+            deathSprite: this.sprites ? this.sprites.getSprite('explosion') : null,
+            debugRender: this.debugRender
+        });
+        
+        if (overrides.health) {
+            enemy.health = overrides.health;
+            enemy.maxHealth = overrides.health;
+        }
+        enemy.points = overrides.points !== undefined ? overrides.points : enemy.typeData.points;
+        
+        enemy.onFire = (shot) => {
+            this.eventBus.emit('enemy:fire', {
+                x: shot.x,
+                y: shot.y,
+                enemyId: enemy.id,
+                damage: shot.damage
+            });
         };
+        
+        return enemy;
+    }
+    
+    /**
+     * Use a new sprite source for new and existing enemies
+     * @param {AssetManager} sprites - Source with getSprite(name)
+     */
+    setSpriteSource(sprites) {
+        this.sprites = sprites;
+        for (const enemy of this.enemies.values()) {
+            if (this.isEntity(enemy)) {
+                enemy.sprite = this.getSpriteForType(enemy.type);
+                enemy.deathSprite = sprites ? sprites.getSprite('explosion') : null;
+            }
+        }
+    }
+    
+    /**
+     * Switch debug rendering for new and existing enemies
+     * @param {boolean} enabled - Whether enemies draw their debug info
+     */
+    setDebugRender(enabled) {
+        this.debugRender = enabled;
+        for (const enemy of this.enemies.values()) {
+            if (this.isEntity(enemy)) {
+                enemy.debugRender = enabled;
+            }
+        }
+    }
+    
+    /**
+     * Look up the sprite for an enemy type
+     * @param {string} type - Enemy type
+     * @returns {Object|null} Atlas frame, or null to draw the type's shape
+     */
+    getSpriteForType(type) {
+        const typeData = this.enemyFactory && this.enemyFactory.getTypeData
+            ? this.enemyFactory.getTypeData(type)
+            : null;
+        return this.sprites && typeData ? this.sprites.getSprite(typeData.sprite) : null;
+    }
+    
+    /**
+     * Check whether an enemy is a self-updating entity rather than a plain record
+     * @param {Object} enemy - Enemy to check
+     * @returns {boolean} True for factory-built entities
+     */
+    isEntity(enemy) {
+        return typeof enemy.update === 'function';
+    }
+    
+    /**
+     * Check whether an enemy can still be hit
+     * @param {Object} enemy - Enemy to check
+     * @returns {boolean} True if the enemy is active and not dying
+     */
+    isEnemyAlive(enemy) {
+        return enemy.active && (!this.isEntity(enemy) || enemy.isAlive());
+    }
+    
+    /**
+     * Check whether an enemy is a bonus target outside the wave, like the mystery ship
+     * @param {Object} enemy - Enemy to check
+     * @returns {boolean} True if the enemy never counts toward wave completion
+     */
+    isBonusEnemy(enemy) {
+        return Boolean(enemy.typeData && enemy.typeData.bonus);
+    }
+    
+    /**
+     * Count the enemies that must be cleared to finish the wave
+     * @returns {number} Enemies in the system, not counting bonus enemies
+     */
+    getWaveEnemyCount() {
+        let count = 0;
+        for (const enemy of this.enemies.values()) {
+            if (!this.isBonusEnemy(enemy)) count++;
+        }
+        return count;
+    }
+    
+    /**
+     * Get all enemies that can still be hit
+     * @returns {Array} Array of live enemies
+     */
+    getActiveEnemies() {
+        return Array.from(this.enemies.values()).filter(enemy => this.isEnemyAlive(enemy));
     }
     
     /**
@@ -568,7 +700,7 @@ class EnemySystem {
         enemy.health = enemyType.health;
         enemy.active = true;
         enemy.lastFireTime = 0;
-        enemy.created = Date.now();
+        enemy.created = this.clock.now();
     }
     
     /**
@@ -597,8 +729,9 @@ class EnemySystem {
      * Update all enemies
      * @param {number} deltaTime - Time since last update
      * @param {number} gameTime - Total game time
+     * @param {Object} gameState - Shared state for enemy entities (player, screen size)
      */
-    update(deltaTime, gameTime) {
+    update(deltaTime, gameTime, gameState = {}) {
         const updateStart = performance.now();
         
         try {
@@ -607,6 +740,12 @@ class EnemySystem {
             
             // Update each enemy
             const enemiesToRemove = [];
+            const entityState = {
+                screenWidth: this.canvas.width,
+                screenHeight: this.canvas.height,
+                ...gameState,
+                enemies: Array.from(this.enemies.values())
+            };
             
             for (const [id, enemy] of this.enemies) {
                 if (!enemy.active) {
@@ -614,11 +753,16 @@ class EnemySystem {
                     continue;
                 }
                 
-                // Update movement
-                this.updateEnemyMovement(enemy, deltaTime, gameTime);
-                
-                // Update AI behavior
-                this.updateEnemyAI(enemy, deltaTime, gameTime);
+                if (this.isEntity(enemy)) {
+                    // Entities run their own movement and firing in frame units
+                    enemy.update(deltaTime / FRAME_DURATION, entityState);
+                } else {
+                    // Update movement
+                    this.updateEnemyMovement(enemy, deltaTime, gameTime);
+                    
+                    // Update AI behavior
+                    this.updateEnemyAI(enemy, deltaTime, gameTime);
+                }
                 
                 // Check boundaries
                 if (this.isEnemyOutOfBounds(enemy)) {
@@ -676,7 +820,7 @@ class EnemySystem {
     updateEnemyAI(enemy, deltaTime, gameTime) {
         // Simple firing logic
         if (gameTime - enemy.lastFireTime > (1000 / enemy.fireRate)) {
-            if (Math.random() < enemy.fireRate) {
+            if (this.rng.next() < enemy.fireRate) {
                 this.enemyFire(enemy);
                 enemy.lastFireTime = gameTime;
             }
@@ -717,7 +861,21 @@ class EnemySystem {
         if (!enemy || !enemy.active) return;
         
         // Apply damage
-        enemy.health -= damage;
+        let destroyed;
+        if (this.isEntity(enemy)) {
+            const healthBefore = enemy.health;
+            destroyed = enemy.takeDamage({
+                damage,
+                x: projectile ? projectile.x : enemy.x,
+                y: projectile ? projectile.y : enemy.y
+            });
+            
+            // Ignored while invulnerable or already dying
+            if (enemy.health === healthBefore) return;
+        } else {
+            enemy.health -= damage;
+            destroyed = enemy.health <= 0;
+        }
         
         this.eventBus.emit('enemy:damaged', {
             enemy,
@@ -727,7 +885,7 @@ class EnemySystem {
         });
         
         // Check if enemy is destroyed
-        if (enemy.health <= 0) {
+        if (destroyed) {
             this.destroyEnemy(enemyId);
         }
     }
@@ -747,11 +905,20 @@ class EnemySystem {
             position: { x: enemy.x, y: enemy.y }
         });
         
-        // Remove from active enemies
-        this.removeEnemy(enemyId);
+        if (this.isEntity(enemy)) {
+            // Entities play out their death sequence and are removed once inactive
+            if (enemy.isAlive()) {
+                enemy.destroy();
+            }
+        } else {
+            // Remove from active enemies
+            this.removeEnemy(enemyId);
+        }
         
-        // Decrease remaining count
-        this.enemiesRemaining--;
+        // Decrease remaining count; bonus enemies were never part of it
+        if (!this.isBonusEnemy(enemy)) {
+            this.enemiesRemaining--;
+        }
     }
     
     /**
@@ -761,8 +928,11 @@ class EnemySystem {
     removeEnemy(enemyId) {
         const enemy = this.enemies.get(enemyId);
         if (enemy) {
-            this.returnToPool(enemy);
+            if (!this.isEntity(enemy)) {
+                this.returnToPool(enemy);
+            }
             this.enemies.delete(enemyId);
+            this.eventBus.emit('enemy:removed', { enemyId, enemy });
         }
     }
     
@@ -770,7 +940,7 @@ class EnemySystem {
      * Check if wave is complete
      */
     checkWaveCompletion() {
-        if (this.waveInProgress && this.enemies.size === 0 && this.enemiesRemaining <= 0) {
+        if (this.waveInProgress && this.getWaveEnemyCount() === 0 && this.enemiesRemaining <= 0) {
             this.completeWave();
         }
     }
@@ -780,7 +950,7 @@ class EnemySystem {
      */
     completeWave() {
         this.waveInProgress = false;
-        const waveTime = Date.now() - this.waveStartTime;
+        const waveTime = this.clock.now() - this.waveStartTime;
         
         this.eventBus.emit('wave:completed', {
             wave: this.currentWave,
@@ -832,6 +1002,22 @@ class EnemySystem {
                rect1.y + rect1.height > rect2.y;
     }
     
+    /**
+     * Render all enemies
+     * @param {Renderer} ctx - Renderer to draw with
+     * @param {Object} camera - Camera transform data
+     */
+    render(ctx, camera = {}) {
+        for (const enemy of this.enemies.values()) {
+            if (this.isEntity(enemy)) {
+                enemy.render(ctx, camera);
+            } else if (enemy.active) {
+                ctx.fillStyle = enemy.color;
+                ctx.fillRect(enemy.x - (camera.x || 0), enemy.y - (camera.y || 0), enemy.width, enemy.height);
+            }
+        }
+    }
+    
     /**
      * Update performance metrics
      * @param {number} updateTime - Time taken for update
@@ -867,6 +1053,48 @@ class EnemySystem {
         console.log('EnemySystem reset');
     }
     
+    /**
+     * Get enemy state for serialization
+     * @returns {Object} Serializable enemies and id counter
+     */
+    getState() {
+        return {
+            nextEnemyId: this.nextEnemyId,
+            currentWave: this.currentWave,
+            enemies: Array.from(this.enemies.values()).map(enemy =>
+                (this.isEntity(enemy) ? enemy.getState() : { ...enemy }))
+        };
+    }
+    
+    /**
+     * Replace all enemies with serialized ones
+     * @param {Object} state - Serialized state from getState()
+     */
+    setState(state) {
+        this.enemies.clear();
+        this.spatialGrid.clear();
+        this.nextEnemyId = state.nextEnemyId || 1;
+        this.currentWave = state.currentWave || 0;
+        
+        for (const data of state.enemies || []) {
+            try {
+                let enemy;
+                
+                if (this.enemyFactory) {
+                    enemy = this.createEntityEnemy(data.type, data.x, data.y, { id: data.id, points: data.points });
+                    enemy.setState(data);
+                } else {
+                    enemy = Object.assign(this.createEnemy(ENEMY_TYPES[data.type]), data);
+                }
+                
+                this.enemies.set(enemy.id, enemy);
+                this.spatialGrid.insert(enemy);
+            } catch (error) {
+                console.error('Error restoring enemy:', error, data);
+            }
+        }
+    }
+    
     /**
      * Get system status
      * @returns {Object} System status
@@ -890,7 +1118,8 @@ class EnemySystem {
      */
     destroy() {
         // Remove event listeners
-        this.eventBus.off('projectile:hit', this.handleProjectileHit);
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
         
         // Clear all data
         this.enemies.clear();
@@ -0,0 +1,242 @@
+/**
+ * Event Bus - Shared publish/subscribe channel between game systems
+ * Supports namespace wildcards ('enemy:*', '*'), listener priorities,
+ * one-shot listeners, per-listener error isolation and a debug event log
+ */
+
+class EventBus {
+    /**
+     * @param {Object} config - Event bus configuration
+     * @param {boolean} config.debug - Record emitted events in the event log
+     * @param {number} config.maxLogSize - Maximum number of logged events kept
+     */
+    constructor(config = {}) {
+        this.listeners = new Map();
+        this.debug = config.debug || false;
+        this.maxLogSize = config.maxLogSize || 200;
+        this.eventLog = [];
+        this.nextListenerId = 0;
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name, 'namespace:*' or '*'
+     * @param {Function} callback - Called with (data, eventName)
+     * @param {Object} options - Listener options
+     * @param {number} options.priority - Higher priorities run first (default 0)
+     * @param {boolean} options.once - Remove the listener after its first call
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, callback, options = {}) {
+        if (typeof event !== 'string' || !event) {
+            throw new Error('Event name must be a non-empty string');
+        }
+
+        if (typeof callback !== 'function') {
+            throw new Error('Event listener must be a function');
+        }
+
+        const listener = {
+            id: this.nextListenerId++,
+            callback,
+            priority: options.priority || 0,
+            once: options.once || false
+        };
+
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+
+        this.listeners.get(event).push(listener);
+
+        return () => this._removeListener(event, listener);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} event - Event name, 'namespace:*' or '*'
+     * @param {Function} callback - Called with (data, eventName)
+     * @param {Object} options - Listener options (priority)
+     * @returns {Function} Unsubscribe function
+     */
+    once(event, callback, options = {}) {
+        return this.on(event, callback, { ...options, once: true });
+    }
+
+    /**
+     * Unsubscribe a listener, or every listener of an event when no callback is given
+     * @param {string} event - Event name the listener was registered with
+     * @param {Function} callback - Listener to remove
+     */
+    off(event, callback) {
+        const list = this.listeners.get(event);
+        if (!list) return;
+
+        if (!callback) {
+            this.listeners.delete(event);
+            return;
+        }
+
+        const listener = list.find(existing => existing.callback === callback);
+        if (listener) {
+            this._removeListener(event, listener);
+        }
+    }
+
+    /**
+     * Publish an event to exact, namespace wildcard and global listeners
+     * @param {string} event - Event name, e.g. 'enemy:destroyed'
+     * @param {*} data - Event payload
+     * @returns {number} Number of listeners called
+     */
+    emit(event, data) {
+        const listeners = this._collectListeners(event);
+
+        if (this.debug) {
+            this._logEvent(event, data, listeners.length);
+        }
+
+        for (const { pattern, listener } of listeners) {
+            if (listener.once) {
+                this._removeListener(pattern, listener);
+            }
+
+            // One failing listener must not stop the others
+            try {
+                listener.callback(data, event);
+            } catch (error) {
+                console.error(`EventBus: Error in listener for '${event}':`, error);
+            }
+        }
+
+        return listeners.length;
+    }
+
+    /**
+     * Check whether an event currently has any listeners
+     * @param {string} event - Event name
+     * @returns {boolean} True if emitting would call at least one listener
+     */
+    hasListeners(event) {
+        return this._collectListeners(event).length > 0;
+    }
+
+    /**
+     * Enable or disable the debug event log
+     * @param {boolean} enabled - Whether to record events
+     */
+    setDebug(enabled) {
+        this.debug = enabled;
+    }
+
+    /**
+     * Get recorded events, oldest first
+     * @returns {Array<Object>} Logged events ({ event, data, listenerCount, timestamp })
+     */
+    getEventLog() {
+        return [...this.eventLog];
+    }
+
+    /**
+     * Clear the debug event log
+     */
+    clearEventLog() {
+        this.eventLog.length = 0;
+    }
+
+    /**
+     * Remove every listener and logged event
+     */
+    clear() {
+        this.listeners.clear();
+        this.clearEventLog();
+    }
+
+    /**
+     * Gather listeners matching an event in priority order
+     * @private
+     * @param {string} event - Event name
+     * @returns {Array<Object>} Matching { pattern, listener } entries
+     */
+    _collectListeners(event) {
+        const matches = [];
+
+        for (const pattern of this._getPatterns(event)) {
+            const list = this.listeners.get(pattern);
+            if (!list) continue;
+
+            for (const listener of list) {
+                matches.push({ pattern, listener });
+            }
+        }
+
+        // Stable sort: priority first, then subscription order across patterns
+        return matches.sort((a, b) =>
+            b.listener.priority - a.listener.priority || a.listener.id - b.listener.id);
+    }
+
+    /**
+     * List the subscription patterns an event matches
+     * @private
+     * @param {string} event - Event name, e.g. 'enemy:boss:spawned'
+     * @returns {string[]} e.g. ['enemy:boss:spawned', 'enemy:boss:*', 'enemy:*', '*']
+     */
+    _getPatterns(event) {
+        const patterns = [event];
+        const parts = event.split(':');
+
+        for (let i = parts.length - 1; i > 0; i--) {
+            patterns.push(`${parts.slice(0, i).join(':')}:*`);
+        }
+
+        patterns.push('*');
+
+        // A wildcard event name would otherwise list its own pattern twice
+        return [...new Set(patterns)];
+    }
+
+    /**
+     * Remove a specific listener entry
+     * @private
+     * @param {string} event - Pattern the listener was registered with
+     * @param {Object} listener - Listener entry
+     */
+    _removeListener(event, listener) {
+        const list = this.listeners.get(event);
+        if (!list) return;
+
+        const index = list.indexOf(listener);
+        if (index > -1) {
+            list.splice(index, 1);
+        }
+
+        if (list.length === 0) {
+            this.listeners.delete(event);
+        }
+    }
+
+    /**
+     * Record an emitted event in the debug log
+     * @private
+     * @param {string} event - Event name
+     * @param {*} data - Event payload
+     * @param {number} listenerCount - Listeners the event reached
+     */
+    _logEvent(event, data, listenerCount) {
+        this.eventLog.push({ event, data, listenerCount, timestamp: Date.now() });
+
+        if (this.eventLog.length > this.maxLogSize) {
+            this.eventLog.shift();
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventBus;
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.EventBus = EventBus;
+}
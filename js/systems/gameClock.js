@@ -0,0 +1,134 @@
+/**
+ * Game Clock - Single source of gameplay time
+ * Advances only while the game simulates, so cooldowns and timers stop when
+ * paused, follow the time scale, and can be stepped by hand in tests
+ */
+
+class GameClock {
+    /**
+     * @param {Object} config - Clock configuration
+     * @param {number} config.startTime - Initial game time in milliseconds
+     * @param {number} config.timeScale - Game time per unit of real time (1 = normal speed)
+     */
+    constructor(config = {}) {
+        this.startTime = config.startTime || 0;
+        this.time = this.startTime;
+        this.timeScale = config.timeScale !== undefined ? config.timeScale : 1;
+        this.paused = false;
+
+        this.now = this.now.bind(this);
+    }
+
+    /**
+     * Get the current game time
+     * @returns {number} Game time in milliseconds
+     */
+    now() {
+        return this.time;
+    }
+
+    /**
+     * Advance game time directly, regardless of pause state or time scale
+     * @param {number} deltaTime - Game time to add in milliseconds
+     * @returns {number} New game time
+     */
+    advance(deltaTime) {
+        if (deltaTime > 0) {
+            this.time += deltaTime;
+        }
+        return this.time;
+    }
+
+    /**
+     * Convert elapsed real time into elapsed game time
+     * @param {number} realDelta - Real time elapsed in milliseconds
+     * @returns {number} Game time that should elapse (0 while paused)
+     */
+    scaleDelta(realDelta) {
+        if (this.paused || realDelta <= 0) {
+            return 0;
+        }
+        return realDelta * this.timeScale;
+    }
+
+    /**
+     * Stop game time from following real time
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * Let game time follow real time again
+     */
+    resume() {
+        this.paused = false;
+    }
+
+    /**
+     * Check if the clock is paused
+     * @returns {boolean} True if paused
+     */
+    isPaused() {
+        return this.paused;
+    }
+
+    /**
+     * Set the time scale for slow motion or fast forward
+     * @param {number} timeScale - Game time per unit of real time
+     */
+    setTimeScale(timeScale) {
+        if (typeof timeScale !== 'number' || !isFinite(timeScale) || timeScale < 0) {
+            console.error('GameClock: Time scale must be a non-negative number', timeScale);
+            return;
+        }
+        this.timeScale = timeScale;
+    }
+
+    /**
+     * Get the current time scale
+     * @returns {number} Time scale
+     */
+    getTimeScale() {
+        return this.timeScale;
+    }
+
+    /**
+     * Get clock state for serialization
+     * @returns {Object} Game time and time scale
+     */
+    getState() {
+        return { time: this.time, timeScale: this.timeScale };
+    }
+
+    /**
+     * Restore game time from serialized data; pause state is left as is
+     * @param {Object} state - Serialized clock state
+     */
+    setState(state) {
+        if (typeof state.time === 'number') {
+            this.time = state.time;
+        }
+        if (typeof state.timeScale === 'number') {
+            this.setTimeScale(state.timeScale);
+        }
+    }
+
+    /**
+     * Reset game time to the start, clearing pause state
+     */
+    reset() {
+        this.time = this.startTime;
+        this.paused = false;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameClock;
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.GameClock = GameClock;
+}
@@ -0,0 +1,151 @@
+/**
+ * Lives System - Ships in reserve and extra lives earned by score
+ * A run starts with a fixed number of ships. Each score threshold in
+ * extraLifeScores awards one more ship, then one every extraLifeEvery points
+ * after the last threshold. Ships beyond maxLives are not kept, but the
+ * threshold still counts as reached. Settings come from gameConfig.balance.player.
+ */
+
+class LivesSystem {
+    /**
+     * @param {Object} config - Lives configuration (see gameConfig.balance.player)
+     * @param {EventBus} config.eventBus - Shared event bus
+     * @param {number} config.lives - Ships at the start of a run
+     * @param {number} config.maxLives - Most ships that can be held at once
+     * @param {number[]} config.extraLifeScores - Ascending scores that each award a ship
+     * @param {number} config.extraLifeEvery - Points between ships after the last threshold; 0 for none
+     */
+    constructor(config = {}) {
+        this.eventBus = config.eventBus;
+        this.startLives = config.lives || 3;
+        this.maxLives = config.maxLives || Infinity;
+        this.extraLifeScores = config.extraLifeScores || [];
+        this.extraLifeEvery = config.extraLifeEvery || 0;
+
+        this.reset();
+
+        this.unsubscribers = [
+            // A restored score was already checked before it was saved
+            this.eventBus.on('score:changed', ({ score, reason }) => {
+                if (reason !== 'restore') this.checkExtraLife(score);
+            }),
+            this.eventBus.on('game:reset', () => this.reset())
+        ];
+    }
+
+    /**
+     * Refill the ships, ready for a new run
+     */
+    reset() {
+        this.lives = this.startLives;
+        this.extraLivesAwarded = 0;
+    }
+
+    /**
+     * Check whether any ships are left
+     * @returns {boolean} True while the run can continue
+     */
+    hasLivesLeft() {
+        return this.lives > 0;
+    }
+
+    /**
+     * Take away a ship
+     * @returns {number} Ships left
+     */
+    loseLife() {
+        return this.removeLives(1);
+    }
+
+    /**
+     * Take away every ship, e.g. when the invaders land
+     * @returns {number} Ships left, always 0
+     */
+    loseAll() {
+        return this.removeLives(this.lives);
+    }
+
+    /**
+     * Take away ships and announce the loss
+     * @param {number} count - Ships to remove
+     * @returns {number} Ships left
+     * @private
+     */
+    removeLives(count) {
+        const lost = Math.min(count, this.lives);
+        this.lives -= lost;
+        this.eventBus.emit('lives:lost', { lives: this.lives, lost });
+        this.eventBus.emit('lives:changed', { lives: this.lives, delta: -lost });
+        return this.lives;
+    }
+
+    /**
+     * Get the score that awards the next ship
+     * @returns {number|null} Score threshold, or null when no more ships are awarded
+     */
+    getNextExtraLifeScore() {
+        const index = this.extraLifeScores.length;
+        if (this.extraLivesAwarded < index) {
+            return this.extraLifeScores[this.extraLivesAwarded];
+        }
+        if (this.extraLifeEvery <= 0) return null;
+
+        const last = index > 0 ? this.extraLifeScores[index - 1] : 0;
+        return last + this.extraLifeEvery * (this.extraLivesAwarded - index + 1);
+    }
+
+    /**
+     * Award a ship for every threshold the score has passed
+     * @param {number} score - Current score
+     */
+    checkExtraLife(score) {
+        let threshold = this.getNextExtraLifeScore();
+        while (threshold !== null && score >= threshold) {
+            this.extraLivesAwarded++;
+            if (this.lives < this.maxLives) {
+                this.lives++;
+                this.eventBus.emit('lives:extra_life', { lives: this.lives, score: threshold });
+                this.eventBus.emit('lives:changed', { lives: this.lives, delta: 1 });
+            }
+            threshold = this.getNextExtraLifeScore();
+        }
+    }
+
+    /**
+     * Get ships and awarded thresholds for serialization
+     * @returns {Object} Serializable state
+     */
+    getState() {
+        return {
+            lives: this.lives,
+            extraLivesAwarded: this.extraLivesAwarded
+        };
+    }
+
+    /**
+     * Restore ships and awarded thresholds
+     * @param {Object} state - State from getState()
+     */
+    setState(state) {
+        this.lives = state.lives;
+        this.extraLivesAwarded = state.extraLivesAwarded;
+    }
+
+    /**
+     * Stop listening for game events
+     */
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LivesSystem;
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.LivesSystem = LivesSystem;
+}
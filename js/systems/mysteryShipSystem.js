@@ -0,0 +1,298 @@
+/**
+ * Mystery Ship System - Sends the bonus saucer across the top of the screen
+ * The saucer is an ordinary enemy type, registered with the enemy factory and
+ * the wave manager, that flies level above the formation and never fires.
+ * Flights start on a timer or after a number of player shots, but only while
+ * a wave is in progress and enough invaders are left. Each flight is spawned
+ * as a bonus enemy, so it never holds up wave completion. Its points are the
+ * arcade's table entry for the player's shot count, or a random pick.
+ */
+
+const SeededRandom = typeof require === 'function'
+    ? require('./seededRandom.js')
+    : window.SeededRandom;
+
+/**
+ * Saucer type definition for EnemyFactory; speed is in pixels per 60 Hz frame
+ * and points are replaced per flight
+ * @type {Object}
+ */
+const MYSTERY_SHIP_TYPE = {
+    health: 1,
+    speed: 2,
+    points: 100,
+    width: 48,
+    height: 20,
+    color: '#ff2020',
+    sprite: 'ufo',
+    shape: 'saucer',
+    fireRate: 0,
+    movementPattern: 'flyby',
+    bonus: true
+};
+
+class MysteryShipSystem {
+    /**
+     * @param {Object} config - Mystery ship configuration (see gameConfig.mysteryShip)
+     * @param {EventBus} config.eventBus - Shared event bus
+     * @param {WaveManager} config.waveManager - Spawns flights and reports wave progress
+     * @param {EnemySystem} config.enemySystem - Holds the saucer entity once spawned
+     * @param {Object} config.enemyFactory - Factory the saucer type is registered with (EnemyFactory)
+     * @param {Object} config.clock - Game clock providing now() in milliseconds
+     * @param {SeededRandom} config.rng - Gameplay random generator
+     * @param {SoundSystem} config.sound - Plays the flight loop and hit sound (optional)
+     * @param {number} config.width - Play area width
+     * @param {boolean} config.enabled - Whether flights happen at all
+     * @param {string} config.spawnRule - 'timer' or 'shots'
+     * @param {number[]} config.interval - [min, max] milliseconds between flights under the timer rule
+     * @param {number} config.shotInterval - Player shots between flights under the shots rule
+     * @param {number} config.minEnemies - No flights once fewer invaders are left in the wave
+     * @param {number} config.y - Flight height
+     * @param {number} config.speed - Pixels per 60 Hz frame
+     * @param {string} config.scoring - 'shotCount' or 'random'
+     * @param {number[]} config.scoreTable - Points by shot count, wrapping around
+     * @param {number[]} config.randomPoints - Values the random rule picks from
+     */
+    constructor(config = {}) {
+        this.eventBus = config.eventBus;
+        this.waveManager = config.waveManager;
+        this.enemySystem = config.enemySystem;
+        this.clock = config.clock || { now: () => Date.now() };
+        this.rng = config.rng || new SeededRandom();
+        this.sound = config.sound || null;
+        this.width = config.width || 800;
+
+        this.enabled = config.enabled !== false;
+        this.spawnRule = config.spawnRule || 'timer';
+        this.interval = config.interval || [20000, 30000];
+        this.shotInterval = config.shotInterval || 25;
+        this.minEnemies = config.minEnemies !== undefined ? config.minEnemies : 3;
+        this.y = config.y || 40;
+        this.scoring = config.scoring || 'shotCount';
+        this.scoreTable = config.scoreTable || [100, 50, 50, 100, 150, 100, 100, 50, 300, 100, 100, 100, 50, 150, 100];
+        this.randomPoints = config.randomPoints || [50, 100, 150, 300];
+
+        this.typeData = { ...MYSTERY_SHIP_TYPE, speed: config.speed || MYSTERY_SHIP_TYPE.speed };
+        // The wave manager knows types by lowercase id; Game maps them to the factory's uppercase keys
+        this.typeKey = 'UFO';
+        this.waveTypeId = 'ufo';
+        this.registerType(config.enemyFactory);
+
+        this.reset();
+
+        this.unsubscribers = [
+            this.eventBus.on('wave:started', () => this.scheduleFlight()),
+            this.eventBus.on('player:shoot', () => this.onPlayerShot()),
+            this.eventBus.on('enemy:spawned', ({ enemy }) => this.onEnemySpawned(enemy)),
+            this.eventBus.on('enemy:destroyed', (data) => this.onEnemyDestroyed(data)),
+            this.eventBus.on('enemy:removed', ({ enemyId }) => this.onEnemyRemoved(enemyId)),
+            this.eventBus.on('game:reset', () => this.reset())
+        ];
+    }
+
+    /**
+     * Register the saucer with the enemy factory and the wave manager
+     * @param {Object} enemyFactory - Factory providing registerType()
+     * @private
+     */
+    registerType(enemyFactory) {
+        if (enemyFactory) {
+            enemyFactory.registerType(this.typeKey, this.typeData);
+        }
+
+        this.waveManager.addEnemyType(this.waveTypeId, {
+            health: this.typeData.health,
+            speed: this.typeData.speed,
+            points: this.typeData.points,
+            sprite: this.typeData.sprite,
+            bonus: true,
+            behavior: {
+                movementPattern: this.typeData.movementPattern,
+                shootingRate: 0,
+                aggressiveness: 0
+            }
+        });
+    }
+
+    /**
+     * Forget any flight and the shot count, ready for a new run
+     */
+    reset() {
+        if (this.sound) this.sound.stopLoop('ufoFlight');
+
+        this.shipId = null;
+        this.shotsFired = 0;
+        this.shotsUntilFlight = this.shotInterval;
+        this.nextFlightTime = null;
+    }
+
+    /**
+     * Set when the next flight is due under the active spawn rule
+     * @private
+     */
+    scheduleFlight() {
+        if (this.spawnRule === 'shots') {
+            this.shotsUntilFlight = this.shotInterval;
+        } else {
+            this.nextFlightTime = this.clock.now() + this.rng.range(this.interval[0], this.interval[1]);
+        }
+    }
+
+    /**
+     * Launch a flight when one is due
+     */
+    update() {
+        if (!this.enabled || this.shipId !== null || !this.waveManager.isWaveActive) return;
+
+        const enemiesLeft = this.waveManager.activeEnemies.size + this.waveManager.spawnQueue.length;
+        if (enemiesLeft < this.minEnemies) return;
+
+        const due = this.spawnRule === 'shots'
+            ? this.shotsUntilFlight <= 0
+            : this.nextFlightTime !== null && this.clock.now() >= this.nextFlightTime;
+        if (due) {
+            this.launch();
+        }
+    }
+
+    /**
+     * Spawn the saucer just off one side of the screen
+     * @private
+     */
+    launch() {
+        const halfWidth = this.typeData.width / 2;
+        const x = this.rng.chance(0.5) ? -halfWidth : this.width + halfWidth;
+        const points = this.scoring === 'random' ? this.rng.pick(this.randomPoints) : this.getShotCountPoints();
+
+        // Scheduled now rather than when the saucer leaves, so a rejected spawn does not retry every step
+        this.scheduleFlight();
+        this.waveManager.spawnBonusEnemy(this.waveTypeId, { x, y: this.y }, { points });
+    }
+
+    /**
+     * Get the saucer's value for the current shot count
+     * @returns {number} Points
+     */
+    getShotCountPoints() {
+        return this.scoreTable[this.shotsFired % this.scoreTable.length];
+    }
+
+    /**
+     * Get the saucer currently in flight
+     * @returns {Enemy|null} Saucer entity, or null when none is on screen
+     */
+    getShip() {
+        return this.shipId !== null ? this.enemySystem.enemies.get(this.shipId) || null : null;
+    }
+
+    /**
+     * Count a player shot and reprice a saucer in flight
+     * @private
+     */
+    onPlayerShot() {
+        this.shotsFired++;
+        this.shotsUntilFlight--;
+
+        const ship = this.getShip();
+        if (ship && this.scoring !== 'random') {
+            ship.points = this.getShotCountPoints();
+        }
+    }
+
+    /**
+     * Pick up the saucer entity once the enemy system has created it
+     * @param {Object} enemy - Spawned enemy
+     * @private
+     */
+    onEnemySpawned(enemy) {
+        if (enemy.type !== this.typeKey) return;
+
+        this.shipId = enemy.id;
+        if (this.sound) this.sound.startLoop('ufoFlight');
+    }
+
+    /**
+     * Announce the saucer's points where it was shot down
+     * @param {Object} data - enemy:destroyed payload
+     * @private
+     */
+    onEnemyDestroyed({ enemy, points, position }) {
+        if (!enemy || enemy.id !== this.shipId) return;
+
+        if (this.sound) {
+            this.sound.stopLoop('ufoFlight');
+            this.sound.play('ufoHit');
+        }
+        this.eventBus.emit('mysteryShip:destroyed', { enemy, points, position });
+    }
+
+    /**
+     * Clear the flight once the saucer has left the system, shot down or off screen
+     * @param {string} enemyId - Removed enemy id
+     * @private
+     */
+    onEnemyRemoved(enemyId) {
+        if (enemyId !== this.shipId) return;
+
+        this.shipId = null;
+        if (this.sound) this.sound.stopLoop('ufoFlight');
+    }
+
+    /**
+     * Get flight timing and the shot count for serialization
+     * @returns {Object} Serializable state
+     */
+    getState() {
+        return {
+            shipId: this.shipId,
+            shotsFired: this.shotsFired,
+            shotsUntilFlight: this.shotsUntilFlight,
+            nextFlightTime: this.nextFlightTime
+        };
+    }
+
+    /**
+     * Restore flight timing and the shot count; call after the enemy system is restored
+     * @param {Object} state - State from getState()
+     */
+    setState(state) {
+        this.shotsFired = state.shotsFired;
+        this.shotsUntilFlight = state.shotsUntilFlight;
+        this.nextFlightTime = state.nextFlightTime;
+        this.shipId = state.shipId;
+
+        if (!this.getShip()) {
+            this.shipId = null;
+        }
+        this.resumeSound();
+    }
+
+    /**
+     * Restart the flight loop if a saucer is still flying, e.g. after all sound was stopped
+     */
+    resumeSound() {
+        if (this.sound && this.getShip()) {
+            this.sound.startLoop('ufoFlight');
+        }
+    }
+
+    /**
+     * Stop listening for game events
+     */
+    destroy() {
+        this.reset();
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MysteryShipSystem, MYSTERY_SHIP_TYPE };
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.MysteryShipSystem = MysteryShipSystem;
+    window.MYSTERY_SHIP_TYPE = MYSTERY_SHIP_TYPE;
+}
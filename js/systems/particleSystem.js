@@ -0,0 +1,319 @@
+/**
+ * Particle System - Pooled particles emitted from declarative presets
+ * Gameplay code asks for an effect by name ("emit explosion at x, y"); the
+ * preset decides count, velocity, lifetime, gravity, drag and how color, size
+ * and opacity change over a particle's life. Particles come from a fixed pool,
+ * so effects create no garbage once the pool is warm.
+ */
+
+/**
+ * Color ramp resolution; colors over life are precomputed at this many steps
+ * @type {number}
+ */
+const COLOR_RAMP_STEPS = 16;
+
+/**
+ * Built-in effect presets
+ * Speeds are in pixels per millisecond, gravity in pixels per millisecond
+ * squared, drag is the share of velocity lost per second and life is in
+ * milliseconds. Ranges are [min, max]; direction and spread are radians.
+ * @type {Object<string, Object>}
+ */
+const PARTICLE_PRESETS = {
+    explosion: {
+        count: 10,
+        speed: [0.05, 0.25],
+        life: [600, 1000],
+        drag: 0.6,
+        colors: ['#ffffff', '#ffcc00', '#ff4400', '#661100'],
+        size: [5, 2]
+    },
+    hitSpark: {
+        count: 5,
+        speed: [0.08, 0.2],
+        life: [250, 500],
+        drag: 1.5,
+        colors: ['#ffffff', '#ffff00'],
+        size: [3, 1]
+    },
+    muzzleFlash: {
+        count: 3,
+        speed: [0.05, 0.12],
+        direction: -Math.PI / 2,
+        spread: Math.PI / 3,
+        life: [60, 120],
+        colors: ['#ffffff', '#00ffff'],
+        size: [4, 1]
+    },
+    debris: {
+        count: 6,
+        speed: [0.1, 0.3],
+        direction: -Math.PI / 2,
+        spread: Math.PI,
+        life: [800, 1400],
+        gravity: 0.0004,
+        colors: ['#aaaaaa', '#555555'],
+        size: [3, 3],
+        alpha: [1, 0.6]
+    },
+    bunkerChip: {
+        count: 4,
+        speed: [0.04, 0.12],
+        spread: Math.PI / 2,
+        life: [200, 400],
+        gravity: 0.0003,
+        colors: ['#00ff00', '#008800'],
+        size: [2, 2]
+    },
+    smoke: {
+        count: 4,
+        speed: [0.01, 0.04],
+        direction: -Math.PI / 2,
+        spread: Math.PI / 2,
+        life: [900, 1500],
+        gravity: -0.00003,
+        drag: 0.3,
+        colors: ['#666666', '#333333'],
+        size: [4, 12],
+        alpha: [0.5, 0]
+    }
+};
+
+class ParticleSystem {
+    /**
+     * @param {Object} config - Particle system configuration
+     * @param {number} config.poolSize - Most particles alive at once
+     * @param {SeededRandom} config.rng - Random source for particle variation
+     * @param {Object<string, Object>} config.presets - Extra presets, merged over the built-ins
+     */
+    constructor(config = {}) {
+        this.poolSize = config.poolSize || 500;
+        this.rng = config.rng || { next: () => Math.random() };
+        this.density = 1;
+
+        this.presets = new Map();
+        const presets = { ...PARTICLE_PRESETS, ...config.presets };
+        for (const [name, definition] of Object.entries(presets)) {
+            this.registerPreset(name, definition);
+        }
+
+        // Live particles are packed at the front of the pool; activeCount marks the end
+        this.pool = [];
+        for (let i = 0; i < this.poolSize; i++) {
+            this.pool.push({ x: 0, y: 0, vx: 0, vy: 0, age: 0, life: 0, preset: null });
+        }
+        this.activeCount = 0;
+
+        this.stats = { emitted: 0, dropped: 0 };
+    }
+
+    /**
+     * Add or replace an effect preset
+     * @param {string} name - Preset name passed to emit()
+     * @param {Object} definition - Preset fields (see PARTICLE_PRESETS)
+     */
+    registerPreset(name, definition) {
+        const colors = definition.colors || ['#ffffff'];
+
+        this.presets.set(name, {
+            count: 1,
+            speed: [0, 0],
+            direction: 0,
+            spread: Math.PI * 2,
+            life: [500, 500],
+            gravity: 0,
+            drag: 0,
+            size: [2, 2],
+            alpha: [1, 0],
+            ...definition,
+            colorRamp: ParticleSystem.buildColorRamp(colors)
+        });
+    }
+
+    /**
+     * Scale how many particles each effect emits
+     * @param {number} density - Multiplier on preset counts (e.g. quality particleCount)
+     */
+    setDensity(density) {
+        this.density = density;
+    }
+
+    /**
+     * Emit an effect
+     * @param {string} name - Preset name
+     * @param {number} x - Emission x position
+     * @param {number} y - Emission y position
+     * @param {Object} options - Per-emission overrides
+     * @param {number} options.count - Particle count before density scaling
+     * @param {number} options.direction - Centre of the emission cone in radians
+     * @returns {number} Particles emitted
+     */
+    emit(name, x, y, options = {}) {
+        const preset = this.presets.get(name);
+        if (!preset) {
+            console.error(`ParticleSystem: Unknown preset: ${name}`);
+            return 0;
+        }
+
+        const count = Math.max(1, Math.round((options.count || preset.count) * this.density));
+        const direction = options.direction !== undefined ? options.direction : preset.direction;
+        let emitted = 0;
+
+        for (let i = 0; i < count; i++) {
+            if (this.activeCount >= this.poolSize) {
+                this.stats.dropped += count - i;
+                break;
+            }
+
+            const angle = direction + (this.rng.next() - 0.5) * preset.spread;
+            const speed = this.between(preset.speed);
+            const particle = this.pool[this.activeCount++];
+
+            particle.x = x;
+            particle.y = y;
+            particle.vx = Math.cos(angle) * speed;
+            particle.vy = Math.sin(angle) * speed;
+            particle.age = 0;
+            particle.life = this.between(preset.life);
+            particle.preset = preset;
+            emitted++;
+        }
+
+        this.stats.emitted += emitted;
+        return emitted;
+    }
+
+    /**
+     * Pick a value from a [min, max] range
+     * @param {number[]} range - Inclusive range
+     * @returns {number} Random value in the range
+     */
+    between(range) {
+        return range[0] + this.rng.next() * (range[1] - range[0]);
+    }
+
+    /**
+     * Advance and expire particles
+     * @param {number} deltaTime - Time step in milliseconds
+     */
+    update(deltaTime) {
+        let i = 0;
+
+        while (i < this.activeCount) {
+            const particle = this.pool[i];
+            particle.age += deltaTime;
+
+            if (particle.age >= particle.life) {
+                // Swap the last live particle into this slot; order does not matter for drawing
+                const last = this.activeCount - 1;
+                this.pool[i] = this.pool[last];
+                this.pool[last] = particle;
+                particle.preset = null;
+                this.activeCount--;
+                continue;
+            }
+
+            const preset = particle.preset;
+            if (preset.drag) {
+                const damping = Math.max(0, 1 - preset.drag * deltaTime / 1000);
+                particle.vx *= damping;
+                particle.vy *= damping;
+            }
+            particle.vy += preset.gravity * deltaTime;
+            particle.x += particle.vx * deltaTime;
+            particle.y += particle.vy * deltaTime;
+            i++;
+        }
+    }
+
+    /**
+     * Draw live particles
+     * @param {Renderer} ctx - Renderer to draw with
+     * @param {Object} camera - Camera transform data
+     */
+    render(ctx, camera = {}) {
+        if (!ctx) return;
+
+        const offsetX = camera.x || 0;
+        const offsetY = camera.y || 0;
+
+        for (let i = 0; i < this.activeCount; i++) {
+            const particle = this.pool[i];
+            const preset = particle.preset;
+            const t = particle.age / particle.life;
+
+            const size = preset.size[0] + (preset.size[1] - preset.size[0]) * t;
+            const ramp = preset.colorRamp;
+
+            ctx.globalAlpha = preset.alpha[0] + (preset.alpha[1] - preset.alpha[0]) * t;
+            ctx.fillStyle = ramp[Math.min(ramp.length - 1, Math.floor(t * ramp.length))];
+            ctx.fillRect(particle.x - offsetX - size / 2, particle.y - offsetY - size / 2, size, size);
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Remove every live particle
+     */
+    clear() {
+        for (let i = 0; i < this.activeCount; i++) {
+            this.pool[i].preset = null;
+        }
+        this.activeCount = 0;
+    }
+
+    /**
+     * Get the number of live particles
+     * @returns {number} Live particle count
+     */
+    getActiveCount() {
+        return this.activeCount;
+    }
+
+    /**
+     * Get system statistics for debugging
+     * @returns {Object} Pool usage and emission counters
+     */
+    getStats() {
+        return {
+            activeParticles: this.activeCount,
+            poolSize: this.poolSize,
+            poolUtilization: (this.activeCount / this.poolSize * 100).toFixed(1) + '%',
+            emitted: this.stats.emitted,
+            dropped: this.stats.dropped
+        };
+    }
+
+    /**
+     * Precompute evenly spaced colors between a list of color stops
+     * @param {string[]} colors - Hex color stops (#rrggbb) from birth to death
+     * @returns {string[]} COLOR_RAMP_STEPS CSS colors
+     */
+    static buildColorRamp(colors) {
+        const stops = colors.map(color => [1, 3, 5].map(offset => parseInt(color.slice(offset, offset + 2), 16)));
+        if (stops.length === 1) {
+            return [colors[0]];
+        }
+
+        const ramp = [];
+        for (let step = 0; step < COLOR_RAMP_STEPS; step++) {
+            const position = step / (COLOR_RAMP_STEPS - 1) * (stops.length - 1);
+            const index = Math.min(Math.floor(position), stops.length - 2);
+            const t = position - index;
+            const [r, g, b] = stops[index].map((channel, c) => Math.round(channel + (stops[index + 1][c] - channel) * t));
+            ramp.push(`rgb(${r}, ${g}, ${b})`);
+        }
+        return ramp;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ParticleSystem, PARTICLE_PRESETS };
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.ParticleSystem = ParticleSystem;
+    window.PARTICLE_PRESETS = PARTICLE_PRESETS;
+}
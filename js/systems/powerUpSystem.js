@@ -0,0 +1,198 @@
+/**
+ * Power-Up System - Drops capsules from destroyed enemies
+ * Every destroyed enemy rolls spawnChance for a drop; the effect type is then
+ * picked with the types' rarities as weights. Capsules fall until the player
+ * collects them, which hands the effect to the player, or until they leave
+ * the screen. Settings come from gameConfig.balance.powerups.
+ */
+
+const { PowerUp } = typeof require === 'function'
+    ? require('../entities/powerUp.js')
+    : window;
+
+class PowerUpSystem {
+    /**
+     * @param {Object} config - Power-up configuration (see gameConfig.balance.powerups)
+     * @param {EventBus} config.eventBus - Shared event bus
+     * @param {SeededRandom} config.rng - Gameplay random generator
+     * @param {number} config.height - Play area height; capsules below it are dropped
+     * @param {number} config.spawnChance - Chance (0-1) that a destroyed enemy drops a capsule
+     * @param {number} config.duration - Default effect length in milliseconds
+     * @param {number} config.fallSpeed - Capsule fall speed in pixels per millisecond
+     * @param {Object<string, Object>} config.types - Effect settings by type, each with a rarity weight
+     */
+    constructor(config = {}) {
+        this.eventBus = config.eventBus;
+        this.rng = config.rng;
+        this.height = config.height || 600;
+        this.spawnChance = config.spawnChance !== undefined ? config.spawnChance : 0.15;
+        this.duration = config.duration || 10000;
+        this.fallSpeed = config.fallSpeed || 0.1;
+        this.types = config.types || {};
+
+        this.powerUps = [];
+        this.nextId = 1;
+
+        this.unsubscribers = [
+            this.eventBus.on('enemy:destroyed', ({ position }) => this.rollDrop(position.x, position.y)),
+            this.eventBus.on('game:reset', () => this.clear())
+        ];
+    }
+
+    /**
+     * Maybe drop a capsule where an enemy died
+     * @param {number} x - Drop x
+     * @param {number} y - Drop y
+     * @returns {PowerUp|null} Dropped capsule, or null when the roll failed
+     */
+    rollDrop(x, y) {
+        if (!this.rng.chance(this.spawnChance)) return null;
+
+        const type = this.pickType();
+        return type ? this.spawn(type, x, y) : null;
+    }
+
+    /**
+     * Pick an effect type, weighted by rarity
+     * @returns {string|null} Effect type, or null when no type has a weight
+     */
+    pickType() {
+        const entries = Object.entries(this.types);
+        const total = entries.reduce((sum, [, settings]) => sum + (settings.rarity || 0), 0);
+        if (total <= 0) return null;
+
+        let roll = this.rng.next() * total;
+        for (const [type, settings] of entries) {
+            roll -= settings.rarity || 0;
+            if (roll < 0) return type;
+        }
+        return entries[entries.length - 1][0];
+    }
+
+    /**
+     * Drop a capsule of a given type
+     * @param {string} type - Effect type
+     * @param {number} x - Centre x
+     * @param {number} y - Centre y
+     * @returns {PowerUp} New capsule
+     */
+    spawn(type, x, y) {
+        const powerUp = new PowerUp(x, y, {
+            id: `powerup_${this.nextId++}`,
+            type,
+            fallSpeed: this.fallSpeed
+        });
+        this.powerUps.push(powerUp);
+        this.eventBus.emit('powerup:spawned', { powerUp });
+        return powerUp;
+    }
+
+    /**
+     * Get an effect's settings, with the default duration filled in
+     * @param {string} type - Effect type
+     * @returns {Object} Settings from config plus duration in milliseconds
+     */
+    getEffectSettings(type) {
+        const settings = this.types[type] || {};
+        return { ...settings, duration: settings.duration || this.duration };
+    }
+
+    /**
+     * Take a capsule out of play and announce the effect it carries
+     * @param {PowerUp} powerUp - Capsule the player touched
+     * @returns {Object|null} Effect settings, or null if the capsule was already taken
+     */
+    collect(powerUp) {
+        if (!powerUp.active) return null;
+
+        powerUp.active = false;
+        const settings = this.getEffectSettings(powerUp.type);
+        this.eventBus.emit('powerup:collected', {
+            type: powerUp.type,
+            settings,
+            position: { x: powerUp.x, y: powerUp.y }
+        });
+        return settings;
+    }
+
+    /**
+     * Move capsules and drop the ones collected or out of play
+     * @param {number} deltaTime - Elapsed time in milliseconds
+     */
+    update(deltaTime) {
+        for (const powerUp of this.powerUps) {
+            powerUp.update(deltaTime);
+            if (powerUp.y - powerUp.height / 2 > this.height) {
+                powerUp.active = false;
+            }
+        }
+        this.powerUps = this.powerUps.filter(powerUp => powerUp.active);
+    }
+
+    /**
+     * Get capsules that can still be collected
+     * @returns {PowerUp[]} Falling capsules
+     */
+    getActivePowerUps() {
+        return this.powerUps.filter(powerUp => powerUp.active);
+    }
+
+    /**
+     * Draw every falling capsule
+     * @param {Renderer} ctx - Renderer to draw with
+     * @param {Object} camera - Camera transform data
+     */
+    render(ctx, camera = {}) {
+        for (const powerUp of this.powerUps) {
+            if (powerUp.active) {
+                powerUp.render(ctx, camera);
+            }
+        }
+    }
+
+    /**
+     * Remove every capsule
+     */
+    clear() {
+        this.powerUps = [];
+    }
+
+    /**
+     * Get falling capsules for serialization
+     * @returns {Object} Id counter and each capsule's state
+     */
+    getState() {
+        return {
+            nextId: this.nextId,
+            powerUps: this.getActivePowerUps().map(powerUp => powerUp.getState())
+        };
+    }
+
+    /**
+     * Replace the capsules with serialized ones
+     * @param {Object} state - State from getState()
+     */
+    setState(state) {
+        this.nextId = state.nextId;
+        this.powerUps = state.powerUps.map(data => PowerUp.fromState(data));
+    }
+
+    /**
+     * Stop listening for game events
+     */
+    destroy() {
+        this.clear();
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PowerUpSystem;
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.PowerUpSystem = PowerUpSystem;
+}
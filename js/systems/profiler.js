@@ -0,0 +1,335 @@
+/**
+ * Profiler - Frame-time graph and per-system timing HUD
+ * Times each system's share of every frame, keeps a rolling history for the
+ * graph and flags frames that run over budget. Captures export as JSON so
+ * frame drops on slow devices can be traced back to a system.
+ * Toggled with F4 (or the ?profile URL flag); F9 downloads a capture.
+ */
+
+/**
+ * Timed sections, in graph stacking order
+ * @type {string[]}
+ */
+const PROFILER_SECTIONS = ['input', 'enemies', 'waves', 'projectiles', 'collision', 'particles', 'render'];
+
+const PROFILER_COLORS = {
+    input: '#00ffff',
+    enemies: '#ff4444',
+    waves: '#ff00ff',
+    projectiles: '#ffff00',
+    collision: '#ff8800',
+    particles: '#88ff88',
+    render: '#4488ff',
+    other: '#666666'
+};
+
+const CAPTURE_VERSION = 1;
+
+class Profiler {
+    /**
+     * @param {Object} config - Profiler configuration
+     * @param {boolean} config.enabled - Start profiling with the HUD visible
+     * @param {number} config.budget - Frame budget in milliseconds; longer frames are spikes
+     * @param {number} config.historySize - Frames kept for the graph and captures
+     * @param {CollisionMetrics} config.collisionMetrics - Source of broad/narrow phase timings (optional)
+     * @param {string} config.toggleKey - KeyboardEvent.code that toggles the HUD
+     * @param {string} config.exportKey - KeyboardEvent.code that downloads a capture
+     */
+    constructor(config = {}) {
+        this.budget = config.budget || 1000 / 60;
+        this.historySize = config.historySize || 240;
+        this.collisionMetrics = config.collisionMetrics || null;
+        this.toggleKey = config.toggleKey || 'F4';
+        this.exportKey = config.exportKey || 'F9';
+
+        this.enabled = false;
+        this.history = [];
+        this.frame = null;
+        this.frameIndex = 0;
+        this.keyHandler = null;
+
+        this.setEnabled(config.enabled === true);
+    }
+
+    /**
+     * Listen for the toggle and export keys
+     * @param {EventTarget} target - Element receiving keyboard events
+     */
+    bindKeys(target = document) {
+        this.keyHandler = (event) => {
+            if (event.code === this.toggleKey) {
+                event.preventDefault();
+                this.toggle();
+            } else if (event.code === this.exportKey && this.enabled) {
+                event.preventDefault();
+                this.downloadCapture();
+            }
+        };
+        target.addEventListener('keydown', this.keyHandler);
+        this.keyTarget = target;
+    }
+
+    /**
+     * Start or stop profiling; timings are only taken while enabled
+     * @param {boolean} enabled - Whether the profiler runs and its HUD is visible
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.frame = null;
+    }
+
+    /**
+     * Flip profiling on or off
+     * @returns {boolean} New state
+     */
+    toggle() {
+        this.setEnabled(!this.enabled);
+        return this.enabled;
+    }
+
+    /**
+     * Open a frame; section timings until endFrame() are charged to it
+     */
+    beginFrame() {
+        if (!this.enabled) return;
+
+        const sections = {};
+        PROFILER_SECTIONS.forEach(section => {
+            sections[section] = 0;
+        });
+
+        this.frame = { start: performance.now(), sections, steps: 0 };
+
+        if (this.collisionMetrics) {
+            this.frame.broadPhase = this.collisionMetrics.broadPhaseTime;
+            this.frame.narrowPhase = this.collisionMetrics.narrowPhaseTime;
+        }
+    }
+
+    /**
+     * Start timing a section
+     * @returns {number} Start time to pass to end(), or 0 outside a profiled frame
+     */
+    begin() {
+        return this.frame ? performance.now() : 0;
+    }
+
+    /**
+     * Charge the time since begin() to a section of the current frame
+     * @param {string} section - Section name from PROFILER_SECTIONS
+     * @param {number} startTime - Value returned by begin()
+     */
+    end(section, startTime) {
+        if (!this.frame) return;
+        this.frame.sections[section] += performance.now() - startTime;
+    }
+
+    /**
+     * Count a simulation step in the current frame
+     */
+    countStep() {
+        if (this.frame) {
+            this.frame.steps++;
+        }
+    }
+
+    /**
+     * Close the current frame and add it to the history
+     * @returns {Object|null} Frame record, or null if no frame was open
+     */
+    endFrame() {
+        const frame = this.frame;
+        if (!frame) return null;
+        this.frame = null;
+
+        const round = (ms) => Math.round(ms * 1000) / 1000;
+        const sections = {};
+        let culprit = null;
+        for (const section of PROFILER_SECTIONS) {
+            sections[section] = round(frame.sections[section]);
+            if (!culprit || sections[section] > sections[culprit]) {
+                culprit = section;
+            }
+        }
+
+        const time = round(performance.now() - frame.start);
+        const record = {
+            index: this.frameIndex++,
+            time,
+            steps: frame.steps,
+            sections,
+            spike: time > this.budget
+        };
+
+        if (record.spike) {
+            record.culprit = culprit;
+        }
+
+        // Collision metrics are running totals, so the frame's share is the difference
+        if (this.collisionMetrics) {
+            record.broadPhase = round(this.collisionMetrics.broadPhaseTime - frame.broadPhase);
+            record.narrowPhase = round(this.collisionMetrics.narrowPhaseTime - frame.narrowPhase);
+        }
+
+        this.history.push(record);
+        if (this.history.length > this.historySize) {
+            this.history.shift();
+        }
+
+        return record;
+    }
+
+    /**
+     * Summarize the frames in the history
+     * @returns {Object} Frame time statistics and average time per section
+     */
+    getSummary() {
+        const frames = this.history;
+        const count = frames.length || 1;
+        const averages = {};
+
+        PROFILER_SECTIONS.forEach(section => {
+            averages[section] = frames.reduce((sum, frame) => sum + frame.sections[section], 0) / count;
+        });
+
+        return {
+            frames: frames.length,
+            budget: this.budget,
+            averageFrameTime: frames.reduce((sum, frame) => sum + frame.time, 0) / count,
+            maxFrameTime: frames.reduce((max, frame) => Math.max(max, frame.time), 0),
+            spikes: frames.filter(frame => frame.spike).length,
+            averages
+        };
+    }
+
+    /**
+     * Build a capture of the current history
+     * @returns {Object} Capture data, safe to serialize as JSON
+     */
+    exportCapture() {
+        return {
+            version: CAPTURE_VERSION,
+            capturedAt: Date.now(),
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+            summary: this.getSummary(),
+            frames: this.history.slice()
+        };
+    }
+
+    /**
+     * Save a capture as a JSON file through the browser
+     */
+    downloadCapture() {
+        try {
+            const capture = this.exportCapture();
+            const blob = new Blob([JSON.stringify(capture, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `profile-${capture.capturedAt}.json`;
+            link.click();
+
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Failed to export profiler capture:', error);
+        }
+    }
+
+    /**
+     * Draw the frame-time graph and per-section averages
+     * @param {Renderer} ctx - Renderer to draw with
+     * @param {number} x - Left edge of the panel
+     * @param {number} bottom - Bottom edge of the panel
+     */
+    render(ctx, x, bottom) {
+        if (!this.enabled || !ctx) return;
+
+        const graphWidth = this.historySize;
+        const graphHeight = 60;
+        const lineHeight = 12;
+        const width = graphWidth + 12;
+        const height = graphHeight + (PROFILER_SECTIONS.length + 2) * lineHeight + 16;
+        const y = bottom - height;
+        // The graph tops out at twice the budget, so the budget line sits halfway up
+        const scale = graphHeight / (this.budget * 2);
+        const graphTop = y + 6;
+        const graphBottom = graphTop + graphHeight;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(x, y, width, height);
+
+        this.history.forEach((frame, index) => {
+            const barX = x + 6 + graphWidth - this.history.length + index;
+            let barTop = graphBottom;
+
+            for (const section of PROFILER_SECTIONS) {
+                const barHeight = Math.min(frame.sections[section] * scale, barTop - graphTop);
+                barTop -= barHeight;
+                ctx.fillStyle = PROFILER_COLORS[section];
+                ctx.fillRect(barX, barTop, 1, barHeight);
+            }
+
+            // Whatever the sections do not account for (browser, GC, idle work)
+            const total = Math.min(frame.time * scale, graphHeight);
+            if (graphBottom - total < barTop) {
+                ctx.fillStyle = frame.spike ? '#ff0000' : PROFILER_COLORS.other;
+                ctx.fillRect(barX, graphBottom - total, 1, barTop - (graphBottom - total));
+            }
+        });
+
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x + 6, graphBottom - this.budget * scale);
+        ctx.lineTo(x + 6 + graphWidth, graphBottom - this.budget * scale);
+        ctx.stroke();
+
+        const summary = this.getSummary();
+        const last = this.history[this.history.length - 1];
+        const lastSpike = [...this.history].reverse().find(frame => frame.spike);
+
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'left';
+        let textY = graphBottom + lineHeight + 2;
+
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(`frame ${last ? last.time.toFixed(2) : '-'}ms  avg ${summary.averageFrameTime.toFixed(2)}  max ${summary.maxFrameTime.toFixed(2)}`, x + 6, textY);
+        textY += lineHeight;
+
+        ctx.fillStyle = summary.spikes > 0 ? '#ff4444' : '#ffffff';
+        ctx.fillText(`spikes ${summary.spikes} > ${this.budget.toFixed(1)}ms${lastSpike ? `  last: ${lastSpike.culprit}` : ''}`, x + 6, textY);
+        textY += lineHeight;
+
+        for (const section of PROFILER_SECTIONS) {
+            ctx.fillStyle = PROFILER_COLORS[section];
+            ctx.fillText(`${section.padEnd(12)}${summary.averages[section].toFixed(3)}ms`, x + 6, textY);
+            textY += lineHeight;
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Stop listening for keys and stop profiling
+     */
+    destroy() {
+        if (this.keyHandler) {
+            this.keyTarget.removeEventListener('keydown', this.keyHandler);
+            this.keyHandler = null;
+        }
+        this.setEnabled(false);
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Profiler, PROFILER_SECTIONS };
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.Profiler = Profiler;
+    window.PROFILER_SECTIONS = PROFILER_SECTIONS;
+}
@@ -11,6 +11,14 @@ class ProjectileSystem {
         this.maxPoolSize = 100;
         this.activeProjectiles = 0;
         
+        // Atlas frames drawn for each projectile type; rectangles are drawn without one
+        this.sprites = {};
+
+        // Effects scaled by the quality governor: milliseconds of travel drawn
+        // as a trail behind each shot, and a soft glow around it
+        this.trailTime = 40;
+        this.glow = true;
+        
         // Initialize projectile pool
         this.initializePool();
     }
@@ -83,6 +91,12 @@ class ProjectileSystem {
         projectile.hitbox.width = projectile.width;
         projectile.hitbox.height = projectile.height;
 
+        // A pooled object destroyed this step is still listed until the next update;
+        // move it to the end so the list stays in firing order, as restored snapshots list it
+        const listed = this.projectiles.indexOf(projectile);
+        if (listed !== -1) {
+            this.projectiles.splice(listed, 1);
+        }
         this.projectiles.push(projectile);
         this.activeProjectiles++;
 
@@ -286,6 +300,74 @@ class ProjectileSystem {
         this.projectiles = [];
     }
 
+    /**
+     * Clear projectiles of one type within a radius of a point
+     * @param {number} x - Centre x
+     * @param {number} y - Centre y
+     * @param {number} radius - Radius in pixels
+     * @param {string} type - Projectile type to clear, e.g. 'enemy'
+     * @returns {Array<Object>} Centres ({ x, y }) of the cleared projectiles
+     */
+    clearProjectilesNear(x, y, radius, type) {
+        const cleared = [];
+
+        for (const projectile of this.getProjectilesByType(type)) {
+            const centreX = projectile.x + projectile.width / 2;
+            const centreY = projectile.y + projectile.height / 2;
+            const dx = centreX - x;
+            const dy = centreY - y;
+
+            if (dx * dx + dy * dy <= radius * radius) {
+                cleared.push({ x: centreX, y: centreY });
+                this.destroyProjectile(projectile);
+            }
+        }
+
+        return cleared;
+    }
+
+    /**
+     * Get active projectiles for serialization
+     * Entity owners are stored by id, or by projectile type when they have none
+     * @returns {Array<Object>} Serializable projectile data
+     */
+    getState() {
+        const ownerKey = (projectile) => {
+            const owner = projectile.owner;
+            if (!owner || typeof owner !== 'object') return owner;
+            return owner.id !== undefined ? owner.id : projectile.type;
+        };
+
+        return this.getActiveProjectiles().map(projectile => ({
+            x: projectile.x,
+            y: projectile.y,
+            vx: projectile.vx,
+            vy: projectile.vy,
+            type: projectile.type,
+            owner: ownerKey(projectile),
+            damage: projectile.damage,
+            width: projectile.width,
+            height: projectile.height
+        }));
+    }
+
+    /**
+     * Replace all projectiles with serialized ones
+     * @param {Array<Object>} state - Serialized projectiles from getState()
+     * @param {Function} resolveOwner - Maps a stored owner key back to its entity (optional)
+     */
+    setState(state, resolveOwner = owner => owner) {
+        this.clearAllProjectiles();
+
+        for (const data of state) {
+            this.createProjectile(data.x, data.y, data.vx, data.vy, data.type, resolveOwner(data.owner), {
+                damage: data.damage,
+                width: data.width,
+                height: data.height
+            });
+        }
+    }
+
     /**
      * Get projectile count by type
      * @param {string} type - Projectile type
@@ -298,31 +380,97 @@ class ProjectileSystem {
         return this.activeProjectiles;
     }
 
+    /**
+     * Set the atlas frame drawn for a projectile type
+     * @param {string} type - Projectile type ('player' or 'enemy')
+     * @param {Object|null} sprite - Atlas frame { image, x, y, width, height }, or null for rectangles
+     */
+    setSprite(type, sprite) {
+        this.sprites[type] = sprite;
+    }
+
+    /**
+     * Set the trail and glow drawn with each projectile (e.g. from the quality settings)
+     * @param {number} trailTime - Milliseconds of travel drawn behind each shot; 0 for none
+     * @param {boolean} glow - Draw a glow around each shot
+     */
+    setEffects(trailTime, glow) {
+        this.trailTime = trailTime;
+        this.glow = glow;
+    }
+
     /**
      * Render all active projectiles
-     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Renderer} ctx - Renderer to draw with
+     * @param {Object} camera - Camera transform data
      */
-    render(ctx) {
+    render(ctx, camera = {}) {
+        const offsetX = camera.x || 0;
+        const offsetY = camera.y || 0;
+
         for (const projectile of this.projectiles) {
             if (!projectile.active) continue;
 
-            if (projectile.sprite) {
+            const color = projectile.type === 'player' ? '#00ff00' : '#ff0000';
+            if (this.trailTime > 0 || this.glow) {
+                this.renderEffects(ctx, projectile, color, offsetX, offsetY);
+            }
+
+            const sprite = projectile.sprite || this.sprites[projectile.type];
+            if (sprite) {
                 // Render sprite if available
                 ctx.drawImage(
-                    projectile.sprite,
-                    projectile.x,
-                    projectile.y,
+                    sprite.image,
+                    sprite.x,
+                    sprite.y,
+                    sprite.width,
+                    sprite.height,
+                    projectile.x - offsetX,
+                    projectile.y - offsetY,
                     projectile.width,
                     projectile.height
                 );
             } else {
                 // Render simple rectangle
-                ctx.fillStyle = projectile.type === 'player' ? '#00ff00' : '#ff0000';
-                ctx.fillRect(projectile.x, projectile.y, projectile.width, projectile.height);
+                ctx.fillStyle = color;
+                ctx.fillRect(projectile.x - offsetX, projectile.y - offsetY, projectile.width, projectile.height);
             }
         }
     }
 
+    /**
+     * Draw a projectile's trail and glow, behind the projectile itself
+     * @param {Renderer} ctx - Renderer to draw with
+     * @param {Object} projectile - Projectile to decorate
+     * @param {string} color - Projectile colour
+     * @param {number} offsetX - Camera x offset
+     * @param {number} offsetY - Camera y offset
+     */
+    renderEffects(ctx, projectile, color, offsetX, offsetY) {
+        const centerX = projectile.x + projectile.width / 2 - offsetX;
+        const centerY = projectile.y + projectile.height / 2 - offsetY;
+
+        ctx.save();
+        if (this.trailTime > 0) {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = Math.max(1, projectile.width / 2);
+            ctx.lineCap = 'round';
+            ctx.globalAlpha = 0.4;
+            ctx.beginPath();
+            ctx.moveTo(centerX, centerY);
+            ctx.lineTo(centerX - projectile.vx * this.trailTime, centerY - projectile.vy * this.trailTime);
+            ctx.stroke();
+        }
+        if (this.glow) {
+            ctx.shadowColor = color;
+            ctx.shadowBlur = 4;
+            ctx.globalAlpha = 0.3;
+            ctx.fillStyle = color;
+            ctx.fillRect(projectile.x - offsetX - 1, projectile.y - offsetY - 1, projectile.width + 2, projectile.height + 2);
+        }
+        ctx.restore();
+    }
+
     /**
      * Get system statistics for debugging
      * @returns {Object} System statistics
@@ -0,0 +1,161 @@
+/**
+ * Quality Governor - Scales effect quality to keep the frame rate on target
+ * Levels come from gameConfig.performance.quality. One slow sample window
+ * drops a level; climbing back needs several windows in a row with plenty of
+ * headroom, so quality does not flap around the threshold. A level pinned
+ * from the settings menu switches automatic scaling off.
+ */
+
+/**
+ * Quality levels from cheapest to richest
+ * @type {string[]}
+ */
+const QUALITY_LEVELS = ['low', 'medium', 'high'];
+
+class QualityGovernor {
+    /**
+     * @param {Object} config - Governor configuration
+     * @param {Object} config.qualityLevels - Settings per level (particleCount, effectQuality, projectileTrail, ...)
+     * @param {boolean} config.autoScale - Adjust the level from frame times
+     * @param {number} config.targetFPS - Frame rate to hold
+     * @param {string} config.level - Starting level
+     * @param {number} config.sampleSize - Frames averaged per decision
+     * @param {number} config.upgradeSamples - Consecutive fast windows needed to step up
+     * @param {number} config.upgradeLoad - Largest share of the frame budget spent working that still counts as fast
+     * @param {EventBus} config.eventBus - Bus that receives 'quality:changed' events (optional)
+     */
+    constructor(config = {}) {
+        this.levels = config.qualityLevels || {};
+        this.autoScale = config.autoScale !== false;
+        this.targetFPS = config.targetFPS || 60;
+        this.sampleSize = config.sampleSize || 60;
+        this.upgradeSamples = config.upgradeSamples || 5;
+        this.upgradeLoad = config.upgradeLoad || 0.5;
+        this.eventBus = config.eventBus || null;
+
+        // Below this the frame rate is visibly dropping
+        this.downgradeFPS = this.targetFPS * 0.9;
+        // Longer gaps come from tab switches or breakpoints, not rendering cost
+        this.maxFrameInterval = 250;
+
+        this.level = QUALITY_LEVELS.includes(config.level) ? config.level : 'high';
+        this.pinned = false;
+        this.fastSamples = 0;
+        this.resetSamples();
+    }
+
+    /**
+     * Start a new sample window
+     */
+    resetSamples() {
+        this.sampleFrames = 0;
+        this.sampleInterval = 0;
+        this.sampleWork = 0;
+    }
+
+    /**
+     * Feed one frame's timing to the governor
+     * @param {number} interval - Time since the previous frame in milliseconds
+     * @param {number} workTime - Time spent updating and rendering the frame in milliseconds
+     */
+    recordFrame(interval, workTime) {
+        if (this.pinned || !this.autoScale) return;
+        if (interval <= 0 || interval > this.maxFrameInterval) return;
+
+        this.sampleFrames++;
+        this.sampleInterval += interval;
+        this.sampleWork += workTime;
+        if (this.sampleFrames < this.sampleSize) return;
+
+        const fps = 1000 / (this.sampleInterval / this.sampleFrames);
+        // Vsync caps the frame rate, so headroom shows up in the work time instead
+        const load = (this.sampleWork / this.sampleFrames) / (1000 / this.targetFPS);
+        this.resetSamples();
+
+        if (fps < this.downgradeFPS) {
+            this.fastSamples = 0;
+            this.shiftLevel(-1);
+        } else if (load < this.upgradeLoad) {
+            this.fastSamples++;
+            if (this.fastSamples >= this.upgradeSamples) {
+                this.fastSamples = 0;
+                this.shiftLevel(1);
+            }
+        } else {
+            this.fastSamples = 0;
+        }
+    }
+
+    /**
+     * Move one level down or up, staying within the known levels
+     * @param {number} direction - -1 for cheaper, 1 for richer
+     */
+    shiftLevel(direction) {
+        const index = QUALITY_LEVELS.indexOf(this.level) + direction;
+        if (index >= 0 && index < QUALITY_LEVELS.length) {
+            this.setLevel(QUALITY_LEVELS[index]);
+        }
+    }
+
+    /**
+     * Switch to a level and announce it
+     * @param {string} level - Level name from QUALITY_LEVELS
+     */
+    setLevel(level) {
+        if (!QUALITY_LEVELS.includes(level)) {
+            console.error(`QualityGovernor: Unknown quality level: ${level}`);
+            return;
+        }
+        if (level === this.level) return;
+
+        this.level = level;
+        if (this.eventBus) {
+            this.eventBus.emit('quality:changed', { level, pinned: this.pinned, settings: this.getSettings() });
+        }
+    }
+
+    /**
+     * Hold a fixed level, or hand control back to automatic scaling
+     * @param {string|null} level - Level to pin, or 'auto'/null for automatic
+     */
+    pin(level) {
+        this.fastSamples = 0;
+        this.resetSamples();
+
+        if (!level || level === 'auto') {
+            this.pinned = false;
+            return;
+        }
+
+        this.pinned = true;
+        this.setLevel(level);
+    }
+
+    /**
+     * Get the current level name
+     * @returns {string} Level name
+     */
+    getLevel() {
+        return this.level;
+    }
+
+    /**
+     * Get the current level's settings
+     * @returns {Object} particleCount and effectQuality multipliers (1 when unconfigured),
+     *   plus projectileTrail and projectileGlow
+     */
+    getSettings() {
+        return { particleCount: 1, effectQuality: 1, projectileTrail: 40, projectileGlow: true, ...this.levels[this.level] };
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QualityGovernor, QUALITY_LEVELS };
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.QualityGovernor = QualityGovernor;
+    window.QUALITY_LEVELS = QUALITY_LEVELS;
+}
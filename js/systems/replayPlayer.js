@@ -0,0 +1,257 @@
+/**
+ * Replay Player - Re-simulates a recorded run from its seed and inputs
+ * Playback can be paused, run at 2x/4x speed and rewound to checkpoints,
+ * which are game snapshots taken at regular step intervals as it plays
+ */
+
+const isCommonJS = typeof require === 'function';
+const { Game } = isCommonJS ? require('../game.js') : window;
+const ScriptedInput = isCommonJS ? require('../input/scriptedInput.js') : window.ScriptedInput;
+const InputRecorder = isCommonJS ? require('../input/inputRecorder.js') : window.InputRecorder;
+const { INPUT_ACTIONS, INPUT_STATES } = isCommonJS ? require('../input/inputManager.js') : window;
+
+class ReplayPlayer {
+    /**
+     * Playback speeds, cycled by cycleSpeed()
+     * @type {number[]}
+     */
+    static SPEEDS = [1, 2, 4];
+
+    /**
+     * @param {Object} replay - Replay data recorded by InputRecorder
+     * @param {Object} options - Playback options
+     * @param {HTMLCanvasElement|null} options.canvas - Canvas to draw into (null plays headless)
+     * @param {number} options.checkpointInterval - Steps between rewind checkpoints
+     * @param {boolean} options.debug - Show the debug overlay from the start
+     * @param {boolean} options.profile - Show the profiler from the start
+     * @param {string|Renderer} options.renderer - Renderer backend or instance (see Game)
+     */
+    constructor(replay, options = {}) {
+        this.replay = replay;
+        this.masks = InputRecorder.expand(replay);
+        this.checkpointInterval = options.checkpointInterval || 600;
+
+        this.input = new ScriptedInput();
+        this.game = new Game(options.canvas || null, {
+            seed: replay.seed,
+            input: this.input,
+            replayMode: true,
+            debug: options.debug,
+            profile: options.profile,
+            renderer: options.renderer
+        });
+
+        this.step = 0;
+        this.checkpoints = [];
+        this.accumulator = 0;
+        this.speed = 1;
+        this.paused = false;
+        this.lastTime = null;
+        this.unsubscribers = [];
+    }
+
+    /**
+     * Start the run from the beginning
+     */
+    start() {
+        this.game.start();
+        this.step = 0;
+        this.checkpoints = [];
+        this.accumulator = 0;
+    }
+
+    /**
+     * Check whether every recorded step has been played
+     * @returns {boolean} True at the end of the replay
+     */
+    isFinished() {
+        return this.step >= this.masks.length;
+    }
+
+    /**
+     * Play one recorded step
+     */
+    stepOnce() {
+        if (this.isFinished()) return;
+
+        if (this.step % this.checkpointInterval === 0 && this.game.canSnapshot()) {
+            this.saveCheckpoint();
+        }
+
+        InputRecorder.applyMask(this.input, this.masks[this.step]);
+        this.game.step();
+        this.step++;
+    }
+
+    /**
+     * Advance playback by real elapsed time, scaled by the playback speed
+     * @param {number} frameDelta - Real time since the last frame in milliseconds
+     * @returns {number} Steps played
+     */
+    update(frameDelta) {
+        if (this.paused || this.isFinished()) return 0;
+
+        const game = this.game;
+        const clamped = Math.min(Math.max(frameDelta, 0), game.maxDeltaTime);
+        this.accumulator += game.camera.consumeHitStop(clamped) * this.speed;
+
+        let steps = 0;
+        while (this.accumulator >= game.timestep && !this.isFinished()) {
+            this.stepOnce();
+            this.accumulator -= game.timestep;
+            steps++;
+        }
+
+        game.interpolationAlpha = this.isFinished() ? 1 : this.accumulator / game.timestep;
+        return steps;
+    }
+
+    /**
+     * Play every remaining step at once
+     * @returns {Object} Result summary of the re-simulated run
+     */
+    runToEnd() {
+        while (!this.isFinished()) {
+            this.stepOnce();
+        }
+
+        return {
+            seed: this.replay.seed,
+            score: this.game.score,
+            wave: this.game.currentWave,
+            steps: this.step,
+            matchesRecording: this.game.score === this.replay.score && this.game.currentWave === this.replay.wave
+        };
+    }
+
+    /**
+     * Remember the current step so playback can return to it
+     */
+    saveCheckpoint() {
+        if (this.checkpoints.some(checkpoint => checkpoint.step === this.step)) return;
+
+        // Copy through JSON so later steps cannot mutate the stored state
+        const snapshot = JSON.parse(JSON.stringify(this.game.createSnapshot()));
+        this.checkpoints.push({ step: this.step, snapshot });
+    }
+
+    /**
+     * Jump back to the last checkpoint, or the one before it when just past it
+     * @param {number} grace - Steps after a checkpoint that still count as "at" it
+     * @returns {boolean} True if playback rewound
+     */
+    rewind(grace = 60) {
+        const target = [...this.checkpoints].reverse()
+            .find(checkpoint => checkpoint.step + grace < this.step) || this.checkpoints[0];
+        if (!target) return false;
+
+        const game = this.game;
+        game.restoreSnapshot(target.snapshot);
+        // Jump straight to the checkpoint's state; the usual transition rules do not apply
+        game.stateMachine.start(target.snapshot.state, { resumed: true });
+
+        this.step = target.step;
+        this.accumulator = 0;
+        return true;
+    }
+
+    /**
+     * Pause or resume playback
+     */
+    togglePause() {
+        this.paused = !this.paused;
+    }
+
+    /**
+     * Switch to the next playback speed
+     * @returns {number} New speed
+     */
+    cycleSpeed() {
+        const speeds = ReplayPlayer.SPEEDS;
+        this.speed = speeds[(speeds.indexOf(this.speed) + 1) % speeds.length];
+        return this.speed;
+    }
+
+    /**
+     * Map viewer input to playback controls: pause toggles, left rewinds, right changes speed
+     * @param {Object} controls - Input source with the InputManager interface
+     */
+    bindControls(controls) {
+        const bindings = {
+            [INPUT_ACTIONS.PAUSE]: () => this.togglePause(),
+            [INPUT_ACTIONS.MOVE_LEFT]: () => this.rewind(),
+            [INPUT_ACTIONS.MOVE_RIGHT]: () => this.cycleSpeed()
+        };
+
+        for (const [action, handler] of Object.entries(bindings)) {
+            this.unsubscribers.push(controls.subscribe(action, (event) => {
+                if (event.state === INPUT_STATES.PRESSED) {
+                    handler();
+                }
+            }));
+        }
+    }
+
+    /**
+     * Draw the game and the playback status bar
+     */
+    render() {
+        const game = this.game;
+        const ctx = game.renderer;
+        if (!ctx) return;
+
+        game.render(game.interpolationAlpha);
+
+        const seconds = (step) => Math.floor(step * game.timestep / 1000);
+        let status = `REPLAY ${this.speed}x  ${seconds(this.step)}s / ${seconds(this.masks.length)}s`;
+        if (this.paused) status += '  PAUSED';
+        if (this.isFinished()) status += '  END';
+
+        // A second pass over the finished frame
+        ctx.begin();
+        ctx.setLayer('ui');
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, game.height - 24, game.width, 24);
+        ctx.fillStyle = '#ffff00';
+        ctx.font = '14px Arial';
+        ctx.fillText(status, 10, game.height - 8);
+        ctx.textAlign = 'right';
+        ctx.fillText('P pause  LEFT rewind  RIGHT speed', game.width - 10, game.height - 8);
+        ctx.end();
+    }
+
+    /**
+     * Browser playback loop
+     * @param {number} currentTime - requestAnimationFrame timestamp
+     */
+    loop(currentTime) {
+        const deltaTime = this.lastTime === null ? 0 : currentTime - this.lastTime;
+        this.lastTime = currentTime;
+
+        this.game.profiler.beginFrame();
+        this.game.updatePresentation(deltaTime);
+        this.update(deltaTime);
+        this.render();
+        this.game.profiler.endFrame();
+
+        requestAnimationFrame((time) => this.loop(time));
+    }
+
+    /**
+     * Release viewer input subscriptions
+     */
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReplayPlayer;
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.ReplayPlayer = ReplayPlayer;
+}
@@ -0,0 +1,97 @@
+/**
+ * Score Popup System - Floating text where points were scored
+ * Each popup drifts upward and fades out over its lifetime. Popups are drawn
+ * in world space, so they shake with the camera like the explosion they sit on.
+ */
+
+class ScorePopupSystem {
+    /**
+     * @param {Object} config - Popup configuration
+     * @param {number} config.duration - Popup lifetime in milliseconds
+     * @param {number} config.rise - Pixels a popup drifts up over its lifetime
+     * @param {string} config.font - Default font
+     * @param {string} config.color - Default text color
+     * @param {number} config.maxPopups - Oldest popups are dropped beyond this many
+     */
+    constructor(config = {}) {
+        this.duration = config.duration || 1000;
+        this.rise = config.rise !== undefined ? config.rise : 30;
+        this.font = config.font || 'bold 16px Arial';
+        this.color = config.color || '#ffffff';
+        this.maxPopups = config.maxPopups || 32;
+
+        this.popups = [];
+    }
+
+    /**
+     * Show a popup
+     * @param {number} x - Centre x in world space
+     * @param {number} y - Baseline y in world space
+     * @param {string|number} text - Text to show, e.g. the points scored
+     * @param {Object} options - Per-popup color, font and duration
+     */
+    spawn(x, y, text, options = {}) {
+        if (this.popups.length >= this.maxPopups) {
+            this.popups.shift();
+        }
+
+        this.popups.push({
+            x,
+            y,
+            text: String(text),
+            color: options.color || this.color,
+            font: options.font || this.font,
+            duration: options.duration || this.duration,
+            age: 0
+        });
+    }
+
+    /**
+     * Age popups and drop expired ones
+     * @param {number} deltaTime - Elapsed time in milliseconds
+     */
+    update(deltaTime) {
+        for (const popup of this.popups) {
+            popup.age += deltaTime;
+        }
+        this.popups = this.popups.filter(popup => popup.age < popup.duration);
+    }
+
+    /**
+     * Draw every popup
+     * @param {Renderer} ctx - Renderer to draw with
+     * @param {Object} camera - Camera transform data
+     */
+    render(ctx, camera = {}) {
+        if (this.popups.length === 0) return;
+
+        ctx.textAlign = 'center';
+        for (const popup of this.popups) {
+            const progress = popup.age / popup.duration;
+            // Hold full opacity for the first half, then fade
+            ctx.globalAlpha = Math.min(1, 2 - progress * 2);
+            ctx.fillStyle = popup.color;
+            ctx.font = popup.font;
+            ctx.fillText(popup.text, popup.x - (camera.x || 0), popup.y - this.rise * progress - (camera.y || 0));
+        }
+        ctx.globalAlpha = 1;
+        ctx.textAlign = 'left';
+    }
+
+    /**
+     * Remove every popup
+     */
+    clear() {
+        this.popups = [];
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScorePopupSystem;
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.ScorePopupSystem = ScorePopupSystem;
+}
@@ -0,0 +1,198 @@
+/**
+ * Score System - Kill chains, wave bonuses and the running score
+ * Kills made within comboTimeout of the previous one extend a chain; each
+ * link past the first adds comboMultiplier to the points multiplier, up to
+ * maxComboMultiplier. Clearing a wave awards waveCompletionBonus, multiplied
+ * by perfectWaveMultiplier when the player took no damage during it. Bonus
+ * enemies such as the mystery ship score their flat points and leave the
+ * chain alone.
+ * Settings come from gameConfig.balance.scoring.
+ */
+
+class ScoreSystem {
+    /**
+     * @param {Object} config - Scoring configuration (see gameConfig.balance.scoring)
+     * @param {EventBus} config.eventBus - Shared event bus
+     * @param {Object} config.clock - Game clock providing now() in milliseconds
+     * @param {Function} config.getBonusMultiplier - Returns an extra kill multiplier, e.g. from a power-up (optional)
+     * @param {Function} config.isBonusEnemy - Returns true for enemies outside the chain, e.g. the mystery ship (optional)
+     * @param {number} config.baseMultiplier - Multiplier for a kill outside a chain
+     * @param {number} config.comboMultiplier - Multiplier added by each further kill in a chain
+     * @param {number} config.maxComboMultiplier - Cap on the chain multiplier
+     * @param {number} config.comboTimeout - Milliseconds after a kill before the chain breaks
+     * @param {number} config.waveCompletionBonus - Points for clearing a wave
+     * @param {number} config.perfectWaveMultiplier - Bonus multiplier for a wave cleared without damage
+     */
+    constructor(config = {}) {
+        this.eventBus = config.eventBus;
+        this.clock = config.clock || { now: () => Date.now() };
+        this.getBonusMultiplier = config.getBonusMultiplier || (() => 1);
+        this.isBonusEnemy = config.isBonusEnemy || (() => false);
+
+        this.baseMultiplier = config.baseMultiplier || 1;
+        this.comboMultiplier = config.comboMultiplier !== undefined ? config.comboMultiplier : 0.1;
+        this.maxComboMultiplier = config.maxComboMultiplier || 5;
+        this.comboTimeout = config.comboTimeout || 3000;
+        this.waveCompletionBonus = config.waveCompletionBonus || 0;
+        this.perfectWaveMultiplier = config.perfectWaveMultiplier || 1;
+
+        this.reset();
+
+        this.unsubscribers = [
+            this.eventBus.on('enemy:destroyed', (data) => this.onEnemyDestroyed(data)),
+            this.eventBus.on('player:damage_taken', () => { this.waveDamaged = true; }),
+            this.eventBus.on('lives:lost', () => { this.waveDamaged = true; }),
+            this.eventBus.on('wave:started', () => { this.waveDamaged = false; }),
+            this.eventBus.on('wave:completed', ({ waveNumber }) => this.awardWaveBonus(waveNumber)),
+            this.eventBus.on('game:reset', () => this.reset())
+        ];
+    }
+
+    /**
+     * Clear the score and any chain, ready for a new run
+     */
+    reset() {
+        this.score = 0;
+        this.combo = 0;
+        this.lastKillTime = 0;
+        this.waveDamaged = false;
+    }
+
+    /**
+     * Get the chain multiplier for the current chain length
+     * @returns {number} Multiplier, between baseMultiplier and maxComboMultiplier
+     */
+    getComboMultiplier() {
+        const multiplier = this.baseMultiplier + this.comboMultiplier * Math.max(0, this.combo - 1);
+        return Math.min(multiplier, this.maxComboMultiplier);
+    }
+
+    /**
+     * Get how much of the chain's time is left, for the combo meter
+     * @returns {number} 1 just after a kill, falling to 0 when the chain breaks
+     */
+    getComboTimeLeft() {
+        if (this.combo === 0) return 0;
+        return Math.max(0, 1 - (this.clock.now() - this.lastKillTime) / this.comboTimeout);
+    }
+
+    /**
+     * Score a kill, extending or starting a chain unless it was a bonus enemy
+     * @param {Object} data - enemy:destroyed payload
+     * @private
+     */
+    onEnemyDestroyed({ enemy, points, position }) {
+        if (this.combo > 0 && this.clock.now() - this.lastKillTime > this.comboTimeout) {
+            this.endCombo();
+        }
+
+        const bonusEnemy = Boolean(enemy) && this.isBonusEnemy(enemy);
+        if (!bonusEnemy) {
+            this.combo++;
+            this.lastKillTime = this.clock.now();
+        }
+
+        const multiplier = (bonusEnemy ? 1 : this.getComboMultiplier()) * this.getBonusMultiplier();
+        const awarded = Math.round((points || 0) * multiplier);
+        this.add(awarded, 'kill');
+
+        this.eventBus.emit('score:awarded', {
+            points: awarded,
+            basePoints: points || 0,
+            multiplier,
+            combo: this.combo,
+            enemy,
+            position
+        });
+        if (!bonusEnemy && this.combo > 1) {
+            this.eventBus.emit('score:combo', { combo: this.combo, multiplier: this.getComboMultiplier() });
+        }
+    }
+
+    /**
+     * Award the wave clear bonus
+     * @param {number} waveNumber - Wave that was cleared
+     */
+    awardWaveBonus(waveNumber) {
+        if (this.waveCompletionBonus <= 0) return;
+
+        const perfect = !this.waveDamaged;
+        const bonus = Math.round(this.waveCompletionBonus * (perfect ? this.perfectWaveMultiplier : 1));
+        this.add(bonus, 'waveBonus');
+        this.eventBus.emit('score:wave_bonus', { waveNumber, bonus, perfect });
+    }
+
+    /**
+     * Add points to the score
+     * @param {number} points - Points to add
+     * @param {string} reason - What earned them, e.g. 'kill' or 'waveBonus'
+     */
+    add(points, reason) {
+        this.score += points;
+        this.eventBus.emit('score:changed', { score: this.score, delta: points, reason });
+    }
+
+    /**
+     * Break the chain once its time has run out
+     */
+    update() {
+        if (this.combo > 0 && this.clock.now() - this.lastKillTime > this.comboTimeout) {
+            this.endCombo();
+        }
+    }
+
+    /**
+     * End the current chain
+     * @private
+     */
+    endCombo() {
+        const combo = this.combo;
+        this.combo = 0;
+        if (combo > 1) {
+            this.eventBus.emit('score:combo_ended', { combo });
+        }
+    }
+
+    /**
+     * Get the score and chain for serialization
+     * @returns {Object} Serializable state
+     */
+    getState() {
+        return {
+            score: this.score,
+            combo: this.combo,
+            lastKillTime: this.lastKillTime,
+            waveDamaged: this.waveDamaged
+        };
+    }
+
+    /**
+     * Restore the score and chain; call after the clock is restored
+     * @param {Object} state - State from getState()
+     */
+    setState(state) {
+        this.score = state.score;
+        this.combo = state.combo;
+        this.lastKillTime = state.lastKillTime;
+        this.waveDamaged = state.waveDamaged;
+        this.eventBus.emit('score:changed', { score: this.score, delta: 0, reason: 'restore' });
+    }
+
+    /**
+     * Stop listening for game events
+     */
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScoreSystem;
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.ScoreSystem = ScoreSystem;
+}
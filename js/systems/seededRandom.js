@@ -0,0 +1,131 @@
+/**
+ * Seeded Random - Reproducible pseudo-random number generator
+ * Gameplay randomness goes through one seeded generator so that the same seed
+ * and the same inputs replay a run exactly (mulberry32 algorithm)
+ */
+
+class SeededRandom {
+    /**
+     * @param {number} seed - 32-bit unsigned seed (random when omitted)
+     */
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.setSeed(seed);
+
+        this.next = this.next.bind(this);
+    }
+
+    /**
+     * Create a seed for a new run
+     * @returns {number} 32-bit unsigned seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Restart the sequence from a seed
+     * @param {number} seed - 32-bit unsigned seed
+     */
+    setSeed(seed) {
+        const value = Number(seed);
+        if (!Number.isFinite(value)) {
+            console.error('SeededRandom: Seed must be a finite number', seed);
+            return;
+        }
+
+        this.seed = value >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Get the seed the current sequence started from
+     * @returns {number} Seed
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Restart the current sequence from its seed
+     */
+    reset() {
+        this.state = this.seed;
+    }
+
+    /**
+     * Get the generator's position for serialization
+     * @returns {Object} Seed and current state
+     */
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    /**
+     * Continue a sequence from serialized data
+     * @param {Object} state - Serialized generator state
+     */
+    setState(state) {
+        this.setSeed(state.seed);
+        this.state = state.state >>> 0;
+    }
+
+    /**
+     * Get the next number in the sequence
+     * @returns {number} Float in [0, 1), a drop-in replacement for Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Get a float in a range
+     * @param {number} min - Inclusive minimum
+     * @param {number} max - Exclusive maximum
+     * @returns {number} Random float
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Get an integer in a range
+     * @param {number} min - Inclusive minimum
+     * @param {number} max - Inclusive maximum
+     * @returns {number} Random integer
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Pick a random element
+     * @param {Array} items - Items to choose from
+     * @returns {*} Chosen item, or undefined for an empty array
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    /**
+     * Roll against a probability
+     * @param {number} probability - Chance of success (0-1)
+     * @returns {boolean} True on success
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.SeededRandom = SeededRandom;
+}
@@ -0,0 +1,232 @@
+/**
+ * Sound System - Synthesized sound effects through the Web Audio API
+ * Effects are oscillator patches rather than audio files, so there is
+ * nothing to load. One-shots sweep from a start to an end pitch and fade out;
+ * loops play until stopped, optionally with a wobble that warbles the pitch.
+ * Without Web Audio (Node, tools, old browsers) every call does nothing.
+ */
+
+/**
+ * Built-in effect patches
+ * Frequencies are in Hz and durations in seconds; wobble modulates the pitch
+ * by depth Hz at rate cycles per second. Patches without a duration loop.
+ * @type {Object<string, Object>}
+ */
+const SOUND_EFFECTS = {
+    ufoFlight: {
+        wave: 'square',
+        frequency: 320,
+        wobble: { rate: 8, depth: 120 },
+        gain: 0.06
+    },
+    ufoHit: {
+        wave: 'sawtooth',
+        frequency: 900,
+        endFrequency: 60,
+        duration: 0.7,
+        gain: 0.12
+    }
+};
+
+class SoundSystem {
+    /**
+     * @param {Object} config - Sound configuration
+     * @param {boolean} config.enabled - Whether sounds play at all
+     * @param {number} config.volume - Master volume (0-1)
+     * @param {Object<string, Object>} config.effects - Extra or replacement patches (see SOUND_EFFECTS)
+     */
+    constructor(config = {}) {
+        this.enabled = config.enabled !== false;
+        this.volume = config.volume !== undefined ? config.volume : 0.5;
+        this.effects = { ...SOUND_EFFECTS, ...config.effects };
+
+        this.context = null;
+        this.master = null;
+        this.loops = new Map();
+    }
+
+    /**
+     * Get the audio context, creating it on first use
+     * Browsers only start audio after the player has interacted with the page,
+     * so the context is created when the first sound plays rather than at load.
+     * @returns {AudioContext|null} Context, or null when sound is off or unsupported
+     * @private
+     */
+    getContext() {
+        if (!this.enabled) return null;
+        if (this.context) return this.context;
+
+        const AudioContextClass = typeof window !== 'undefined'
+            ? window.AudioContext || window.webkitAudioContext
+            : null;
+        if (!AudioContextClass) {
+            this.enabled = false;
+            return null;
+        }
+
+        try {
+            this.context = new AudioContextClass();
+            this.master = this.context.createGain();
+            this.master.gain.value = this.volume;
+            this.master.connect(this.context.destination);
+        } catch (error) {
+            console.warn('SoundSystem: Web Audio unavailable, sound disabled:', error);
+            this.enabled = false;
+            this.context = null;
+        }
+        return this.context;
+    }
+
+    /**
+     * Look up an effect patch
+     * @param {string} name - Effect name
+     * @returns {Object|null} Patch, or null for unknown names
+     * @private
+     */
+    getEffect(name) {
+        const effect = this.effects[name];
+        if (!effect) {
+            console.warn(`SoundSystem: Unknown effect "${name}"`);
+            return null;
+        }
+        return effect;
+    }
+
+    /**
+     * Build an effect's oscillators, connected through its gain to the master volume
+     * @param {Object} effect - Effect patch
+     * @returns {Object} Voice with oscillator, gain and optional wobble oscillator
+     * @private
+     */
+    createVoice(effect) {
+        const ctx = this.context;
+        const oscillator = ctx.createOscillator();
+        const gain = ctx.createGain();
+
+        oscillator.type = effect.wave || 'square';
+        oscillator.frequency.value = effect.frequency;
+        gain.gain.value = effect.gain !== undefined ? effect.gain : 0.1;
+        oscillator.connect(gain);
+        gain.connect(this.master);
+
+        let wobble = null;
+        if (effect.wobble) {
+            wobble = ctx.createOscillator();
+            const depth = ctx.createGain();
+            wobble.frequency.value = effect.wobble.rate;
+            depth.gain.value = effect.wobble.depth;
+            wobble.connect(depth);
+            depth.connect(oscillator.frequency);
+        }
+
+        return { oscillator, gain, wobble };
+    }
+
+    /**
+     * Play a one-shot effect
+     * @param {string} name - Effect name
+     */
+    play(name) {
+        const effect = this.enabled ? this.getEffect(name) : null;
+        const ctx = effect && this.getContext();
+        if (!ctx) return;
+
+        try {
+            const voice = this.createVoice(effect);
+            const start = ctx.currentTime;
+            const end = start + (effect.duration || 0.2);
+
+            if (effect.endFrequency) {
+                voice.oscillator.frequency.exponentialRampToValueAtTime(effect.endFrequency, end);
+            }
+            voice.gain.gain.setValueAtTime(voice.gain.gain.value, start);
+            voice.gain.gain.exponentialRampToValueAtTime(0.0001, end);
+
+            for (const node of [voice.oscillator, voice.wobble]) {
+                if (node) {
+                    node.start(start);
+                    node.stop(end);
+                }
+            }
+        } catch (error) {
+            console.warn(`SoundSystem: Could not play "${name}":`, error);
+        }
+    }
+
+    /**
+     * Start a looping effect; does nothing if it is already playing
+     * @param {string} name - Effect name
+     */
+    startLoop(name) {
+        if (this.loops.has(name)) return;
+
+        const effect = this.enabled ? this.getEffect(name) : null;
+        const ctx = effect && this.getContext();
+        if (!ctx) return;
+
+        try {
+            const voice = this.createVoice(effect);
+            voice.oscillator.start();
+            if (voice.wobble) voice.wobble.start();
+            this.loops.set(name, voice);
+        } catch (error) {
+            console.warn(`SoundSystem: Could not start loop "${name}":`, error);
+        }
+    }
+
+    /**
+     * Stop a looping effect
+     * @param {string} name - Effect name
+     */
+    stopLoop(name) {
+        const voice = this.loops.get(name);
+        if (!voice) return;
+
+        this.loops.delete(name);
+        try {
+            voice.oscillator.stop();
+            if (voice.wobble) voice.wobble.stop();
+            voice.gain.disconnect();
+        } catch (error) {
+            console.warn(`SoundSystem: Could not stop loop "${name}":`, error);
+        }
+    }
+
+    /**
+     * Stop every looping effect
+     */
+    stopAll() {
+        for (const name of Array.from(this.loops.keys())) {
+            this.stopLoop(name);
+        }
+    }
+
+    /**
+     * Hold all sound, e.g. while the game is paused
+     */
+    suspend() {
+        if (this.context && this.context.state === 'running') {
+            this.context.suspend().catch(error => console.warn('SoundSystem: Could not suspend audio:', error));
+        }
+    }
+
+    /**
+     * Carry on with sound held by suspend()
+     */
+    resume() {
+        if (this.context && this.context.state === 'suspended') {
+            this.context.resume().catch(error => console.warn('SoundSystem: Could not resume audio:', error));
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SoundSystem, SOUND_EFFECTS };
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.SoundSystem = SoundSystem;
+    window.SOUND_EFFECTS = SOUND_EFFECTS;
+}
@@ -0,0 +1,193 @@
+/**
+ * Sprite Animation - Plays named clips from horizontal sprite sheets
+ * A clip lists sheet frame indices with per-frame durations and plays once or
+ * in a loop; clips without durations only move when step() is called, which
+ * lets movement drive the frame (e.g. one frame per invader march step).
+ * Sheets are atlas frames whose width holds square frames side by side; a
+ * sheet with fewer frames than a clip asks for wraps around, so single-image
+ * sprites still draw. (Named to stay clear of the browser's own Animation global.)
+ */
+
+/**
+ * Clip playback modes
+ * @readonly
+ * @enum {string}
+ */
+const ANIMATION_MODES = Object.freeze({
+    LOOP: 'loop',
+    ONCE: 'once'
+});
+
+class SpriteAnimation {
+    /**
+     * @param {Object<string, Object>} clips - Clip definitions by name
+     * @param {Array<number|Object>} clips[].frames - Sheet frame indices, or { frame, duration } entries
+     * @param {number} clips[].frameDuration - Milliseconds per frame; omit to advance only with step()
+     * @param {string} clips[].mode - ANIMATION_MODES value (default loop)
+     * @param {Object} options - Playback options
+     * @param {string} options.initial - Clip to start with (defaults to the first clip)
+     * @param {Function} options.onComplete - Called with the clip name when a 'once' clip ends
+     */
+    constructor(clips, options = {}) {
+        this.clips = {};
+        for (const [name, definition] of Object.entries(clips)) {
+            this.clips[name] = SpriteAnimation.normalizeClip(definition);
+        }
+
+        this.onComplete = options.onComplete || null;
+        this.play(options.initial || Object.keys(clips)[0]);
+    }
+
+    /**
+     * Switch to a clip
+     * @param {string} name - Clip name
+     * @param {boolean} restart - Start over even if the clip is already playing
+     */
+    play(name, restart = false) {
+        if (!this.clips[name]) {
+            console.error(`SpriteAnimation: Unknown clip: ${name}`);
+            return;
+        }
+        if (name === this.clipName && !restart) return;
+
+        this.clipName = name;
+        this.index = 0;
+        this.elapsed = 0;
+        this.finished = false;
+    }
+
+    /**
+     * Advance timed clips
+     * @param {number} deltaTime - Elapsed time in milliseconds
+     */
+    update(deltaTime) {
+        const clip = this.clips[this.clipName];
+        if (this.finished || !clip.timed) return;
+
+        this.elapsed += deltaTime;
+        while (!this.finished && this.elapsed >= clip.frames[this.index].duration) {
+            this.elapsed -= clip.frames[this.index].duration;
+            this.step();
+        }
+    }
+
+    /**
+     * Move to the next frame of the current clip
+     */
+    step() {
+        const clip = this.clips[this.clipName];
+        if (this.finished) return;
+
+        if (this.index < clip.frames.length - 1) {
+            this.index++;
+        } else if (clip.mode === ANIMATION_MODES.LOOP) {
+            this.index = 0;
+        } else {
+            this.finished = true;
+            if (this.onComplete) {
+                this.onComplete(this.clipName);
+            }
+        }
+    }
+
+    /**
+     * Get the playing clip's name
+     * @returns {string} Clip name
+     */
+    getClipName() {
+        return this.clipName;
+    }
+
+    /**
+     * Get the sheet frame currently showing
+     * @returns {number} Sheet frame index
+     */
+    getFrame() {
+        return this.clips[this.clipName].frames[this.index].frame;
+    }
+
+    /**
+     * Check whether a 'once' clip has played its last frame
+     * @returns {boolean} True when finished
+     */
+    isFinished() {
+        return this.finished;
+    }
+
+    /**
+     * Get the current frame's source rectangle within a sheet
+     * @param {Object} sheet - Atlas frame { image, x, y, width, height } holding square frames in a row
+     * @returns {Object} Source rectangle { x, y, width, height }
+     */
+    getSourceRect(sheet) {
+        const size = sheet.height;
+        const count = Math.max(1, Math.floor(sheet.width / size));
+        const frame = this.getFrame() % count;
+
+        return { x: sheet.x + frame * size, y: sheet.y, width: Math.min(size, sheet.width), height: size };
+    }
+
+    /**
+     * Draw the current frame from a sheet
+     * @param {Renderer} ctx - Renderer to draw with
+     * @param {Object} sheet - Atlas frame holding the clip's frames
+     * @param {number} x - Destination x
+     * @param {number} y - Destination y
+     * @param {number} width - Destination width
+     * @param {number} height - Destination height
+     */
+    draw(ctx, sheet, x, y, width, height) {
+        const source = this.getSourceRect(sheet);
+        ctx.drawImage(sheet.image, source.x, source.y, source.width, source.height, x, y, width, height);
+    }
+
+    /**
+     * Serialize playback position
+     * @returns {Object} Clip, frame position and elapsed time
+     */
+    getState() {
+        return { clipName: this.clipName, index: this.index, elapsed: this.elapsed, finished: this.finished };
+    }
+
+    /**
+     * Restore playback position from getState()
+     * @param {Object} state - Serialized playback state
+     */
+    setState(state) {
+        if (!state || !this.clips[state.clipName]) return;
+
+        this.clipName = state.clipName;
+        this.index = Math.min(state.index, this.clips[state.clipName].frames.length - 1);
+        this.elapsed = state.elapsed;
+        this.finished = state.finished;
+    }
+
+    /**
+     * Expand a clip definition to one { frame, duration } entry per frame
+     * @param {Object} definition - Clip definition
+     * @returns {Object} Normalized clip
+     */
+    static normalizeClip(definition) {
+        const frameDuration = definition.frameDuration || 0;
+        const frames = (definition.frames || [0]).map(entry => (typeof entry === 'number'
+            ? { frame: entry, duration: frameDuration }
+            : { frame: entry.frame, duration: entry.duration || frameDuration }));
+
+        return {
+            frames,
+            mode: definition.mode || ANIMATION_MODES.LOOP,
+            timed: frames.every(frame => frame.duration > 0)
+        };
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpriteAnimation, ANIMATION_MODES };
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.SpriteAnimation = SpriteAnimation;
+    window.ANIMATION_MODES = ANIMATION_MODES;
+}
@@ -0,0 +1,192 @@
+/**
+ * State Machine - Named states with enter/exit hooks and legal transitions
+ * Each state may define enter(previous, data), exit(next), update(deltaTime),
+ * render(ctx) and handleInput(event); only listed transitions are allowed
+ */
+
+class StateMachine {
+    /**
+     * @param {Object} config - State machine configuration
+     * @param {EventBus} config.eventBus - Bus that receives 'state:changed' events (optional)
+     * @param {string} config.name - Label used in logs and events
+     */
+    constructor(config = {}) {
+        this.states = new Map();
+        this.current = null;
+        this.previous = null;
+        this.eventBus = config.eventBus || null;
+        this.name = config.name || 'StateMachine';
+        this.transitioning = false;
+    }
+
+    /**
+     * Register a state
+     * @param {string} name - State name
+     * @param {Object} definition - State hooks and allowed transitions
+     * @param {string[]} definition.transitions - States this state may move to
+     * @returns {StateMachine} This machine, for chaining
+     */
+    addState(name, definition = {}) {
+        if (this.states.has(name)) {
+            throw new Error(`${this.name}: State already registered: ${name}`);
+        }
+
+        this.states.set(name, { transitions: [], ...definition });
+        return this;
+    }
+
+    /**
+     * Enter the initial state without transition checks
+     * @param {string} name - Initial state name
+     * @param {Object} data - Data passed to the state's enter hook
+     */
+    start(name, data = {}) {
+        const state = this.states.get(name);
+        if (!state) {
+            throw new Error(`${this.name}: Unknown state: ${name}`);
+        }
+
+        this.previous = null;
+        this.current = name;
+        if (state.enter) {
+            state.enter(null, data);
+        }
+        this._emitChange(null, name, data);
+    }
+
+    /**
+     * Check whether the current state may move to another state
+     * @param {string} name - Target state name
+     * @returns {boolean} True if the transition is legal
+     */
+    canTransition(name) {
+        const state = this.states.get(this.current);
+        return Boolean(state && this.states.has(name) && state.transitions.includes(name));
+    }
+
+    /**
+     * Move to another state, running exit and enter hooks
+     * @param {string} name - Target state name
+     * @param {Object} data - Data passed to the target's enter hook
+     * @returns {boolean} True if the transition happened
+     */
+    transition(name, data = {}) {
+        if (this.transitioning) {
+            console.error(`${this.name}: Cannot transition to ${name} while changing state`);
+            return false;
+        }
+
+        if (!this.canTransition(name)) {
+            console.error(`${this.name}: Illegal transition ${this.current} -> ${name}`);
+            return false;
+        }
+
+        const from = this.current;
+        const fromState = this.states.get(from);
+        const toState = this.states.get(name);
+
+        this.transitioning = true;
+        try {
+            if (fromState.exit) {
+                fromState.exit(name);
+            }
+
+            this.previous = from;
+            this.current = name;
+
+            if (toState.enter) {
+                toState.enter(from, data);
+            }
+        } finally {
+            this.transitioning = false;
+        }
+
+        this._emitChange(from, name, data);
+        return true;
+    }
+
+    /**
+     * Check the current state
+     * @param {...string} names - State names to compare against
+     * @returns {boolean} True if the current state is any of the given names
+     */
+    is(...names) {
+        return names.includes(this.current);
+    }
+
+    /**
+     * Get the current state name
+     * @returns {string|null} Current state
+     */
+    getState() {
+        return this.current;
+    }
+
+    /**
+     * Get the state that was active before the current one
+     * @returns {string|null} Previous state
+     */
+    getPreviousState() {
+        return this.previous;
+    }
+
+    /**
+     * Update the current state
+     * @param {number} deltaTime - Time step in milliseconds
+     */
+    update(deltaTime) {
+        this._call('update', deltaTime);
+    }
+
+    /**
+     * Render the current state
+     * @param {Renderer} ctx - Renderer to draw with
+     */
+    render(ctx) {
+        this._call('render', ctx);
+    }
+
+    /**
+     * Forward an input event to the current state
+     * @param {Object} event - Input event
+     */
+    handleInput(event) {
+        this._call('handleInput', event);
+    }
+
+    /**
+     * Call a hook on the current state if it defines one
+     * @private
+     * @param {string} hook - Hook name
+     * @param {*} argument - Hook argument
+     */
+    _call(hook, argument) {
+        const state = this.states.get(this.current);
+        if (state && typeof state[hook] === 'function') {
+            state[hook](argument);
+        }
+    }
+
+    /**
+     * Publish a state change on the event bus
+     * @private
+     * @param {string|null} from - Previous state
+     * @param {string} to - New state
+     * @param {Object} data - Transition data
+     */
+    _emitChange(from, to, data) {
+        if (this.eventBus) {
+            this.eventBus.emit('state:changed', { machine: this.name, from, to, data });
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StateMachine;
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.StateMachine = StateMachine;
+}
@@ -0,0 +1,161 @@
+/**
+ * Viewport - Fits the canvas to the window at any size, orientation and pixel density
+ * The game world keeps a fixed logical size (800x600 by default). The canvas is
+ * shown as large as its container allows at that aspect ratio, leaving bars
+ * above and below (letterbox) or at the sides (pillarbox). Its backing store is
+ * the displayed size times devicePixelRatio, so high-DPI screens stay sharp.
+ * The renderer scales world coordinates by pixelRatio, and toWorld() maps
+ * pointer and touch positions from the page back into world space.
+ */
+
+class Viewport {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to fit
+     * @param {Object} config - Viewport configuration
+     * @param {number} config.width - Logical world width
+     * @param {number} config.height - Logical world height
+     * @param {HTMLElement} config.container - Element whose box the canvas fills (defaults to the canvas's parent)
+     * @param {number} config.maxPixelRatio - Cap on device pixels per CSS pixel, to bound fill cost on very dense screens
+     * @param {Function} config.onResize - Called with the viewport after every refit
+     */
+    constructor(canvas, config = {}) {
+        this.canvas = canvas;
+        this.width = config.width || 800;
+        this.height = config.height || 600;
+        this.container = config.container || canvas.parentElement || null;
+        this.maxPixelRatio = config.maxPixelRatio || 3;
+        this.onResize = config.onResize || null;
+
+        // Displayed size in CSS pixels and backing store pixels per world pixel
+        this.displayWidth = this.width;
+        this.displayHeight = this.height;
+        this.pixelRatio = 1;
+
+        this.handleResize = this.fit.bind(this);
+        this.densityQuery = null;
+
+        this.fit();
+        this.attach();
+    }
+
+    /**
+     * Get the area the canvas may fill, in CSS pixels
+     * @returns {Object} { width, height }
+     * @private
+     */
+    getAvailableSize() {
+        if (this.container && this.container.clientWidth > 0 && this.container.clientHeight > 0) {
+            // clientWidth/clientHeight include padding, e.g. the space kept for touch controls
+            const style = window.getComputedStyle(this.container);
+            return {
+                width: this.container.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight),
+                height: this.container.clientHeight - parseFloat(style.paddingTop) - parseFloat(style.paddingBottom)
+            };
+        }
+        return { width: window.innerWidth, height: window.innerHeight };
+    }
+
+    /**
+     * Size the canvas to its container and match the backing store to the screen
+     */
+    fit() {
+        const available = this.getAvailableSize();
+        const scale = Math.min(available.width / this.width, available.height / this.height);
+        const screenPixelRatio = window.devicePixelRatio || 1;
+        const devicePixelRatio = Math.min(this.maxPixelRatio, screenPixelRatio);
+
+        this.displayWidth = Math.max(1, Math.floor(this.width * scale));
+        this.displayHeight = Math.max(1, Math.floor(this.height * scale));
+
+        const backingWidth = Math.round(this.displayWidth * devicePixelRatio);
+        const backingHeight = Math.round(this.displayHeight * devicePixelRatio);
+        this.pixelRatio = backingWidth / this.width;
+
+        this.canvas.style.width = `${this.displayWidth}px`;
+        this.canvas.style.height = `${this.displayHeight}px`;
+
+        // Assigning the size clears the canvas, so only do it when it changes
+        if (this.canvas.width !== backingWidth || this.canvas.height !== backingHeight) {
+            this.canvas.width = backingWidth;
+            this.canvas.height = backingHeight;
+        }
+
+        this.watchDensity(screenPixelRatio);
+
+        if (this.onResize) {
+            try {
+                this.onResize(this);
+            } catch (error) {
+                console.error('Viewport: Error in resize callback:', error);
+            }
+        }
+    }
+
+    /**
+     * Map a page position to world coordinates
+     * Positions over the bars around the canvas map outside the world bounds.
+     * @param {number} clientX - Pointer x relative to the browser window
+     * @param {number} clientY - Pointer y relative to the browser window
+     * @returns {Object} { x, y } in world pixels
+     */
+    toWorld(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        // clientLeft/clientTop skip any CSS border drawn around the canvas
+        const left = rect.left + (this.canvas.clientLeft || 0);
+        const top = rect.top + (this.canvas.clientTop || 0);
+        const width = this.canvas.clientWidth || rect.width;
+        const height = this.canvas.clientHeight || rect.height;
+
+        return {
+            x: (clientX - left) * this.width / width,
+            y: (clientY - top) * this.height / height
+        };
+    }
+
+    /**
+     * Refit whenever the window, orientation or pixel density changes
+     * @private
+     */
+    attach() {
+        window.addEventListener('resize', this.handleResize);
+        window.addEventListener('orientationchange', this.handleResize);
+    }
+
+    /**
+     * Watch for the current pixel density to stop matching, e.g. when the
+     * window moves to another monitor or the page is zoomed
+     * @param {number} devicePixelRatio - Screen density the canvas was just sized for
+     * @private
+     */
+    watchDensity(devicePixelRatio) {
+        if (typeof window.matchMedia !== 'function') return;
+
+        if (this.densityQuery) {
+            this.densityQuery.removeEventListener('change', this.handleResize);
+        }
+        this.densityQuery = window.matchMedia(`(resolution: ${devicePixelRatio}dppx)`);
+        this.densityQuery.addEventListener('change', this.handleResize);
+    }
+
+    /**
+     * Stop listening for size changes
+     */
+    destroy() {
+        window.removeEventListener('resize', this.handleResize);
+        window.removeEventListener('orientationchange', this.handleResize);
+        if (this.densityQuery) {
+            this.densityQuery.removeEventListener('change', this.handleResize);
+            this.densityQuery = null;
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Viewport;
+}
+
+// Global export for browser
+if (typeof window !== 'undefined') {
+    window.Viewport = Viewport;
+}
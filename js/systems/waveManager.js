@@ -81,6 +81,9 @@ class WaveManager {
      * @param {Function} config.onWaveComplete - Wave completion callback
      * @param {Function} config.onWaveStart - Wave start callback
      * @param {Object} config.difficultySettings - Difficulty scaling parameters
+     * @param {Object} config.clock - Game clock providing now() in milliseconds (defaults to wall time)
+     * @param {Object} config.rng - Random generator providing next() in [0, 1) (defaults to Math.random)
+     * @param {EventBus} config.eventBus - Shared event bus for wave:started, wave:enemy_spawn and wave:completed
      */
     constructor(config = {}) {
         // Validate required configuration
@@ -91,6 +94,9 @@ class WaveManager {
         this.onEnemySpawn = config.onEnemySpawn || (() => {});
         this.onWaveComplete = config.onWaveComplete || (() => {});
         this.onWaveStart = config.onWaveStart || (() => {});
+        this.clock = config.clock || { now: () => Date.now() };
+        this.rng = config.rng || { next: Math.random };
+        this.eventBus = config.eventBus || null;
         
         // Wave state management
         this.currentWave = 0;
@@ -98,6 +104,7 @@ class WaveManager {
         this.activeEnemies = new Set();
         this.spawnQueue = [];
         this.waveStartTime = 0;
+        this.bonusSpawnCount = 0;
         
         // Performance tracking
         this.spawnedThisFrame = 0;
@@ -113,9 +120,6 @@ class WaveManager {
             ...config.difficultySettings
         };
         
-        // Event listeners for cleanup
-        this.eventListeners = new Map();
-        
         // Initialize enemy types and formation patterns
         this._initializeEnemyTypes();
         this._initializeFormationPatterns();
@@ -162,6 +166,18 @@ class WaveManager {
         if (config.onWaveStart && typeof config.onWaveStart !== 'function') {
             throw new Error('onWaveStart must be a function');
         }
+        
+        if (config.clock && typeof config.clock.now !== 'function') {
+            throw new Error('clock must provide a now() function');
+        }
+        
+        if (config.rng && typeof config.rng.next !== 'function') {
+            throw new Error('rng must provide a next() function');
+        }
+        
+        if (config.eventBus && typeof config.eventBus.emit !== 'function') {
+            throw new Error('eventBus must provide an emit() function');
+        }
     }
     
     /**
@@ -440,7 +456,7 @@ class WaveManager {
             // Update wave state
             this.currentWave = targetWave;
             this.isWaveActive = true;
-            this.waveStartTime = Date.now();
+            this.waveStartTime = this.clock.now();
             this.activeEnemies.clear();
             this.spawnQueue = [];
             
@@ -448,12 +464,14 @@ class WaveManager {
             this._prepareSpawnQueue(waveConfig);
             
             // Notify wave start
-            this.onWaveStart({
+            const waveData = {
                 waveNumber: this.currentWave,
                 enemyCount: waveConfig.totalEnemies,
                 difficulty: waveConfig.difficultyMultiplier,
                 timestamp: this.waveStartTime
-            });
+            };
+            this.onWaveStart(waveData);
+            this._emit('wave:started', waveData);
             
             console.log('Wave started', {
                 waveNumber: this.currentWave,
@@ -536,17 +554,17 @@ class WaveManager {
         let remainingEnemies = enemyCount;
         
         while (remainingEnemies > 0 && enemies.length < 5) {
-            const type = availableTypes[Math.floor(Math.random() * availableTypes.length)];
+            const type = availableTypes[Math.floor(this.rng.next() * availableTypes.length)];
             const count = Math.min(
                 remainingEnemies,
-                Math.floor(Math.random() * 8) + 2
+                Math.floor(this.rng.next() * 8) + 2
             );
             
             enemies.push({
                 type,
                 count,
                 formation: this._selectRandomFormation(),
-                delay: Math.floor(Math.random() * 1000) + 200
+                delay: Math.floor(this.rng.next() * 1000) + 200
             });
             
             remainingEnemies -= count;
@@ -555,7 +573,7 @@ class WaveManager {
         // Select formation pattern
         const formationTypes = Object.keys(this.formationPatterns);
         const selectedFormation = formationTypes[
-            Math.floor(Math.random() * formationTypes.length)
+            Math.floor(this.rng.next() * formationTypes.length)
         ];
         
         return {
@@ -576,7 +594,7 @@ class WaveManager {
      */
     _selectRandomFormation() {
         const formations = ['grid', 'vFormation', 'circle', 'wave'];
-        return formations[Math.floor(Math.random() * formations.length)];
+        return formations[Math.floor(this.rng.next() * formations.length)];
     }
     
     /**
@@ -587,43 +605,43 @@ class WaveManager {
      */
     _generateFormationParameters(formationType) {
         const baseParams = {
-            speed: 20 + Math.random() * 30,
-            startX: 50 + Math.random() * 200,
-            startY: 30 + Math.random() * 50
+            speed: 20 + this.rng.next() * 30,
+            startX: 50 + this.rng.next() * 200,
+            startY: 30 + this.rng.next() * 50
         };
         
         switch (formationType) {
             case 'grid':
                 return {
                     ...baseParams,
-                    columns: 3 + Math.floor(Math.random() * 4),
-                    spacing: 60 + Math.random() * 40,
-                    amplitude: 15 + Math.random() * 25
+                    columns: 3 + Math.floor(this.rng.next() * 4),
+                    spacing: 60 + this.rng.next() * 40,
+                    amplitude: 15 + this.rng.next() * 25
                 };
                 
             case 'vFormation':
                 return {
                     ...baseParams,
                     centerX: this.gameArea.width / 2,
-                    spacing: 50 + Math.random() * 30,
-                    vSpacing: 15 + Math.random() * 15
+                    spacing: 50 + this.rng.next() * 30,
+                    vSpacing: 15 + this.rng.next() * 15
                 };
                 
             case 'circle':
                 return {
                     ...baseParams,
                     centerX: this.gameArea.width / 2,
-                    centerY: 80 + Math.random() * 40,
-                    radius: 80 + Math.random() * 60,
-                    rotationSpeed: 0.0003 + Math.random() * 0.0007
+                    centerY: 80 + this.rng.next() * 40,
+                    radius: 80 + this.rng.next() * 60,
+                    rotationSpeed: 0.0003 + this.rng.next() * 0.0007
                 };
                 
             case 'wave':
                 return {
                     ...baseParams,
-                    spacing: 40 + Math.random() * 20,
-                    amplitude: 20 + Math.random() * 30,
-                    phase: Math.random() * Math.PI * 2
+                    spacing: 40 + this.rng.next() * 20,
+                    amplitude: 20 + this.rng.next() * 30,
+                    phase: this.rng.next() * Math.PI * 2
                 };
                 
             default:
@@ -679,11 +697,17 @@ class WaveManager {
             const formation = this.formationPatterns[enemySpawn.formation] || 
                              this.formationPatterns.grid;
             
+            // Groups that use a different formation than the wave need their own
+            // parameters, otherwise positions resolve to NaN
+            const parameters = enemySpawn.formation === waveConfig.formation.type
+                ? waveConfig.formation.parameters
+                : this._generateFormationParameters(enemySpawn.formation);
+            
             for (let i = 0; i < enemySpawn.count; i++) {
                 const position = formation.getPosition(
                     i, 
                     enemySpawn.count, 
-                    waveConfig.formation.parameters
+                    parameters
                 );
                 
                 this.spawnQueue.push({
@@ -726,7 +750,7 @@ class WaveManager {
      * @param {number} deltaTime - Time since last update (ms)
      * @param {number} currentTime - Current game time (ms)
      */
-    update(deltaTime, currentTime = Date.now()) {
+    update(deltaTime, currentTime = this.clock.now()) {
         if (!this.isWaveActive) {
             return;
         }
@@ -798,7 +822,7 @@ class WaveManager {
             
             // Create enemy data
             const enemyData = {
-                id: `enemy_${currentTime}_${Math.random().toString(36).substr(2, 9)}`,
+                id: `enemy_${currentTime}_${this.rng.next().toString(36).substr(2, 9)}`,
                 type: spawnData.enemyType.id,
                 health: spawnData.enemyType.health,
                 maxHealth: spawnData.enemyType.health,
@@ -820,6 +844,7 @@ class WaveManager {
             
             // Notify spawn
             this.onEnemySpawn(enemyData);
+            this._emit('wave:enemy_spawn', enemyData);
             
             // Update performance metrics
             const spawnTime = performance.now() - startTime;
@@ -842,6 +867,48 @@ class WaveManager {
         }
     }
     
+    /**
+     * Spawn an enemy outside the wave's formation, such as the mystery ship
+     * Bonus enemies are never added to activeEnemies, so the wave completes
+     * whether or not one is still on screen.
+     * @param {string} typeId - Enemy type identifier
+     * @param {Object} position - Spawn position { x, y }
+     * @param {Object} overrides - Values replacing the type's own (e.g. points)
+     * @returns {Object|null} Spawned enemy data, or null for unknown types
+     */
+    spawnBonusEnemy(typeId, position, overrides = {}) {
+        const enemyType = this.enemyTypes[typeId];
+        if (!enemyType) {
+            console.error('Error spawning bonus enemy', {
+                error: `Unknown enemy type: ${typeId}`,
+                typeId
+            });
+            return null;
+        }
+        
+        const currentTime = this.clock.now();
+        const enemyData = {
+            id: `bonus_${currentTime}_${this.bonusSpawnCount++}`,
+            type: enemyType.id,
+            health: enemyType.health,
+            maxHealth: enemyType.health,
+            speed: enemyType.speed,
+            points: enemyType.points,
+            sprite: enemyType.sprite,
+            behavior: enemyType.behavior,
+            position: { ...position },
+            spawnTime: currentTime,
+            waveNumber: this.currentWave,
+            bonus: true,
+            ...overrides
+        };
+        
+        this.onEnemySpawn(enemyData);
+        this._emit('wave:enemy_spawn', enemyData);
+        
+        return enemyData;
+    }
+    
     /**
      * Update spawn performance metrics
      * @private
@@ -876,7 +943,7 @@ class WaveManager {
             return;
         }
         
-        const completionTime = Date.now() - this.waveStartTime;
+        const completionTime = this.clock.now() - this.waveStartTime;
         this.performanceMetrics.waveCompletionTimes.push(completionTime);
         
         // Update state
@@ -893,6 +960,7 @@ class WaveManager {
         
         // Notify completion
         this.onWaveComplete(waveStats);
+        this._emit('wave:completed', waveStats);
         
         console.log('Wave completed', waveStats);
     }
@@ -945,11 +1013,39 @@ class WaveManager {
             isActive: this.isWaveActive,
             activeEnemies: this.activeEnemies.size,
             spawnQueueSize: this.spawnQueue.length,
-            waveElapsed: this.isWaveActive ? Date.now() - this.waveStartTime : 0,
+            waveElapsed: this.isWaveActive ? this.clock.now() - this.waveStartTime : 0,
             performanceMetrics: { ...this.performanceMetrics }
         };
     }
     
+    /**
+     * Get wave progress for serialization
+     * @returns {Object} Serializable wave state, including the remaining spawn queue
+     */
+    getState() {
+        return {
+            currentWave: this.currentWave,
+            isWaveActive: this.isWaveActive,
+            waveStartTime: this.waveStartTime,
+            activeEnemies: Array.from(this.activeEnemies),
+            spawnQueue: this.spawnQueue.map(spawn => ({ ...spawn })),
+            bonusSpawnCount: this.bonusSpawnCount
+        };
+    }
+    
+    /**
+     * Restore wave progress from serialized data
+     * @param {Object} state - Serialized state from getState()
+     */
+    setState(state) {
+        this.currentWave = state.currentWave || 0;
+        this.isWaveActive = Boolean(state.isWaveActive);
+        this.waveStartTime = state.waveStartTime || 0;
+        this.activeEnemies = new Set(state.activeEnemies || []);
+        this.spawnQueue = (state.spawnQueue || []).map(spawn => ({ ...spawn }));
+        this.bonusSpawnCount = state.bonusSpawnCount || 0;
+    }
+    
     /**
      * Skip current wave (for testing/debugging)
      * @returns {boolean} Success status
@@ -979,6 +1075,7 @@ class WaveManager {
         this.activeEnemies.clear();
         this.spawnQueue = [];
         this.waveStartTime = 0;
+        this.bonusSpawnCount = 0;
         this.spawnedThisFrame = 0;
         this.lastSpawnTime = 0;
         
@@ -1099,6 +1196,18 @@ class WaveManager {
         }
     }
     
+    /**
+     * Publish an event on the shared event bus, if one is attached
+     * @private
+     * @param {string} eventName - Event name
+     * @param {Object} data - Event payload
+     */
+    _emit(eventName, data) {
+        if (this.eventBus) {
+            this.eventBus.emit(eventName, data);
+        }
+    }
+    
     /**
      * Cleanup resources and event listeners
      */
@@ -1106,13 +1215,11 @@ class WaveManager {
         // Clear all state
         this.reset();
         
-        // Clear event listeners
-        this.eventListeners.clear();
-        
         // Clear references
         this.onEnemySpawn = null;
         this.onWaveComplete = null;
         this.onWaveStart = null;
+        this.eventBus = null;
         
         console.log('WaveManager destroyed', { timestamp: Date.now() });
     }
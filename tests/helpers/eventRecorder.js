@@ -0,0 +1,37 @@
+/**
+ * Event Recorder - Test helper that collects emissions of chosen events
+ * Subscribes to each name on an EventBus and keeps { name, data } in the
+ * order the events were emitted
+ */
+
+class EventRecorder {
+    /**
+     * @param {EventBus} eventBus - Bus to listen on
+     * @param {string[]} names - Event names to record
+     */
+    constructor(eventBus, names) {
+        this.events = [];
+        for (const name of names) {
+            eventBus.on(name, (data) => this.events.push({ name, data }));
+        }
+    }
+
+    /**
+     * Get the payloads of one event
+     * @param {string} name - Event name
+     * @returns {Object[]} Payloads in emission order
+     */
+    emitted(name) {
+        return this.events.filter(event => event.name === name).map(event => event.data);
+    }
+
+    /**
+     * Get the names of every recorded event
+     * @returns {string[]} Names in emission order
+     */
+    names() {
+        return this.events.map(event => event.name);
+    }
+}
+
+module.exports = EventRecorder;
@@ -0,0 +1,47 @@
+/**
+ * Headless Game - Test helpers for driving a full game without a browser
+ * The game systems log as they spawn and register entities, so games started
+ * here keep console.log silenced until the test calls mock.restoreAll()
+ */
+
+const { mock } = require('node:test');
+const { createHeadlessGame } = require('../../js/headless.js');
+
+/**
+ * Create a headless game with logging silenced and start a run
+ * @param {number} seed - Random seed
+ * @returns {Game} Game in its first wave intro
+ */
+function startQuietGame(seed) {
+    mock.method(console, 'log', () => {});
+    const game = createHeadlessGame({ seed });
+    game.start();
+    return game;
+}
+
+/**
+ * Step a game for as long as a condition holds
+ * @param {Game} game - Game to step
+ * @param {Function} condition - Checked before every step
+ * @param {number} maxSteps - Give up after this many steps
+ * @returns {number} Game time spent in milliseconds
+ */
+function stepWhile(game, condition, maxSteps = 1000) {
+    const start = game.clock.now();
+    for (let steps = 0; steps < maxSteps && condition(); steps++) {
+        game.step();
+    }
+    return game.clock.now() - start;
+}
+
+/**
+ * Copy a snapshot for comparison, without the time it was saved at
+ * @param {Object} snapshot - Snapshot from createSnapshot()
+ * @returns {Object} Snapshot without savedAt, copied through JSON
+ */
+function comparableSnapshot(snapshot) {
+    const { savedAt, ...rest } = JSON.parse(JSON.stringify(snapshot));
+    return rest;
+}
+
+module.exports = { startQuietGame, stepWhile, comparableSnapshot };
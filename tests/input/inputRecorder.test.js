@@ -0,0 +1,100 @@
+/**
+ * InputRecorder tests - action bitmasks, run-length encoding and expanding
+ * a replay back to one mask per step
+ * Run with: node --test tests/input/inputRecorder.test.js
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const InputRecorder = require('../../js/input/inputRecorder.js');
+const ScriptedInput = require('../../js/input/scriptedInput.js');
+const { INPUT_ACTIONS } = require('../../js/input/inputManager.js');
+
+const LEFT = 1;
+const RIGHT = 2;
+const SHOOT = 4;
+
+describe('InputRecorder', () => {
+    let recorder;
+    let input;
+
+    /**
+     * Record a run of steps that all hold the same actions
+     * @param {number} mask - Action bitmask to hold
+     * @param {number} steps - Steps to record
+     */
+    function hold(mask, steps) {
+        InputRecorder.applyMask(input, mask);
+        for (let i = 0; i < steps; i++) {
+            recorder.record(input);
+        }
+    }
+
+    beforeEach(() => {
+        recorder = new InputRecorder();
+        input = new ScriptedInput();
+    });
+
+    it('encodes held actions as one bit each', () => {
+        input.setActions({ [INPUT_ACTIONS.MOVE_RIGHT]: true, [INPUT_ACTIONS.SHOOT]: true });
+
+        assert.equal(InputRecorder.readMask(input), RIGHT | SHOOT);
+    });
+
+    it('holds exactly the actions in a mask', () => {
+        input.setActions({ [INPUT_ACTIONS.MOVE_RIGHT]: true });
+        InputRecorder.applyMask(input, LEFT | SHOOT);
+
+        assert.equal(input.isActionActive(INPUT_ACTIONS.MOVE_LEFT), true);
+        assert.equal(input.isActionActive(INPUT_ACTIONS.MOVE_RIGHT), false);
+        assert.equal(input.isActionActive(INPUT_ACTIONS.SHOOT), true);
+    });
+
+    it('run-length encodes repeated steps', () => {
+        recorder.start(99);
+        hold(0, 3);
+        hold(LEFT | SHOOT, 2);
+        hold(0, 1);
+        hold(RIGHT, 4);
+
+        const replay = recorder.stop({ score: 120, wave: 2 });
+
+        assert.deepEqual(replay.frames, [0, 3, LEFT | SHOOT, 2, 0, 1, RIGHT, 4]);
+        assert.equal(replay.steps, 10);
+        assert.equal(replay.seed, 99);
+        assert.equal(replay.score, 120);
+        assert.equal(recorder.isRecording(), false);
+    });
+
+    it('expands a replay back to the recorded masks', () => {
+        const masks = [0, 0, SHOOT, SHOOT, SHOOT, LEFT, LEFT | SHOOT, 0, RIGHT, RIGHT];
+        recorder.start(1);
+        for (const mask of masks) {
+            hold(mask, 1);
+        }
+
+        const replay = JSON.parse(JSON.stringify(recorder.stop()));
+
+        assert.deepEqual(Array.from(InputRecorder.expand(replay)), masks);
+    });
+
+    it('records nothing until started, and nothing after cancel', () => {
+        hold(SHOOT, 5);
+        assert.equal(recorder.stop(), null);
+
+        recorder.start(1);
+        hold(SHOOT, 5);
+        recorder.cancel();
+        assert.equal(recorder.stop(), null);
+    });
+
+    it('refuses replays from another format version', () => {
+        recorder.start(1);
+        hold(0, 1);
+        const replay = recorder.stop();
+
+        assert.throws(() => InputRecorder.expand({ ...replay, version: replay.version + 1 }), /Unsupported replay version/);
+        assert.throws(() => InputRecorder.expand(null), /Unsupported replay version/);
+    });
+});
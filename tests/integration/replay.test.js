@@ -0,0 +1,66 @@
+/**
+ * Replay determinism tests - a recorded run re-simulates to the same result,
+ * and rewinding to a checkpoint replays the same states again
+ * Run with: node --test tests/integration/replay.test.js
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ReplayPlayer = require('../../js/systems/replayPlayer.js');
+const { runHeadlessGame } = require('../../js/headless.js');
+const { comparableSnapshot } = require('../helpers/headlessGame.js');
+
+for (const seed of [1, 2, 3]) {
+    describe(`Replay of seed ${seed}`, () => {
+        let recorded;
+        let player;
+
+        before(() => {
+            mock.method(console, 'log', () => {});
+            recorded = runHeadlessGame({ seed });
+            player = new ReplayPlayer(recorded.replay, { checkpointInterval: 300 });
+            player.start();
+        });
+
+        after(() => {
+            mock.restoreAll();
+        });
+
+        it('re-simulates to the recorded score and wave', () => {
+            assert.ok(recorded.gameOver);
+
+            const result = player.runToEnd();
+
+            assert.equal(result.steps, recorded.steps);
+            assert.equal(result.score, recorded.score);
+            assert.equal(result.wave, recorded.wave);
+            assert.equal(result.matchesRecording, true);
+            assert.ok(player.checkpoints.length > 2);
+        });
+
+        it('reaches every later checkpoint in the same state after a rewind', () => {
+            // Runs on from the finished playback of the previous test
+            const checkpoints = new Map(player.checkpoints.map(({ step, snapshot }) => [step, comparableSnapshot(snapshot)]));
+            const target = player.checkpoints[1];
+
+            // Rewind past every checkpoint after the target
+            assert.equal(player.rewind(player.step - target.step - 1), true);
+            assert.equal(player.step, target.step);
+
+            let compared = 0;
+            while (!player.isFinished()) {
+                if (player.step > target.step && checkpoints.has(player.step)) {
+                    assert.deepEqual(comparableSnapshot(player.game.createSnapshot()), checkpoints.get(player.step),
+                        `checkpoint at step ${player.step}`);
+                    compared++;
+                }
+                player.stepOnce();
+            }
+
+            assert.ok(compared > 0);
+            assert.equal(player.game.score, recorded.score);
+            assert.equal(player.game.currentWave, recorded.wave);
+        });
+    });
+}
@@ -0,0 +1,141 @@
+/**
+ * Snapshot tests - saving a run on pause, continuing it from the title
+ * screen, and discarding snapshots written by another version
+ * Run with: node --test tests/integration/snapshot.test.js
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { GAME_STATES } = require('../../js/states/gameStates.js');
+const { createHeadlessGame } = require('../../js/headless.js');
+const { startQuietGame, stepWhile, comparableSnapshot } = require('../helpers/headlessGame.js');
+
+const SNAPSHOT_KEY = 'spaceInvaders.snapshot';
+
+/**
+ * In-memory stand-in for window.localStorage
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+describe('Run snapshots', () => {
+    let game;
+
+    beforeEach(() => {
+        globalThis.localStorage = new MemoryStorage();
+        game = startQuietGame(21);
+        stepWhile(game, () => !game.stateMachine.is(GAME_STATES.PLAYING));
+        stepWhile(game, () => true, 120);
+    });
+
+    afterEach(() => {
+        delete globalThis.localStorage;
+        mock.restoreAll();
+    });
+
+    it('saves the run when it pauses', () => {
+        assert.equal(localStorage.getItem(SNAPSHOT_KEY), null);
+        game.pause();
+
+        const saved = JSON.parse(localStorage.getItem(SNAPSHOT_KEY));
+        assert.equal(saved.state, GAME_STATES.PLAYING);
+        assert.equal(saved.version, game.createSnapshot().version);
+        assert.deepEqual(comparableSnapshot(saved), comparableSnapshot(game.createSnapshot()));
+    });
+
+    it('continues a saved run from the title screen where it left off', () => {
+        game.pause();
+
+        const continued = createHeadlessGame({ seed: 1 });
+        assert.ok(continued.stateMachine.is(GAME_STATES.TITLE));
+        assert.equal(continued.continueRun(), true);
+
+        assert.ok(continued.stateMachine.is(GAME_STATES.PLAYING));
+        assert.deepEqual(comparableSnapshot(continued.createSnapshot()), comparableSnapshot(game.createSnapshot()));
+    });
+
+    it('discards a snapshot saved by another version', () => {
+        game.pause();
+        const saved = JSON.parse(localStorage.getItem(SNAPSHOT_KEY));
+        localStorage.setItem(SNAPSHOT_KEY, JSON.stringify({ ...saved, version: saved.version - 1 }));
+        const warn = mock.method(console, 'warn', () => {});
+
+        const continued = createHeadlessGame({ seed: 1 });
+
+        assert.equal(continued.savedSnapshot, null);
+        assert.equal(continued.continueRun(), false);
+        assert.equal(localStorage.getItem(SNAPSHOT_KEY), null);
+        assert.equal(warn.mock.callCount(), 1);
+    });
+
+    it('can still be continued after quitting to the title screen', () => {
+        game.pause();
+        game.quit();
+
+        assert.equal(game.continueRun(), true);
+        assert.ok(game.stateMachine.is(GAME_STATES.PLAYING));
+    });
+
+    it('forgets the run when it restarts from the pause menu', () => {
+        game.pause();
+        game.restart();
+
+        assert.equal(localStorage.getItem(SNAPSHOT_KEY), null);
+        assert.equal(createHeadlessGame({ seed: 1 }).continueRun(), false);
+    });
+
+    it('keeps running power-ups through a snapshot', () => {
+        const shield = game.powerUpSystem.getEffectSettings('shield');
+        game.player.applyPowerUp('shield', shield);
+        const snapshot = JSON.parse(JSON.stringify(game.createSnapshot()));
+
+        game.player.update(shield.duration);
+        assert.equal(game.player.hasPowerUp('shield'), false);
+
+        game.restoreSnapshot(snapshot);
+        assert.equal(game.player.hasPowerUp('shield'), true);
+    });
+
+    it('saves a run paused while a ship is down and respawns it after continuing', () => {
+        game.killPlayer('projectile');
+        stepWhile(game, () => true, 30);
+        game.pause();
+        assert.equal(JSON.parse(localStorage.getItem(SNAPSHOT_KEY)).state, GAME_STATES.PLAYER_DEATH);
+
+        const continued = createHeadlessGame({ seed: 1 });
+        assert.equal(continued.continueRun(), true);
+        assert.ok(continued.stateMachine.is(GAME_STATES.PLAYER_DEATH));
+        assert.equal(continued.player.isAlive, false);
+        assert.equal(continued.livesSystem.lives, game.livesSystem.lives);
+
+        stepWhile(continued, () => continued.stateMachine.is(GAME_STATES.PLAYER_DEATH));
+        assert.ok(continued.stateMachine.is(GAME_STATES.PLAYING));
+        assert.equal(continued.player.isAlive, true);
+        assert.equal(continued.livesSystem.lives, game.livesSystem.lives);
+    });
+
+    it('does not save a run once its last ship is down', () => {
+        game.pause();
+        game.resume();
+        game.killPlayer('invasion');
+
+        assert.equal(game.pause(), true);
+        assert.equal(localStorage.getItem(SNAPSHOT_KEY), null);
+    });
+});
@@ -0,0 +1,265 @@
+/**
+ * Bunker and BunkerSystem tests - mask hits, crater damage, invader erasure
+ * and per-wave rebuilds
+ * Run with: node --test tests/systems/bunkerSystem.test.js
+ */
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Bunker, BUNKER_SHAPES, BUNKER_CRATERS } = require('../../js/entities/bunker.js');
+const BunkerSystem = require('../../js/systems/bunkerSystem.js');
+const { CollisionSystem } = require('../../js/systems/collisionSystem.js');
+
+/**
+ * Count the '#' cells of a shape or crater stencil
+ * @param {string[]} lines - Stencil rows
+ * @returns {number} Solid cells
+ */
+function countCells(lines) {
+    return lines.join('').split('').filter(cell => cell === '#').length;
+}
+
+/**
+ * Centre of a mask cell in world space
+ * @param {Bunker} bunker - Bunker to address
+ * @param {number} column - Mask column
+ * @param {number} row - Mask row
+ * @returns {Object} { x, y }
+ */
+function cellCentre(bunker, column, row) {
+    return {
+        x: bunker.left + (column + 0.5) * bunker.pixelSize,
+        y: bunker.top + (row + 0.5) * bunker.pixelSize
+    };
+}
+
+describe('Bunker', () => {
+    let bunker;
+
+    beforeEach(() => {
+        // 22x16 cells of 3px centred on (100, 100)
+        bunker = new Bunker(100, 100, { shape: 'arch', pixelSize: 3 });
+    });
+
+    it('builds its mask from the shape outline', () => {
+        assert.equal(bunker.columns, 22);
+        assert.equal(bunker.rows, 16);
+        assert.equal(bunker.solidCount, countCells(BUNKER_SHAPES.arch));
+        assert.equal(bunker.isDestroyed(), false);
+    });
+
+    it('only reports hits on solid cells', () => {
+        const solid = cellCentre(bunker, 10, 6);
+        const contact = bunker.hitTest({ x: solid.x - 1, y: solid.y - 1, width: 2, height: 2 });
+        assert.ok(contact);
+        assert.equal(contact.x, solid.x);
+        assert.equal(contact.y, solid.y);
+
+        // The arch's doorway at the bottom centre is empty
+        const gap = cellCentre(bunker, 11, 15);
+        assert.equal(bunker.hitTest({ x: gap.x - 1, y: gap.y - 1, width: 2, height: 2 }), null);
+
+        // Boxes beside the bunker miss entirely
+        assert.equal(bunker.hitTest({ x: bunker.left - 20, y: bunker.top, width: 4, height: 4 }), null);
+    });
+
+    it('carves the player crater stencil around the impact', () => {
+        const impact = cellCentre(bunker, 11, 7);
+        const destroyed = bunker.carve(impact.x, impact.y, 'playerShot');
+
+        assert.equal(destroyed, countCells(BUNKER_CRATERS.playerShot));
+        assert.equal(bunker.solidCount, countCells(BUNKER_SHAPES.arch) - destroyed);
+    });
+
+    it('splashes enemy shots wider than player shots', () => {
+        const other = new Bunker(100, 100, { shape: 'arch', pixelSize: 3 });
+        const impact = cellCentre(bunker, 11, 7);
+
+        const playerDamage = bunker.carve(impact.x, impact.y, 'playerShot');
+        const enemyDamage = other.carve(impact.x, impact.y, 'enemyShot');
+
+        assert.equal(enemyDamage, countCells(BUNKER_CRATERS.enemyShot));
+        assert.ok(enemyDamage > playerDamage);
+    });
+
+    it('does not destroy the same cells twice', () => {
+        const impact = cellCentre(bunker, 11, 7);
+        bunker.carve(impact.x, impact.y, 'playerShot');
+
+        assert.equal(bunker.carve(impact.x, impact.y, 'playerShot'), 0);
+    });
+
+    it('clamps craters at the edge of the mask', () => {
+        const corner = cellCentre(bunker, 0, 0);
+        const destroyed = bunker.carve(corner.x, corner.y, 'enemyShot');
+
+        assert.ok(destroyed > 0);
+        assert.ok(destroyed < countCells(BUNKER_CRATERS.enemyShot));
+        assert.equal(bunker.solidCount, countCells(BUNKER_SHAPES.arch) - destroyed);
+    });
+
+    it('erases every cell under an invader', () => {
+        const box = { x: bunker.left, y: bunker.top, width: 12, height: 12 };
+        const destroyed = bunker.erase(box.x, box.y, box.width, box.height);
+
+        assert.ok(destroyed > 0);
+        assert.equal(bunker.hitTest(box), null);
+    });
+
+    it('is destroyed once every cell is gone', () => {
+        bunker.erase(bunker.left, bunker.top, bunker.width, bunker.height);
+
+        assert.equal(bunker.solidCount, 0);
+        assert.equal(bunker.isDestroyed(), true);
+    });
+
+    it('restores its damage from serialized state', () => {
+        const impact = cellCentre(bunker, 5, 5);
+        bunker.carve(impact.x, impact.y, 'enemyShot');
+
+        const restored = Bunker.fromState(JSON.parse(JSON.stringify(bunker.getState())));
+
+        assert.deepEqual(Array.from(restored.mask), Array.from(bunker.mask));
+        assert.equal(restored.solidCount, bunker.solidCount);
+    });
+});
+
+describe('BunkerSystem', () => {
+    const layouts = {
+        classic: { count: 4, y: 470, shape: 'arch', pixelSize: 3, color: '#00ff00' },
+        fortress: { count: 3, y: 475, shape: 'wall', pixelSize: 3, color: '#00ff00' }
+    };
+
+    /**
+     * Damage the first bunker of a system
+     * @param {BunkerSystem} system - System to damage
+     */
+    function damage(system) {
+        const bunker = system.bunkers[0];
+        bunker.carve(bunker.x, bunker.y, 'enemyShot');
+    }
+
+    it('spaces a layout evenly across the play area', () => {
+        const system = new BunkerSystem({ width: 800, layouts, rotation: ['classic'] });
+        system.prepareWave(1);
+
+        assert.deepEqual(system.bunkers.map(bunker => bunker.x), [160, 320, 480, 640]);
+        assert.ok(system.bunkers.every(bunker => bunker.y === 470));
+    });
+
+    it('rebuilds every resetEvery waves and keeps damage in between', () => {
+        const system = new BunkerSystem({ width: 800, layouts, rotation: ['classic'], resetEvery: 2 });
+        system.prepareWave(1);
+        const full = system.bunkers[0].solidCount;
+
+        damage(system);
+        assert.equal(system.prepareWave(2), false);
+        assert.ok(system.bunkers[0].solidCount < full);
+
+        assert.equal(system.prepareWave(3), true);
+        assert.equal(system.bunkers[0].solidCount, full);
+    });
+
+    it('cycles through the layout rotation on each rebuild', () => {
+        const system = new BunkerSystem({ width: 800, layouts, rotation: ['classic', 'fortress'], resetEvery: 1 });
+
+        system.prepareWave(1);
+        assert.equal(system.layoutName, 'classic');
+        system.prepareWave(2);
+        assert.equal(system.layoutName, 'fortress');
+        assert.equal(system.bunkers.length, 3);
+        system.prepareWave(3);
+        assert.equal(system.layoutName, 'classic');
+    });
+
+    it('keeps damage for the whole run when resetEvery is 0', () => {
+        const system = new BunkerSystem({ width: 800, layouts, rotation: ['classic'], resetEvery: 0 });
+        system.prepareWave(1);
+        damage(system);
+        const damaged = system.bunkers[0].solidCount;
+
+        assert.equal(system.prepareWave(5), false);
+        assert.equal(system.bunkers[0].solidCount, damaged);
+    });
+
+    it('never places bunkers when disabled', () => {
+        const system = new BunkerSystem({ width: 800, layouts, enabled: false });
+
+        assert.equal(system.prepareWave(1), false);
+        assert.equal(system.getActiveBunkers().length, 0);
+    });
+
+    it('drops destroyed bunkers from the active list', () => {
+        const system = new BunkerSystem({ width: 800, layouts, rotation: ['classic'] });
+        system.prepareWave(1);
+        const bunker = system.bunkers[0];
+        bunker.erase(bunker.left, bunker.top, bunker.width, bunker.height);
+
+        assert.equal(system.getActiveBunkers().length, 3);
+        assert.ok(!system.getActiveBunkers().includes(bunker));
+    });
+});
+
+describe('CollisionSystem with bunker masks', () => {
+    let collisionSystem;
+    let bunker;
+    let hits;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        collisionSystem = new CollisionSystem({ enableMetrics: false });
+        mock.restoreAll();
+
+        bunker = new Bunker(400, 470, { id: 'bunker', shape: 'arch', pixelSize: 3 });
+        const { LAYERS } = collisionSystem;
+        collisionSystem.registerEntity(
+            { id: 'bunker', x: bunker.x, y: bunker.y, width: bunker.width, height: bunker.height },
+            { layer: LAYERS.BUNKER, isStatic: true, pixelMask: bunker }
+        );
+
+        hits = [];
+        collisionSystem.registerCollisionHandler(LAYERS.PLAYER_PROJECTILE, LAYERS.BUNKER, (event) => {
+            hits.push(event.contactPoint);
+            event.markHandled();
+        });
+    });
+
+    /**
+     * Register a player shot centred on a point
+     * @param {number} x - Centre x
+     * @param {number} y - Centre y
+     */
+    function addShot(x, y) {
+        collisionSystem.registerEntity(
+            { id: 'shot', x, y, width: 2, height: 2 },
+            { layer: collisionSystem.LAYERS.PLAYER_PROJECTILE, isTrigger: true }
+        );
+    }
+
+    it('reports a contact on the solid cell a shot overlaps', () => {
+        const solid = cellCentre(bunker, 10, 6);
+        addShot(solid.x, solid.y);
+        collisionSystem.detectCollisions();
+
+        assert.ok(hits.length > 0);
+        assert.deepEqual(hits[0], { x: solid.x, y: solid.y });
+    });
+
+    it('lets shots through gaps inside the bunker box', () => {
+        const gap = cellCentre(bunker, 11, 15);
+        addShot(gap.x, gap.y);
+        collisionSystem.detectCollisions();
+
+        assert.equal(hits.length, 0);
+    });
+
+    it('lets shots through holes blown by earlier craters', () => {
+        const impact = cellCentre(bunker, 11, 7);
+        bunker.carve(impact.x, impact.y, 'playerShot');
+        addShot(impact.x, impact.y);
+        collisionSystem.detectCollisions();
+
+        assert.equal(hits.length, 0);
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Camera tests - trauma build-up and decay, hit-stop freezes, zoom punches
+ * and the global intensity switch
+ * Run with: node --test tests/systems/camera.test.js
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Camera = require('../../js/systems/camera.js');
+
+describe('Camera', () => {
+    let camera;
+
+    beforeEach(() => {
+        camera = new Camera({ width: 800, height: 600, traumaDecay: 1.5, maxOffset: 12, maxHitStop: 150 });
+    });
+
+    describe('trauma', () => {
+        it('caps trauma at 1', () => {
+            camera.addTrauma(0.7);
+            camera.addTrauma(0.7);
+
+            assert.equal(camera.trauma, 1);
+        });
+
+        it('decays by traumaDecay per second', () => {
+            camera.addTrauma(0.9);
+            camera.update(200);
+
+            assert.ok(Math.abs(camera.trauma - 0.6) < 1e-9);
+
+            camera.update(1000);
+            assert.equal(camera.trauma, 0);
+        });
+
+        it('shakes within maxOffset times trauma squared', () => {
+            camera.addTrauma(0.5);
+            let largest = 0;
+            for (let i = 0; i < 20; i++) {
+                camera.trauma = 0.5;
+                camera.update(16);
+                largest = Math.max(largest, Math.abs(camera.x), Math.abs(camera.y));
+            }
+
+            assert.ok(largest > 0);
+            assert.ok(largest <= 12 * 0.25);
+        });
+
+        it('comes to rest once the trauma is gone', () => {
+            camera.addTrauma(1);
+            camera.update(16);
+            camera.update(1000);
+
+            // The noise can leave -0, which draws the same as 0
+            assert.ok([camera.x, camera.y, camera.angle].every(value => value === 0));
+        });
+    });
+
+    describe('hit-stop', () => {
+        it('eats frame time until the freeze runs out', () => {
+            camera.hitStop(50);
+
+            assert.equal(camera.isFrozen(), true);
+            assert.equal(camera.consumeHitStop(30), 0);
+            assert.equal(camera.consumeHitStop(30), 10);
+            assert.equal(camera.isFrozen(), false);
+            assert.equal(camera.consumeHitStop(30), 30);
+        });
+
+        it('keeps the longest of overlapping freezes instead of stacking them', () => {
+            camera.hitStop(40);
+            camera.hitStop(20);
+
+            assert.equal(camera.hitStopRemaining, 40);
+        });
+
+        it('clamps a freeze to maxHitStop', () => {
+            camera.hitStop(1000);
+
+            assert.equal(camera.hitStopRemaining, 150);
+        });
+    });
+
+    it('eases a zoom punch back to 1', () => {
+        camera.punchZoom(0.1);
+        camera.update(16);
+        const punched = camera.zoom;
+
+        for (let i = 0; i < 100; i++) {
+            camera.update(16);
+        }
+
+        assert.ok(punched > 1 && punched < 1.1);
+        assert.equal(camera.zoom, 1);
+    });
+
+    it('scales every effect by intensity and drops them all at 0', () => {
+        camera.setIntensity(0.5);
+        camera.hitStop(100);
+        camera.punchZoom(0.2);
+        assert.equal(camera.hitStopRemaining, 50);
+        assert.equal(camera.zoomPunch, 0.1);
+
+        camera.setIntensity(0);
+        camera.addTrauma(1);
+        camera.hitStop(100);
+
+        assert.equal(camera.trauma, 0);
+        assert.equal(camera.isFrozen(), false);
+        assert.equal(camera.zoomPunch, 0);
+    });
+});
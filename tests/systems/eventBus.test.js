@@ -0,0 +1,142 @@
+/**
+ * EventBus tests - namespace wildcards, listener priority, one-shot
+ * listeners, error isolation and the debug log
+ * Run with: node --test tests/systems/eventBus.test.js
+ */
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const EventBus = require('../../js/systems/eventBus.js');
+
+describe('EventBus', () => {
+    let bus;
+    let calls;
+
+    /**
+     * Build a listener that logs its label and the event it heard
+     * @param {string} label - Name to log the call under
+     * @returns {Function} Listener
+     */
+    function listener(label) {
+        return (data, event) => calls.push(`${label}:${event}`);
+    }
+
+    beforeEach(() => {
+        bus = new EventBus();
+        calls = [];
+    });
+
+    it('passes the payload and event name to listeners', () => {
+        const received = [];
+        bus.on('enemy:destroyed', (data, event) => received.push([data, event]));
+
+        assert.equal(bus.emit('enemy:destroyed', { points: 10 }), 1);
+        assert.deepEqual(received, [[{ points: 10 }, 'enemy:destroyed']]);
+    });
+
+    it('reaches namespace and global wildcards as well as exact listeners', () => {
+        bus.on('enemy:boss:spawned', listener('exact'));
+        bus.on('enemy:boss:*', listener('boss'));
+        bus.on('enemy:*', listener('enemy'));
+        bus.on('*', listener('all'));
+        bus.on('player:*', listener('player'));
+
+        bus.emit('enemy:boss:spawned');
+
+        assert.deepEqual(calls, [
+            'exact:enemy:boss:spawned',
+            'boss:enemy:boss:spawned',
+            'enemy:enemy:boss:spawned',
+            'all:enemy:boss:spawned'
+        ]);
+    });
+
+    it('calls a wildcard listener once when the event name is itself a wildcard', () => {
+        bus.on('enemy:*', listener('enemy'));
+
+        assert.equal(bus.emit('enemy:*'), 1);
+    });
+
+    it('runs higher priorities first, then in subscription order across patterns', () => {
+        bus.on('*', listener('late'));
+        bus.on('wave:started', listener('low'), { priority: -1 });
+        bus.on('wave:*', listener('high'), { priority: 10 });
+        bus.on('wave:started', listener('early'));
+
+        bus.emit('wave:started');
+
+        assert.deepEqual(calls.map(call => call.split(':')[0]), ['high', 'late', 'early', 'low']);
+    });
+
+    it('removes once listeners after their first call, before they run', () => {
+        bus.once('game:reset', () => {
+            // Re-emitting from inside must not reach the same listener again
+            bus.emit('game:reset');
+            calls.push('once');
+        });
+
+        bus.emit('game:reset');
+        bus.emit('game:reset');
+
+        assert.deepEqual(calls, ['once']);
+        assert.equal(bus.hasListeners('game:reset'), false);
+    });
+
+    it('unsubscribes through the returned function and through off()', () => {
+        const unsubscribe = bus.on('score:changed', listener('a'));
+        const b = listener('b');
+        bus.on('score:changed', b);
+
+        unsubscribe();
+        bus.off('score:changed', b);
+
+        assert.equal(bus.emit('score:changed'), 0);
+        assert.equal(bus.hasListeners('score:changed'), false);
+    });
+
+    it('drops every listener of an event when off() has no callback', () => {
+        bus.on('lives:lost', listener('a'));
+        bus.on('lives:lost', listener('b'));
+        bus.on('lives:*', listener('wild'));
+
+        bus.off('lives:lost');
+        bus.emit('lives:lost');
+
+        assert.deepEqual(calls, ['wild:lives:lost']);
+    });
+
+    it('keeps calling listeners after one of them throws', () => {
+        const error = mock.method(console, 'error', () => {});
+        bus.on('enemy:fire', () => {
+            throw new Error('broken listener');
+        }, { priority: 1 });
+        bus.on('enemy:fire', listener('ok'));
+
+        bus.emit('enemy:fire');
+        mock.restoreAll();
+
+        assert.deepEqual(calls, ['ok:enemy:fire']);
+        assert.equal(error.mock.callCount(), 1);
+    });
+
+    it('rejects unnamed events and listeners that are not functions', () => {
+        assert.throws(() => bus.on('', listener('a')), /non-empty string/);
+        assert.throws(() => bus.on('enemy:fire', null), /must be a function/);
+    });
+
+    it('logs events only in debug mode, keeping the newest maxLogSize', () => {
+        const logged = new EventBus({ maxLogSize: 2 });
+        logged.emit('a');
+        logged.setDebug(true);
+        logged.on('c', listener('c'));
+        logged.emit('b');
+        logged.emit('c');
+        logged.emit('d');
+
+        assert.deepEqual(logged.getEventLog().map(entry => [entry.event, entry.listenerCount]), [['c', 1], ['d', 0]]);
+
+        logged.clearEventLog();
+        assert.equal(logged.getEventLog().length, 0);
+    });
+});
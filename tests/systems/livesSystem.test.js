@@ -0,0 +1,308 @@
+/**
+ * LivesSystem tests - losing ships, extra-life thresholds, and the death and
+ * respawn flow in a running game
+ * Run with: node --test tests/systems/livesSystem.test.js
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const LivesSystem = require('../../js/systems/livesSystem.js');
+const EventBus = require('../../js/systems/eventBus.js');
+const { gameConfig } = require('../../js/config/gameConfig.js');
+const EventRecorder = require('../helpers/eventRecorder.js');
+const { startQuietGame, stepWhile } = require('../helpers/headlessGame.js');
+
+const PLAYER = gameConfig.balance.player;
+
+describe('LivesSystem', () => {
+    let eventBus;
+    let livesSystem;
+    let events;
+
+    /**
+     * Report a new score
+     * @param {number} score - Current score
+     * @param {string} reason - What changed it
+     */
+    function setScore(score, reason = 'kill') {
+        eventBus.emit('score:changed', { score, delta: 0, reason });
+    }
+
+    beforeEach(() => {
+        eventBus = new EventBus();
+        livesSystem = new LivesSystem({
+            eventBus,
+            lives: 3,
+            maxLives: 6,
+            extraLifeScores: [1500],
+            extraLifeEvery: 10000
+        });
+
+        events = new EventRecorder(eventBus, ['lives:lost', 'lives:changed', 'lives:extra_life']);
+    });
+
+    afterEach(() => {
+        livesSystem.destroy();
+    });
+
+    it('takes away one ship at a time', () => {
+        assert.equal(livesSystem.loseLife(), 2);
+        assert.equal(livesSystem.hasLivesLeft(), true);
+        assert.deepEqual(events.emitted('lives:lost'), [{ lives: 2, lost: 1 }]);
+        assert.deepEqual(events.emitted('lives:changed'), [{ lives: 2, delta: -1 }]);
+    });
+
+    it('takes every ship at once when the invaders land', () => {
+        assert.equal(livesSystem.loseAll(), 0);
+        assert.equal(livesSystem.hasLivesLeft(), false);
+        assert.deepEqual(events.emitted('lives:lost'), [{ lives: 0, lost: 3 }]);
+    });
+
+    it('never goes below zero ships', () => {
+        livesSystem.loseAll();
+        livesSystem.loseLife();
+
+        assert.equal(livesSystem.lives, 0);
+        assert.deepEqual(events.emitted('lives:lost').pop(), { lives: 0, lost: 0 });
+    });
+
+    it('awards a ship at each listed threshold, then every extraLifeEvery points', () => {
+        assert.equal(livesSystem.getNextExtraLifeScore(), 1500);
+
+        setScore(1499);
+        assert.equal(livesSystem.lives, 3);
+
+        setScore(1500);
+        assert.equal(livesSystem.lives, 4);
+        assert.equal(livesSystem.getNextExtraLifeScore(), 11500);
+
+        setScore(11500);
+        assert.equal(livesSystem.lives, 5);
+        assert.equal(livesSystem.getNextExtraLifeScore(), 21500);
+        assert.deepEqual(events.emitted('lives:extra_life').map(award => award.score), [1500, 11500]);
+    });
+
+    it('awards only once per threshold', () => {
+        setScore(2000);
+        setScore(3000);
+
+        assert.equal(livesSystem.lives, 4);
+        assert.equal(events.emitted('lives:extra_life').length, 1);
+    });
+
+    it('awards every threshold passed by one large gain', () => {
+        setScore(21500);
+
+        assert.equal(livesSystem.lives, 6);
+        assert.deepEqual(events.emitted('lives:extra_life').map(award => award.score), [1500, 11500, 21500]);
+    });
+
+    it('counts thresholds passed at maxLives without keeping the ship', () => {
+        setScore(31500);
+
+        assert.equal(livesSystem.lives, 6);
+        assert.equal(livesSystem.extraLivesAwarded, 4);
+        assert.equal(events.emitted('lives:extra_life').length, 3);
+
+        // Losing a ship does not bring back the one that was passed at the cap
+        livesSystem.loseLife();
+        setScore(31600);
+        assert.equal(livesSystem.lives, 5);
+        assert.equal(livesSystem.getNextExtraLifeScore(), 41500);
+    });
+
+    it('stops after the listed thresholds when extraLifeEvery is 0', () => {
+        const finite = new LivesSystem({ eventBus: new EventBus(), lives: 3, extraLifeScores: [1000, 5000] });
+        finite.checkExtraLife(100000);
+
+        assert.equal(finite.lives, 5);
+        assert.equal(finite.getNextExtraLifeScore(), null);
+    });
+
+    it('ignores restored scores', () => {
+        setScore(50000, 'restore');
+
+        assert.equal(livesSystem.lives, 3);
+        assert.equal(livesSystem.extraLivesAwarded, 0);
+    });
+
+    it('refills for a new run', () => {
+        setScore(1500);
+        livesSystem.loseAll();
+        eventBus.emit('game:reset');
+
+        assert.equal(livesSystem.lives, 3);
+        assert.equal(livesSystem.getNextExtraLifeScore(), 1500);
+    });
+
+    it('restores ships and awarded thresholds from serialized state', () => {
+        setScore(1500);
+        livesSystem.loseLife();
+        const state = JSON.parse(JSON.stringify(livesSystem.getState()));
+
+        eventBus.emit('game:reset');
+        livesSystem.setState(state);
+
+        assert.equal(livesSystem.lives, 3);
+        assert.equal(livesSystem.getNextExtraLifeScore(), 11500);
+    });
+});
+
+describe('Death and respawn in a running game', () => {
+    let game;
+
+    /**
+     * Step the game while it stays in one state
+     * @param {string} state - State to wait out
+     * @param {number} maxSteps - Give up after this many steps
+     * @returns {number} Game time spent in milliseconds
+     */
+    function stepThrough(state, maxSteps) {
+        return stepWhile(game, () => game.stateMachine.is(state), maxSteps);
+    }
+
+    /**
+     * Fire an enemy shot from a point, straight down
+     * @param {number} x - Shot centre x
+     * @param {number} y - Shot top
+     * @returns {Object} Projectile
+     */
+    function enemyShot(x, y) {
+        return game.projectileSystem.createProjectile(x - 2, y, 0, game.settings.enemyProjectileSpeed, 'enemy', null, {
+            damage: game.settings.enemyProjectileDamage,
+            width: 4,
+            height: 8
+        });
+    }
+
+    beforeEach(() => {
+        game = startQuietGame(42);
+        stepThrough('waveIntro');
+        // Let the first ship's spawn protection run out
+        game.player.update(PLAYER.invulnerabilityTime);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('starts the run with the configured ships', () => {
+        assert.equal(game.livesSystem.lives, PLAYER.health);
+        assert.ok(game.stateMachine.is('playing'));
+    });
+
+    it('loses a ship to an enemy shot and clears the shots around the wreck', () => {
+        const { x, y } = game.player.position;
+        enemyShot(x, y - 30);
+        const nearby = enemyShot(x + 40, y - 60);
+        const distant = enemyShot(x, y - PLAYER.bulletClearRadius - 200);
+
+        stepThrough('playing', 100);
+
+        assert.ok(game.stateMachine.is('playerDeath'));
+        assert.equal(game.deathCause, 'projectile');
+        assert.equal(game.livesSystem.lives, PLAYER.health - 1);
+        assert.equal(nearby.active, false);
+        assert.equal(distant.active, true);
+    });
+
+    it('respawns after respawnDelay, invulnerable, back in the state it left', () => {
+        const respawns = [];
+        game.eventBus.on('player:respawned', (data) => respawns.push(data));
+        game.killPlayer('projectile');
+
+        const elapsed = stepThrough('playerDeath');
+
+        assert.ok(game.stateMachine.is('playing'));
+        assert.ok(Math.abs(elapsed - PLAYER.respawnDelay) <= 1000 / 60);
+        assert.equal(game.player.isAlive, true);
+        assert.equal(game.player.isInvulnerable, true);
+        assert.deepEqual(respawns, [{
+            position: { x: game.width / 2, y: game.height - 40 },
+            invulnerabilityTime: PLAYER.invulnerabilityTime
+        }]);
+    });
+
+    it('pauses during the respawn delay and picks the countdown up on resume', () => {
+        game.killPlayer('projectile');
+        stepThrough('playerDeath', 30);
+        const remaining = game.stateTimer;
+        const pausedAt = game.clock.now();
+
+        assert.equal(game.pause(), true);
+        stepThrough('paused', 300);
+        assert.ok(game.stateMachine.is('paused'));
+        assert.equal(game.clock.now(), pausedAt);
+        assert.equal(game.stateTimer, remaining);
+
+        assert.equal(game.resume(), true);
+        assert.ok(game.stateMachine.is('playerDeath'));
+        assert.equal(game.livesSystem.lives, PLAYER.health - 1);
+        assert.equal(game.player.isAlive, false);
+
+        const elapsed = stepThrough('playerDeath');
+        assert.ok(game.stateMachine.is('playing'));
+        assert.ok(Math.abs(elapsed - remaining) <= 1000 / 60);
+        assert.equal(game.player.isAlive, true);
+    });
+
+    it('ignores enemy shots during the invulnerability window', () => {
+        game.killPlayer('projectile');
+        stepThrough('playerDeath');
+
+        const { x, y } = game.player.position;
+        enemyShot(x, y - 20);
+        for (let i = 0; i < 30; i++) {
+            game.step();
+        }
+
+        assert.ok(game.stateMachine.is('playing'));
+        assert.equal(game.livesSystem.lives, PLAYER.health - 1);
+    });
+
+    it('holds enemy fire until fireHoldTime after the respawn', () => {
+        const fire = () => {
+            const before = game.projectileSystem.getProjectilesByType('enemy').length;
+            game.eventBus.emit('enemy:fire', { x: 100, y: 100, enemyId: 'enemy' });
+            return game.projectileSystem.getProjectilesByType('enemy').length - before;
+        };
+
+        game.killPlayer('projectile');
+        stepThrough('playerDeath');
+        assert.equal(fire(), 0);
+
+        game.clock.advance(PLAYER.fireHoldTime);
+        assert.equal(fire(), 1);
+    });
+
+    it('ends the run when the last ship is lost', () => {
+        for (let ship = 1; ship < PLAYER.health; ship++) {
+            game.killPlayer('projectile');
+            stepThrough('playerDeath');
+        }
+        assert.equal(game.livesSystem.lives, 1);
+
+        game.killPlayer('projectile');
+        stepThrough('playerDeath');
+
+        assert.equal(game.livesSystem.lives, 0);
+        assert.ok(game.stateMachine.is('gameOver') || game.stateMachine.is('nameEntry'));
+        assert.equal(game.player.isAlive, false);
+    });
+
+    it('loses every ship when the invaders land', () => {
+        game.killPlayer('invasion');
+
+        assert.equal(game.livesSystem.lives, 0);
+        stepThrough('playerDeath');
+        assert.ok(game.stateMachine.is('gameOver') || game.stateMachine.is('nameEntry'));
+    });
+
+    it('awards an extra ship when the score passes a threshold', () => {
+        game.scoreSystem.add(PLAYER.extraLifeScores[0], 'kill');
+
+        assert.equal(game.livesSystem.lives, PLAYER.health + 1);
+        assert.ok(game.scorePopups.popups.some(popup => popup.text === 'EXTRA SHIP'));
+    });
+});
@@ -0,0 +1,236 @@
+/**
+ * MysteryShipSystem tests - spawn rules, the shot-count score table, random
+ * pricing, and scoring the saucer in a running game
+ * Run with: node --test tests/systems/mysteryShipSystem.test.js
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MysteryShipSystem } = require('../../js/systems/mysteryShipSystem.js');
+const EventBus = require('../../js/systems/eventBus.js');
+const GameClock = require('../../js/systems/gameClock.js');
+const SeededRandom = require('../../js/systems/seededRandom.js');
+const { gameConfig } = require('../../js/config/gameConfig.js');
+const { createHeadlessGame } = require('../../js/headless.js');
+const { startQuietGame, stepWhile } = require('../helpers/headlessGame.js');
+
+const SCORE_TABLE = gameConfig.mysteryShip.scoreTable;
+
+/**
+ * Wave manager stand-in that records bonus spawns
+ * @param {number} enemiesLeft - Invaders left in the wave
+ * @returns {Object} Fake wave manager
+ */
+function createWaveManager(enemiesLeft = 10) {
+    return {
+        isWaveActive: true,
+        activeEnemies: new Map(Array.from({ length: enemiesLeft }, (_, i) => [`enemy_${i}`, {}])),
+        spawnQueue: [],
+        spawns: [],
+        addEnemyType() {},
+        spawnBonusEnemy(typeId, position, overrides) {
+            this.spawns.push({ typeId, position, ...overrides });
+            return {};
+        }
+    };
+}
+
+describe('MysteryShipSystem', () => {
+    let eventBus;
+    let clock;
+    let waveManager;
+
+    /**
+     * Build a system over the fakes
+     * @param {Object} config - Extra configuration
+     * @returns {MysteryShipSystem} System under test
+     */
+    function createSystem(config = {}) {
+        return new MysteryShipSystem({
+            eventBus,
+            clock,
+            waveManager,
+            enemySystem: { enemies: new Map() },
+            rng: new SeededRandom(1),
+            scoreTable: SCORE_TABLE,
+            ...config
+        });
+    }
+
+    /**
+     * Report player shots
+     * @param {number} count - Shots to fire
+     */
+    function shoot(count) {
+        for (let i = 0; i < count; i++) {
+            eventBus.emit('player:shoot', { position: { x: 0, y: 0 } });
+        }
+    }
+
+    beforeEach(() => {
+        eventBus = new EventBus();
+        clock = new GameClock();
+        waveManager = createWaveManager();
+    });
+
+    it('prices the saucer from the table entry for the shot count', () => {
+        const system = createSystem();
+
+        assert.equal(system.getShotCountPoints(), SCORE_TABLE[0]);
+        shoot(1);
+        assert.equal(system.getShotCountPoints(), SCORE_TABLE[1]);
+    });
+
+    it('pays 300 on the 8th shot and every 15th after it', () => {
+        const system = createSystem();
+        const jackpots = [];
+        for (let shot = 1; shot <= 40; shot++) {
+            shoot(1);
+            if (system.getShotCountPoints() === 300) jackpots.push(shot);
+        }
+
+        assert.deepEqual(jackpots, [8, 23, 38]);
+    });
+
+    it('launches with the table price under the timer rule', () => {
+        const system = createSystem({ spawnRule: 'timer', interval: [1000, 1000] });
+        eventBus.emit('wave:started', { waveNumber: 1 });
+        shoot(8);
+
+        system.update();
+        assert.equal(waveManager.spawns.length, 0);
+
+        clock.advance(1000);
+        system.update();
+        assert.equal(waveManager.spawns.length, 1);
+        assert.equal(waveManager.spawns[0].typeId, 'ufo');
+        assert.equal(waveManager.spawns[0].points, 300);
+    });
+
+    it('launches after shotInterval shots under the shots rule', () => {
+        const system = createSystem({ spawnRule: 'shots', shotInterval: 5 });
+        eventBus.emit('wave:started', { waveNumber: 1 });
+
+        shoot(4);
+        system.update();
+        assert.equal(waveManager.spawns.length, 0);
+
+        shoot(1);
+        system.update();
+        assert.equal(waveManager.spawns.length, 1);
+        assert.equal(waveManager.spawns[0].points, SCORE_TABLE[5]);
+    });
+
+    it('holds flights once fewer than minEnemies invaders are left', () => {
+        waveManager = createWaveManager(2);
+        const system = createSystem({ spawnRule: 'shots', shotInterval: 1, minEnemies: 3 });
+        eventBus.emit('wave:started', { waveNumber: 1 });
+        shoot(1);
+
+        system.update();
+        assert.equal(waveManager.spawns.length, 0);
+    });
+
+    it('picks random prices only from randomPoints', () => {
+        const randomPoints = [50, 100, 150, 300];
+        const system = createSystem({ spawnRule: 'shots', shotInterval: 1, scoring: 'random', randomPoints });
+        eventBus.emit('wave:started', { waveNumber: 1 });
+
+        for (let i = 0; i < 20; i++) {
+            shoot(1);
+            system.update();
+        }
+
+        assert.equal(waveManager.spawns.length, 20);
+        assert.ok(waveManager.spawns.every(spawn => randomPoints.includes(spawn.points)));
+    });
+
+    it('reprices a saucer in flight as the player keeps shooting', () => {
+        const ship = { id: 'bonus_1', type: 'UFO', points: 100 };
+        const system = createSystem({ enemySystem: { enemies: new Map([[ship.id, ship]]) } });
+        eventBus.emit('enemy:spawned', { enemy: ship });
+
+        shoot(8);
+        assert.equal(ship.points, 300);
+        shoot(1);
+        assert.equal(ship.points, 100);
+    });
+});
+
+describe('Mystery ship in a running game', () => {
+    let game;
+
+    beforeEach(() => {
+        game = startQuietGame(7);
+        // Play until the formation has started to arrive
+        stepWhile(game, () => game.enemySystem.getActiveEnemies().length < 5);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    /**
+     * Start a flight on the next step
+     * @returns {Enemy} Saucer in flight
+     */
+    function launchShip() {
+        game.mysteryShip.nextFlightTime = game.clock.now();
+        game.step();
+        return game.mysteryShip.getShip();
+    }
+
+    it('scores the table price flat, outside the kill chain', () => {
+        // Start a chain so a multiplier would show
+        for (const enemy of game.enemySystem.getActiveEnemies().slice(0, 3)) {
+            game.eventBus.emit('projectile:hit', { enemyId: enemy.id, damage: 99 });
+        }
+        const combo = game.scoreSystem.combo;
+        assert.ok(combo > 1);
+
+        const ship = launchShip();
+        assert.ok(ship);
+        for (let i = 0; i < 8; i++) {
+            game.eventBus.emit('player:shoot', { position: { x: 0, y: 0 } });
+        }
+        const points = game.mysteryShip.getShotCountPoints();
+
+        const before = game.score;
+        game.eventBus.emit('projectile:hit', { enemyId: ship.id, damage: 1 });
+
+        assert.equal(game.score - before, points);
+        assert.equal(game.scoreSystem.combo, combo);
+    });
+
+    it('pops up the points it was awarded where it was shot down', () => {
+        game.player.applyPowerUp('scoreMultiplier', game.powerUpSystem.getEffectSettings('scoreMultiplier'));
+        const ship = launchShip();
+        const before = game.score;
+
+        game.eventBus.emit('projectile:hit', { enemyId: ship.id, damage: 1 });
+
+        const awarded = game.score - before;
+        assert.equal(awarded, ship.points * game.player.getScoreMultiplier());
+        const popups = game.scorePopups.popups.filter(popup => popup.color === '#ff4040');
+        assert.deepEqual(popups.map(popup => popup.text), [String(awarded)]);
+    });
+
+    it('numbers the next saucer of a restored run as the original run would', () => {
+        launchShip();
+        const snapshot = JSON.parse(JSON.stringify(game.createSnapshot()));
+        const restored = createHeadlessGame({ seed: 1 });
+        restored.restoreSnapshot(snapshot);
+
+        const spawnNext = (run) => run.waveManager.spawnBonusEnemy(run.mysteryShip.waveTypeId, { x: 0, y: 40 });
+        assert.equal(spawnNext(restored).id, spawnNext(game).id);
+    });
+
+    it('does not count toward wave completion', () => {
+        const ship = launchShip();
+        assert.ok(ship);
+
+        const waveEnemies = game.enemySystem.getWaveEnemyCount();
+        assert.equal(waveEnemies, game.enemySystem.getActiveEnemies().length - 1);
+    });
+});
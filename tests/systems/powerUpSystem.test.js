@@ -0,0 +1,252 @@
+/**
+ * PowerUpSystem and Player power-up tests - drops, collection, and the
+ * refresh/extend/stack rules from gameConfig.balance.powerups
+ * Run with: node --test tests/systems/powerUpSystem.test.js
+ */
+
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PowerUpSystem = require('../../js/systems/powerUpSystem.js');
+const Player = require('../../js/entities/player.js');
+const EventBus = require('../../js/systems/eventBus.js');
+const SeededRandom = require('../../js/systems/seededRandom.js');
+const { gameConfig } = require('../../js/config/gameConfig.js');
+const EventRecorder = require('../helpers/eventRecorder.js');
+const { startQuietGame, stepWhile } = require('../helpers/headlessGame.js');
+
+const POWERUPS = gameConfig.balance.powerups;
+
+describe('PowerUpSystem', () => {
+    let eventBus;
+
+    /**
+     * Build a system using the configured power-ups
+     * @param {Object} config - Overrides
+     * @returns {PowerUpSystem} System under test
+     */
+    function createSystem(config = {}) {
+        return new PowerUpSystem({ ...POWERUPS, eventBus, rng: new SeededRandom(3), height: 600, ...config });
+    }
+
+    beforeEach(() => {
+        eventBus = new EventBus();
+    });
+
+    it('drops a capsule where an enemy dies when the roll succeeds', () => {
+        const system = createSystem({ spawnChance: 1 });
+        eventBus.emit('enemy:destroyed', { enemy: {}, points: 10, position: { x: 120, y: 80 } });
+
+        const [powerUp] = system.getActivePowerUps();
+        assert.equal(system.getActivePowerUps().length, 1);
+        assert.equal(powerUp.x, 120);
+        assert.equal(powerUp.y, 80);
+        assert.ok(Object.keys(POWERUPS.types).includes(powerUp.type));
+    });
+
+    it('never drops with a spawnChance of 0', () => {
+        const system = createSystem({ spawnChance: 0 });
+        for (let i = 0; i < 50; i++) {
+            eventBus.emit('enemy:destroyed', { enemy: {}, points: 10, position: { x: 0, y: 0 } });
+        }
+
+        assert.equal(system.getActivePowerUps().length, 0);
+    });
+
+    it('picks types in proportion to their rarity', () => {
+        const system = createSystem();
+        const counts = {};
+        for (let i = 0; i < 4000; i++) {
+            const type = system.pickType();
+            counts[type] = (counts[type] || 0) + 1;
+        }
+
+        const total = Object.values(POWERUPS.types).reduce((sum, settings) => sum + settings.rarity, 0);
+        for (const [type, settings] of Object.entries(POWERUPS.types)) {
+            const share = counts[type] / 4000;
+            assert.ok(Math.abs(share - settings.rarity / total) < 0.03, `${type} share ${share}`);
+        }
+    });
+
+    it('fills in the default duration for types without their own', () => {
+        const system = createSystem();
+
+        assert.equal(system.getEffectSettings('rapidFire').duration, POWERUPS.duration);
+        assert.equal(system.getEffectSettings('shield').duration, POWERUPS.types.shield.duration);
+    });
+
+    it('hands out a capsule only once', () => {
+        const system = createSystem();
+        const events = new EventRecorder(eventBus, ['powerup:collected']);
+        const powerUp = system.spawn('shield', 100, 100);
+
+        const settings = system.collect(powerUp);
+        assert.equal(settings.stacking, 'stack');
+        assert.equal(system.collect(powerUp), null);
+        assert.equal(events.emitted('powerup:collected').length, 1);
+
+        system.update(16);
+        assert.equal(system.getActivePowerUps().length, 0);
+    });
+
+    it('falls at fallSpeed and is lost below the play area', () => {
+        const system = createSystem();
+        const powerUp = system.spawn('rapidFire', 100, 500);
+
+        system.update(100);
+        assert.equal(powerUp.y, 500 + POWERUPS.fallSpeed * 100);
+
+        system.update(2000);
+        assert.equal(system.getActivePowerUps().length, 0);
+    });
+});
+
+describe('Player power-up stacking', () => {
+    let eventBus;
+    let player;
+    let events;
+
+    /**
+     * Collect a power-up with its configured settings
+     * @param {string} type - Effect type
+     */
+    function collect(type) {
+        player.applyPowerUp(type, { duration: POWERUPS.duration, ...POWERUPS.types[type] });
+    }
+
+    /**
+     * Get the time left on a running effect
+     * @param {string} type - Effect type
+     * @returns {number} Milliseconds left
+     */
+    function remaining(type) {
+        return player.getPowerUpTimers().find(timer => timer.type === type).remaining;
+    }
+
+    beforeEach(() => {
+        eventBus = new EventBus();
+        player = new Player(400, 560, {}, eventBus);
+        events = new EventRecorder(eventBus, ['player:powerup_expired', 'player:shield_hit', 'player:damage_taken']);
+    });
+
+    it('refreshes multi-shot to its full duration', () => {
+        collect('multiShot');
+        player.update(4000);
+        collect('multiShot');
+
+        assert.equal(remaining('multiShot'), POWERUPS.duration);
+    });
+
+    it('extends rapid fire by the new duration', () => {
+        collect('rapidFire');
+        player.update(4000);
+        collect('rapidFire');
+
+        assert.equal(remaining('rapidFire'), POWERUPS.duration - 4000 + POWERUPS.duration);
+    });
+
+    it('caps extended rapid fire at maxDuration', () => {
+        collect('rapidFire');
+        collect('rapidFire');
+        collect('rapidFire');
+
+        assert.equal(remaining('rapidFire'), POWERUPS.types.rapidFire.maxDuration);
+    });
+
+    it('stacks shield hits up to maxHits and restarts its timer', () => {
+        collect('shield');
+        player.update(5000);
+        collect('shield');
+
+        let [shield] = player.getPowerUpTimers();
+        assert.equal(shield.hits, 2);
+        assert.equal(shield.remaining, POWERUPS.types.shield.duration);
+
+        collect('shield');
+        collect('shield');
+        [shield] = player.getPowerUpTimers();
+        assert.equal(shield.hits, POWERUPS.types.shield.maxHits);
+    });
+
+    it('shortens the shot cooldown while rapid fire runs', () => {
+        const cooldown = player.getShootCooldown();
+        collect('rapidFire');
+
+        assert.equal(player.getShootCooldown(), cooldown / POWERUPS.types.rapidFire.fireRateMultiplier);
+    });
+
+    it('fans multi-shot projectiles around straight up', () => {
+        collect('multiShot');
+        const angles = player._getShotAngles();
+        const { shotCount, spread } = POWERUPS.types.multiShot;
+
+        assert.equal(angles.length, shotCount);
+        assert.deepEqual(angles, [-spread, 0, spread]);
+    });
+
+    it('multiplies score only while the multiplier runs', () => {
+        collect('scoreMultiplier');
+        assert.equal(player.getScoreMultiplier(), POWERUPS.types.scoreMultiplier.multiplier);
+
+        player.update(POWERUPS.duration);
+        assert.equal(player.getScoreMultiplier(), 1);
+        assert.deepEqual(events.names(), ['player:powerup_expired']);
+        assert.deepEqual(events.emitted('player:powerup_expired'), [{ type: 'scoreMultiplier', reason: 'timeout' }]);
+    });
+
+    it('lets the shield absorb hits until it is depleted', () => {
+        collect('shield');
+        collect('shield');
+
+        assert.equal(player.takeDamage(player.maxHealth), false);
+        assert.equal(player.health, player.maxHealth);
+        assert.equal(player.hasPowerUp('shield'), true);
+
+        // Grace period after each absorbed hit
+        assert.equal(player.takeDamage(player.maxHealth), false);
+        player.update(Player.CONFIG.SHIELD_GRACE_TIME);
+
+        assert.equal(player.takeDamage(player.maxHealth), false);
+        assert.equal(player.hasPowerUp('shield'), false);
+        assert.deepEqual(events.names(), ['player:shield_hit', 'player:shield_hit', 'player:powerup_expired']);
+        assert.equal(events.emitted('player:powerup_expired')[0].reason, 'depleted');
+
+        player.update(Player.CONFIG.SHIELD_GRACE_TIME);
+        assert.equal(player.takeDamage(player.maxHealth), true);
+        assert.equal(player.isAlive, false);
+    });
+});
+
+describe('Power-ups in a running game', () => {
+    let game;
+
+    before(() => {
+        game = startQuietGame(11);
+        stepWhile(game, () => game.enemySystem.getActiveEnemies().length === 0);
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    it('drops a capsule where the ship shoots an enemy down', () => {
+        game.powerUpSystem.spawnChance = 1;
+        const [enemy] = game.enemySystem.getActiveEnemies();
+        const { x, y } = enemy;
+        game.eventBus.emit('projectile:hit', { enemyId: enemy.id, damage: 99 });
+
+        const [powerUp] = game.powerUpSystem.getActivePowerUps();
+        assert.ok(powerUp);
+        assert.deepEqual([powerUp.x, powerUp.y], [x, y]);
+    });
+
+    it('applies a capsule the ship flies into', () => {
+        const { x, y } = game.player.position;
+        const powerUp = game.powerUpSystem.spawn('rapidFire', x, y);
+
+        game.step();
+
+        assert.equal(powerUp.active, false);
+        assert.equal(game.player.hasPowerUp('rapidFire'), true);
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * QualityGovernor tests - dropping a level on slow frames, climbing back
+ * only after sustained headroom, and pinned levels
+ * Run with: node --test tests/systems/qualityGovernor.test.js
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { QualityGovernor } = require('../../js/systems/qualityGovernor.js');
+const EventBus = require('../../js/systems/eventBus.js');
+const { gameConfig } = require('../../js/config/gameConfig.js');
+
+const QUALITY = gameConfig.performance.quality;
+const SAMPLE_SIZE = 10;
+const UPGRADE_SAMPLES = 3;
+
+// Frame intervals and work times in milliseconds
+const SLOW = { interval: 25, work: 24 };
+const BUSY = { interval: 1000 / 60, work: 12 };
+const IDLE = { interval: 1000 / 60, work: 2 };
+
+describe('QualityGovernor', () => {
+    let governor;
+    let changes;
+
+    /**
+     * Feed whole sample windows of one kind of frame
+     * @param {Object} frame - { interval, work }
+     * @param {number} windows - Sample windows to feed
+     */
+    function feed(frame, windows = 1) {
+        for (let i = 0; i < windows * SAMPLE_SIZE; i++) {
+            governor.recordFrame(frame.interval, frame.work);
+        }
+    }
+
+    beforeEach(() => {
+        const eventBus = new EventBus();
+        changes = [];
+        eventBus.on('quality:changed', (change) => changes.push(change.level));
+
+        governor = new QualityGovernor({
+            ...QUALITY,
+            sampleSize: SAMPLE_SIZE,
+            upgradeSamples: UPGRADE_SAMPLES,
+            eventBus
+        });
+    });
+
+    it('starts at high quality with its configured settings', () => {
+        assert.equal(governor.getLevel(), 'high');
+        assert.deepEqual(governor.getSettings(), QUALITY.qualityLevels.high);
+    });
+
+    it('drops one level per slow sample window', () => {
+        feed(SLOW);
+        assert.equal(governor.getLevel(), 'medium');
+
+        feed(SLOW);
+        feed(SLOW);
+        assert.equal(governor.getLevel(), 'low');
+        assert.deepEqual(changes, ['medium', 'low']);
+    });
+
+    it('decides only on full sample windows', () => {
+        for (let i = 0; i < SAMPLE_SIZE - 1; i++) {
+            governor.recordFrame(SLOW.interval, SLOW.work);
+        }
+
+        assert.equal(governor.getLevel(), 'high');
+    });
+
+    it('climbs back only after upgradeSamples fast windows in a row', () => {
+        governor.setLevel('low');
+
+        feed(IDLE, UPGRADE_SAMPLES - 1);
+        assert.equal(governor.getLevel(), 'low');
+
+        feed(IDLE);
+        assert.equal(governor.getLevel(), 'medium');
+    });
+
+    it('starts the count again after a window without headroom', () => {
+        governor.setLevel('low');
+
+        feed(IDLE, UPGRADE_SAMPLES - 1);
+        feed(BUSY);
+        feed(IDLE, UPGRADE_SAMPLES - 1);
+
+        assert.equal(governor.getLevel(), 'low');
+    });
+
+    it('does not flap between levels at a steady load near the threshold', () => {
+        feed(SLOW);
+        assert.equal(governor.getLevel(), 'medium');
+
+        feed(BUSY, UPGRADE_SAMPLES * 4);
+        assert.equal(governor.getLevel(), 'medium');
+        assert.deepEqual(changes, ['medium']);
+    });
+
+    it('ignores gaps from tab switches and breakpoints', () => {
+        feed({ interval: 2000, work: 2 });
+
+        assert.equal(governor.getLevel(), 'high');
+    });
+
+    it('holds a pinned level until handed back to auto', () => {
+        governor.pin('low');
+        feed(IDLE, UPGRADE_SAMPLES * 2);
+        assert.equal(governor.getLevel(), 'low');
+
+        governor.pin('auto');
+        feed(IDLE, UPGRADE_SAMPLES);
+        assert.equal(governor.getLevel(), 'medium');
+    });
+
+    it('never scales when autoScale is off', () => {
+        governor.autoScale = false;
+        feed(SLOW, 3);
+
+        assert.equal(governor.getLevel(), 'high');
+    });
+});
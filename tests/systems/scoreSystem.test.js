@@ -0,0 +1,197 @@
+/**
+ * ScoreSystem tests - kill chains, the combo cap, bonus enemies and wave
+ * clear bonuses from gameConfig.balance.scoring
+ * Run with: node --test tests/systems/scoreSystem.test.js
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ScoreSystem = require('../../js/systems/scoreSystem.js');
+const EventBus = require('../../js/systems/eventBus.js');
+const GameClock = require('../../js/systems/gameClock.js');
+const { gameConfig } = require('../../js/config/gameConfig.js');
+const EventRecorder = require('../helpers/eventRecorder.js');
+const { startQuietGame, stepWhile } = require('../helpers/headlessGame.js');
+
+const SCORING = gameConfig.balance.scoring;
+
+describe('ScoreSystem', () => {
+    let eventBus;
+    let clock;
+    let scoreSystem;
+    let events;
+
+    /**
+     * Report a destroyed enemy
+     * @param {number} points - Enemy's points
+     * @param {Object} enemy - Destroyed enemy
+     */
+    function kill(points = 10, enemy = { typeData: {} }) {
+        eventBus.emit('enemy:destroyed', { enemy, points, position: { x: 100, y: 100 } });
+    }
+
+    beforeEach(() => {
+        eventBus = new EventBus();
+        clock = new GameClock();
+        scoreSystem = new ScoreSystem({
+            ...SCORING,
+            eventBus,
+            clock,
+            isBonusEnemy: (enemy) => Boolean(enemy.typeData && enemy.typeData.bonus)
+        });
+
+        events = new EventRecorder(eventBus,
+            ['score:awarded', 'score:combo', 'score:combo_ended', 'score:wave_bonus', 'score:changed']);
+    });
+
+    afterEach(() => {
+        scoreSystem.destroy();
+    });
+
+    it('scores a lone kill at the base multiplier', () => {
+        kill(30);
+
+        assert.equal(scoreSystem.score, 30);
+        assert.equal(scoreSystem.combo, 1);
+        assert.equal(events.emitted('score:combo').length, 0);
+    });
+
+    it('adds comboMultiplier for each further kill in a chain', () => {
+        kill(10);
+        clock.advance(SCORING.comboTimeout);
+        kill(10);
+        kill(10);
+
+        assert.equal(scoreSystem.combo, 3);
+        assert.equal(scoreSystem.getComboMultiplier(), SCORING.baseMultiplier + 2 * SCORING.comboMultiplier);
+        assert.deepEqual(events.emitted('score:awarded').map(award => award.points), [10, 11, 12]);
+        assert.deepEqual(events.emitted('score:combo').map(combo => combo.combo), [2, 3]);
+    });
+
+    it('caps the chain multiplier at maxComboMultiplier', () => {
+        const linksToCap = (SCORING.maxComboMultiplier - SCORING.baseMultiplier) / SCORING.comboMultiplier + 1;
+        for (let i = 0; i < linksToCap + 20; i++) {
+            kill(10);
+        }
+
+        assert.equal(scoreSystem.getComboMultiplier(), SCORING.maxComboMultiplier);
+        const lastAward = events.emitted('score:awarded').pop();
+        assert.equal(lastAward.multiplier, SCORING.maxComboMultiplier);
+        assert.equal(lastAward.points, 10 * SCORING.maxComboMultiplier);
+    });
+
+    it('breaks the chain once comboTimeout passes without a kill', () => {
+        kill(10);
+        kill(10);
+        kill(10);
+
+        clock.advance(SCORING.comboTimeout);
+        scoreSystem.update();
+        assert.equal(scoreSystem.combo, 3);
+
+        clock.advance(1);
+        scoreSystem.update();
+        assert.equal(scoreSystem.combo, 0);
+        assert.deepEqual(events.emitted('score:combo_ended'), [{ combo: 3 }]);
+    });
+
+    it('starts a fresh chain when a kill comes after the timeout', () => {
+        kill(10);
+        kill(10);
+        clock.advance(SCORING.comboTimeout + 1);
+        kill(10);
+
+        assert.equal(scoreSystem.combo, 1);
+        assert.equal(events.emitted('score:awarded').pop().points, 10);
+    });
+
+    it('applies the bonus multiplier on top of the chain', () => {
+        scoreSystem.getBonusMultiplier = () => 2;
+        kill(10);
+        kill(10);
+
+        assert.deepEqual(events.emitted('score:awarded').map(award => award.points), [20, 22]);
+    });
+
+    it('scores bonus enemies flat without touching the chain', () => {
+        kill(10);
+        kill(10);
+        const lastKillTime = scoreSystem.lastKillTime;
+
+        clock.advance(1000);
+        kill(300, { typeData: { bonus: true } });
+
+        const award = events.emitted('score:awarded').pop();
+        assert.equal(award.points, 300);
+        assert.equal(award.multiplier, 1);
+        assert.equal(scoreSystem.combo, 2);
+        assert.equal(scoreSystem.lastKillTime, lastKillTime);
+        assert.equal(events.emitted('score:combo').length, 1);
+    });
+
+    it('doubles the wave bonus for a wave without damage', () => {
+        eventBus.emit('wave:started', { waveNumber: 1 });
+        eventBus.emit('wave:completed', { waveNumber: 1 });
+
+        assert.deepEqual(events.emitted('score:wave_bonus'), [{
+            waveNumber: 1,
+            bonus: SCORING.waveCompletionBonus * SCORING.perfectWaveMultiplier,
+            perfect: true
+        }]);
+    });
+
+    it('awards the plain wave bonus after damage or a lost life', () => {
+        eventBus.emit('wave:started', { waveNumber: 2 });
+        eventBus.emit('player:damage_taken', { isDestroyed: false });
+        eventBus.emit('wave:completed', { waveNumber: 2 });
+
+        eventBus.emit('wave:started', { waveNumber: 3 });
+        eventBus.emit('lives:lost', { lives: 2, lost: 1 });
+        eventBus.emit('wave:completed', { waveNumber: 3 });
+
+        assert.deepEqual(events.emitted('score:wave_bonus').map(bonus => [bonus.bonus, bonus.perfect]), [
+            [SCORING.waveCompletionBonus, false],
+            [SCORING.waveCompletionBonus, false]
+        ]);
+        assert.equal(scoreSystem.score, 2 * SCORING.waveCompletionBonus);
+    });
+
+    it('announces every change with its reason', () => {
+        kill(10);
+        eventBus.emit('wave:completed', { waveNumber: 1 });
+
+        assert.deepEqual(events.emitted('score:changed').map(change => change.reason), ['kill', 'waveBonus']);
+        assert.equal(events.emitted('score:changed').pop().score, scoreSystem.score);
+    });
+
+    it('restores the score and chain from serialized state', () => {
+        kill(10);
+        kill(10);
+        const state = JSON.parse(JSON.stringify(scoreSystem.getState()));
+
+        eventBus.emit('game:reset');
+        assert.equal(scoreSystem.score, 0);
+
+        scoreSystem.setState(state);
+        assert.equal(scoreSystem.score, 21);
+        assert.equal(scoreSystem.combo, 2);
+        assert.equal(events.emitted('score:changed').pop().reason, 'restore');
+    });
+});
+
+it('keeps the game score in step with the score system and pops chained kills up in gold', (t) => {
+    t.after(() => mock.restoreAll());
+    const game = startQuietGame(5);
+    // Play until the formation has started to arrive
+    stepWhile(game, () => game.enemySystem.getActiveEnemies().length < 5);
+
+    const [first, second] = game.enemySystem.getActiveEnemies();
+    game.eventBus.emit('projectile:hit', { enemyId: first.id, damage: 99 });
+    game.eventBus.emit('projectile:hit', { enemyId: second.id, damage: 99 });
+
+    assert.equal(game.scoreSystem.combo, 2);
+    assert.ok(game.score > 0);
+    assert.equal(game.score, game.scoreSystem.score);
+    assert.deepEqual(game.scorePopups.popups.map(popup => popup.color), ['#ffffff', '#ffdd00']);
+});
@@ -0,0 +1,117 @@
+/**
+ * SeededRandom tests - reproducible sequences, ranges and serialized state
+ * Run with: node --test tests/systems/seededRandom.test.js
+ */
+
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const SeededRandom = require('../../js/systems/seededRandom.js');
+
+/**
+ * Draw several numbers from a generator
+ * @param {SeededRandom} rng - Generator to draw from
+ * @param {number} count - Numbers to draw
+ * @returns {number[]} Draws in order
+ */
+function draw(rng, count = 20) {
+    return Array.from({ length: count }, () => rng.next());
+}
+
+describe('SeededRandom', () => {
+    it('produces the same sequence from the same seed', () => {
+        assert.deepEqual(draw(new SeededRandom(1234)), draw(new SeededRandom(1234)));
+    });
+
+    it('produces different sequences from different seeds', () => {
+        assert.notDeepEqual(draw(new SeededRandom(1)), draw(new SeededRandom(2)));
+    });
+
+    it('stays within [0, 1)', () => {
+        const values = draw(new SeededRandom(99), 5000);
+
+        assert.ok(values.every(value => value >= 0 && value < 1));
+    });
+
+    it('starts the sequence over on reset', () => {
+        const rng = new SeededRandom(7);
+        const first = draw(rng);
+        rng.reset();
+
+        assert.deepEqual(draw(rng), first);
+    });
+
+    it('keeps seeds to 32-bit unsigned integers', () => {
+        assert.equal(new SeededRandom(-1).getSeed(), 0xFFFFFFFF);
+        assert.equal(new SeededRandom(2 ** 32 + 5).getSeed(), 5);
+    });
+
+    it('ignores seeds that are not numbers', () => {
+        const rng = new SeededRandom(5);
+        const error = mock.method(console, 'error', () => {});
+        rng.setSeed('not a seed');
+        mock.restoreAll();
+
+        assert.equal(rng.getSeed(), 5);
+        assert.equal(error.mock.callCount(), 1);
+    });
+
+    it('keeps int() within its inclusive bounds and reaches both ends', () => {
+        const rng = new SeededRandom(3);
+        const seen = new Set();
+        for (let i = 0; i < 500; i++) {
+            seen.add(rng.int(2, 5));
+        }
+
+        assert.deepEqual([...seen].sort(), [2, 3, 4, 5]);
+    });
+
+    it('keeps range() within [min, max)', () => {
+        const rng = new SeededRandom(4);
+        for (let i = 0; i < 500; i++) {
+            const value = rng.range(-10, 10);
+            assert.ok(value >= -10 && value < 10);
+        }
+    });
+
+    it('picks only from the given items', () => {
+        const rng = new SeededRandom(8);
+        const items = ['a', 'b', 'c'];
+
+        for (let i = 0; i < 100; i++) {
+            assert.ok(items.includes(rng.pick(items)));
+        }
+        assert.equal(rng.pick([]), undefined);
+    });
+
+    it('rolls chance() at about the given probability', () => {
+        const rng = new SeededRandom(11);
+        let hits = 0;
+        for (let i = 0; i < 10000; i++) {
+            if (rng.chance(0.25)) hits++;
+        }
+
+        assert.ok(Math.abs(hits / 10000 - 0.25) < 0.02);
+        assert.equal(rng.chance(0), false);
+        assert.equal(rng.chance(1), true);
+    });
+
+    it('can stand in for Math.random as a detached function', () => {
+        const random = new SeededRandom(1234).next;
+
+        assert.deepEqual(Array.from({ length: 5 }, random), draw(new SeededRandom(1234), 5));
+    });
+
+    it('continues a sequence from serialized state', () => {
+        const rng = new SeededRandom(42);
+        draw(rng, 10);
+        const state = JSON.parse(JSON.stringify(rng.getState()));
+        const expected = draw(rng);
+
+        const restored = new SeededRandom(1);
+        restored.setState(state);
+
+        assert.equal(restored.getSeed(), 42);
+        assert.deepEqual(draw(restored), expected);
+    });
+});
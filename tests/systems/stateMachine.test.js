@@ -0,0 +1,176 @@
+/**
+ * StateMachine tests - legal transitions, hook order and state change
+ * events, plus the transition table the game registers on it
+ * Run with: node --test tests/systems/stateMachine.test.js
+ */
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const StateMachine = require('../../js/systems/stateMachine.js');
+const EventBus = require('../../js/systems/eventBus.js');
+const { GAME_STATES, registerGameStates } = require('../../js/states/gameStates.js');
+
+describe('StateMachine', () => {
+    let machine;
+    let hooks;
+
+    /**
+     * Define a state whose hooks log their calls
+     * @param {string} name - State name
+     * @param {string[]} transitions - Legal next states
+     */
+    function addLoggedState(name, transitions) {
+        machine.addState(name, {
+            transitions,
+            enter: (previous, data) => hooks.push(['enter', name, previous, data]),
+            exit: (next) => hooks.push(['exit', name, next]),
+            update: (deltaTime) => hooks.push(['update', name, deltaTime])
+        });
+    }
+
+    beforeEach(() => {
+        machine = new StateMachine({ name: 'Test' });
+        hooks = [];
+        addLoggedState('menu', ['play']);
+        addLoggedState('play', ['menu', 'over']);
+        addLoggedState('over', []);
+    });
+
+    it('enters the initial state without a previous state', () => {
+        machine.start('menu', { first: true });
+
+        assert.ok(machine.is('menu'));
+        assert.deepEqual(hooks, [['enter', 'menu', null, { first: true }]]);
+    });
+
+    it('runs exit before enter and remembers the state it left', () => {
+        machine.start('menu');
+        hooks = [];
+
+        assert.equal(machine.transition('play', { level: 2 }), true);
+
+        assert.deepEqual(hooks, [['exit', 'menu', 'play'], ['enter', 'play', 'menu', { level: 2 }]]);
+        assert.equal(machine.getState(), 'play');
+        assert.equal(machine.getPreviousState(), 'menu');
+    });
+
+    it('refuses transitions the current state does not list', () => {
+        const error = mock.method(console, 'error', () => {});
+        machine.start('menu');
+
+        assert.equal(machine.canTransition('over'), false);
+        assert.equal(machine.transition('over'), false);
+        assert.equal(machine.transition('missing'), false);
+        mock.restoreAll();
+
+        assert.ok(machine.is('menu'));
+        assert.equal(error.mock.callCount(), 2);
+    });
+
+    it('refuses to change state from inside an enter or exit hook', () => {
+        const error = mock.method(console, 'error', () => {});
+        machine.addState('bounce', {
+            transitions: ['menu'],
+            enter: () => hooks.push(['nested', machine.transition('menu')])
+        });
+        machine.addState('start', { transitions: ['bounce'] });
+        machine.start('start');
+
+        machine.transition('bounce');
+        mock.restoreAll();
+
+        assert.deepEqual(hooks, [['nested', false]]);
+        assert.ok(machine.is('bounce'));
+        assert.equal(error.mock.callCount(), 1);
+    });
+
+    it('forwards update to the current state only', () => {
+        machine.start('menu');
+        machine.transition('play');
+        hooks = [];
+
+        machine.update(16);
+
+        assert.deepEqual(hooks, [['update', 'play', 16]]);
+    });
+
+    it('checks the current state against several names', () => {
+        machine.start('play');
+
+        assert.equal(machine.is('menu', 'play'), true);
+        assert.equal(machine.is('menu', 'over'), false);
+    });
+
+    it('rejects duplicate and unknown states', () => {
+        assert.throws(() => machine.addState('menu'), /already registered/);
+        assert.throws(() => machine.start('missing'), /Unknown state/);
+    });
+
+    it('announces changes on the event bus', () => {
+        const eventBus = new EventBus();
+        const changes = [];
+        eventBus.on('state:changed', (change) => changes.push(change));
+        const announced = new StateMachine({ eventBus, name: 'Flow' });
+        announced.addState('a', { transitions: ['b'] }).addState('b');
+
+        announced.start('a');
+        announced.transition('b', { reason: 'test' });
+
+        assert.deepEqual(changes, [
+            { machine: 'Flow', from: null, to: 'a', data: {} },
+            { machine: 'Flow', from: 'a', to: 'b', data: { reason: 'test' } }
+        ]);
+    });
+});
+
+describe('Game state transitions', () => {
+    let machine;
+
+    beforeEach(() => {
+        machine = new StateMachine();
+        registerGameStates({ stateMachine: machine });
+    });
+
+    /**
+     * List the states a game state may move to
+     * @param {string} state - Game state
+     * @returns {string[]} Legal next states
+     */
+    function transitionsFrom(state) {
+        return machine.states.get(state).transitions;
+    }
+
+    it('registers every game state', () => {
+        assert.deepEqual([...machine.states.keys()].sort(), Object.values(GAME_STATES).sort());
+    });
+
+    it('only lists transitions to registered states', () => {
+        for (const state of Object.values(GAME_STATES)) {
+            for (const next of transitionsFrom(state)) {
+                assert.ok(machine.states.has(next), `${state} -> ${next}`);
+            }
+        }
+    });
+
+    it('ends a run only through a player death', () => {
+        const ending = Object.values(GAME_STATES)
+            .filter(state => transitionsFrom(state).includes(GAME_STATES.GAME_OVER))
+            .sort();
+
+        assert.deepEqual(ending, [GAME_STATES.NAME_ENTRY, GAME_STATES.PLAYER_DEATH].sort());
+    });
+
+    it('can pause and resume every state of a run in progress', () => {
+        const inRun = [GAME_STATES.WAVE_INTRO, GAME_STATES.PLAYING, GAME_STATES.WAVE_CLEAR, GAME_STATES.PLAYER_DEATH];
+
+        for (const state of inRun) {
+            assert.ok(transitionsFrom(state).includes(GAME_STATES.PAUSED), `${state} -> paused`);
+            assert.ok(transitionsFrom(GAME_STATES.PAUSED).includes(state), `paused -> ${state}`);
+        }
+    });
+
+    it('starts every new run with a wave intro', () => {
+        assert.deepEqual(transitionsFrom(GAME_STATES.GAME_OVER), [GAME_STATES.WAVE_INTRO]);
+    });
+});
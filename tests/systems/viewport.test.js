@@ -0,0 +1,137 @@
+/**
+ * Viewport tests - fitting the canvas to the window, high-DPI backing
+ * stores and mapping page positions back into world space
+ * Run with: node --test tests/systems/viewport.test.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Viewport = require('../../js/systems/viewport.js');
+
+/**
+ * Browser window stand-in with a fixed inner size and pixel density
+ * @param {number} innerWidth - Window width in CSS pixels
+ * @param {number} innerHeight - Window height in CSS pixels
+ * @param {number} devicePixelRatio - Device pixels per CSS pixel
+ * @returns {Object} Fake window
+ */
+function createWindow(innerWidth, innerHeight, devicePixelRatio = 1) {
+    return {
+        innerWidth,
+        innerHeight,
+        devicePixelRatio,
+        addEventListener() {},
+        removeEventListener() {}
+    };
+}
+
+/**
+ * Canvas stand-in centred in the window the way the page's CSS centres it
+ * @returns {Object} Fake canvas
+ */
+function createCanvas() {
+    return {
+        width: 800,
+        height: 600,
+        style: {},
+        parentElement: null,
+        clientLeft: 0,
+        clientTop: 0,
+        get clientWidth() {
+            return parseFloat(this.style.width);
+        },
+        get clientHeight() {
+            return parseFloat(this.style.height);
+        },
+        getBoundingClientRect() {
+            const width = this.clientWidth + 2 * this.clientLeft;
+            const height = this.clientHeight + 2 * this.clientTop;
+            const left = (window.innerWidth - width) / 2;
+            const top = (window.innerHeight - height) / 2;
+            return { left, top, width, height };
+        }
+    };
+}
+
+describe('Viewport', () => {
+    let canvas;
+
+    beforeEach(() => {
+        canvas = createCanvas();
+    });
+
+    afterEach(() => {
+        delete globalThis.window;
+    });
+
+    it('letterboxes a tall window and keeps the world aspect ratio', () => {
+        globalThis.window = createWindow(1000, 1000);
+        const viewport = new Viewport(canvas, { width: 800, height: 600 });
+
+        assert.equal(viewport.displayWidth, 1000);
+        assert.equal(viewport.displayHeight, 750);
+        assert.deepEqual([canvas.style.width, canvas.style.height], ['1000px', '750px']);
+    });
+
+    it('pillarboxes a wide window', () => {
+        globalThis.window = createWindow(1600, 600);
+        const viewport = new Viewport(canvas, { width: 800, height: 600 });
+
+        assert.equal(viewport.displayWidth, 800);
+        assert.equal(viewport.displayHeight, 600);
+    });
+
+    it('sizes the backing store for the screen density, up to maxPixelRatio', () => {
+        globalThis.window = createWindow(800, 600, 2);
+        const viewport = new Viewport(canvas, { width: 800, height: 600 });
+
+        assert.deepEqual([canvas.width, canvas.height], [1600, 1200]);
+        assert.equal(viewport.pixelRatio, 2);
+
+        window.devicePixelRatio = 4;
+        viewport.fit();
+        assert.equal(viewport.pixelRatio, 3);
+    });
+
+    it('maps letterboxed page positions into world space', () => {
+        globalThis.window = createWindow(1000, 1000);
+        const viewport = new Viewport(canvas, { width: 800, height: 600 });
+
+        // The 750px tall canvas sits between 125px bars
+        assert.deepEqual(viewport.toWorld(0, 125), { x: 0, y: 0 });
+        assert.deepEqual(viewport.toWorld(500, 500), { x: 400, y: 300 });
+        assert.deepEqual(viewport.toWorld(1000, 875), { x: 800, y: 600 });
+    });
+
+    it('maps positions over the bars outside the world', () => {
+        globalThis.window = createWindow(1000, 1000);
+        const viewport = new Viewport(canvas, { width: 800, height: 600 });
+
+        assert.ok(viewport.toWorld(500, 60).y < 0);
+        assert.ok(viewport.toWorld(500, 950).y > 600);
+    });
+
+    it('skips the canvas border when mapping positions', () => {
+        globalThis.window = createWindow(1004, 1000);
+        canvas.clientLeft = 2;
+        canvas.clientTop = 2;
+        const viewport = new Viewport(canvas, { width: 800, height: 600 });
+        const rect = canvas.getBoundingClientRect();
+
+        assert.deepEqual(viewport.toWorld(rect.left + 2, rect.top + 2), { x: 0, y: 0 });
+    });
+
+    it('reports every refit to onResize', () => {
+        globalThis.window = createWindow(1000, 1000);
+        const sizes = [];
+        const viewport = new Viewport(canvas, {
+            onResize: (fitted) => sizes.push([fitted.displayWidth, fitted.displayHeight])
+        });
+
+        window.innerWidth = 400;
+        viewport.fit();
+
+        assert.deepEqual(sizes, [[1000, 750], [400, 300]]);
+    });
+});